@@ -0,0 +1,333 @@
+// Agent Registry for ODIA 11-Agent System
+// Single source of truth for agent names, voices, capabilities, languages, prompts and routing keywords.
+// config/agents.json holds the shipped agents; agents added or edited through the API are saved to a data file
+// outside the checkout, which is loaded instead once it exists.
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, 'config', 'agents.json');
+const DEFAULT_DATA_FILE = path.join(__dirname, 'data', 'agents.json');
+
+const STRING_LIST_FIELDS = ['capabilities', 'languages', 'routing_keywords', 'example_utterances'];
+
+const AGENT_FIELDS = [
+    'name',
+    'voice_id',
+    'voices',
+    'capabilities',
+    'languages',
+    'system_prompt',
+    'routing_keywords',
+    'example_utterances',
+    'model',
+    'max_tokens',
+    'temperature',
+    'enabled'
+];
+
+class AgentRegistry {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.AGENT_REGISTRY_FILE || DEFAULT_REGISTRY_FILE;
+        this.dataFile = options.dataFile || process.env.AGENT_DATA_FILE || DEFAULT_DATA_FILE;
+        this.agents = new Map();
+        this.defaultAgentId = null;
+
+        this.loadFromFile(fs.existsSync(this.dataFile) ? this.dataFile : this.filePath);
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+
+        router.get('/api/agents', this.listAgents.bind(this));
+        router.post('/api/agents', this.createAgent.bind(this));
+        router.get('/api/agents/:agentId', this.getAgent.bind(this));
+        router.patch('/api/agents/:agentId', this.updateAgent.bind(this));
+        router.get('/api/agents/:agentId/health', this.getAgentHealth.bind(this));
+
+        return router;
+    }
+
+    // ===========================================
+    // LOADING & SAVING
+    // ===========================================
+
+    loadFromFile(filePath) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        const data = this.isYamlFile(filePath) ? require('js-yaml').load(raw) : JSON.parse(raw);
+
+        this.agents.clear();
+        for (const agent of data.agents || []) {
+            this.agents.set(agent.id, this.normalizeAgent(agent));
+        }
+
+        this.defaultAgentId = data.default_agent || this.agents.keys().next().value;
+
+        console.log(`🤖 Loaded ${this.agents.size} agents from ${path.basename(filePath)}`);
+    }
+
+    // Runtime changes go to the data file, never back into config/
+    saveToFile() {
+        const data = {
+            default_agent: this.defaultAgentId,
+            agents: Array.from(this.agents.values())
+        };
+
+        const serialized = this.isYamlFile(this.dataFile)
+            ? require('js-yaml').dump(data)
+            : JSON.stringify(data, null, 2) + '\n';
+
+        fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+        fs.writeFileSync(this.dataFile, serialized);
+    }
+
+    isYamlFile(filePath) {
+        return ['.yaml', '.yml'].includes(path.extname(filePath).toLowerCase());
+    }
+
+    normalizeAgent(agent) {
+        return {
+            id: agent.id,
+            name: agent.name || agent.id,
+            voice_id: agent.voice_id || null,
+            // Per-language voices, e.g. { "yoruba": "<voice id>" }; other languages use voice_id
+            voices: agent.voices || {},
+            capabilities: agent.capabilities || [],
+            languages: agent.languages || ['english'],
+            system_prompt: agent.system_prompt ||
+                `You are ${agent.name || agent.id}, a specialized AI agent in the ODIA AI system.`,
+            routing_keywords: (agent.routing_keywords || []).map(keyword => keyword.toLowerCase()),
+            example_utterances: agent.example_utterances || [],
+            // null model/max_tokens/temperature fall back to the LLM client defaults
+            model: agent.model || null,
+            max_tokens: agent.max_tokens || null,
+            temperature: agent.temperature ?? null,
+            enabled: agent.enabled !== false
+        };
+    }
+
+    // ===========================================
+    // LOOKUPS
+    // ===========================================
+
+    get(agentId) {
+        return this.agents.get(agentId) || null;
+    }
+
+    has(agentId) {
+        return this.agents.has(agentId);
+    }
+
+    // Returns the agent, or the default agent when the ID is unknown
+    resolve(agentId) {
+        return this.get(agentId) || this.get(this.defaultAgentId);
+    }
+
+    list({ enabledOnly = false } = {}) {
+        const agents = Array.from(this.agents.values());
+        return enabledOnly ? agents.filter(agent => agent.enabled) : agents;
+    }
+
+    listIds(options) {
+        return this.list(options).map(agent => agent.id);
+    }
+
+    getName(agentId) {
+        const agent = this.get(agentId);
+        return agent ? agent.name : 'ODIA AI Assistant';
+    }
+
+    // The agent's voice for a reply language, falling back to its main voice and then the default agent's
+    getVoiceId(agentId, language) {
+        const agent = this.get(agentId);
+        return (agent && language && agent.voices[language]) ||
+            (agent && agent.voice_id) ||
+            this.get(this.defaultAgentId).voice_id;
+    }
+
+    getDefaultAgentId() {
+        return this.defaultAgentId;
+    }
+
+    // ===========================================
+    // MUTATIONS
+    // ===========================================
+
+    validateAgent(agent) {
+        const errors = [];
+
+        if (agent.name !== undefined && typeof agent.name !== 'string') errors.push('name must be a string');
+        if (agent.voice_id !== undefined && agent.voice_id !== null && typeof agent.voice_id !== 'string') {
+            errors.push('voice_id must be a string');
+        }
+        if (agent.voices !== undefined && (typeof agent.voices !== 'object' || agent.voices === null || Array.isArray(agent.voices) ||
+            Object.values(agent.voices).some(voiceId => typeof voiceId !== 'string'))) {
+            errors.push('voices must map languages to voice IDs');
+        }
+        for (const field of STRING_LIST_FIELDS) {
+            if (agent[field] !== undefined && !(Array.isArray(agent[field]) && agent[field].every(item => typeof item === 'string'))) {
+                errors.push(`${field} must be an array of strings`);
+            }
+        }
+        if (agent.system_prompt !== undefined && typeof agent.system_prompt !== 'string') {
+            errors.push('system_prompt must be a string');
+        }
+        if (agent.model !== undefined && agent.model !== null && typeof agent.model !== 'string') {
+            errors.push('model must be a string');
+        }
+        if (agent.max_tokens !== undefined && agent.max_tokens !== null &&
+            !(Number.isInteger(agent.max_tokens) && agent.max_tokens > 0)) {
+            errors.push('max_tokens must be a positive integer');
+        }
+        if (agent.temperature !== undefined && agent.temperature !== null &&
+            !(typeof agent.temperature === 'number' && agent.temperature >= 0 && agent.temperature <= 1)) {
+            errors.push('temperature must be a number between 0 and 1');
+        }
+        if (agent.enabled !== undefined && typeof agent.enabled !== 'boolean') errors.push('enabled must be a boolean');
+
+        return errors;
+    }
+
+    add(agent) {
+        const normalized = this.normalizeAgent(agent);
+        this.agents.set(normalized.id, normalized);
+        this.saveToFile();
+        return normalized;
+    }
+
+    update(agentId, changes) {
+        const existing = this.get(agentId);
+        const updated = { ...existing };
+
+        for (const field of AGENT_FIELDS) {
+            if (changes[field] !== undefined) updated[field] = changes[field];
+        }
+
+        const normalized = this.normalizeAgent(updated);
+        this.agents.set(agentId, normalized);
+        this.saveToFile();
+        return normalized;
+    }
+
+    // ===========================================
+    // API ENDPOINTS
+    // ===========================================
+
+    async listAgents(req, res) {
+        const enabledOnly = req.query.enabled === 'true';
+
+        res.json({
+            default_agent: this.defaultAgentId,
+            agents: this.list({ enabledOnly })
+        });
+    }
+
+    async getAgent(req, res) {
+        const agent = this.get(req.params.agentId);
+        if (!agent) {
+            return res.status(404).json({ error: 'Agent not found' });
+        }
+
+        res.json(agent);
+    }
+
+    async createAgent(req, res) {
+        try {
+            const agent = req.body;
+
+            if (!agent.id || !/^[a-z0-9-]+$/.test(agent.id)) {
+                return res.status(400).json({ error: 'Agent id is required and must be lowercase kebab-case' });
+            }
+            if (this.has(agent.id)) {
+                return res.status(409).json({ error: `Agent ${agent.id} already exists` });
+            }
+
+            const errors = this.validateAgent(agent);
+            if (!agent.name) errors.push('name is required');
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid agent', details: errors });
+            }
+
+            const created = this.add(agent);
+            console.log(`🤖 Agent registered: ${created.id}`);
+
+            res.status(201).json(created);
+
+        } catch (error) {
+            console.error('Agent creation error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async updateAgent(req, res) {
+        try {
+            const { agentId } = req.params;
+
+            if (!this.has(agentId)) {
+                return res.status(404).json({ error: 'Agent not found' });
+            }
+
+            const errors = this.validateAgent(req.body);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid agent update', details: errors });
+            }
+
+            const updated = this.update(agentId, req.body);
+            console.log(`🤖 Agent updated: ${agentId}`);
+
+            res.json(updated);
+
+        } catch (error) {
+            console.error('Agent update error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async getAgentHealth(req, res) {
+        const agent = this.get(req.params.agentId);
+        if (!agent) {
+            return res.status(404).json({ status: 'unknown', error: 'Agent not found' });
+        }
+
+        res.status(agent.enabled ? 200 : 503).json({
+            agent_id: agent.id,
+            status: agent.enabled ? 'healthy' : 'disabled'
+        });
+    }
+}
+
+module.exports = AgentRegistry;
+
+// Usage Examples:
+/*
+1. List enabled agents:
+   GET /api/agents?enabled=true
+
+2. Register a twelfth agent (saved to data/agents.json, or AGENT_DATA_FILE):
+   POST /api/agents
+   {
+     "id": "agro-connect",
+     "name": "Agent AgroConnect",
+     "voice_id": "atxzO10LEsk8kEval3af",
+     "capabilities": ["farm_advisory", "commodity_prices"],
+     "languages": ["english", "hausa"],
+     "system_prompt": "You are Agent AgroConnect...",
+     "routing_keywords": ["farm", "crop", "fertilizer"]
+   }
+
+3. Give an agent its own model settings:
+   PATCH /api/agents/miss-legal
+   { "model": "claude-3-5-sonnet-latest", "max_tokens": 800, "temperature": 0.2 }
+
+4. Give an agent a separate voice for Yoruba replies:
+   PATCH /api/agents/lexi-pro
+   { "voices": { "yoruba": "<ElevenLabs voice id>" } }
+
+5. Disable an agent:
+   PATCH /api/agents/edu-kids
+   { "enabled": false }
+
+6. Load from YAML instead of JSON:
+   AGENT_REGISTRY_FILE=config/agents.yaml node src/server.js
+*/
@@ -0,0 +1,377 @@
+// Agent Session Manager for ODIA 11-Agent System
+// Keeps each WhatsApp number with one active agent until the topic clearly changes,
+// the user asks to switch, or the agent hands the conversation off
+
+const express = require('express');
+
+// "switch to Atlas", "talk to MedAssist", "connect me with Miss Legal", ... The rest of the message only counts as a
+// switch when it names an agent: "I want to talk to my lawyer about the contract" is an ordinary message.
+const SWITCH_COMMAND_PATTERN = /^\s*(?:please\s+)?(?:switch(?: me)? to|talk to|speak (?:to|with)|connect me (?:to|with)|transfer me to|i want to (?:talk|speak) (?:to|with))\s+(?:agent\s+)?(.+?)[\s.!?]*$/i;
+
+// Agents can end a reply with [[handoff:agent-id]] to pass the customer on
+const HANDOFF_MARKER_PATTERN = /\[\[handoff:([a-z0-9-]+)\]\]/i;
+
+// Rows per WhatsApp list message
+const AGENT_PICKER_ROWS = 10;
+
+class AgentSessionManager {
+    constructor(options = {}) {
+        this.db = options.database;
+        this.agentRegistry = options.agentRegistry;
+        this.conversations = options.conversations;
+        this.intentRouter = options.intentRouter;
+
+        this.ttlMs = (options.ttlMinutes || parseInt(process.env.AGENT_SESSION_TTL_MINUTES, 10) || 60) * 60 * 1000;
+        // Another agent must be this confident, and this far ahead of the active agent, to move the session
+        this.topicSwitchConfidence = options.topicSwitchConfidence || 0.4;
+        this.topicSwitchMargin = options.topicSwitchMargin || 0.15;
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+
+        router.get('/api/sessions/:phoneNumber', this.getSessionStatus.bind(this));
+
+        return router;
+    }
+
+    // ===========================================
+    // ROUTING
+    // ===========================================
+
+    // Returns { agentId, switched, previousAgentId, reason, commandOnly, restrictedAgent }.
+    // agentIds (the customer's plan) limits which agents the session can move to; null allows every agent.
+    async routeMessage(phoneNumber, messageContent, { agentIds = null } = {}) {
+        const session = await this.getSession(phoneNumber);
+        const activeAgentId = this.getActiveAgentId(session, agentIds);
+
+        // 1. Explicit switch command naming an agent
+        const requestedAgentId = this.findRequestedAgent(messageContent);
+        if (requestedAgentId) {
+            if (!this.isAllowed(requestedAgentId, agentIds)) {
+                return {
+                    agentId: activeAgentId || this.intentRouter.getFallbackAgentId(agentIds),
+                    switched: false,
+                    commandOnly: true,
+                    restrictedAgent: requestedAgentId
+                };
+            }
+
+            return {
+                ...await this.activateAgent(phoneNumber, session, requestedAgentId, 'user_command'),
+                commandOnly: true
+            };
+        }
+
+        // 2. Stay with the active agent unless the topic clearly changed
+        if (activeAgentId) {
+            const topicAgentId = await this.detectTopicChange(messageContent, activeAgentId, agentIds);
+            if (topicAgentId) {
+                return this.activateAgent(phoneNumber, session, topicAgentId, 'topic_change');
+            }
+
+            await this.db.table('agent_sessions').update(session.id, { last_activity_at: new Date() });
+            return { agentId: activeAgentId, switched: false };
+        }
+
+        // 3. New or expired session: route by intent
+        const { agentId } = await this.intentRouter.route(messageContent, { agentIds });
+        return this.activateAgent(phoneNumber, session, agentId, 'routed');
+    }
+
+    async detectTopicChange(messageContent, activeAgentId, agentIds = null) {
+        const result = await this.intentRouter.route(messageContent, { agentIds });
+        if (result.agentId === activeAgentId || result.method === 'fallback') return null;
+
+        const active = result.scores.find(score => score.agentId === activeAgentId);
+        const activeScore = active ? active.score : 0;
+
+        const clearlyChanged = result.confidence >= this.topicSwitchConfidence &&
+            result.confidence - activeScore >= this.topicSwitchMargin;
+
+        return clearlyChanged ? result.agentId : null;
+    }
+
+    // For messages with nothing to route on (a location, an uncaptioned photo): keep the active agent or start with the default
+    async continueSession(phoneNumber, { agentIds = null } = {}) {
+        const session = await this.getSession(phoneNumber);
+        const activeAgentId = this.getActiveAgentId(session, agentIds);
+
+        if (activeAgentId) {
+            await this.db.table('agent_sessions').update(session.id, { last_activity_at: new Date() });
+            return { agentId: activeAgentId, switched: false };
+        }
+
+        return this.activateAgent(phoneNumber, session, this.intentRouter.getFallbackAgentId(agentIds), 'routed');
+    }
+
+    // Agent picked from an interactive menu; unknown or disabled agents are reported like unknown switch commands
+    async selectAgent(phoneNumber, agentId, { agentIds = null } = {}) {
+        const session = await this.getSession(phoneNumber);
+        const agent = this.agentRegistry.get(agentId);
+
+        if (!agent || !agent.enabled || !this.isAllowed(agent.id, agentIds)) {
+            return {
+                agentId: this.getActiveAgentId(session, agentIds) || this.intentRouter.getFallbackAgentId(agentIds),
+                switched: false,
+                commandOnly: true,
+                unknownAgent: agent && agent.enabled ? undefined : agentId,
+                restrictedAgent: agent && agent.enabled ? agent.id : undefined
+            };
+        }
+
+        return {
+            ...await this.activateAgent(phoneNumber, session, agent.id, 'user_command'),
+            commandOnly: true
+        };
+    }
+
+    // The session's agent, unless it was removed from the registry or isn't in the customer's plan
+    getActiveAgentId(session, agentIds = null) {
+        const activeAgentId = session ? session.active_agent_id : null;
+        return activeAgentId && this.agentRegistry.has(activeAgentId) && this.isAllowed(activeAgentId, agentIds)
+            ? activeAgentId
+            : null;
+    }
+
+    isAllowed(agentId, agentIds = null) {
+        return !agentIds || agentIds.includes(agentId);
+    }
+
+    parseSwitchCommand(messageContent) {
+        const match = SWITCH_COMMAND_PATTERN.exec(messageContent);
+        return match ? match[1] : null;
+    }
+
+    // The agent an explicit switch command names, or null
+    findRequestedAgent(messageContent) {
+        const requestedName = this.parseSwitchCommand(messageContent);
+        return requestedName ? this.findAgentByName(requestedName) : null;
+    }
+
+    // Matches "Atlas", "MedAssist", "miss legal" or "paymaster" against agent IDs and display names.
+    // Shortened names ("lexi") need at least three letters, so "talk to me" isn't a switch to MedAssist.
+    findAgentByName(requestedName) {
+        const normalize = (value) => value.toLowerCase().replace(/^agent\s+/, '').replace(/[^a-z0-9]/g, '');
+        const requested = normalize(requestedName);
+        if (!requested) return null;
+
+        const matches = (value) => value === requested || (requested.length >= 3 && value.startsWith(requested));
+        const agent = this.agentRegistry.list({ enabledOnly: true }).find(candidate =>
+            matches(normalize(candidate.id)) || matches(normalize(candidate.name))
+        );
+
+        return agent ? agent.id : null;
+    }
+
+    // ===========================================
+    // SESSIONS & HANDOFFS
+    // ===========================================
+
+    async getSession(phoneNumber) {
+        const session = await this.db.table('agent_sessions').findOne({ phone_number: phoneNumber });
+
+        if (session && Date.now() - session.last_activity_at.getTime() > this.ttlMs) {
+            return { ...session, active_agent_id: null };
+        }
+
+        return session;
+    }
+
+    async activateAgent(phoneNumber, session, agentId, reason) {
+        const previousAgentId = session ? session.active_agent_id : null;
+        const now = new Date();
+
+        if (previousAgentId === agentId) {
+            await this.db.table('agent_sessions').update(session.id, { last_activity_at: now });
+            return { agentId: agentId, switched: false };
+        }
+
+        const changes = {
+            active_agent_id: agentId,
+            previous_agent_id: previousAgentId,
+            switch_reason: reason,
+            handoff_summary: previousAgentId ? await this.buildHandoffSummary(phoneNumber, previousAgentId) : null,
+            switched_at: now,
+            last_activity_at: now
+        };
+
+        if (session) {
+            await this.db.table('agent_sessions').update(session.id, changes);
+        } else {
+            await this.db.table('agent_sessions').insert({ phone_number: phoneNumber, ...changes });
+        }
+
+        if (previousAgentId) {
+            console.log(`🔀 ${phoneNumber}: ${previousAgentId} -> ${agentId} (${reason})`);
+        }
+
+        return {
+            agentId: agentId,
+            switched: Boolean(previousAgentId),
+            previousAgentId: previousAgentId,
+            reason: reason
+        };
+    }
+
+    // Called when an agent's reply asks to pass the customer to another agent, or an emergency needs the emergency agent
+    async handOff(phoneNumber, toAgentId, reason = 'handoff') {
+        const session = await this.getSession(phoneNumber);
+        return this.activateAgent(phoneNumber, session, toAgentId, reason);
+    }
+
+    async buildHandoffSummary(phoneNumber, fromAgentId) {
+        const conversation = await this.conversations.getConversation(phoneNumber, fromAgentId);
+        if (!conversation || conversation.turns.length === 0) {
+            return conversation ? conversation.summary : null;
+        }
+
+        return this.conversations.summarizeTurns(fromAgentId, conversation.summary, conversation.turns);
+    }
+
+    // The customer's most recently shared location, kept per number as context for later messages and incidents.
+    // It outlives the session, so a customer who shares it before any agent has answered still has it saved.
+    async setLocation(phoneNumber, location) {
+        const saved = await this.db.table('customer_locations').findOne({ phone_number: phoneNumber });
+        const changes = { location: { ...location, shared_at: new Date().toISOString() } };
+
+        return saved
+            ? this.db.table('customer_locations').update(saved.id, changes)
+            : this.db.table('customer_locations').insert({ phone_number: phoneNumber, ...changes });
+    }
+
+    async getLocation(phoneNumber) {
+        const saved = await this.db.table('customer_locations').findOne({ phone_number: phoneNumber });
+        return saved ? saved.location : null;
+    }
+
+    // Context the newly active agent needs when it has just taken over
+    async getHandoffContext(phoneNumber, agentId) {
+        const session = await this.getSession(phoneNumber);
+        if (!session || session.active_agent_id !== agentId || !session.previous_agent_id || !session.handoff_summary) {
+            return null;
+        }
+
+        return {
+            from_agent: this.agentRegistry.getName(session.previous_agent_id),
+            summary: session.handoff_summary
+        };
+    }
+
+    // Strips a handoff marker from an agent reply; returns the target only if it is a known, enabled agent
+    extractHandoff(responseText) {
+        const match = HANDOFF_MARKER_PATTERN.exec(responseText);
+        if (!match) {
+            return { text: responseText, targetAgentId: null };
+        }
+
+        const targetAgentId = match[1].toLowerCase();
+        const target = this.agentRegistry.get(targetAgentId);
+
+        return {
+            text: responseText.replace(HANDOFF_MARKER_PATTERN, '').trim(),
+            targetAgentId: target && target.enabled ? targetAgentId : null
+        };
+    }
+
+    // agentIds limits the suggestions to the customer's plan
+    getHandoffInstructions(agentId, agentIds = null) {
+        const otherAgents = this.agentRegistry.list({ enabledOnly: true })
+            .filter(agent => agent.id !== agentId && this.isAllowed(agent.id, agentIds))
+            .map(agent => `${agent.id} (${agent.name})`)
+            .join(', ');
+
+        if (!otherAgents) {
+            return "No other specialists are available on this customer's plan, so help within your scope or suggest upgrading.";
+        }
+
+        return `If the customer clearly needs a different specialist, say so briefly and end your reply with [[handoff:agent-id]] using one of: ${otherAgents}.`;
+    }
+
+    // ===========================================
+    // MESSAGES
+    // ===========================================
+
+    buildSwitchConfirmation(routing) {
+        const agentName = this.agentRegistry.getName(routing.agentId);
+
+        if (routing.reason === 'handoff') {
+            return `🔄 ${this.agentRegistry.getName(routing.previousAgentId)} has handed you over to ${agentName}, who will continue from here.`;
+        }
+
+        return `🔄 You're now chatting with ${agentName}. Type "switch to <agent>" anytime to change.`;
+    }
+
+    buildUnknownAgentMessage(requestedName) {
+        return this.buildAgentPicker(`❓ I couldn't find an agent called "${requestedName}". Choose one from the list:`);
+    }
+
+    // "Choose an agent" list menu; rows switch agent via the "agent:<id>" reply ID.
+    // WhatsApp lists hold 10 rows, so longer rosters page with a "More agents" row.
+    buildAgentPicker(body, page = 1) {
+        const rows = this.agentRegistry.list({ enabledOnly: true }).map(agent => ({
+            id: `agent:${agent.id}`,
+            title: agent.name.replace(/^Agent\s+/, ''),
+            description: agent.capabilities.slice(0, 3).map(capability => capability.replace(/_/g, ' ')).join(', ')
+        }));
+
+        const pageSize = rows.length > AGENT_PICKER_ROWS ? AGENT_PICKER_ROWS - 1 : AGENT_PICKER_ROWS;
+        const pageCount = Math.ceil(rows.length / pageSize);
+        const current = Math.min(Math.max(page, 1), pageCount);
+        const pageRows = rows.slice((current - 1) * pageSize, current * pageSize);
+
+        if (current < pageCount) {
+            pageRows.push({ id: `menu:agents:${current + 1}`, title: '➡️ More agents', description: `Page ${current + 1} of ${pageCount}` });
+        }
+
+        return {
+            type: 'list',
+            body: body || '🤖 Choose an agent to chat with:',
+            buttonText: 'Choose agent',
+            sections: [{ title: 'ODIA agents', rows: pageRows }]
+        };
+    }
+
+    // ===========================================
+    // API ENDPOINTS
+    // ===========================================
+
+    async getSessionStatus(req, res) {
+        try {
+            const session = await this.getSession(req.params.phoneNumber);
+
+            if (!session || !session.active_agent_id) {
+                return res.status(404).json({ error: 'No active session' });
+            }
+
+            res.json({
+                phone_number: session.phone_number,
+                active_agent: session.active_agent_id,
+                previous_agent: session.previous_agent_id,
+                switch_reason: session.switch_reason,
+                last_location: await this.getLocation(session.phone_number),
+                switched_at: session.switched_at,
+                last_activity_at: session.last_activity_at
+            });
+
+        } catch (error) {
+            console.error('Session lookup error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = AgentSessionManager;
+
+// Usage Examples:
+/*
+1. Customer switches agents on WhatsApp:
+   "switch to Atlas"      -> Agent Atlas Corporate
+   "talk to MedAssist"    -> Agent MedAssist
+
+2. Inspect a customer's active agent:
+   GET /api/sessions/2348012345678
+
+3. Session expiry (default 60 minutes of inactivity):
+   AGENT_SESSION_TTL_MINUTES=30 node src/server.js
+*/
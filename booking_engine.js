@@ -0,0 +1,1147 @@
+// Booking Engine for ODIA 11-Agent System
+// Appointments for Agent MedAssist and VIP bookings for Agent LuxuryService: bookable resources (doctors, clinics,
+// venues, cars) with services and working hours in Lagos time, free slot search, short holds, confirmation with an
+// optional Flutterwave deposit, cancellation, WhatsApp reminders 24 hours and 1 hour before, and iCalendar export.
+// Agents offer real free times by ending a reply with [[booking:slots:service]]; the customer books by tapping.
+
+const express = require('express');
+
+const BOOKING_AGENTS = ['med-assist', 'luxury-service'];
+
+// Nigeria has no daylight saving time, so Lagos wall-clock times are always UTC+1
+const TIME_ZONE = 'Africa/Lagos';
+const UTC_OFFSET = '+01:00';
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SERVICE_ID_PATTERN = /^[a-z0-9-]+$/;
+
+// [[booking:slots:consultation]], [[booking:slots:consultation:2026-10-21]] or [[booking:mine]]
+const BOOKING_MARKER_PATTERN = /\[\[booking:(slots|mine)(?::([a-z0-9-]+))?(?::(\d{4}-\d{2}-\d{2}))?\]\]/i;
+
+// Slots start at least this far ahead, searches cover this many days, and a WhatsApp list holds 10 rows
+const MIN_NOTICE_MS = 60 * 60 * 1000;
+const SEARCH_DAYS = 14;
+const MAX_SLOTS = 10;
+
+// Held and awaiting-deposit bookings block their slot until the hold expires
+const ACTIVE_STATUSES = ['held', 'pending_payment', 'confirmed'];
+
+// The database rejects overlapping active bookings with this error code (Postgres exclusion_violation)
+const SLOT_TAKEN_CODE = '23P01';
+
+const REMINDERS = [
+    { id: '24h', beforeMs: 24 * 60 * 60 * 1000 },
+    { id: '1h', beforeMs: 60 * 60 * 1000 }
+];
+
+class BookingEngine {
+    constructor(options = {}) {
+        this.db = options.database;
+        this.agentRegistry = options.agentRegistry;
+        this.whatsappClient = options.whatsappClient;
+        this.jobQueue = options.jobQueue;
+        this.payments = options.payments;
+        this.monitoring = options.monitoring;
+
+        this.baseUrl = process.env.API_BASE_URL || 'https://odia.dev';
+        this.holdMs = (options.holdMinutes || parseInt(process.env.BOOKING_HOLD_MINUTES, 10) || 10) * 60 * 1000;
+        this.depositHoldMs = (options.depositHoldMinutes || parseInt(process.env.BOOKING_DEPOSIT_HOLD_MINUTES, 10) || 30) * 60 * 1000;
+
+        // Resource ID -> the latest hold in progress, so holds on one resource run one at a time
+        this.locks = new Map();
+
+        this.jobQueue.registerHandler('booking.expire', this.handleExpiryJob.bind(this));
+        this.jobQueue.registerHandler('booking.reminder', this.handleReminderJob.bind(this));
+
+        if (this.payments) {
+            this.payments.registerPaymentHandler('booking_deposit', this.handleDepositPaid.bind(this));
+        }
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+
+        // Resources first, so "resources" isn't taken for a booking ID
+        router.get('/api/bookings/resources', this.listResources.bind(this));
+        router.post('/api/bookings/resources', this.createResource.bind(this));
+        router.put('/api/bookings/resources/:resourceId', this.updateResource.bind(this));
+        router.get('/api/bookings/resources/:resourceId/slots', this.getResourceSlots.bind(this));
+        router.get('/api/bookings/resources/:resourceId/calendar.ics', this.exportResourceCalendar.bind(this));
+
+        router.get('/api/bookings', this.listBookings.bind(this));
+        router.post('/api/bookings', this.createBooking.bind(this));
+        router.get('/api/bookings/:bookingId', this.getBookingDetails.bind(this));
+        router.post('/api/bookings/:bookingId/confirm', this.confirmBooking.bind(this));
+        router.post('/api/bookings/:bookingId/cancel', this.cancelBooking.bind(this));
+        router.get('/api/bookings/:bookingId/calendar.ics', this.exportBookingCalendar.bind(this));
+
+        return router;
+    }
+
+    // ===========================================
+    // RESOURCES
+    // ===========================================
+
+    // Resource fields: agent_id, name, type, address, services [{ id, name, duration_minutes, price, deposit }],
+    // working_hours { mon: [['09:00', '17:00']], ... } in Lagos time, closed_dates ['2026-12-25'],
+    // slot_interval_minutes (default: each service's duration) and active
+    normalizeResource(fields, { partial = false } = {}) {
+        const resource = {};
+        const has = key => fields[key] !== undefined;
+
+        for (const key of ['agent_id', 'name', 'type', 'address']) {
+            if (has(key)) resource[key] = fields[key] === null ? null : String(fields[key]).trim();
+        }
+        if (has('services')) {
+            resource.services = Array.isArray(fields.services) ? fields.services.map(service => ({
+                id: String(service.id || '').trim().toLowerCase(),
+                name: String(service.name || '').trim(),
+                duration_minutes: Number(service.duration_minutes),
+                price: Number(service.price || 0),
+                deposit: Number(service.deposit || 0),
+                currency: service.currency || 'NGN'
+            })) : fields.services;
+        }
+        if (has('working_hours')) resource.working_hours = fields.working_hours;
+        if (has('closed_dates')) resource.closed_dates = fields.closed_dates;
+        if (has('slot_interval_minutes')) {
+            resource.slot_interval_minutes = fields.slot_interval_minutes === null ? null : Number(fields.slot_interval_minutes);
+        }
+        if (has('active')) resource.active = Boolean(fields.active);
+
+        if (!partial) {
+            resource.working_hours = resource.working_hours || {};
+            resource.closed_dates = resource.closed_dates || [];
+            if (resource.active === undefined) resource.active = true;
+        }
+
+        return resource;
+    }
+
+    // Returns a list of problems; empty when the resource can be saved
+    validateResource(resource) {
+        const errors = [];
+
+        if (!BOOKING_AGENTS.includes(resource.agent_id)) {
+            errors.push(`agent_id must be one of: ${BOOKING_AGENTS.join(', ')}`);
+        }
+        if (!resource.name) {
+            errors.push('name is required');
+        }
+
+        if (!Array.isArray(resource.services) || resource.services.length === 0) {
+            errors.push('services must list at least one service');
+        } else {
+            resource.services.forEach((service, index) => {
+                if (!SERVICE_ID_PATTERN.test(service.id)) errors.push(`services[${index}].id must be lowercase letters, digits and dashes`);
+                if (!service.name) errors.push(`services[${index}].name is required`);
+                if (!Number.isInteger(service.duration_minutes) || service.duration_minutes <= 0) {
+                    errors.push(`services[${index}].duration_minutes must be a whole number of minutes`);
+                }
+                if (!(service.price >= 0)) errors.push(`services[${index}].price must be 0 or more`);
+                if (!(service.deposit >= 0) || service.deposit > service.price) {
+                    errors.push(`services[${index}].deposit must be between 0 and the price`);
+                }
+            });
+            const ids = resource.services.map(service => service.id);
+            if (new Set(ids).size !== ids.length) errors.push('service ids must be unique');
+        }
+
+        const hours = resource.working_hours;
+        if (!hours || typeof hours !== 'object' || Array.isArray(hours)) {
+            errors.push('working_hours must map weekdays (mon-sun) to [start, end] times');
+        } else {
+            for (const [day, intervals] of Object.entries(hours)) {
+                const valid = WEEKDAYS.includes(day) && Array.isArray(intervals) && intervals.every(interval =>
+                    Array.isArray(interval) && TIME_PATTERN.test(interval[0]) && TIME_PATTERN.test(interval[1]) && interval[0] < interval[1]
+                );
+                if (!valid) errors.push(`working_hours.${day} must be a list of ["HH:MM", "HH:MM"] ranges`);
+            }
+        }
+
+        if (!Array.isArray(resource.closed_dates) || !resource.closed_dates.every(date => DATE_PATTERN.test(date))) {
+            errors.push('closed_dates must be YYYY-MM-DD dates');
+        }
+        if (resource.slot_interval_minutes != null && !(Number.isInteger(resource.slot_interval_minutes) && resource.slot_interval_minutes > 0)) {
+            errors.push('slot_interval_minutes must be a whole number of minutes');
+        }
+
+        return errors;
+    }
+
+    async getResources(agentId) {
+        const resources = await this.db.table('booking_resources').find({ agent_id: agentId, active: true }, { orderBy: 'name' });
+        return resources;
+    }
+
+    async getResource(resourceId) {
+        const resource = resourceId ? await this.db.table('booking_resources').findById(resourceId) : null;
+        if (!resource) {
+            throw this.httpError(404, 'Resource not found');
+        }
+
+        return resource;
+    }
+
+    getService(resource, serviceId) {
+        const service = resource.services.find(candidate => candidate.id === serviceId);
+        if (!service) {
+            throw this.httpError(400, `${resource.name} doesn't offer "${serviceId}"`);
+        }
+
+        return service;
+    }
+
+    // ===========================================
+    // SLOTS
+    // ===========================================
+
+    // Free slots for one resource and service, earliest first: [{ resource_id, resource_name, service_id,
+    // service_name, start, end }]. Without a date the search covers the next SEARCH_DAYS days.
+    async getAvailableSlots(resource, service, { date = null, limit = MAX_SLOTS, excludeBookingId = null, now = new Date() } = {}) {
+        const earliest = new Date(now.getTime() + MIN_NOTICE_MS);
+        const blocking = (await this.getBlockingBookings(resource.id, now)).filter(booking => booking.id !== excludeBookingId);
+        const durationMs = service.duration_minutes * 60 * 1000;
+        const stepMs = (resource.slot_interval_minutes || service.duration_minutes) * 60 * 1000;
+        const firstDay = date || this.toLagosDate(now);
+        const slots = [];
+
+        for (let offset = 0; offset < (date ? 1 : SEARCH_DAYS) && slots.length < limit; offset++) {
+            const day = this.addDays(firstDay, offset);
+            if ((resource.closed_dates || []).includes(day)) continue;
+
+            for (const [open, close] of resource.working_hours[this.getWeekday(day)] || []) {
+                const closesAt = this.atLagosTime(day, close).getTime();
+
+                for (let start = this.atLagosTime(day, open).getTime(); start + durationMs <= closesAt; start += stepMs) {
+                    const end = start + durationMs;
+                    if (start < earliest.getTime()) continue;
+                    if (blocking.some(booking => start < booking.end_at.getTime() && booking.start_at.getTime() < end)) continue;
+
+                    slots.push({
+                        resource_id: resource.id,
+                        resource_name: resource.name,
+                        service_id: service.id,
+                        service_name: service.name,
+                        start: new Date(start),
+                        end: new Date(end)
+                    });
+                    if (slots.length >= limit) break;
+                }
+                if (slots.length >= limit) break;
+            }
+        }
+
+        return slots;
+    }
+
+    // Free slots for a service across every resource of the agent that offers it
+    async findSlots(agentId, serviceId, { date = null, now = new Date() } = {}) {
+        const resources = (await this.getResources(agentId))
+            .filter(resource => resource.services.some(service => service.id === serviceId));
+
+        const slots = [];
+        for (const resource of resources) {
+            slots.push(...await this.getAvailableSlots(resource, this.getService(resource, serviceId), { date, now }));
+        }
+
+        return slots.sort((a, b) => a.start - b.start || a.resource_name.localeCompare(b.resource_name)).slice(0, MAX_SLOTS);
+    }
+
+    async getBlockingBookings(resourceId, now = new Date()) {
+        const bookings = [];
+        for (const status of ACTIVE_STATUSES) {
+            bookings.push(...await this.db.table('bookings').find({ resource_id: resourceId, status: status }));
+        }
+
+        return bookings.filter(booking => booking.end_at > now && (booking.status === 'confirmed' || booking.hold_expires_at > now));
+    }
+
+    // Holds on one resource run one at a time in this process. Across server instances the database's
+    // bookings_no_overlap constraint rejects the second of two overlapping bookings.
+    async withResourceLock(resourceId, task) {
+        const previous = this.locks.get(resourceId) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+        this.locks.set(resourceId, current);
+
+        try {
+            return await current;
+        } finally {
+            if (this.locks.get(resourceId) === current) this.locks.delete(resourceId);
+        }
+    }
+
+    // Expires holds on the booking's time that ran out before their expiry job did, so they don't block it
+    // in the database
+    async releaseExpiredHolds(booking, now = new Date()) {
+        const expired = await this.db.table('bookings').find({
+            resource_id: booking.resource_id,
+            status: { in: ['held', 'pending_payment'] },
+            hold_expires_at: { lte: now },
+            start_at: { lt: booking.end_at },
+            end_at: { gt: booking.start_at }
+        });
+
+        for (const other of expired.filter(candidate => candidate.id !== booking.id)) {
+            await this.handleExpiryJob({ bookingId: other.id }, now);
+        }
+    }
+
+    // ===========================================
+    // BOOKINGS
+    // ===========================================
+
+    // Holds a free slot for the customer while they confirm. The customer's other unconfirmed holds are released.
+    async hold(phoneNumber, { resourceId, serviceId, start, customerName = null }, now = new Date()) {
+        if (!phoneNumber) {
+            throw this.httpError(400, 'phoneNumber is required');
+        }
+
+        const resource = await this.getResource(resourceId);
+        const service = this.getService(resource, serviceId);
+        const startAt = new Date(start);
+        if (!resource.active) {
+            throw this.httpError(409, `${resource.name} isn't taking bookings`);
+        }
+        if (Number.isNaN(startAt.getTime())) {
+            throw this.httpError(400, 'start must be a date and time');
+        }
+
+        return this.withResourceLock(resource.id, async () => {
+            const slots = await this.getAvailableSlots(resource, service, { date: this.toLagosDate(startAt), limit: Infinity, now });
+            const slot = slots.find(candidate => candidate.start.getTime() === startAt.getTime());
+            if (!slot) {
+                throw this.httpError(409, 'That time is no longer available');
+            }
+
+            for (const previous of await this.db.table('bookings').find({ phone_number: phoneNumber, status: 'held' })) {
+                await this.db.table('bookings').update(previous.id, { status: 'expired' });
+            }
+
+            await this.releaseExpiredHolds({ resource_id: resource.id, start_at: slot.start, end_at: slot.end }, now);
+
+            const booking = await this.db.table('bookings').insert({
+                resource_id: resource.id,
+                resource_name: resource.name,
+                agent_id: resource.agent_id,
+                service_id: service.id,
+                service_name: service.name,
+                phone_number: phoneNumber,
+                customer_name: customerName,
+                start_at: slot.start,
+                end_at: slot.end,
+                status: 'held',
+                hold_expires_at: new Date(now.getTime() + this.holdMs),
+                price: service.price,
+                deposit_amount: service.deposit,
+                currency: service.currency,
+                reminders_sent: []
+            }).catch(error => {
+                // Another server instance took the slot
+                throw error.code === SLOT_TAKEN_CODE ? this.httpError(409, 'That time is no longer available') : error;
+            });
+
+            await this.scheduleExpiry(booking, this.holdMs);
+            console.log(`📅 ${phoneNumber} is holding ${service.name} with ${resource.name} at ${this.formatSlot(slot.start)}`);
+
+            return booking;
+        });
+    }
+
+    // Confirms a hold, or asks for the deposit first when the service takes one.
+    // Confirming again returns the booking (and the deposit link while it's unpaid).
+    async confirm(bookingId, { phoneNumber = null } = {}, now = new Date()) {
+        const booking = await this.getOwnedBooking(bookingId, phoneNumber);
+
+        if (booking.status === 'confirmed' || booking.status === 'pending_payment') {
+            return booking;
+        }
+        if (booking.status !== 'held' || booking.hold_expires_at <= now) {
+            throw this.httpError(409, booking.status === 'cancelled'
+                ? 'This booking was cancelled'
+                : 'This hold has expired. Please pick a new time.');
+        }
+
+        if (booking.deposit_amount > 0) {
+            return this.requestDeposit(booking, now);
+        }
+
+        return this.finalize(booking);
+    }
+
+    // Creates the Flutterwave link for the deposit and keeps the slot for depositHoldMs
+    async requestDeposit(booking, now = new Date()) {
+        if (!this.payments || !this.payments.flutterwave) {
+            throw this.httpError(503, "Deposits can't be taken right now. Please try again later.");
+        }
+
+        const user = await this.payments.getOrCreateUserProfile(booking.phone_number);
+        const paymentLink = await this.payments.generateWhatsAppPaymentLink({
+            userId: user.id,
+            phoneNumber: booking.phone_number,
+            purpose: 'booking_deposit',
+            reference: booking.id,
+            planDetails: {
+                price: booking.deposit_amount,
+                currency: booking.currency,
+                title: 'ODIA AI Booking Deposit',
+                description: `Deposit for ${booking.service_name} with ${booking.resource_name}, ${this.formatSlot(booking.start_at)}`
+            }
+        });
+
+        const pending = await this.db.table('bookings').update(booking.id, {
+            status: 'pending_payment',
+            payment_link: paymentLink,
+            hold_expires_at: new Date(now.getTime() + this.depositHoldMs)
+        });
+
+        await this.scheduleExpiry(pending, this.depositHoldMs);
+        return pending;
+    }
+
+    // Flutterwave payment for meta.purpose 'booking_deposit'. A late payment still books the slot if it's free.
+    // Deposits that can't book the slot (short, wrong currency, slot taken, booking cancelled) are flagged for a refund.
+    async handleDepositPaid(paymentData) {
+        // charge.completed is sent for failed charges too
+        if (paymentData.status !== 'successful') {
+            console.log(`💳 Deposit ${paymentData.tx_ref} for booking ${paymentData.meta.reference} was not paid (${paymentData.status})`);
+            return;
+        }
+
+        const booking = await this.db.table('bookings').findById(paymentData.meta.reference);
+        if (!booking) {
+            console.error(`Deposit ${paymentData.tx_ref} paid for unknown booking ${paymentData.meta.reference}`);
+            return;
+        }
+        // The webhook and the verify redirect both report the same payment
+        if (booking.status === 'confirmed' || booking.payment_tx_ref === paymentData.tx_ref) return;
+
+        // Only Flutterwave's own record of the transaction is trusted for its status, amount and currency
+        const verified = await this.payments.verifyTransaction(paymentData.id);
+        if (!verified || verified.status !== 'successful' || verified.tx_ref !== paymentData.tx_ref) {
+            console.error(`⚠️ Deposit ${paymentData.tx_ref} for booking ${booking.id} could not be verified with Flutterwave, booking unchanged`);
+            return;
+        }
+
+        const amount = verified.amount;
+        const currency = verified.currency || booking.currency;
+        const payment = { paid_at: new Date(), payment_tx_ref: verified.tx_ref, amount_paid: amount };
+        if (currency !== booking.currency) {
+            await this.flagRefund(booking, payment,
+                `Deposit for booking ${booking.id} was paid in ${currency}, expected ${booking.currency}`);
+            return;
+        }
+        if (amount < booking.deposit_amount) {
+            await this.flagRefund(booking, payment,
+                `Deposit for booking ${booking.id} was ${this.formatAmount(amount, currency)}, expected ${this.formatAmount(booking.deposit_amount, booking.currency)}`);
+            return;
+        }
+
+        await this.withResourceLock(booking.resource_id, async () => {
+            const blocking = await this.getBlockingBookings(booking.resource_id);
+            const free = !blocking.some(other => other.id !== booking.id && booking.start_at < other.end_at && other.start_at < booking.end_at);
+
+            if (booking.status !== 'cancelled' && free) {
+                await this.releaseExpiredHolds(booking);
+                try {
+                    await this.finalize(booking, payment);
+                    return;
+                } catch (error) {
+                    // Another server instance booked the slot in the meantime
+                    if (error.code !== SLOT_TAKEN_CODE) throw error;
+                }
+            }
+
+            await this.flagRefund(booking, payment, booking.status === 'cancelled'
+                ? `Deposit for booking ${booking.id} arrived after it was cancelled`
+                : `Deposit for booking ${booking.id} arrived after the slot was released`);
+            await this.notifyCustomer(booking.phone_number,
+                `💳 We received your ${this.formatAmount(amount, currency)} deposit, but ${this.formatSlot(booking.start_at)} is no longer available. ` +
+                'Our team will contact you to rebook or refund it.',
+                this.getNoticeTemplate('booking_deposit_unavailable', booking)
+            );
+        });
+    }
+
+    // Records the payment with refund_status 'needed' and alerts the team, who refund it in Flutterwave
+    async flagRefund(booking, payment, reason) {
+        const flagged = await this.db.table('bookings').update(booking.id, {
+            ...payment,
+            refund_status: 'needed',
+            refund_reason: reason
+        });
+        console.error(`⚠️ ${reason}, refund needed`);
+
+        if (!this.monitoring) {
+            console.error('⚠️ Monitoring is not configured, nobody was alerted about the refund');
+            return flagged;
+        }
+
+        await this.monitoring.sendHealthAlerts([{
+            type: 'booking_refund_needed',
+            severity: 'high',
+            agent: booking.agent_id,
+            message: `${reason}. Refund ${payment.payment_tx_ref} in Flutterwave.`,
+            details: [
+                `Booking: ${booking.id}`,
+                `Customer: ${booking.phone_number}`,
+                `Service: ${booking.service_name} with ${booking.resource_name}, ${this.formatSlot(booking.start_at)}`,
+                `Payment: ${payment.payment_tx_ref}`
+            ].join('\n'),
+            timestamp: new Date()
+        }]);
+
+        return flagged;
+    }
+
+    async finalize(booking, changes = {}) {
+        const confirmed = await this.db.table('bookings').update(booking.id, {
+            ...changes,
+            status: 'confirmed',
+            confirmed_at: new Date(),
+            hold_expires_at: null
+        });
+
+        await this.scheduleReminders(confirmed);
+        await this.notifyCustomer(confirmed.phone_number, await this.buildConfirmationMessage(confirmed),
+            this.getNoticeTemplate('booking_confirmed', confirmed));
+        console.log(`✅ Booking ${confirmed.id} confirmed for ${confirmed.phone_number}`);
+
+        return confirmed;
+    }
+
+    // The customer is told either way; paid deposits are refunded by the team
+    async cancel(bookingId, { phoneNumber = null, reason = null } = {}) {
+        const booking = await this.getOwnedBooking(bookingId, phoneNumber);
+        if (!['held', 'pending_payment', 'confirmed'].includes(booking.status)) {
+            throw this.httpError(409, `This booking is already ${booking.status}`);
+        }
+
+        const cancelled = await this.db.table('bookings').update(booking.id, {
+            status: 'cancelled',
+            cancelled_at: new Date(),
+            cancel_reason: reason || (phoneNumber ? 'customer' : null),
+            ...(booking.paid_at ? { refund_status: 'needed', refund_reason: `Booking ${booking.id} was cancelled after the deposit was paid` } : {})
+        });
+
+        await this.notifyCustomer(cancelled.phone_number,
+            `❌ Cancelled: ${cancelled.service_name} with ${cancelled.resource_name}, ${this.formatSlot(cancelled.start_at)}.` +
+            (cancelled.paid_at ? ' Our team will refund your deposit.' : ''),
+            this.getNoticeTemplate('booking_cancelled', cancelled)
+        );
+        return cancelled;
+    }
+
+    async getBooking(bookingId) {
+        const booking = bookingId ? await this.db.table('bookings').findById(bookingId) : null;
+        if (!booking) {
+            throw this.httpError(404, 'Booking not found');
+        }
+
+        return booking;
+    }
+
+    // WhatsApp actions only touch the sender's own bookings
+    async getOwnedBooking(bookingId, phoneNumber) {
+        const booking = await this.getBooking(bookingId);
+        if (phoneNumber && booking.phone_number !== phoneNumber) {
+            throw this.httpError(404, 'Booking not found');
+        }
+
+        return booking;
+    }
+
+    // Confirmed and pending bookings that haven't started, soonest first
+    async listUpcoming(phoneNumber, agentId = null, now = new Date()) {
+        const bookings = [];
+        for (const status of ['pending_payment', 'confirmed']) {
+            bookings.push(...await this.db.table('bookings').find({ phone_number: phoneNumber, status: status }));
+        }
+
+        return bookings
+            .filter(booking => booking.start_at > now && (!agentId || booking.agent_id === agentId))
+            .sort((a, b) => a.start_at - b.start_at);
+    }
+
+    // ===========================================
+    // JOBS
+    // ===========================================
+
+    async scheduleExpiry(booking, delayMs) {
+        await this.jobQueue.enqueue('booking.expire', { bookingId: booking.id }, {
+            dedupeKey: `booking.expire:${booking.id}:${booking.status}`,
+            delayMs: delayMs
+        });
+    }
+
+    async handleExpiryJob({ bookingId }, now = new Date()) {
+        const booking = await this.db.table('bookings').findById(bookingId);
+        if (!booking || !['held', 'pending_payment'].includes(booking.status) || booking.hold_expires_at > now) return;
+
+        await this.db.table('bookings').update(booking.id, { status: 'expired' });
+        await this.notifyCustomer(booking.phone_number, booking.status === 'pending_payment'
+            ? `⌛ We couldn't keep ${this.formatSlot(booking.start_at)} for you because the deposit wasn't paid in time. Ask me for another time.`
+            : `⌛ Your hold on ${this.formatSlot(booking.start_at)} has expired. Ask me for another time when you're ready.`,
+            this.getNoticeTemplate('booking_expired', booking)
+        );
+    }
+
+    async scheduleReminders(booking, now = new Date()) {
+        for (const reminder of REMINDERS) {
+            const delayMs = booking.start_at.getTime() - reminder.beforeMs - now.getTime();
+            if (delayMs <= 0) continue;
+
+            await this.jobQueue.enqueue('booking.reminder', { bookingId: booking.id, reminder: reminder.id }, {
+                dedupeKey: `booking.reminder:${booking.id}:${reminder.id}`,
+                delayMs: delayMs
+            });
+        }
+    }
+
+    // Reminders usually fall outside the 24-hour window, so they fall back to the booking_reminder template
+    async handleReminderJob({ bookingId, reminder }, now = new Date()) {
+        const booking = await this.db.table('bookings').findById(bookingId);
+        if (!booking || booking.status !== 'confirmed' || booking.start_at <= now) return;
+        if ((booking.reminders_sent || []).includes(reminder)) return;
+
+        const when = reminder === '1h' ? `in an hour, at ${this.formatTime(booking.start_at)}` : `tomorrow, ${this.formatSlot(booking.start_at)}`;
+        const resource = await this.db.table('booking_resources').findById(booking.resource_id);
+
+        await this.whatsappClient.sendMessage(booking.phone_number,
+            `⏰ Reminder: your ${booking.service_name} with ${booking.resource_name} is ${when} (Lagos time).` +
+            (resource && resource.address ? `\n📍 ${resource.address}` : '') +
+            '\n\nReply here if you need to cancel.',
+            {
+                source: 'booking_reminder',
+                agentId: booking.agent_id,
+                fallbackTemplate: this.getNoticeTemplate('booking_reminder', booking)
+            }
+        );
+        await this.db.table('bookings').update(booking.id, { reminders_sent: [...(booking.reminders_sent || []), reminder] });
+    }
+
+    // ===========================================
+    // AGENT TOOLS
+    // ===========================================
+
+    // Prompt context for MedAssist and LuxuryService: { instructions, upcoming } or null when the agent has nothing
+    // to book
+    async getAgentContext(agentId, phoneNumber = null, now = new Date()) {
+        if (!BOOKING_AGENTS.includes(agentId)) return null;
+
+        const resources = await this.getResources(agentId);
+        if (resources.length === 0) return null;
+
+        const services = new Map();
+        for (const resource of resources) {
+            for (const service of resource.services) {
+                const entry = services.get(service.id) || { service: service, resources: [] };
+                entry.resources.push(resource.name);
+                services.set(service.id, entry);
+            }
+        }
+        const catalogue = [...services.entries()].map(([id, { service, resources: names }]) =>
+            `${id} (${service.name}, ${service.duration_minutes} min` +
+            (service.price > 0 ? `, ${this.formatAmount(service.price)}` : '') +
+            (service.deposit > 0 ? `, ${this.formatAmount(service.deposit)} deposit` : '') +
+            `; ${names.join(', ')})`
+        ).join('; ');
+
+        const upcoming = phoneNumber ? await this.listUpcoming(phoneNumber, agentId, now) : [];
+
+        return {
+            instructions: `Today is ${this.formatDate(now)} in Lagos. To offer booking times, end your reply with ` +
+                '[[booking:slots:SERVICE]], or [[booking:slots:SERVICE:YYYY-MM-DD]] for one day; the customer picks from real ' +
+                'free times and confirms by tapping, so never invent times or say a booking is made. To let the customer ' +
+                `see or cancel their bookings, end your reply with [[booking:mine]]. Services: ${catalogue}.`,
+            upcoming: upcoming.length > 0
+                ? upcoming.map(booking => `- ${booking.service_name} with ${booking.resource_name}, ${this.formatSlot(booking.start_at)} (${booking.status})`).join('\n')
+                : null
+        };
+    }
+
+    // Strips a booking marker from an agent reply: { text, action: { type: 'slots' | 'mine', serviceId, date } }
+    extractMarker(responseText) {
+        const match = BOOKING_MARKER_PATTERN.exec(responseText);
+        if (!match) {
+            return { text: responseText, action: null };
+        }
+
+        return {
+            text: responseText.replace(BOOKING_MARKER_PATTERN, '').trim(),
+            action: { type: match[1].toLowerCase(), serviceId: match[2] ? match[2].toLowerCase() : null, date: match[3] || null }
+        };
+    }
+
+    // The WhatsApp reply for a marker, with the agent's text as the body
+    async buildMarkerReply(phoneNumber, agentId, action, body, now = new Date()) {
+        if (!BOOKING_AGENTS.includes(agentId)) return body;
+
+        if (action.type === 'mine') {
+            return this.buildBookingsList(await this.listUpcoming(phoneNumber, null, now), body);
+        }
+
+        const slots = await this.findSlots(agentId, action.serviceId, { date: action.date, now });
+        if (slots.length === 0) {
+            const period = action.date ? `on ${this.formatDay(this.atLagosTime(action.date, '12:00'))}` : `in the next ${SEARCH_DAYS} days`;
+            return `${body ? `${body}\n\n` : ''}😕 There are no free times ${period}. Try another day.`;
+        }
+
+        return this.buildSlotPicker(slots, body);
+    }
+
+    // ===========================================
+    // WHATSAPP
+    // ===========================================
+
+    // Interactive reply IDs: booking:hold:<resourceId>:<serviceId>:<startMs>, booking:confirm|cancel|view:<bookingId>
+    async handleAction(phoneNumber, value) {
+        const [action, ...args] = value.split(':');
+
+        try {
+            if (action === 'hold') {
+                const [resourceId, serviceId, startMs] = args;
+                const booking = await this.hold(phoneNumber, { resourceId, serviceId, start: new Date(Number(startMs)) });
+                await this.notifyCustomer(phoneNumber, this.buildHoldMessage(booking));
+            } else if (action === 'confirm') {
+                const booking = await this.confirm(args[0], { phoneNumber });
+                if (booking.status === 'pending_payment') {
+                    await this.notifyCustomer(phoneNumber, this.buildDepositMessage(booking));
+                }
+            } else if (action === 'cancel') {
+                await this.cancel(args[0], { phoneNumber });
+            } else if (action === 'view') {
+                await this.notifyCustomer(phoneNumber, this.buildBookingDetails(await this.getOwnedBooking(args[0], phoneNumber)));
+            } else {
+                console.log(`⚠️ Unknown booking action "${action}" from ${phoneNumber}`);
+            }
+
+        } catch (error) {
+            if (!error.status) throw error;
+
+            // A slot taken since the list was sent: offer the next free times instead
+            if (action === 'hold' && error.status === 409) {
+                const resource = await this.db.table('booking_resources').findById(args[0]);
+                const slots = resource ? await this.findSlots(resource.agent_id, args[1]) : [];
+                if (slots.length > 0) {
+                    await this.notifyCustomer(phoneNumber, this.buildSlotPicker(slots, '😕 That time was just taken. Here are the next free times:'));
+                    return;
+                }
+            }
+            await this.notifyCustomer(phoneNumber, `⚠️ ${error.message}`);
+        }
+    }
+
+    // Rows are grouped by day; row IDs hold the slot when tapped
+    buildSlotPicker(slots, body) {
+        const days = new Map();
+        for (const slot of slots) {
+            const day = this.formatDay(slot.start);
+            if (!days.has(day)) days.set(day, []);
+            days.get(day).push({
+                id: `booking:hold:${slot.resource_id}:${slot.service_id}:${slot.start.getTime()}`,
+                title: `${this.formatTime(slot.start)}–${this.formatTime(slot.end)}`,
+                description: `${slot.service_name} · ${slot.resource_name}`
+            });
+        }
+
+        return {
+            type: 'list',
+            body: body || '📅 Pick a time (Lagos time):',
+            buttonText: 'See free times',
+            sections: [...days.entries()].map(([day, rows]) => ({ title: day, rows: rows }))
+        };
+    }
+
+    buildHoldMessage(booking) {
+        const minutes = Math.round(this.holdMs / 60000);
+        const price = booking.price > 0 ? `\n💰 ${this.formatAmount(booking.price)}` : '';
+        const deposit = booking.deposit_amount > 0 ? ` (${this.formatAmount(booking.deposit_amount)} deposit to confirm)` : '';
+
+        return {
+            type: 'buttons',
+            header: '📅 Your booking',
+            body: `${booking.service_name} with ${booking.resource_name}\n🕐 ${this.formatSlot(booking.start_at)}–${this.formatTime(booking.end_at)} (Lagos time)` +
+                `${price}${deposit}\n\nI'm holding this time for ${minutes} minutes.`,
+            buttons: [
+                { id: `booking:confirm:${booking.id}`, title: booking.deposit_amount > 0 ? 'Pay deposit' : 'Confirm' },
+                { id: `booking:cancel:${booking.id}`, title: 'Cancel' }
+            ]
+        };
+    }
+
+    buildDepositMessage(booking) {
+        return {
+            type: 'cta_url',
+            header: '💳 Booking deposit',
+            body: `Pay the ${this.formatAmount(booking.deposit_amount)} deposit to confirm ${booking.service_name} with ${booking.resource_name}, ` +
+                `${this.formatSlot(booking.start_at)}. I'll keep the time for ${Math.round(this.depositHoldMs / 60000)} minutes.`,
+            displayText: `Pay ${this.formatAmount(booking.deposit_amount)}`,
+            url: booking.payment_link
+        };
+    }
+
+    async buildConfirmationMessage(booking) {
+        const resource = await this.db.table('booking_resources').findById(booking.resource_id);
+
+        return `✅ Booked: ${booking.service_name} with ${booking.resource_name}\n` +
+            `🕐 ${this.formatSlot(booking.start_at)}–${this.formatTime(booking.end_at)} (Lagos time)` +
+            (resource && resource.address ? `\n📍 ${resource.address}` : '') +
+            `\n\n📆 Add to your calendar: ${this.baseUrl}/api/bookings/${booking.id}/calendar.ics` +
+            "\nI'll remind you a day before and an hour before.";
+    }
+
+    // The customer's upcoming bookings; tapping one shows it with a cancel button
+    buildBookingsList(bookings, body) {
+        if (bookings.length === 0) {
+            return `${body ? `${body}\n\n` : ''}📅 You have no upcoming bookings.`;
+        }
+
+        return {
+            type: 'list',
+            body: body || '📅 Your upcoming bookings:',
+            buttonText: 'My bookings',
+            sections: [{
+                title: 'Upcoming',
+                rows: bookings.slice(0, MAX_SLOTS).map(booking => ({
+                    id: `booking:view:${booking.id}`,
+                    title: this.formatSlot(booking.start_at),
+                    description: `${booking.service_name} · ${booking.resource_name}${booking.status === 'pending_payment' ? ' · deposit due' : ''}`
+                }))
+            }]
+        };
+    }
+
+    buildBookingDetails(booking) {
+        const body = `${booking.service_name} with ${booking.resource_name}\n🕐 ${this.formatSlot(booking.start_at)}–${this.formatTime(booking.end_at)} (Lagos time)\n` +
+            `Status: ${booking.status.replace('_', ' ')}`;
+
+        if (!['held', 'pending_payment', 'confirmed'].includes(booking.status)) return body;
+
+        return {
+            type: 'buttons',
+            header: '📅 Your booking',
+            body: body,
+            buttons: [{ id: `booking:cancel:${booking.id}`, title: 'Cancel booking' }]
+        };
+    }
+
+    // A failed WhatsApp send mustn't undo a booking change. Replies to the customer's own taps need no
+    // fallbackTemplate: the service window is open while they are chatting.
+    async notifyCustomer(phoneNumber, reply, fallbackTemplate) {
+        try {
+            await this.whatsappClient.sendMessage(phoneNumber, reply, { source: 'booking', fallbackTemplate });
+        } catch (error) {
+            console.error(`Booking message to ${phoneNumber} failed:`, error.message);
+        }
+    }
+
+    // Approved booking templates all take the service, provider and Lagos time
+    getNoticeTemplate(name, booking) {
+        return {
+            name: name,
+            variables: { service: booking.service_name, provider: booking.resource_name, time: this.formatSlot(booking.start_at) }
+        };
+    }
+
+    // ===========================================
+    // ICALENDAR
+    // ===========================================
+
+    // RFC 5545 calendar with one event per booking; times are UTC so no VTIMEZONE is needed
+    buildCalendar(bookings, resourcesById, calendarName) {
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//ODIA AI//Bookings//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeCalendarText(calendarName)}`
+        ];
+
+        for (const booking of bookings) {
+            const resource = resourcesById.get(booking.resource_id);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${booking.id}@odia.dev`,
+                `DTSTAMP:${this.formatCalendarTime(booking.updated_at || new Date())}`,
+                `DTSTART:${this.formatCalendarTime(booking.start_at)}`,
+                `DTEND:${this.formatCalendarTime(booking.end_at)}`,
+                `SUMMARY:${this.escapeCalendarText(`${booking.service_name} with ${booking.resource_name}`)}`,
+                `DESCRIPTION:${this.escapeCalendarText(`Booked through ODIA AI (${this.agentRegistry.getName(booking.agent_id)}). Ref: ${booking.id}`)}`,
+                ...(resource && resource.address ? [`LOCATION:${this.escapeCalendarText(resource.address)}`] : []),
+                `STATUS:${booking.status === 'confirmed' ? 'CONFIRMED' : booking.status === 'cancelled' ? 'CANCELLED' : 'TENTATIVE'}`,
+                'END:VEVENT'
+            );
+        }
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldCalendarLine(line)).join('\r\n') + '\r\n';
+    }
+
+    formatCalendarTime(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    escapeCalendarText(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+
+    // Lines longer than 75 octets continue on the next line after a space, without splitting a character
+    foldCalendarLine(line) {
+        const parts = [];
+        let current = '';
+
+        for (const character of line) {
+            const limit = parts.length === 0 ? 75 : 74;
+            if (Buffer.byteLength(current + character) > limit) {
+                parts.push(current);
+                current = '';
+            }
+            current += character;
+        }
+        parts.push(current);
+
+        return parts.join('\r\n ');
+    }
+
+    sendCalendar(res, filename, calendar) {
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.send(calendar);
+    }
+
+    // ===========================================
+    // LAGOS TIME
+    // ===========================================
+
+    toLagosDate(date) {
+        return date.toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+    }
+
+    atLagosTime(date, time) {
+        return new Date(`${date}T${time}:00${UTC_OFFSET}`);
+    }
+
+    addDays(date, days) {
+        const result = new Date(`${date}T00:00:00Z`);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().slice(0, 10);
+    }
+
+    getWeekday(date) {
+        return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    }
+
+    // "Wed 21 Oct"
+    formatDay(date) {
+        return date.toLocaleDateString('en-GB', { timeZone: TIME_ZONE, weekday: 'short', day: 'numeric', month: 'short' });
+    }
+
+    // "10:00"
+    formatTime(date) {
+        return date.toLocaleTimeString('en-GB', { timeZone: TIME_ZONE, hour: '2-digit', minute: '2-digit', hour12: false });
+    }
+
+    // "Wed 21 Oct, 10:00"
+    formatSlot(date) {
+        return `${this.formatDay(date)}, ${this.formatTime(date)}`;
+    }
+
+    // "Monday, 19 October 2026"
+    formatDate(date) {
+        return date.toLocaleDateString('en-GB', { timeZone: TIME_ZONE, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    formatAmount(amount, currency = 'NGN') {
+        return currency === 'NGN' ? `₦${amount.toLocaleString()}` : `${currency} ${amount.toLocaleString()}`;
+    }
+
+    httpError(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    // ===========================================
+    // API ENDPOINTS
+    // ===========================================
+
+    respondWithError(res, error, label) {
+        if (!error.status) console.error(`${label} error:`, error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+
+    // ?agentId=med-assist; includes inactive resources
+    async listResources(req, res) {
+        try {
+            const filter = req.query.agentId ? { agent_id: req.query.agentId } : {};
+            const resources = await this.db.table('booking_resources').find(filter, { orderBy: 'name' });
+
+            res.json({ count: resources.length, resources: resources });
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Resource list');
+        }
+    }
+
+    async createResource(req, res) {
+        try {
+            const resource = this.normalizeResource(req.body);
+            const errors = this.validateResource(resource);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid resource', details: errors });
+            }
+
+            res.status(201).json(await this.db.table('booking_resources').insert(resource));
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Resource creation');
+        }
+    }
+
+    async updateResource(req, res) {
+        try {
+            const existing = await this.getResource(req.params.resourceId);
+            const changes = this.normalizeResource(req.body, { partial: true });
+            const errors = this.validateResource({ ...existing, ...changes });
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid resource', details: errors });
+            }
+
+            res.json(await this.db.table('booking_resources').update(existing.id, changes));
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Resource update');
+        }
+    }
+
+    // ?serviceId=consultation&date=2026-10-21 (default: the next free slots)
+    async getResourceSlots(req, res) {
+        try {
+            const { serviceId, date } = req.query;
+            const resource = await this.getResource(req.params.resourceId);
+            if (date && !DATE_PATTERN.test(date)) {
+                return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+            }
+
+            const slots = await this.getAvailableSlots(resource, this.getService(resource, serviceId), { date: date || null });
+            res.json({ time_zone: TIME_ZONE, count: slots.length, slots: slots });
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Slot search');
+        }
+    }
+
+    // ?phoneNumber=&resourceId=&status=
+    async listBookings(req, res) {
+        try {
+            const { phoneNumber, resourceId, status, refundStatus } = req.query;
+            const filter = {};
+            if (phoneNumber) filter.phone_number = phoneNumber;
+            if (resourceId) filter.resource_id = resourceId;
+            if (status) filter.status = status;
+            if (refundStatus) filter.refund_status = refundStatus;
+
+            const bookings = await this.db.table('bookings').find(filter, { orderBy: 'start_at', limit: 500 });
+            res.json({ count: bookings.length, bookings: bookings });
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Booking list');
+        }
+    }
+
+    // Holds a slot: { resourceId, serviceId, start, phoneNumber, customerName }
+    async createBooking(req, res) {
+        try {
+            const { resourceId, serviceId, start, phoneNumber, customerName } = req.body;
+            res.status(201).json(await this.hold(phoneNumber, { resourceId, serviceId, start, customerName }));
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Booking hold');
+        }
+    }
+
+    async getBookingDetails(req, res) {
+        try {
+            res.json(await this.getBooking(req.params.bookingId));
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Booking lookup');
+        }
+    }
+
+    // Returns the booking; pending_payment means the customer must pay payment_link first
+    async confirmBooking(req, res) {
+        try {
+            res.json(await this.confirm(req.params.bookingId));
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Booking confirmation');
+        }
+    }
+
+    async cancelBooking(req, res) {
+        try {
+            res.json(await this.cancel(req.params.bookingId, { reason: req.body.reason }));
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Booking cancellation');
+        }
+    }
+
+    async exportBookingCalendar(req, res) {
+        try {
+            const booking = await this.getBooking(req.params.bookingId);
+            const resource = await this.db.table('booking_resources').findById(booking.resource_id);
+
+            this.sendCalendar(res, 'booking.ics', this.buildCalendar([booking], new Map([[booking.resource_id, resource]]), booking.service_name));
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Calendar export');
+        }
+    }
+
+    // The resource's confirmed bookings from the last 30 days on, for subscribing in a calendar app
+    async exportResourceCalendar(req, res) {
+        try {
+            const resource = await this.getResource(req.params.resourceId);
+            const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+            const bookings = (await this.db.table('bookings').find({ resource_id: resource.id, status: 'confirmed' }, { orderBy: 'start_at' }))
+                .filter(booking => booking.end_at >= since);
+
+            this.sendCalendar(res, `${resource.id}.ics`, this.buildCalendar(bookings, new Map([[resource.id, resource]]), resource.name));
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Calendar export');
+        }
+    }
+}
+
+module.exports = BookingEngine;
+
+// Usage Examples:
+/*
+1. Add a doctor for Agent MedAssist:
+   POST /api/bookings/resources
+   {
+     "agent_id": "med-assist",
+     "name": "Dr Adaeze Okafor",
+     "type": "doctor",
+     "address": "Reddington Clinic, 12 Idowu Martins St, Victoria Island",
+     "services": [{ "id": "consultation", "name": "General consultation", "duration_minutes": 30, "price": 15000, "deposit": 5000 }],
+     "working_hours": { "mon": [["09:00", "13:00"], ["14:00", "17:00"]], "sat": [["10:00", "14:00"]] },
+     "closed_dates": ["2026-12-25"]
+   }
+
+2. Over WhatsApp, MedAssist ends a reply with [[booking:slots:consultation]]: the customer taps a time,
+   confirms, pays the deposit link and gets the confirmation with an .ics link and reminders
+
+3. Free slots and a provider's calendar feed:
+   GET /api/bookings/resources/resource_abc123/slots?serviceId=consultation&date=2026-10-21
+   GET /api/bookings/resources/resource_abc123/calendar.ics
+
+4. Deposits the team has to refund (they also get an email alert for each):
+   GET /api/bookings?refundStatus=needed
+*/
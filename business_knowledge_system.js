@@ -2,53 +2,61 @@
 // Comprehensive Nigerian and international business data for all 11 agents
 
 const { OpenAI } = require('openai');
-const fetch = require('node-fetch');
 const express = require('express');
 const cron = require('node-cron');
 
 class BusinessKnowledgeSystem {
-    constructor() {
-        this.openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-        this.claudeApiKey = process.env.CLAUDE_API_KEY;
+    constructor(options = {}) {
+        this.agentRegistry = options.agentRegistry;
+        this.db = options.database;
+        this.llm = options.llm;
+        this.openai = process.env.OPENAI_API_KEY
+            ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
+            : null;
         
         this.knowledgeCategories = new Map();
         this.dataSourceAPIs = new Map();
         this.embeddingCache = new Map();
+        this.scheduledJobs = [];
         
         this.initializeKnowledgeCategories();
         this.setupDataSources();
-        this.setupRoutes();
+    }
+
+    // ===========================================
+    // LIFECYCLE
+    // ===========================================
+
+    async start() {
         this.startDataUpdateScheduler();
     }
 
+    async stop() {
+        this.scheduledJobs.forEach(job => job.stop());
+        this.scheduledJobs = [];
+        console.log('📚 Knowledge update scheduler stopped');
+    }
+
     setupRoutes() {
-        const app = express();
-        app.use(express.json());
+        const router = express.Router();
 
         // Knowledge query endpoints
-        app.post('/api/knowledge/query', this.queryKnowledge.bind(this));
-        app.post('/api/knowledge/search', this.searchKnowledge.bind(this));
-        app.post('/api/knowledge/add', this.addKnowledgeEntry.bind(this));
-
-        // Agent-specific knowledge endpoints
-        app.get('/api/knowledge/agent/:agentId', this.getAgentKnowledge.bind(this));
-        app.post('/api/knowledge/agent/:agentId/train', this.trainAgentKnowledge.bind(this));
+        router.post('/api/knowledge/query', this.queryKnowledge.bind(this));
+        router.post('/api/knowledge/search', this.searchKnowledge.bind(this));
+        router.post('/api/knowledge/add', this.addKnowledgeEntry.bind(this));
 
         // Market intelligence endpoints
-        app.get('/api/intelligence/nigerian-market', this.getNigerianMarketIntel.bind(this));
-        app.get('/api/intelligence/international-market', this.getInternationalMarketIntel.bind(this));
-        app.get('/api/intelligence/industry/:industry', this.getIndustryIntelligence.bind(this));
+        router.get('/api/intelligence/nigerian-market', this.getNigerianMarketIntel.bind(this));
+        router.get('/api/intelligence/international-market', this.getInternationalMarketIntel.bind(this));
 
         // Business analysis endpoints
-        app.post('/api/analysis/market-entry', this.analyzeMarketEntry.bind(this));
-        app.post('/api/analysis/competitive', this.performCompetitiveAnalysis.bind(this));
-        app.post('/api/analysis/regulatory', this.analyzeRegulatoryEnvironment.bind(this));
+        router.post('/api/analysis/market-entry', this.analyzeMarketEntry.bind(this));
+        router.post('/api/analysis/competitive', this.performCompetitiveAnalysis.bind(this));
 
         // Data management endpoints
-        app.post('/api/knowledge/update-sources', this.updateKnowledgeSources.bind(this));
-        app.get('/api/knowledge/health', this.getKnowledgeSystemHealth.bind(this));
+        router.get('/api/knowledge/health', this.getKnowledgeSystemHealth.bind(this));
 
-        return app;
+        return router;
     }
 
     // ===========================================
@@ -535,8 +543,7 @@ class BusinessKnowledgeSystem {
             const topics = await this.extractTopics(content);
 
             // Create knowledge entry
-            const knowledgeEntry = {
-                id: `kb_${Date.now()}`,
+            const entry = {
                 category: category,
                 subcategory: subcategory,
                 title: title,
@@ -555,8 +562,8 @@ class BusinessKnowledgeSystem {
                 view_count: 0
             };
 
-            // Store in knowledge base
-            await this.storeKnowledgeEntry(knowledgeEntry);
+            // Store in knowledge base; the repository assigns its ID
+            const knowledgeEntry = await this.storeKnowledgeEntry(entry);
 
             // Update search index
             await this.updateSearchIndex(knowledgeEntry);
@@ -578,50 +585,60 @@ class BusinessKnowledgeSystem {
         }
     }
 
+    async getKnowledgeSystemHealth(req, res) {
+        res.json({
+            status: 'healthy',
+            categories: this.knowledgeCategories.size,
+            data_sources: this.dataSourceAPIs.size,
+            embeddings_enabled: Boolean(this.openai),
+            scheduler_running: this.scheduledJobs.length > 0
+        });
+    }
+
     // ===========================================
     // DATA UPDATE SCHEDULER
     // ===========================================
 
     startDataUpdateScheduler() {
         // Update financial data every hour
-        cron.schedule('0 * * * *', async () => {
+        this.scheduledJobs.push(cron.schedule('0 * * * *', async () => {
             console.log('📈 Updating financial market data...');
             try {
                 await this.updateFinancialData();
             } catch (error) {
                 console.error('Financial data update error:', error);
             }
-        });
+        }));
 
         // Update news and market intelligence every 6 hours
-        cron.schedule('0 */6 * * *', async () => {
+        this.scheduledJobs.push(cron.schedule('0 */6 * * *', async () => {
             console.log('📰 Updating news and market intelligence...');
             try {
                 await this.updateNewsAndIntelligence();
             } catch (error) {
                 console.error('News update error:', error);
             }
-        });
+        }));
 
         // Update regulatory and legal data daily
-        cron.schedule('0 2 * * *', async () => {
+        this.scheduledJobs.push(cron.schedule('0 2 * * *', async () => {
             console.log('⚖️ Updating regulatory and legal data...');
             try {
                 await this.updateRegulatoryData();
             } catch (error) {
                 console.error('Regulatory data update error:', error);
             }
-        });
+        }));
 
         // Generate weekly business intelligence reports
-        cron.schedule('0 9 * * 1', async () => {
+        this.scheduledJobs.push(cron.schedule('0 9 * * 1', async () => {
             console.log('📊 Generating weekly business intelligence reports...');
             try {
                 await this.generateWeeklyIntelligenceReports();
             } catch (error) {
                 console.error('Weekly report generation error:', error);
             }
-        });
+        }));
     }
 
     async updateFinancialData() {
@@ -746,6 +763,8 @@ Generate comprehensive market entry report:`;
     // ===========================================
 
     async generateEmbedding(text) {
+        if (!this.openai) return null;
+
         try {
             const response = await this.openai.embeddings.create({
                 model: 'text-embedding-ada-002',
@@ -762,26 +781,9 @@ Generate comprehensive market entry report:`;
 
     async getAIResponse(prompt, agentId) {
         try {
-            // Use Claude API for agent responses
-            const response = await fetch('https://api.anthropic.com/v1/messages', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.claudeApiKey}`,
-                    'Content-Type': 'application/json',
-                    'anthropic-version': '2023-06-01'
-                },
-                body: JSON.stringify({
-                    model: 'claude-3-sonnet-20240229',
-                    max_tokens: 2000,
-                    messages: [{
-                        role: 'user',
-                        content: prompt
-                    }]
-                })
-            });
-
-            const result = await response.json();
-            return result.content[0].text;
+            // Analyses run longer than conversational replies
+            const result = await this.llm.complete({ agentId: agentId, prompt: prompt, maxTokens: 2000 });
+            return result.text;
 
         } catch (error) {
             console.error('AI response error:', error);
@@ -790,21 +792,7 @@ Generate comprehensive market entry report:`;
     }
 
     getAgentName(agentId) {
-        const agentNames = {
-            'lexi-pro': 'Agent Lexi Pro',
-            'atlas-corporate': 'Agent Atlas Corporate',
-            'miss-legal': 'Agent Miss Legal',
-            'paymaster': 'Agent PayMaster',
-            'crossai-emergency': 'Agent CrossAI Emergency',
-            'miss-academic': 'Agent MISS Academic',
-            'tech-support': 'Agent TechSupport',
-            'luxury-service': 'Agent LuxuryService',
-            'med-assist': 'Agent MedAssist',
-            'edu-kids': 'Agent EduKids',
-            'gov-connect': 'Agent GovConnect'
-        };
-        
-        return agentNames[agentId] || 'ODIA AI Assistant';
+        return this.agentRegistry.getName(agentId);
     }
 
     calculateConfidenceScore(results) {
@@ -836,7 +824,65 @@ Generate comprehensive market entry report:`;
             'Reuters',
             'Bloomberg'
         ];
-        return highQualitySources.some(hqs => source.includes(hqs));
+        return Boolean(source) && highQualitySources.some(hqs => source.includes(hqs));
+    }
+
+    async extractEntities(content) {
+        // Capitalised phrases (e.g. "Central Bank of Nigeria", "Lagos") as a lightweight entity pass
+        const matches = content.match(/\b[A-Z][a-zA-Z]+(?:\s+(?:of\s+)?[A-Z][a-zA-Z]+)*/g) || [];
+        return [...new Set(matches)].slice(0, 20);
+    }
+
+    async extractTopics(content) {
+        const text = content.toLowerCase();
+        return Array.from(this.knowledgeCategories.entries())
+            .filter(([, category]) => (category.subcategories || []).some(sub => text.includes(sub.replace(/_/g, ' '))))
+            .map(([categoryId]) => categoryId);
+    }
+
+    calculateContentConfidence(content, source) {
+        let confidence = 0.5;
+        if (this.isHighQualitySource(source)) confidence += 0.3;
+        if (content.length > 500) confidence += 0.1;
+        return Math.min(1.0, confidence);
+    }
+
+    async enhanceResultsForAgent(results, agentId, contextType) {
+        return results.map(result => ({
+            ...result,
+            agent_relevant: !result.agent_relevance || result.agent_relevance.length === 0 ||
+                result.agent_relevance.includes(agentId),
+            context_type: contextType
+        }));
+    }
+
+    async performFullTextSearch({ term = '', filters = {}, limit = 20 }) {
+        return this.searchKnowledgeDatabase({
+            query: term,
+            categories: filters.categories || [],
+            market: filters.market,
+            limit: limit
+        });
+    }
+
+    async rankSearchResults(results, searchTerm) {
+        const term = (searchTerm || '').toLowerCase();
+
+        // Exact title matches first, then verified entries, then by score
+        return [...results].sort((a, b) =>
+            (b.title.toLowerCase().includes(term) - a.title.toLowerCase().includes(term)) ||
+            (b.is_verified - a.is_verified) ||
+            (b.confidence - a.confidence)
+        );
+    }
+
+    getActiveSourceCount() {
+        return this.dataSourceAPIs.size;
+    }
+
+    async getLastIndexUpdate() {
+        const latest = await this.db.table('knowledge_entries').findOne({}, { orderBy: 'updated_at', descending: true });
+        return latest ? latest.updated_at : null;
     }
 
     // Mock data methods (implement with real APIs)
@@ -878,28 +924,63 @@ Generate comprehensive market entry report:`;
         };
     }
 
-    // Database operations (implement with Supabase)
+    // Database operations
     async storeKnowledgeEntry(entry) {
-        console.log('Storing knowledge entry:', entry.id);
-        // Implementation would insert into business_intelligence table
+        const stored = await this.db.table('knowledge_entries').insert(entry);
+        console.log('Stored knowledge entry:', stored.id);
+        return stored;
     }
 
     async searchKnowledgeDatabase(searchParams) {
-        // Mock search results
-        return [
-            {
-                id: 'kb_1',
-                title: 'Nigerian Banking Sector Analysis 2024',
-                content: 'The Nigerian banking sector shows strong resilience...',
-                category: 'nigerian_business',
-                source: 'Central Bank of Nigeria',
-                confidence: 0.95,
-                updated_at: new Date()
-            }
-        ];
+        const { query = '', embedding, categories = [], market, limit = 10 } = searchParams;
+        const queryTerms = query.toLowerCase().split(/\W+/).filter(term => term.length > 2);
+
+        // Entries without a market apply to every market
+        const filter = {};
+        if (categories.length > 0) filter.category = { in: categories };
+        if (market) filter.market = { in: [market, null] };
+
+        const entries = await this.db.table('knowledge_entries').find(filter);
+
+        // Semantic similarity when both sides have embeddings, keyword overlap otherwise
+        const scored = entries.map(entry => {
+            const score = embedding && entry.embedding
+                ? this.cosineSimilarity(embedding, entry.embedding)
+                : this.keywordScore(queryTerms, entry);
+
+            const { embedding: ignoredEmbedding, ...result } = entry;
+            return { ...result, confidence: score };
+        });
+
+        return scored
+            .filter(result => result.confidence > 0)
+            .sort((a, b) => b.confidence - a.confidence)
+            .slice(0, limit);
+    }
+
+    cosineSimilarity(a, b) {
+        if (a.length !== b.length) return 0;
+
+        let dot = 0, normA = 0, normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+
+        return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+    }
+
+    keywordScore(queryTerms, entry) {
+        if (queryTerms.length === 0) return 0;
+
+        const text = `${entry.title} ${entry.content} ${(entry.tags || []).join(' ')}`.toLowerCase();
+        const matches = queryTerms.filter(term => text.includes(term)).length;
+        return matches / queryTerms.length;
     }
 
     async updateSearchIndex(entry) {
+        // Search runs directly against knowledge_entries, so there is no separate index to refresh
         console.log('Updating search index for:', entry.id);
     }
 
@@ -912,9 +993,8 @@ Generate comprehensive market entry report:`;
     }
 }
 
-// Initialize and export
-const businessKnowledge = new BusinessKnowledgeSystem();
-module.exports = businessKnowledge;
+// Export the class; src/server.js constructs and starts it
+module.exports = BusinessKnowledgeSystem;
 
 // Usage Examples:
 /*
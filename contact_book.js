@@ -0,0 +1,507 @@
+// Contact Book for ODIA 11-Agent System
+// Each WhatsApp user's own contacts (name, aliases, email, phone, company), so they can email or bill people by
+// name. Contacts come from the API, vCard/CSV imports and contact cards shared in WhatsApp.
+
+const express = require('express');
+
+const EMAIL_PATTERN = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+
+// Normalized CSV header -> contact field; covers Google and Outlook exports
+const CSV_COLUMNS = {
+    name: ['name', 'fullname', 'displayname'],
+    first_name: ['firstname', 'givenname'],
+    last_name: ['lastname', 'familyname', 'surname'],
+    email: ['email', 'emailaddress', 'email1value'],
+    phone: ['phone', 'phonenumber', 'mobile', 'mobilephone', 'phone1value', 'tel'],
+    company: ['company', 'organization', 'organisation', 'organization1name', 'org'],
+    aliases: ['aliases', 'alias', 'nickname', 'nicknames']
+};
+
+const VCARD_TYPES = ['text/vcard', 'text/x-vcard', 'text/directory'];
+
+class ContactBook {
+    constructor(options = {}) {
+        this.db = options.database;
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+        const importBody = express.text({ type: [...VCARD_TYPES, 'text/csv', 'text/plain'], limit: '2mb' });
+
+        router.get('/api/contacts/:ownerPhone', this.listContacts.bind(this));
+        router.post('/api/contacts/:ownerPhone', this.createContact.bind(this));
+        router.post('/api/contacts/:ownerPhone/import', importBody, this.importContactsFile.bind(this));
+        router.get('/api/contacts/:ownerPhone/:contactId', this.getContact.bind(this));
+        router.put('/api/contacts/:ownerPhone/:contactId', this.updateContact.bind(this));
+        router.delete('/api/contacts/:ownerPhone/:contactId', this.deleteContact.bind(this));
+
+        return router;
+    }
+
+    // ===========================================
+    // CONTACTS
+    // ===========================================
+
+    // Adds a contact, or fills in the gaps of one that has the same email, phone or name: { contact, created }
+    async addContact(ownerPhone, fields, { source = 'manual' } = {}) {
+        const owner = this.normalizePhone(ownerPhone);
+        const contact = this.normalizeContact(fields);
+        const existing = await this.findDuplicate(owner, contact);
+
+        if (existing) {
+            const aliases = new Set([...(existing.aliases || []), ...contact.aliases]);
+            if (this.normalizeName(contact.name) !== this.normalizeName(existing.name)) aliases.add(contact.name);
+
+            const updated = await this.db.table('contacts').update(existing.id, {
+                email: existing.email || contact.email,
+                phone_number: existing.phone_number || contact.phone_number,
+                company: existing.company || contact.company,
+                aliases: Array.from(aliases)
+            });
+            return { contact: updated, created: false };
+        }
+
+        const created = await this.db.table('contacts').insert({ owner_phone: owner, ...contact, source: source });
+        return { contact: created, created: true };
+    }
+
+    async findDuplicate(ownerPhone, contact) {
+        const contacts = await this.db.table('contacts').find({ owner_phone: ownerPhone });
+        const name = this.normalizeName(contact.name);
+
+        return contacts.find(existing =>
+            (contact.email && existing.email === contact.email) ||
+            (contact.phone_number && existing.phone_number === contact.phone_number) ||
+            // Same name, unless the two have different addresses or numbers
+            (this.normalizeName(existing.name) === name &&
+                !(contact.email && existing.email) &&
+                !(contact.phone_number && existing.phone_number))
+        ) || null;
+    }
+
+    async getOwnedContact(ownerPhone, contactId) {
+        const contact = await this.db.table('contacts').findById(contactId);
+        return contact && contact.owner_phone === this.normalizePhone(ownerPhone) ? contact : null;
+    }
+
+    // Contacts whose name, aliases, email, phone or company contain the query
+    async search(ownerPhone, query = '') {
+        const contacts = await this.db.table('contacts').find(
+            { owner_phone: this.normalizePhone(ownerPhone) },
+            { orderBy: 'name' }
+        );
+        const text = this.normalizeName(query);
+        if (!text) return contacts;
+
+        return contacts.filter(contact =>
+            [contact.name, ...(contact.aliases || []), contact.email, contact.phone_number, contact.company]
+                .some(value => value && this.normalizeName(value).includes(text))
+        );
+    }
+
+    // Contacts a recipient could mean: an email address or phone number matches exactly; a name matches a
+    // contact's name or alias, else any of its words ("Tunde" finds "Tunde Bakare"). With a field such as
+    // 'email', contacts that have it come first: the others are only returned when none do.
+    async resolve(ownerPhone, query, { field = null } = {}) {
+        const contacts = await this.db.table('contacts').find(
+            { owner_phone: this.normalizePhone(ownerPhone) },
+            { orderBy: 'name' }
+        );
+        const text = String(query || '').trim();
+        let matches;
+
+        if (EMAIL_PATTERN.test(text)) {
+            matches = contacts.filter(contact => contact.email === text.toLowerCase());
+        } else if (/^\+?[\d\s()-]{7,}$/.test(text)) {
+            matches = contacts.filter(contact => contact.phone_number === this.normalizePhone(text));
+        } else {
+            const name = this.normalizeName(text.replace(/^my\s+/i, ''));
+            const names = contact => [contact.name, ...(contact.aliases || [])].map(value => this.normalizeName(value));
+
+            matches = name ? contacts.filter(contact => names(contact).includes(name)) : [];
+            if (name && matches.length === 0) {
+                matches = contacts.filter(contact => names(contact).some(value => ` ${value}`.includes(` ${name}`)));
+            }
+        }
+
+        if (field) {
+            const withField = matches.filter(contact => contact[field]);
+            if (withField.length > 0) return withField;
+        }
+
+        return matches;
+    }
+
+    // ===========================================
+    // NORMALIZATION
+    // ===========================================
+
+    // API and import fields to columns; with partial, only the fields given
+    normalizeContact(fields, { partial = false } = {}) {
+        const contact = {};
+        const has = key => !partial || fields[key] !== undefined;
+
+        if (has('name')) contact.name = String(fields.name || '').trim();
+        if (has('aliases')) {
+            const aliases = Array.isArray(fields.aliases) ? fields.aliases : String(fields.aliases || '').split(/[;,]/);
+            contact.aliases = Array.from(new Set(aliases.map(alias => String(alias).trim()).filter(Boolean)));
+        }
+        if (has('email')) contact.email = fields.email ? String(fields.email).trim().toLowerCase() : null;
+        if (has('phone_number') || (partial && fields.phone !== undefined)) {
+            const phone = fields.phone_number || fields.phone;
+            contact.phone_number = phone ? this.normalizePhone(phone) : null;
+        }
+        if (has('company')) contact.company = fields.company ? String(fields.company).trim() : null;
+
+        return contact;
+    }
+
+    validateContact(contact, { partial = false } = {}) {
+        const errors = [];
+
+        if ((!partial || contact.name !== undefined) && !contact.name) errors.push('name is required');
+        if (contact.email && !EMAIL_PATTERN.test(contact.email)) errors.push(`Invalid email address: ${contact.email}`);
+        if (contact.phone_number && !/^\d{7,15}$/.test(contact.phone_number)) errors.push(`Invalid phone number: ${contact.phone_number}`);
+
+        return errors;
+    }
+
+    // Digits only, in the international format WhatsApp uses; Nigerian local numbers (0803...) get 234
+    normalizePhone(phone) {
+        const digits = String(phone || '').replace(/\D/g, '');
+        return digits.length === 11 && digits.startsWith('0') ? `234${digits.slice(1)}` : digits;
+    }
+
+    normalizeName(name) {
+        return String(name || '').toLowerCase().replace(/[^\p{L}\p{N}@.+]+/gu, ' ').trim();
+    }
+
+    // ===========================================
+    // IMPORT
+    // ===========================================
+
+    // vCard or CSV text (format detected when not given): { format, created, updated, skipped: [{ entry, name, errors }] }
+    async importContacts(ownerPhone, text, format = null) {
+        const detected = format || (/BEGIN:VCARD/i.test(text) ? 'vcard' : 'csv');
+        const entries = detected === 'vcard' ? this.parseVCards(text) : this.parseCsvContacts(text);
+        const result = { format: detected, created: 0, updated: 0, skipped: [] };
+
+        for (const [index, entry] of entries.entries()) {
+            const contact = this.normalizeContact({ ...entry, name: entry.name || entry.email || entry.phone });
+            const errors = this.validateContact(contact);
+
+            if (errors.length > 0) {
+                result.skipped.push({ entry: index + 1, name: contact.name || null, errors: errors });
+                continue;
+            }
+
+            const { created } = await this.addContact(ownerPhone, contact, { source: detected });
+            result[created ? 'created' : 'updated']++;
+        }
+
+        console.log(`📇 Imported ${detected} contacts for ${ownerPhone}: ${result.created} new, ${result.updated} updated, ${result.skipped.length} skipped`);
+        return result;
+    }
+
+    // One { name, aliases, email, phone, company } per card; the first email and number are kept
+    parseVCards(text) {
+        // Folded lines continue with a space or tab
+        const lines = text.replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const unescape = value => value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+        const cards = [];
+        let card = null;
+
+        for (const line of lines) {
+            if (/^BEGIN:VCARD/i.test(line)) {
+                card = { aliases: [] };
+                continue;
+            }
+            if (/^END:VCARD/i.test(line)) {
+                if (card) cards.push({ ...card, name: card.name || card.structuredName });
+                card = null;
+                continue;
+            }
+
+            const colon = line.indexOf(':');
+            if (!card || colon === -1) continue;
+
+            // "item1.EMAIL;type=INTERNET:ade@company.com" -> EMAIL
+            const property = line.slice(0, colon).split(';')[0].split('.').pop().toUpperCase();
+            const value = line.slice(colon + 1);
+
+            if (property === 'FN') card.name = unescape(value);
+            if (property === 'N') {
+                const [family, given] = value.split(';').map(unescape);
+                card.structuredName = [given, family].filter(Boolean).join(' ');
+            }
+            if (property === 'NICKNAME') card.aliases.push(...value.split(',').map(unescape));
+            if (property === 'EMAIL' && !card.email) card.email = unescape(value);
+            if (property === 'TEL' && !card.phone) card.phone = unescape(value);
+            if (property === 'ORG') card.company = unescape(value.split(';')[0]);
+        }
+
+        return cards.map(({ structuredName, ...contact }) => contact);
+    }
+
+    // A header row, then one contact per row
+    parseCsvContacts(text) {
+        const [header = [], ...rows] = this.parseCsv(text.replace(/^\uFEFF/, ''));
+        const columns = header.map(title => {
+            const key = title.toLowerCase().replace(/[^a-z0-9]/g, '');
+            return Object.keys(CSV_COLUMNS).find(field => CSV_COLUMNS[field].includes(key)) || null;
+        });
+
+        return rows.map(row => {
+            const values = {};
+            columns.forEach((field, index) => {
+                // The first non-empty column wins, e.g. "E-mail 1 - Value" over "E-mail 2 - Value"
+                if (field && row[index] && row[index].trim() && !values[field]) values[field] = row[index].trim();
+            });
+
+            return {
+                name: values.name || [values.first_name, values.last_name].filter(Boolean).join(' '),
+                aliases: values.aliases || '',
+                email: values.email,
+                phone: values.phone,
+                company: values.company
+            };
+        });
+    }
+
+    // RFC 4180: quoted fields may hold commas, newlines and doubled quotes
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows.filter(values => values.some(value => value.trim()));
+    }
+
+    // ===========================================
+    // WHATSAPP
+    // ===========================================
+
+    // Contact cards shared in a WhatsApp chat; returns the saved contacts
+    async saveWhatsAppContacts(ownerPhone, cards) {
+        const saved = [];
+
+        for (const card of cards || []) {
+            const name = card.name || {};
+            const phone = (card.phones || [])[0] || {};
+            const contact = this.normalizeContact({
+                name: name.formatted_name || [name.first_name, name.last_name].filter(Boolean).join(' '),
+                email: ((card.emails || [])[0] || {}).email,
+                phone: phone.wa_id || phone.phone,
+                company: (card.org || {}).company
+            });
+
+            if (!contact.name) contact.name = contact.email || contact.phone_number;
+            if (this.validateContact(contact).length > 0) continue;
+
+            const { contact: stored } = await this.addContact(ownerPhone, contact, { source: 'whatsapp' });
+            saved.push(stored);
+        }
+
+        return saved;
+    }
+
+    buildSavedMessage(contacts) {
+        if (contacts.length === 0) {
+            return "⚠️ I couldn't save that contact card. It needs a name and a valid phone number or email address.";
+        }
+
+        if (contacts.length === 1) {
+            const [contact] = contacts;
+            return `📇 Saved ${contact.name}${contact.email ? ` (${contact.email})` : ''} to your contacts.` +
+                (contact.email ? ` You can now say "send email to ${contact.name.split(' ')[0]}".` : '');
+        }
+
+        return `📇 Saved ${contacts.length} contacts: ${contacts.map(contact => contact.name).join(', ')}.`;
+    }
+
+    // WhatsApp list of up to 10 contacts to choose between; rowId(contact) is each row's reply ID
+    buildContactPicker(body, contacts, rowId) {
+        return {
+            type: 'list',
+            body: body,
+            buttonText: 'Choose contact',
+            sections: [{
+                title: 'Contacts',
+                rows: contacts.slice(0, 10).map(contact => ({
+                    id: rowId(contact),
+                    title: contact.name,
+                    description: [contact.email, contact.company].filter(Boolean).join(' · ') || undefined
+                }))
+            }]
+        };
+    }
+
+    // ===========================================
+    // API ENDPOINTS
+    // ===========================================
+
+    async listContacts(req, res) {
+        try {
+            const contacts = await this.search(req.params.ownerPhone, req.query.q);
+
+            res.json({
+                owner_phone: this.normalizePhone(req.params.ownerPhone),
+                count: contacts.length,
+                contacts: contacts
+            });
+
+        } catch (error) {
+            console.error('Contact list error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async getContact(req, res) {
+        try {
+            const contact = await this.getOwnedContact(req.params.ownerPhone, req.params.contactId);
+            if (!contact) {
+                return res.status(404).json({ error: 'Contact not found' });
+            }
+
+            res.json(contact);
+
+        } catch (error) {
+            console.error('Contact lookup error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // 201 for a new contact; 200 when it was merged into an existing one with the same email, phone or name
+    async createContact(req, res) {
+        try {
+            const contact = this.normalizeContact(req.body || {});
+            const errors = this.validateContact(contact);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid contact', details: errors });
+            }
+
+            const result = await this.addContact(req.params.ownerPhone, contact);
+            res.status(result.created ? 201 : 200).json(result);
+
+        } catch (error) {
+            console.error('Contact creation error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async updateContact(req, res) {
+        try {
+            const contact = await this.getOwnedContact(req.params.ownerPhone, req.params.contactId);
+            if (!contact) {
+                return res.status(404).json({ error: 'Contact not found' });
+            }
+
+            const changes = this.normalizeContact(req.body || {}, { partial: true });
+            const errors = this.validateContact(changes, { partial: true });
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid contact update', details: errors });
+            }
+
+            res.json(await this.db.table('contacts').update(contact.id, changes));
+
+        } catch (error) {
+            console.error('Contact update error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async deleteContact(req, res) {
+        try {
+            const contact = await this.getOwnedContact(req.params.ownerPhone, req.params.contactId);
+            if (!contact) {
+                return res.status(404).json({ error: 'Contact not found' });
+            }
+
+            await this.db.table('contacts').delete(contact.id);
+            res.json({ success: true, contact_id: contact.id, message: 'Contact deleted' });
+
+        } catch (error) {
+            console.error('Contact deletion error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // A vCard or CSV file as the body (text/vcard, text/csv), or JSON { format, data }
+    async importContactsFile(req, res) {
+        try {
+            const raw = typeof req.body === 'string';
+            const text = raw ? req.body : (req.body || {}).data;
+            const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            const format = raw
+                ? (VCARD_TYPES.includes(contentType) ? 'vcard' : contentType === 'text/csv' ? 'csv' : null)
+                : req.body.format || null;
+
+            if (!text || !text.trim()) {
+                return res.status(400).json({ error: 'A vCard or CSV file is required' });
+            }
+            if (format && !['vcard', 'csv'].includes(format)) {
+                return res.status(400).json({ error: 'format must be vcard or csv' });
+            }
+
+            const result = await this.importContacts(req.params.ownerPhone, text, format);
+            res.json({ success: true, ...result });
+
+        } catch (error) {
+            console.error('Contact import error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = ContactBook;
+
+// Usage Examples:
+/*
+1. Add a contact:
+   POST /api/contacts/2348012345678
+   { "name": "Tunde Bakare", "aliases": ["my lawyer"], "email": "tunde@bakarelaw.ng", "phone_number": "08031234567", "company": "Bakare & Co" }
+
+2. Import a phone or Google Contacts export:
+   curl --data-binary @contacts.vcf -H "Content-Type: text/vcard" /api/contacts/2348012345678/import
+   curl --data-binary @contacts.csv -H "Content-Type: text/csv" /api/contacts/2348012345678/import
+
+3. Resolve a name from a WhatsApp command:
+   await contactBook.resolve('2348012345678', 'Tunde', { field: 'email' });
+   // [{ id: 'contact_...', name: 'Tunde Bakare', email: 'tunde@bakarelaw.ng', ... }]
+
+4. Contact cards shared in WhatsApp are saved to the sender's contacts automatically
+*/
@@ -0,0 +1,281 @@
+// Conversation Store for ODIA 11-Agent System
+// Per-phone, per-agent WhatsApp conversation memory with rolling windows, summaries and expiry
+
+const express = require('express');
+const cron = require('node-cron');
+
+class ConversationStore {
+    constructor(options = {}) {
+        this.db = options.database;
+        this.llm = options.llm;
+
+        this.maxTurns = options.maxTurns || parseInt(process.env.CONVERSATION_MAX_TURNS, 10) || 10;
+        this.tokenBudget = options.tokenBudget || parseInt(process.env.CONVERSATION_TOKEN_BUDGET, 10) || 2000;
+        this.ttlMs = (options.ttlMinutes || parseInt(process.env.CONVERSATION_TTL_MINUTES, 10) || 60) * 60 * 1000;
+        this.scheduledJobs = [];
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+
+        router.get('/api/conversations/:phoneNumber', this.getConversations.bind(this));
+        router.delete('/api/conversations/:phoneNumber', this.clearConversations.bind(this));
+
+        return router;
+    }
+
+    // ===========================================
+    // LIFECYCLE
+    // ===========================================
+
+    async start() {
+        // Purge expired conversations every 15 minutes
+        this.scheduledJobs.push(cron.schedule('*/15 * * * *', async () => {
+            try {
+                await this.purgeExpired();
+            } catch (error) {
+                console.error('Conversation purge error:', error);
+            }
+        }));
+    }
+
+    async stop() {
+        this.scheduledJobs.forEach(job => job.stop());
+        this.scheduledJobs = [];
+    }
+
+    // ===========================================
+    // CONVERSATION MEMORY
+    // ===========================================
+
+    async getConversation(phoneNumber, agentId) {
+        const conversation = await this.db.table('conversations').findOne({
+            phone_number: phoneNumber,
+            agent_id: agentId
+        });
+
+        if (conversation && this.isExpired(conversation)) {
+            await this.db.table('conversations').delete(conversation.id);
+            return null;
+        }
+
+        return conversation;
+    }
+
+    // History in LLM message format, plus the summary of turns that fell out of the window
+    async getHistory(phoneNumber, agentId) {
+        const conversation = await this.getConversation(phoneNumber, agentId);
+        if (!conversation) {
+            return { summary: null, messages: [] };
+        }
+
+        return {
+            summary: conversation.summary || null,
+            messages: this.toMessages(conversation.turns)
+        };
+    }
+
+    // Every unexpired conversation with the customer, one per agent
+    async listConversations(phoneNumber) {
+        const conversations = await this.db.table('conversations').find({ phone_number: phoneNumber });
+        return conversations.filter(conversation => !this.isExpired(conversation));
+    }
+
+    async appendTurn(phoneNumber, agentId, userMessage, assistantMessage) {
+        const now = new Date();
+        const conversation = await this.getConversation(phoneNumber, agentId);
+        const turns = [...(conversation ? conversation.turns : []), {
+            user: userMessage,
+            assistant: assistantMessage,
+            at: now.toISOString()
+        }];
+
+        const { kept, folded } = this.splitWindow(turns);
+        let summary = conversation ? conversation.summary : null;
+
+        if (folded.length > 0) {
+            summary = await this.summarizeTurns(agentId, summary, folded);
+        }
+
+        const changes = {
+            turns: kept,
+            summary: summary,
+            last_activity_at: now
+        };
+
+        if (conversation) {
+            return this.db.table('conversations').update(conversation.id, changes);
+        }
+
+        return this.db.table('conversations').insert({
+            phone_number: phoneNumber,
+            agent_id: agentId,
+            ...changes
+        });
+    }
+
+    // Records the WhatsApp message ID the latest matching reply was delivered under, so reactions can find it
+    async setReplyMessageId(phoneNumber, agentId, replyText, messageId) {
+        const conversation = await this.getConversation(phoneNumber, agentId);
+        if (!conversation || !messageId) return null;
+
+        const turns = [...conversation.turns];
+        const index = turns.length - 1;
+        if (index < 0 || turns[index].reply_message_id || !replyText.startsWith(turns[index].assistant)) {
+            return null;
+        }
+
+        turns[index] = { ...turns[index], reply_message_id: messageId };
+        return this.db.table('conversations').update(conversation.id, { turns: turns });
+    }
+
+    // Returns { agentId, turn } for the reply with this WhatsApp message ID, or the customer's latest reply
+    async findReply(phoneNumber, replyMessageId) {
+        const conversations = await this.listConversations(phoneNumber);
+
+        let latest = null;
+        for (const conversation of conversations) {
+            for (const turn of conversation.turns) {
+                if (turn.reply_message_id === replyMessageId) {
+                    return { agentId: conversation.agent_id, turn: turn };
+                }
+                if (!latest || turn.at > latest.turn.at) {
+                    latest = { agentId: conversation.agent_id, turn: turn };
+                }
+            }
+        }
+
+        return latest;
+    }
+
+    // Keeps the newest turns that fit both the turn window and the token budget
+    splitWindow(turns) {
+        let start = Math.max(0, turns.length - this.maxTurns);
+
+        while (start < turns.length - 1 && this.estimateTokens(turns.slice(start)) > this.tokenBudget) {
+            start++;
+        }
+
+        return {
+            kept: turns.slice(start),
+            folded: turns.slice(0, start)
+        };
+    }
+
+    async summarizeTurns(agentId, previousSummary, turns) {
+        const transcript = turns.map(turn => `Customer: ${turn.user}\nAgent: ${turn.assistant}`).join('\n');
+
+        try {
+            const result = await this.llm.complete({
+                agentId: agentId,
+                system: 'You maintain short running summaries of customer conversations for a Nigerian business assistant. Keep names, amounts, dates, orders and open questions. Reply with the summary only.',
+                prompt: `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}New conversation turns:\n${transcript}\n\nUpdated summary:`,
+                maxTokens: 300,
+                temperature: 0
+            });
+            return result.text.trim();
+
+        } catch (error) {
+            console.error('Conversation summary error:', error);
+            return previousSummary;
+        }
+    }
+
+    async clear(phoneNumber, agentId) {
+        const filter = agentId ? { phone_number: phoneNumber, agent_id: agentId } : { phone_number: phoneNumber };
+        const conversations = await this.db.table('conversations').find(filter);
+
+        for (const conversation of conversations) {
+            await this.db.table('conversations').delete(conversation.id);
+        }
+
+        return conversations.length;
+    }
+
+    async purgeExpired() {
+        const conversations = await this.db.table('conversations').find();
+        const expired = conversations.filter(conversation => this.isExpired(conversation));
+
+        for (const conversation of expired) {
+            await this.db.table('conversations').delete(conversation.id);
+        }
+
+        if (expired.length > 0) {
+            console.log(`🧹 Purged ${expired.length} expired conversations`);
+        }
+        return expired.length;
+    }
+
+    isExpired(conversation) {
+        const lastActivity = conversation.last_activity_at || conversation.updated_at;
+        return Date.now() - lastActivity.getTime() > this.ttlMs;
+    }
+
+    toMessages(turns) {
+        return turns.flatMap(turn => [
+            { role: 'user', content: turn.user },
+            { role: 'assistant', content: turn.assistant }
+        ]);
+    }
+
+    estimateTokens(turns) {
+        return Math.ceil(turns.reduce((total, turn) => total + turn.user.length + turn.assistant.length, 0) / 4);
+    }
+
+    // ===========================================
+    // API ENDPOINTS
+    // ===========================================
+
+    async getConversations(req, res) {
+        try {
+            const { phoneNumber } = req.params;
+            const conversations = await this.listConversations(phoneNumber);
+
+            res.json({
+                phone_number: phoneNumber,
+                conversations: conversations.map(conversation => ({
+                    agent_id: conversation.agent_id,
+                    summary: conversation.summary,
+                    turns: conversation.turns,
+                    last_activity_at: conversation.last_activity_at,
+                    expires_at: new Date(conversation.last_activity_at.getTime() + this.ttlMs)
+                }))
+            });
+
+        } catch (error) {
+            console.error('Conversation lookup error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async clearConversations(req, res) {
+        try {
+            const { phoneNumber } = req.params;
+            const cleared = await this.clear(phoneNumber, req.query.agentId);
+
+            res.json({
+                success: true,
+                phone_number: phoneNumber,
+                conversations_cleared: cleared
+            });
+
+        } catch (error) {
+            console.error('Conversation clear error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = ConversationStore;
+
+// Usage Examples:
+/*
+1. View a customer's conversations:
+   GET /api/conversations/2348012345678
+
+2. Clear one agent's conversation (omit agentId to clear all):
+   DELETE /api/conversations/2348012345678?agentId=paymaster
+
+3. Tune the window (defaults: 10 turns, 2000 tokens, 60 minutes):
+   CONVERSATION_MAX_TURNS=6 CONVERSATION_TOKEN_BUDGET=1200 CONVERSATION_TTL_MINUTES=30 node src/server.js
+*/
@@ -0,0 +1,31 @@
+// Database factory for ODIA 11-Agent System
+// Uses Supabase when credentials are configured, otherwise the in-memory stand-in
+
+const MemoryDatabase = require('./memory_database');
+
+function createDatabase(options = {}) {
+    const driver = options.driver || process.env.DATABASE_DRIVER ||
+        (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY ? 'supabase' : 'memory');
+
+    if (driver === 'supabase') {
+        // Required lazily so offline installs don't need the Supabase client
+        const SupabaseDatabase = require('./supabase_database');
+        return new SupabaseDatabase({
+            url: options.url || process.env.SUPABASE_URL,
+            key: options.key || process.env.SUPABASE_SERVICE_ROLE_KEY
+        });
+    }
+
+    if (driver === 'memory') {
+        return new MemoryDatabase({
+            snapshotFile: options.snapshotFile || process.env.DATABASE_FILE
+        });
+    }
+
+    throw new Error(`Unknown database driver: ${driver}`);
+}
+
+module.exports = {
+    createDatabase,
+    MemoryDatabase
+};
@@ -0,0 +1,186 @@
+// In-Memory Database for ODIA 11-Agent System
+// Offline stand-in for Supabase; optionally snapshots state to a JSON file between restarts
+
+const fs = require('fs');
+const { TABLES, EXCLUSION_VIOLATION, generateId, validateRecord, deserializeRecord, parseFilter } = require('./schema');
+
+function comparable(value) {
+    return value instanceof Date ? value.getTime() : value;
+}
+
+function matchesCondition(row, [column, operator, operand]) {
+    // Missing columns read as NULL, as they do in Postgres
+    const value = comparable(row[column] ?? null);
+
+    switch (operator) {
+        case 'eq': return value === comparable(operand);
+        case 'in': return operand.some(candidate => comparable(candidate ?? null) === value);
+        case 'notIn': return !operand.some(candidate => comparable(candidate ?? null) === value);
+        case 'gt': return value !== null && value > comparable(operand);
+        case 'gte': return value !== null && value >= comparable(operand);
+        case 'lt': return value !== null && value < comparable(operand);
+        case 'lte': return value !== null && value <= comparable(operand);
+    }
+}
+
+class MemoryTable {
+    constructor(database, tableName) {
+        this.database = database;
+        this.tableName = tableName;
+        this.rows = new Map();
+    }
+
+    async insert(record) {
+        const now = new Date();
+        const row = validateRecord(this.tableName, {
+            created_at: now,
+            updated_at: now,
+            ...record,
+            id: record.id || generateId(this.tableName)
+        });
+
+        if (this.rows.has(row.id)) {
+            throw new Error(`Duplicate ${this.tableName} id: ${row.id}`);
+        }
+        this.checkExclusions(row);
+
+        this.rows.set(row.id, row);
+        this.database.persist();
+        return { ...row };
+    }
+
+    async update(id, changes) {
+        const existing = this.rows.get(id);
+        if (!existing) return null;
+
+        const { id: ignoredId, ...fields } = changes;
+        const updated = {
+            ...existing,
+            ...validateRecord(this.tableName, { ...fields, updated_at: new Date() }, { partial: true })
+        };
+        this.checkExclusions(updated);
+
+        this.rows.set(id, updated);
+        this.database.persist();
+        return { ...updated };
+    }
+
+    // Rejects a row that overlaps another under one of the table's exclusion constraints, as Postgres does
+    checkExclusions(row) {
+        for (const exclusion of TABLES[this.tableName].exclusions || []) {
+            const conditions = parseFilter(exclusion.where);
+            const applies = candidate => conditions.every(condition => matchesCondition(candidate, condition));
+            if (!applies(row)) continue;
+
+            const [start, end] = exclusion.overlap;
+            const conflict = Array.from(this.rows.values()).find(other => other.id !== row.id && applies(other) &&
+                exclusion.equal.every(column => comparable(other[column]) === comparable(row[column])) &&
+                comparable(other[start]) < comparable(row[end]) && comparable(row[start]) < comparable(other[end]));
+
+            if (conflict) {
+                const error = new Error(`${this.tableName} row ${row.id} conflicts with ${conflict.id} (${exclusion.name})`);
+                error.code = EXCLUSION_VIOLATION;
+                throw error;
+            }
+        }
+    }
+
+    async delete(id) {
+        const deleted = this.rows.delete(id);
+        if (deleted) this.database.persist();
+        return deleted;
+    }
+
+    async findById(id) {
+        const row = this.rows.get(id);
+        return row ? { ...row } : null;
+    }
+
+    async find(filter = {}, { orderBy = 'created_at', descending = false, limit } = {}) {
+        const conditions = parseFilter(filter);
+        let results = Array.from(this.rows.values())
+            .filter(row => conditions.every(condition => matchesCondition(row, condition)));
+
+        results.sort((a, b) => {
+            const left = a[orderBy] instanceof Date ? a[orderBy].getTime() : a[orderBy];
+            const right = b[orderBy] instanceof Date ? b[orderBy].getTime() : b[orderBy];
+            if (left === right) return 0;
+            return (left > right ? 1 : -1) * (descending ? -1 : 1);
+        });
+
+        if (limit) results = results.slice(0, limit);
+        return results.map(row => ({ ...row }));
+    }
+
+    async findOne(filter, options = {}) {
+        const [row] = await this.find(filter, { ...options, limit: 1 });
+        return row || null;
+    }
+
+    async count(filter = {}) {
+        return (await this.find(filter)).length;
+    }
+}
+
+class MemoryDatabase {
+    constructor(options = {}) {
+        this.type = 'memory';
+        this.snapshotFile = options.snapshotFile || null;
+        this.tables = new Map();
+
+        for (const tableName of Object.keys(TABLES)) {
+            this.tables.set(tableName, new MemoryTable(this, tableName));
+        }
+    }
+
+    table(tableName) {
+        const table = this.tables.get(tableName);
+        if (!table) {
+            throw new Error(`Unknown table: ${tableName}`);
+        }
+        return table;
+    }
+
+    async start() {
+        if (this.snapshotFile && fs.existsSync(this.snapshotFile)) {
+            const snapshot = JSON.parse(fs.readFileSync(this.snapshotFile, 'utf8'));
+
+            for (const [tableName, rows] of Object.entries(snapshot)) {
+                if (!this.tables.has(tableName)) continue;
+                for (const row of rows) {
+                    this.tables.get(tableName).rows.set(row.id, deserializeRecord(tableName, row));
+                }
+            }
+
+            console.log(`💾 Restored in-memory database from ${this.snapshotFile}`);
+        } else {
+            console.log('💾 Using in-memory database');
+        }
+    }
+
+    async stop() {
+        this.persist();
+    }
+
+    persist() {
+        if (!this.snapshotFile) return;
+
+        const snapshot = {};
+        for (const [tableName, table] of this.tables) {
+            snapshot[tableName] = Array.from(table.rows.values());
+        }
+
+        fs.writeFileSync(this.snapshotFile, JSON.stringify(snapshot));
+    }
+
+    async healthCheck() {
+        return {
+            status: 'healthy',
+            connection: 'in_memory',
+            tables_accessible: true,
+            persisted_to: this.snapshotFile
+        };
+    }
+}
+
+module.exports = MemoryDatabase;
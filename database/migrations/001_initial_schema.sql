@@ -0,0 +1,145 @@
+-- ODIA 11-Agent System: initial schema
+-- Mirrors the table definitions in database/schema.js
+
+create table if not exists users (
+    id text primary key,
+    phone_number text unique,
+    name text,
+    email text,
+    agent_access jsonb default '[]'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists subscriptions (
+    id text primary key,
+    user_id text not null,
+    plan_id text not null,
+    plan_name text,
+    status text not null,
+    billing_cycle text,
+    amount numeric,
+    currency text,
+    start_date timestamptz,
+    end_date timestamptz,
+    agent_access jsonb default '[]'::jsonb,
+    features jsonb default '[]'::jsonb,
+    limits jsonb,
+    auto_renew boolean default true,
+    activated_at timestamptz,
+    cancelled_at timestamptz,
+    last_payment_date timestamptz,
+    transaction_id text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists subscriptions_user_id_idx on subscriptions (user_id);
+
+create table if not exists payment_transactions (
+    id text primary key,
+    tx_ref text not null unique,
+    user_id text,
+    plan_id text,
+    amount numeric,
+    currency text,
+    status text not null,
+    flutterwave_link text,
+    flutterwave_transaction_id text,
+    agent_id text,
+    source text,
+    phone_number text,
+    provider_response jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists invoices (
+    id text primary key,
+    invoice_number text not null unique,
+    user_id text,
+    customer_info jsonb,
+    items jsonb default '[]'::jsonb,
+    subtotal numeric,
+    tax numeric,
+    total numeric,
+    status text not null,
+    due_date timestamptz,
+    issued_date timestamptz,
+    payment_terms text,
+    currency text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists email_logs (
+    id text primary key,
+    direction text not null,
+    message_id text,
+    "to" text,
+    "from" text,
+    subject text,
+    body text,
+    from_agent text,
+    source text,
+    source_phone text,
+    in_reply_to text,
+    status text,
+    error text,
+    sent_at timestamptz,
+    attempted_at timestamptz,
+    received_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists email_logs_from_agent_idx on email_logs (from_agent);
+
+create table if not exists auto_reply_rules (
+    id text primary key,
+    user_email text not null,
+    agent_id text not null,
+    rule_name text,
+    trigger_keywords jsonb default '[]'::jsonb,
+    sender_domains jsonb default '[]'::jsonb,
+    subject_patterns jsonb default '[]'::jsonb,
+    response_template text,
+    is_active boolean default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists auto_reply_rules_user_email_idx on auto_reply_rules (user_email);
+
+create table if not exists knowledge_entries (
+    id text primary key,
+    category text not null,
+    subcategory text,
+    title text not null,
+    content text not null,
+    source text,
+    market text,
+    tags jsonb default '[]'::jsonb,
+    agent_relevance jsonb default '[]'::jsonb,
+    entities jsonb default '[]'::jsonb,
+    topics jsonb default '[]'::jsonb,
+    embedding jsonb,
+    confidence_score numeric,
+    is_verified boolean default false,
+    view_count integer default 0,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists voice_interactions (
+    id text primary key,
+    agent_id text not null,
+    phone_number text,
+    transcription text,
+    response text,
+    source text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists voice_interactions_phone_number_idx on voice_interactions (phone_number);
@@ -0,0 +1,14 @@
+-- ODIA 11-Agent System: per-phone WhatsApp conversation memory
+
+create table if not exists conversations (
+    id text primary key,
+    phone_number text not null,
+    agent_id text not null,
+    turns jsonb default '[]'::jsonb,
+    summary text,
+    last_activity_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create unique index if not exists conversations_phone_agent_idx on conversations (phone_number, agent_id);
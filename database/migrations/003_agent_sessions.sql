@@ -0,0 +1,14 @@
+-- ODIA 11-Agent System: sticky WhatsApp agent sessions
+
+create table if not exists agent_sessions (
+    id text primary key,
+    phone_number text not null unique,
+    active_agent_id text not null,
+    previous_agent_id text,
+    switch_reason text,
+    handoff_summary text,
+    switched_at timestamptz,
+    last_activity_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
@@ -0,0 +1,15 @@
+-- ODIA 11-Agent System: webhook payloads rejected by signature checks, kept for security review
+
+create table if not exists rejected_webhooks (
+    id text primary key,
+    source text not null,
+    reason text not null,
+    signature text,
+    ip_address text,
+    user_agent text,
+    payload text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists rejected_webhooks_created_at_idx on rejected_webhooks (created_at);
@@ -0,0 +1,21 @@
+-- ODIA 11-Agent System: durable job queue with dead-letter status
+
+create table if not exists jobs (
+    id text primary key,
+    type text not null,
+    payload jsonb,
+    status text not null,
+    dedupe_key text unique,
+    ordering_key text,
+    attempts integer default 0,
+    max_attempts integer,
+    run_at timestamptz,
+    locked_at timestamptz,
+    completed_at timestamptz,
+    last_error text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists jobs_status_run_at_idx on jobs (status, run_at);
+create index if not exists jobs_ordering_key_idx on jobs (ordering_key);
@@ -0,0 +1,19 @@
+-- ODIA 11-Agent System: reactions on agent replies and shared customer locations
+
+create table if not exists message_feedback (
+    id text primary key,
+    phone_number text not null,
+    agent_id text,
+    reply_message_id text not null,
+    emoji text not null,
+    sentiment text,
+    customer_message text,
+    agent_reply text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (phone_number, reply_message_id)
+);
+
+create index if not exists message_feedback_agent_id_idx on message_feedback (agent_id);
+
+alter table agent_sessions add column if not exists last_location jsonb;
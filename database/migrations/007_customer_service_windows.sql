@@ -0,0 +1,9 @@
+-- ODIA 11-Agent System: last inbound WhatsApp message per number, for the 24-hour service window
+
+create table if not exists customer_service_windows (
+    id text primary key,
+    phone_number text not null unique,
+    last_inbound_at timestamptz not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
@@ -0,0 +1,26 @@
+-- ODIA 11-Agent System: outbound WhatsApp messages and their delivery statuses
+
+create table if not exists whatsapp_messages (
+    id text primary key,
+    whatsapp_message_id text unique,
+    phone_number text not null,
+    type text,
+    source text,
+    agent_id text,
+    preview text,
+    payload jsonb,
+    status text not null,
+    status_history jsonb default '[]'::jsonb,
+    attempts integer default 0,
+    error_code integer,
+    error_message text,
+    accepted_at timestamptz,
+    sent_at timestamptz,
+    delivered_at timestamptz,
+    read_at timestamptz,
+    failed_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists whatsapp_messages_phone_number_idx on whatsapp_messages (phone_number, created_at desc);
@@ -0,0 +1,5 @@
+-- ODIA 11-Agent System: preferred reply language per customer and the language of each voice interaction
+
+alter table users add column if not exists preferred_language text;
+
+alter table voice_interactions add column if not exists language text;
@@ -0,0 +1,4 @@
+-- ODIA 11-Agent System: length of each customer voice note and of the voice reply, in seconds
+
+alter table voice_interactions add column if not exists input_seconds numeric;
+alter table voice_interactions add column if not exists response_seconds numeric;
@@ -0,0 +1,17 @@
+-- ODIA 11-Agent System: messages and voice seconds used per customer per billing period
+
+create table if not exists usage_periods (
+    id text primary key,
+    user_id text not null,
+    phone_number text,
+    plan_id text not null,
+    period_start timestamptz not null,
+    period_end timestamptz,
+    messages integer not null default 0,
+    voice_seconds numeric not null default 0,
+    message_alert_level integer not null default 0,
+    voice_alert_level integer not null default 0,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (user_id, plan_id, period_start)
+);
@@ -0,0 +1,21 @@
+-- ODIA 11-Agent System: emails drafted over WhatsApp, held until the customer approves them
+
+create table if not exists email_drafts (
+    id text primary key,
+    phone_number text not null,
+    agent_id text,
+    status text not null,
+    awaiting text,
+    recipient text,
+    subject text,
+    request text,
+    body text,
+    edits jsonb default '[]'::jsonb,
+    message_id text,
+    error text,
+    sent_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists email_drafts_phone_number_idx on email_drafts (phone_number, created_at desc);
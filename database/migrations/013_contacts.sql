@@ -0,0 +1,18 @@
+-- ODIA 11-Agent System: each WhatsApp user's contacts, so emails and invoices can name people
+
+create table if not exists contacts (
+    id text primary key,
+    owner_phone text not null,
+    name text not null,
+    aliases jsonb default '[]'::jsonb,
+    email text,
+    phone_number text,
+    company text,
+    source text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists contacts_owner_phone_idx on contacts (owner_phone);
+
+alter table email_drafts add column if not exists recipient_name text;
@@ -0,0 +1,22 @@
+-- ODIA 11-Agent System: WhatsApp conversations handed to a person on the team, and what was said while the bot was paused
+
+create table if not exists handoffs (
+    id text primary key,
+    phone_number text not null,
+    status text not null,
+    reason text,
+    agent_id text,
+    trigger_message text,
+    operator_id text,
+    operator_name text,
+    messages jsonb default '[]'::jsonb,
+    closed_reason text,
+    queued_at timestamptz,
+    claimed_at timestamptz,
+    closed_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists handoffs_phone_number_idx on handoffs (phone_number, status);
+create index if not exists handoffs_status_idx on handoffs (status, queued_at);
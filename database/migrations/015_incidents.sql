@@ -0,0 +1,24 @@
+-- ODIA 11-Agent System: emergency incidents from Agent CrossAI Emergency conversations, with acknowledgement and escalation
+
+create table if not exists incidents (
+    id text primary key,
+    phone_number text not null,
+    agent_id text,
+    category text not null,
+    severity text not null,
+    status text not null,
+    messages jsonb default '[]'::jsonb,
+    location jsonb,
+    escalation_level integer default 0,
+    escalated_at timestamptz,
+    acknowledged_by text,
+    acknowledged_at timestamptz,
+    resolved_by text,
+    resolved_at timestamptz,
+    resolution_note text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists incidents_phone_number_idx on incidents (phone_number, status);
+create index if not exists incidents_status_idx on incidents (status, created_at desc);
@@ -0,0 +1,49 @@
+-- ODIA 11-Agent System: bookable resources and appointments for Agent MedAssist and Agent LuxuryService
+
+create table if not exists booking_resources (
+    id text primary key,
+    agent_id text not null,
+    name text not null,
+    type text,
+    address text,
+    services jsonb default '[]'::jsonb,
+    working_hours jsonb default '{}'::jsonb,
+    closed_dates jsonb default '[]'::jsonb,
+    slot_interval_minutes integer,
+    active boolean default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists booking_resources_agent_id_idx on booking_resources (agent_id, active);
+
+create table if not exists bookings (
+    id text primary key,
+    resource_id text not null,
+    resource_name text,
+    agent_id text not null,
+    service_id text not null,
+    service_name text,
+    phone_number text not null,
+    customer_name text,
+    start_at timestamptz not null,
+    end_at timestamptz not null,
+    status text not null,
+    hold_expires_at timestamptz,
+    price numeric default 0,
+    deposit_amount numeric default 0,
+    currency text default 'NGN',
+    payment_link text,
+    payment_tx_ref text,
+    amount_paid numeric,
+    paid_at timestamptz,
+    confirmed_at timestamptz,
+    cancelled_at timestamptz,
+    cancel_reason text,
+    reminders_sent jsonb default '[]'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists bookings_resource_id_idx on bookings (resource_id, status, start_at);
+create index if not exists bookings_phone_number_idx on bookings (phone_number, status, start_at);
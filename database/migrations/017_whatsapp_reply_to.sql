@@ -0,0 +1,5 @@
+-- ODIA 11-Agent System: the inbound WhatsApp message each outbound message answers, so retries don't reply twice
+
+alter table whatsapp_messages add column if not exists reply_to_message_id text;
+
+create index if not exists whatsapp_messages_reply_to_message_id_idx on whatsapp_messages (reply_to_message_id);
@@ -0,0 +1,6 @@
+-- ODIA 11-Agent System: booking deposits the team has to refund
+
+alter table bookings add column if not exists refund_status text;
+alter table bookings add column if not exists refund_reason text;
+
+create index if not exists bookings_refund_status_idx on bookings (refund_status);
@@ -0,0 +1,13 @@
+-- ODIA 11-Agent System: active bookings on one resource never overlap, even with several server instances
+
+create extension if not exists btree_gist;
+
+-- Holds past their expiry can overlap newer bookings until the expiry job runs
+update bookings set status = 'expired'
+where status in ('held', 'pending_payment') and hold_expires_at <= now();
+
+alter table bookings drop constraint if exists bookings_no_overlap;
+alter table bookings add constraint bookings_no_overlap exclude using gist (
+    resource_id with =,
+    tstzrange(start_at, end_at) with &&
+) where (status in ('held', 'pending_payment', 'confirmed'));
@@ -0,0 +1,7 @@
+-- ODIA 11-Agent System: how long an incident's customer messages go to the emergency agent without plan limits
+
+alter table incidents add column if not exists exempt_until timestamptz;
+
+-- Incidents opened before this column existed keep the exemption for an hour from when they opened
+update incidents set exempt_until = created_at + interval '60 minutes'
+where exempt_until is null and status in ('open', 'acknowledged');
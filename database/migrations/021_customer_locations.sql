@@ -0,0 +1,16 @@
+-- ODIA 11-Agent System: each number's last shared location, kept after the agent session expires
+
+create table if not exists customer_locations (
+    id text primary key,
+    phone_number text not null unique,
+    location jsonb not null,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- Locations saved on agent sessions before this table existed
+insert into customer_locations (id, phone_number, location)
+select 'location_' || id, phone_number, last_location
+from agent_sessions
+where last_location is not null
+on conflict (phone_number) do nothing;
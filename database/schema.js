@@ -0,0 +1,581 @@
+// Database Schema for ODIA 11-Agent System
+// Typed table definitions shared by the Supabase and in-memory database implementations
+
+const crypto = require('crypto');
+
+// Column types: string, number, boolean, date, array, json
+const TABLES = {
+    users: {
+        id_prefix: 'user',
+        columns: {
+            id: { type: 'string' },
+            phone_number: { type: 'string' },
+            name: { type: 'string' },
+            email: { type: 'string' },
+            agent_access: { type: 'array' },
+            preferred_language: { type: 'string' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    subscriptions: {
+        id_prefix: 'sub',
+        columns: {
+            id: { type: 'string' },
+            user_id: { type: 'string', required: true },
+            plan_id: { type: 'string', required: true },
+            plan_name: { type: 'string' },
+            status: { type: 'string', required: true },
+            billing_cycle: { type: 'string' },
+            amount: { type: 'number' },
+            currency: { type: 'string' },
+            start_date: { type: 'date' },
+            end_date: { type: 'date' },
+            agent_access: { type: 'array' },
+            features: { type: 'array' },
+            limits: { type: 'json' },
+            auto_renew: { type: 'boolean' },
+            activated_at: { type: 'date' },
+            cancelled_at: { type: 'date' },
+            last_payment_date: { type: 'date' },
+            transaction_id: { type: 'string' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    payment_transactions: {
+        id_prefix: 'txn',
+        columns: {
+            id: { type: 'string' },
+            tx_ref: { type: 'string', required: true },
+            user_id: { type: 'string' },
+            plan_id: { type: 'string' },
+            amount: { type: 'number' },
+            currency: { type: 'string' },
+            status: { type: 'string', required: true },
+            flutterwave_link: { type: 'string' },
+            flutterwave_transaction_id: { type: 'string' },
+            agent_id: { type: 'string' },
+            source: { type: 'string' },
+            phone_number: { type: 'string' },
+            provider_response: { type: 'json' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    invoices: {
+        id_prefix: 'inv',
+        columns: {
+            id: { type: 'string' },
+            invoice_number: { type: 'string', required: true },
+            user_id: { type: 'string' },
+            customer_info: { type: 'json' },
+            items: { type: 'array' },
+            subtotal: { type: 'number' },
+            tax: { type: 'number' },
+            total: { type: 'number' },
+            status: { type: 'string', required: true },
+            due_date: { type: 'date' },
+            issued_date: { type: 'date' },
+            payment_terms: { type: 'string' },
+            currency: { type: 'string' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    email_logs: {
+        id_prefix: 'email',
+        columns: {
+            id: { type: 'string' },
+            direction: { type: 'string', required: true }, // outbound | inbound
+            message_id: { type: 'string' },
+            to: { type: 'string' },
+            from: { type: 'string' },
+            subject: { type: 'string' },
+            body: { type: 'string' },
+            from_agent: { type: 'string' },
+            source: { type: 'string' },
+            source_phone: { type: 'string' },
+            in_reply_to: { type: 'string' },
+            status: { type: 'string' },
+            error: { type: 'string' },
+            sent_at: { type: 'date' },
+            attempted_at: { type: 'date' },
+            received_at: { type: 'date' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    auto_reply_rules: {
+        id_prefix: 'rule',
+        columns: {
+            id: { type: 'string' },
+            user_email: { type: 'string', required: true },
+            agent_id: { type: 'string', required: true },
+            rule_name: { type: 'string' },
+            trigger_keywords: { type: 'array' },
+            sender_domains: { type: 'array' },
+            subject_patterns: { type: 'array' },
+            response_template: { type: 'string' },
+            is_active: { type: 'boolean' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    knowledge_entries: {
+        id_prefix: 'kb',
+        columns: {
+            id: { type: 'string' },
+            category: { type: 'string', required: true },
+            subcategory: { type: 'string' },
+            title: { type: 'string', required: true },
+            content: { type: 'string', required: true },
+            source: { type: 'string' },
+            market: { type: 'string' },
+            tags: { type: 'array' },
+            agent_relevance: { type: 'array' },
+            entities: { type: 'array' },
+            topics: { type: 'array' },
+            embedding: { type: 'array' },
+            confidence_score: { type: 'number' },
+            is_verified: { type: 'boolean' },
+            view_count: { type: 'number' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    voice_interactions: {
+        id_prefix: 'voice',
+        columns: {
+            id: { type: 'string' },
+            agent_id: { type: 'string', required: true },
+            phone_number: { type: 'string' },
+            transcription: { type: 'string' },
+            response: { type: 'string' },
+            language: { type: 'string' },
+            input_seconds: { type: 'number' },
+            response_seconds: { type: 'number' },
+            source: { type: 'string' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    conversations: {
+        id_prefix: 'conv',
+        columns: {
+            id: { type: 'string' },
+            phone_number: { type: 'string', required: true },
+            agent_id: { type: 'string', required: true },
+            turns: { type: 'array' }, // [{ user, assistant, at, reply_message_id }]
+            summary: { type: 'string' },
+            last_activity_at: { type: 'date' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    agent_sessions: {
+        id_prefix: 'session',
+        columns: {
+            id: { type: 'string' },
+            phone_number: { type: 'string', required: true },
+            active_agent_id: { type: 'string', required: true },
+            previous_agent_id: { type: 'string' },
+            switch_reason: { type: 'string' }, // routed | topic_change | user_command | handoff
+            handoff_summary: { type: 'string' },
+            switched_at: { type: 'date' },
+            last_activity_at: { type: 'date' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    // Each number's most recently shared location; kept beyond the agent session for emergencies
+    customer_locations: {
+        id_prefix: 'location',
+        columns: {
+            id: { type: 'string' },
+            phone_number: { type: 'string', required: true },
+            location: { type: 'json', required: true }, // { latitude, longitude, name, address, shared_at }
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    rejected_webhooks: {
+        id_prefix: 'rejected',
+        columns: {
+            id: { type: 'string' },
+            source: { type: 'string', required: true }, // whatsapp | flutterwave
+            reason: { type: 'string', required: true },
+            signature: { type: 'string' },
+            ip_address: { type: 'string' },
+            user_agent: { type: 'string' },
+            payload: { type: 'string' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    jobs: {
+        id_prefix: 'job',
+        columns: {
+            id: { type: 'string' },
+            type: { type: 'string', required: true },
+            payload: { type: 'json' },
+            status: { type: 'string', required: true }, // pending | processing | completed | dead
+            dedupe_key: { type: 'string' },
+            ordering_key: { type: 'string' },
+            attempts: { type: 'number' },
+            max_attempts: { type: 'number' },
+            run_at: { type: 'date' },
+            locked_at: { type: 'date' },
+            completed_at: { type: 'date' },
+            last_error: { type: 'string' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    customer_service_windows: {
+        id_prefix: 'window',
+        columns: {
+            id: { type: 'string' },
+            phone_number: { type: 'string', required: true },
+            last_inbound_at: { type: 'date', required: true },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    whatsapp_messages: {
+        id_prefix: 'wamsg',
+        columns: {
+            id: { type: 'string' },
+            whatsapp_message_id: { type: 'string' }, // changes when a failed message is resent
+            phone_number: { type: 'string', required: true },
+            type: { type: 'string' }, // text | interactive | template | audio
+            source: { type: 'string' }, // agent_reply | payment_link | subscription_renewal | ...
+            agent_id: { type: 'string' },
+            reply_to_message_id: { type: 'string' }, // the inbound WhatsApp message this answers
+            preview: { type: 'string' },
+            payload: { type: 'json' },
+            status: { type: 'string', required: true }, // pending | accepted | sent | delivered | read | failed
+            status_history: { type: 'array' }, // [{ status, at, error }]
+            attempts: { type: 'number' },
+            error_code: { type: 'number' },
+            error_message: { type: 'string' },
+            accepted_at: { type: 'date' },
+            sent_at: { type: 'date' },
+            delivered_at: { type: 'date' },
+            read_at: { type: 'date' },
+            failed_at: { type: 'date' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    message_feedback: {
+        id_prefix: 'feedback',
+        columns: {
+            id: { type: 'string' },
+            phone_number: { type: 'string', required: true },
+            agent_id: { type: 'string' },
+            reply_message_id: { type: 'string', required: true }, // WhatsApp ID of the agent reply reacted to
+            emoji: { type: 'string', required: true },
+            sentiment: { type: 'string' }, // positive | negative | neutral
+            customer_message: { type: 'string' },
+            agent_reply: { type: 'string' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    usage_periods: {
+        id_prefix: 'usage',
+        columns: {
+            id: { type: 'string' },
+            user_id: { type: 'string', required: true },
+            phone_number: { type: 'string' },
+            plan_id: { type: 'string', required: true }, // subscription plan or free_trial
+            period_start: { type: 'date', required: true },
+            period_end: { type: 'date' },
+            messages: { type: 'number' },
+            voice_seconds: { type: 'number' }, // customer voice notes plus spoken replies
+            message_alert_level: { type: 'number' }, // highest alert sent this period: 0 | 80 | 100
+            voice_alert_level: { type: 'number' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    email_drafts: {
+        id_prefix: 'draft',
+        columns: {
+            id: { type: 'string' },
+            phone_number: { type: 'string', required: true },
+            agent_id: { type: 'string' },
+            status: { type: 'string', required: true }, // collecting | review | editing | sent | cancelled
+            awaiting: { type: 'string' }, // while collecting: recipient | subject | content
+            recipient: { type: 'string' },
+            recipient_name: { type: 'string' }, // from the customer's contacts, when known
+            subject: { type: 'string' },
+            request: { type: 'string' }, // what the customer asked the email to say
+            body: { type: 'string' },
+            edits: { type: 'array' }, // change requests, oldest first
+            message_id: { type: 'string' },
+            error: { type: 'string' }, // last failed send
+            sent_at: { type: 'date' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    contacts: {
+        id_prefix: 'contact',
+        columns: {
+            id: { type: 'string' },
+            owner_phone: { type: 'string', required: true }, // the WhatsApp user whose contact this is
+            name: { type: 'string', required: true },
+            aliases: { type: 'array' },
+            email: { type: 'string' },
+            phone_number: { type: 'string' },
+            company: { type: 'string' },
+            source: { type: 'string' }, // manual | vcard | csv | whatsapp
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    handoffs: {
+        id_prefix: 'handoff',
+        columns: {
+            id: { type: 'string' },
+            phone_number: { type: 'string', required: true },
+            status: { type: 'string', required: true }, // queued | active | closed
+            reason: { type: 'string' }, // customer_request | low_confidence | angry_customer | operator
+            agent_id: { type: 'string' }, // the agent the customer was talking to
+            trigger_message: { type: 'string' },
+            operator_id: { type: 'string' },
+            operator_name: { type: 'string' },
+            messages: { type: 'array' }, // [{ from: 'customer' | 'operator', type, text, at }] while the bot is paused
+            closed_reason: { type: 'string' }, // released | timeout
+            queued_at: { type: 'date' },
+            claimed_at: { type: 'date' },
+            closed_at: { type: 'date' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    incidents: {
+        id_prefix: 'incident',
+        columns: {
+            id: { type: 'string' },
+            phone_number: { type: 'string', required: true },
+            agent_id: { type: 'string' },
+            category: { type: 'string', required: true }, // self_harm | fire | crime | disaster | road | medical
+            severity: { type: 'string', required: true }, // high | critical
+            status: { type: 'string', required: true }, // open | acknowledged | resolved
+            messages: { type: 'array' }, // [{ text, at }] from the customer
+            location: { type: 'json' }, // { latitude, longitude, name, address, shared_at }
+            escalation_level: { type: 'number' },
+            escalated_at: { type: 'date' },
+            acknowledged_by: { type: 'string' },
+            acknowledged_at: { type: 'date' },
+            resolved_by: { type: 'string' },
+            resolved_at: { type: 'date' },
+            resolution_note: { type: 'string' },
+            exempt_until: { type: 'date' }, // messages go to the emergency agent without limits until then
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    booking_resources: {
+        id_prefix: 'resource',
+        columns: {
+            id: { type: 'string' },
+            agent_id: { type: 'string', required: true }, // med-assist | luxury-service
+            name: { type: 'string', required: true },
+            type: { type: 'string' }, // doctor | clinic | venue | car | ...
+            address: { type: 'string' },
+            services: { type: 'array' }, // [{ id, name, duration_minutes, price, deposit, currency }]
+            working_hours: { type: 'json' }, // { mon: [['09:00', '17:00']], ... } in Lagos time
+            closed_dates: { type: 'array' }, // ['2026-12-25']
+            slot_interval_minutes: { type: 'number' },
+            active: { type: 'boolean' },
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        }
+    },
+
+    bookings: {
+        id_prefix: 'booking',
+        columns: {
+            id: { type: 'string' },
+            resource_id: { type: 'string', required: true },
+            resource_name: { type: 'string' },
+            agent_id: { type: 'string', required: true },
+            service_id: { type: 'string', required: true },
+            service_name: { type: 'string' },
+            phone_number: { type: 'string', required: true },
+            customer_name: { type: 'string' },
+            start_at: { type: 'date', required: true },
+            end_at: { type: 'date', required: true },
+            status: { type: 'string', required: true }, // held | pending_payment | confirmed | cancelled | expired
+            hold_expires_at: { type: 'date' },
+            price: { type: 'number' },
+            deposit_amount: { type: 'number' },
+            currency: { type: 'string' },
+            payment_link: { type: 'string' },
+            payment_tx_ref: { type: 'string' },
+            amount_paid: { type: 'number' },
+            paid_at: { type: 'date' },
+            confirmed_at: { type: 'date' },
+            cancelled_at: { type: 'date' },
+            cancel_reason: { type: 'string' },
+            refund_status: { type: 'string' }, // needed | refunded
+            refund_reason: { type: 'string' },
+            reminders_sent: { type: 'array' }, // ['24h', '1h']
+            created_at: { type: 'date' },
+            updated_at: { type: 'date' }
+        },
+        // Active bookings on one resource never overlap, whichever server instance writes them
+        // (bookings_no_overlap in database/migrations/019_booking_overlap.sql)
+        exclusions: [{
+            name: 'bookings_no_overlap',
+            equal: ['resource_id'],
+            overlap: ['start_at', 'end_at'],
+            where: { status: { in: ['held', 'pending_payment', 'confirmed'] } }
+        }]
+    }
+};
+
+// Postgres exclusion_violation: the error code for a row an exclusion constraint rejects
+const EXCLUSION_VIOLATION = '23P01';
+
+function getTable(tableName) {
+    const table = TABLES[tableName];
+    if (!table) {
+        throw new Error(`Unknown table: ${tableName}`);
+    }
+    return table;
+}
+
+function generateId(tableName) {
+    return `${getTable(tableName).id_prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function checkType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && !Number.isNaN(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'date': return value instanceof Date || (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+        case 'array': return Array.isArray(value);
+        case 'json': return typeof value === 'object';
+        default: return false;
+    }
+}
+
+// Validates a record against its table definition and coerces date strings to Date objects.
+// Partial validation (for updates) skips the required-column check.
+function validateRecord(tableName, record, { partial = false } = {}) {
+    const { columns } = getTable(tableName);
+    const errors = [];
+    const validated = {};
+
+    for (const [column, value] of Object.entries(record)) {
+        const definition = columns[column];
+
+        if (!definition) {
+            errors.push(`unknown column "${column}"`);
+            continue;
+        }
+        if (value === undefined) continue;
+        if (value !== null && !checkType(value, definition.type)) {
+            errors.push(`column "${column}" must be of type ${definition.type}`);
+            continue;
+        }
+
+        validated[column] = definition.type === 'date' && value !== null ? new Date(value) : value;
+    }
+
+    if (!partial) {
+        for (const [column, definition] of Object.entries(columns)) {
+            if (definition.required && (validated[column] === undefined || validated[column] === null)) {
+                errors.push(`column "${column}" is required`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${tableName} record: ${errors.join(', ')}`);
+    }
+
+    return validated;
+}
+
+// Converts a stored row (e.g. JSON from Supabase or a snapshot file) back into typed values
+function deserializeRecord(tableName, row) {
+    if (!row) return null;
+
+    const { columns } = getTable(tableName);
+    const record = { ...row };
+
+    for (const [column, definition] of Object.entries(columns)) {
+        if (definition.type === 'date' && record[column]) {
+            record[column] = new Date(record[column]);
+        }
+    }
+
+    return record;
+}
+
+// Filters map columns to a value (equality) or to operators: { in: [...] }, { notIn: [...] }, { gt }, { gte }, { lt },
+// { lte }. notIn also matches NULL, unlike SQL's NOT IN. Returns [column, operator, value] conditions; both databases
+// apply them the same way.
+const FILTER_OPERATORS = ['eq', 'in', 'notIn', 'gt', 'gte', 'lt', 'lte'];
+
+function parseFilter(filter) {
+    const conditions = [];
+
+    for (const [column, value] of Object.entries(filter)) {
+        const isOperators = value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+        if (!isOperators) {
+            conditions.push([column, 'eq', value]);
+            continue;
+        }
+
+        for (const [operator, operand] of Object.entries(value)) {
+            if (!FILTER_OPERATORS.includes(operator)) {
+                throw new Error(`Unknown filter operator "${operator}" on ${column}`);
+            }
+            if ((operator === 'in' || operator === 'notIn') && !Array.isArray(operand)) {
+                throw new Error(`Filter operator "${operator}" on ${column} needs an array`);
+            }
+            conditions.push([column, operator, operand]);
+        }
+    }
+
+    return conditions;
+}
+
+module.exports = {
+    TABLES,
+    EXCLUSION_VIOLATION,
+    getTable,
+    generateId,
+    validateRecord,
+    deserializeRecord,
+    parseFilter
+};
@@ -0,0 +1,179 @@
+// Supabase Database for ODIA 11-Agent System
+// Production implementation of the table API on Supabase/Postgres (schema in database/migrations)
+
+const { createClient } = require('@supabase/supabase-js');
+const { TABLES, generateId, validateRecord, deserializeRecord, parseFilter } = require('./schema');
+
+function quoteValues(values) {
+    return values.map(value => `"${String(value).replace(/"/g, '\\"')}"`).join(',');
+}
+
+// PostgREST `in` never matches NULL, so a null among the values becomes an `or` with `is.null`; `notIn` matches
+// NULL the same way unless null is among the values
+function applyFilter(query, filter) {
+    for (const [column, operator, operand] of parseFilter(filter)) {
+        if (operator === 'eq') {
+            query = operand === null ? query.is(column, null) : query.eq(column, operand);
+        } else if (operator === 'in' && operand.includes(null)) {
+            const values = operand.filter(value => value !== null);
+            query = query.or(`${column}.is.null${values.length > 0 ? `,${column}.in.(${quoteValues(values)})` : ''}`);
+        } else if (operator === 'notIn') {
+            const values = operand.filter(value => value !== null);
+            if (operand.includes(null)) query = query.not(column, 'is', null);
+            if (values.length === 0) continue;
+            query = operand.includes(null)
+                ? query.not(column, 'in', `(${quoteValues(values)})`)
+                : query.or(`${column}.is.null,${column}.not.in.(${quoteValues(values)})`);
+        } else {
+            query = query[operator](column, operand);
+        }
+    }
+
+    return query;
+}
+
+// Keeps the Postgres error code, so callers can tell constraint violations apart
+function queryError(message, error) {
+    return Object.assign(new Error(`${message}: ${error.message}`), { code: error.code });
+}
+
+class SupabaseTable {
+    constructor(client, tableName) {
+        this.client = client;
+        this.tableName = tableName;
+    }
+
+    async insert(record) {
+        const now = new Date();
+        const row = validateRecord(this.tableName, {
+            created_at: now,
+            updated_at: now,
+            ...record,
+            id: record.id || generateId(this.tableName)
+        });
+
+        const { data, error } = await this.client.from(this.tableName).insert(row).select().single();
+        if (error) {
+            throw queryError(`${this.tableName} insert failed`, error);
+        }
+
+        return deserializeRecord(this.tableName, data);
+    }
+
+    async update(id, changes) {
+        const { id: ignoredId, ...fields } = changes;
+        const validated = validateRecord(this.tableName, { ...fields, updated_at: new Date() }, { partial: true });
+
+        const { data, error } = await this.client
+            .from(this.tableName)
+            .update(validated)
+            .eq('id', id)
+            .select()
+            .maybeSingle();
+
+        if (error) {
+            throw queryError(`${this.tableName} update failed`, error);
+        }
+
+        return deserializeRecord(this.tableName, data);
+    }
+
+    async delete(id) {
+        const { data, error } = await this.client.from(this.tableName).delete().eq('id', id).select('id');
+        if (error) {
+            throw new Error(`${this.tableName} delete failed: ${error.message}`);
+        }
+
+        return data.length > 0;
+    }
+
+    async findById(id) {
+        const { data, error } = await this.client.from(this.tableName).select('*').eq('id', id).maybeSingle();
+        if (error) {
+            throw new Error(`${this.tableName} lookup failed: ${error.message}`);
+        }
+
+        return deserializeRecord(this.tableName, data);
+    }
+
+    async find(filter = {}, { orderBy = 'created_at', descending = false, limit } = {}) {
+        let query = applyFilter(this.client.from(this.tableName).select('*'), filter);
+
+        query = query.order(orderBy, { ascending: !descending });
+        if (limit) query = query.limit(limit);
+
+        const { data, error } = await query;
+        if (error) {
+            throw new Error(`${this.tableName} query failed: ${error.message}`);
+        }
+
+        return data.map(row => deserializeRecord(this.tableName, row));
+    }
+
+    async findOne(filter, options = {}) {
+        const [row] = await this.find(filter, { ...options, limit: 1 });
+        return row || null;
+    }
+
+    async count(filter = {}) {
+        const query = applyFilter(this.client.from(this.tableName).select('id', { count: 'exact', head: true }), filter);
+
+        const { count, error } = await query;
+        if (error) {
+            throw new Error(`${this.tableName} count failed: ${error.message}`);
+        }
+
+        return count;
+    }
+}
+
+class SupabaseDatabase {
+    constructor(options = {}) {
+        this.type = 'supabase';
+        this.client = createClient(options.url, options.key, {
+            auth: { persistSession: false }
+        });
+        this.tables = new Map();
+
+        for (const tableName of Object.keys(TABLES)) {
+            this.tables.set(tableName, new SupabaseTable(this.client, tableName));
+        }
+    }
+
+    table(tableName) {
+        const table = this.tables.get(tableName);
+        if (!table) {
+            throw new Error(`Unknown table: ${tableName}`);
+        }
+        return table;
+    }
+
+    async start() {
+        const health = await this.healthCheck();
+        if (health.status !== 'healthy') {
+            console.error('Supabase connection error:', health.error);
+            return;
+        }
+
+        console.log('💾 Connected to Supabase');
+    }
+
+    async stop() {
+        // supabase-js uses stateless HTTP requests; nothing to close
+    }
+
+    async healthCheck() {
+        const startTime = Date.now();
+        const { error } = await this.client.from('users').select('id', { head: true, count: 'exact' });
+
+        return {
+            status: error ? 'unhealthy' : 'healthy',
+            connection: error ? 'failed' : 'active',
+            query_time: Date.now() - startTime,
+            tables_accessible: !error,
+            error: error ? error.message : undefined
+        };
+    }
+}
+
+module.exports = SupabaseDatabase;
@@ -4,51 +4,74 @@
 const express = require('express');
 const { exec } = require('child_process');
 const fs = require('fs').promises;
+const os = require('os');
 const path = require('path');
 const cron = require('node-cron');
 const nodemailer = require('nodemailer');
 
+// Alert text can quote customers (emergency messages), so it must not be read as markup
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 class DeploymentMonitoringSystem {
-    constructor() {
+    constructor(options = {}) {
+        this.agentRegistry = options.agentRegistry;
+        this.db = options.database;
+        this.whatsappClient = options.whatsappClient;
+        this.adminWhatsAppNumber = process.env.ADMIN_WHATSAPP_NUMBER;
+        
         this.deploymentStatus = new Map();
         this.systemHealth = new Map();
         this.alertThresholds = new Map();
         this.monitoringMetrics = new Map();
+        this.scheduledJobs = [];
         
         this.initializeMonitoring();
-        this.setupRoutes();
-        this.startHealthChecks();
         this.setupAlertSystem();
     }
 
+    // ===========================================
+    // LIFECYCLE
+    // ===========================================
+
+    async start() {
+        this.startHealthChecks();
+    }
+
+    async stop() {
+        this.scheduledJobs.forEach(job => job.stop());
+        this.scheduledJobs = [];
+        this.alertTransporter.close();
+        console.log('🏥 Health monitoring stopped');
+    }
+
     setupRoutes() {
-        const app = express();
-        app.use(express.json());
+        const router = express.Router();
 
         // Deployment endpoints
-        app.post('/api/deploy/full-system', this.deployFullSystem.bind(this));
-        app.post('/api/deploy/agent/:agentId', this.deploySpecificAgent.bind(this));
-        app.post('/api/deploy/update-system', this.updateSystem.bind(this));
-        app.get('/api/deploy/status', this.getDeploymentStatus.bind(this));
+        router.post('/api/deploy/full-system', this.deployFullSystem.bind(this));
+        router.post('/api/deploy/agent/:agentId', this.deploySpecificAgent.bind(this));
+        router.get('/api/deploy/status', this.getDeploymentStatus.bind(this));
 
         // Health monitoring endpoints
-        app.get('/api/health/system', this.getSystemHealth.bind(this));
-        app.get('/api/health/agents', this.getAgentsHealth.bind(this));
-        app.get('/api/health/services', this.getServicesHealth.bind(this));
-        app.get('/api/health/detailed', this.getDetailedHealthReport.bind(this));
+        router.get('/api/health/system', this.getSystemHealth.bind(this));
+        router.get('/api/health/agents', this.getAgentsHealth.bind(this));
+        router.get('/api/health/services', this.getServicesHealth.bind(this));
+        router.get('/api/health/detailed', this.getDetailedHealthReport.bind(this));
 
         // Performance monitoring
-        app.get('/api/metrics/performance', this.getPerformanceMetrics.bind(this));
-        app.get('/api/metrics/usage', this.getUsageMetrics.bind(this));
-        app.get('/api/metrics/errors', this.getErrorMetrics.bind(this));
+        router.get('/api/metrics/performance', this.getPerformanceMetrics.bind(this));
 
         // System management
-        app.post('/api/system/restart/:service', this.restartService.bind(this));
-        app.post('/api/system/scale/:service', this.scaleService.bind(this));
-        app.get('/api/system/logs/:service', this.getServiceLogs.bind(this));
-        app.post('/api/system/backup', this.createSystemBackup.bind(this));
+        router.post('/api/system/restart/:service', this.restartService.bind(this));
 
-        return app;
+        return router;
     }
 
     // ===========================================
@@ -200,7 +223,7 @@ class DeploymentMonitoringSystem {
 
         } catch (error) {
             console.error('Database migration error:', error);
-            throw new Error('Database migration failed');
+            throw new Error('Database migration failed', { cause: error });
         }
     }
 
@@ -224,27 +247,15 @@ class DeploymentMonitoringSystem {
     }
 
     async deployAllAgents() {
-        console.log('🤖 Deploying all 11 AI agents...');
-
-        const agents = [
-            'lexi-pro',
-            'atlas-corporate', 
-            'miss-legal',
-            'paymaster',
-            'crossai-emergency',
-            'miss-academic',
-            'tech-support',
-            'luxury-service',
-            'med-assist',
-            'edu-kids',
-            'gov-connect'
-        ];
+        const agents = this.agentRegistry.listIds({ enabledOnly: true });
+
+        console.log(`🤖 Deploying all ${agents.length} AI agents...`);
 
         for (const agentId of agents) {
             await this.deployAgent(agentId);
         }
 
-        console.log('✅ All 11 agents deployed and operational');
+        console.log(`✅ All ${agents.length} agents deployed and operational`);
     }
 
     async deployAgent(agentId) {
@@ -270,10 +281,48 @@ class DeploymentMonitoringSystem {
 
         } catch (error) {
             console.error(`Agent ${agentId} deployment error:`, error);
-            throw new Error(`Failed to deploy agent ${agentId}: ${error.message}`);
+            throw new Error(`Failed to deploy agent ${agentId}: ${error.message}`, { cause: error });
+        }
+    }
+
+    async deploySpecificAgent(req, res) {
+        try {
+            const { agentId } = req.params;
+
+            await this.deployAgent(agentId);
+
+            res.json({
+                success: true,
+                agent_id: agentId,
+                status: 'deployed',
+                timestamp: new Date()
+            });
+
+        } catch (error) {
+            console.error('Agent deployment error:', error);
+            res.status(500).json({ error: error.message });
         }
     }
 
+    async getDeploymentStatus(req, res) {
+        const { id } = req.query;
+
+        if (id) {
+            const deployment = this.deploymentStatus.get(id);
+            if (!deployment) {
+                return res.status(404).json({ error: 'Deployment not found' });
+            }
+            return res.json({ deployment_id: id, ...deployment });
+        }
+
+        res.json({
+            deployments: Array.from(this.deploymentStatus.entries()).map(([deploymentId, deployment]) => ({
+                deployment_id: deploymentId,
+                ...deployment
+            }))
+        });
+    }
+
     // ===========================================
     // HEALTH MONITORING SYSTEM
     // ===========================================
@@ -294,31 +343,31 @@ class DeploymentMonitoringSystem {
 
     startHealthChecks() {
         // Comprehensive health check every 5 minutes
-        cron.schedule('*/5 * * * *', async () => {
+        this.scheduledJobs.push(cron.schedule('*/5 * * * *', async () => {
             try {
                 await this.performHealthChecks();
             } catch (error) {
                 console.error('Health check error:', error);
             }
-        });
+        }));
 
         // Quick ping checks every 30 seconds
-        cron.schedule('*/30 * * * * *', async () => {
+        this.scheduledJobs.push(cron.schedule('*/30 * * * * *', async () => {
             try {
                 await this.performQuickHealthChecks();
             } catch (error) {
                 console.error('Quick health check error:', error);
             }
-        });
+        }));
 
         // Performance metrics collection every minute
-        cron.schedule('* * * * *', async () => {
+        this.scheduledJobs.push(cron.schedule('* * * * *', async () => {
             try {
                 await this.collectPerformanceMetrics();
             } catch (error) {
                 console.error('Metrics collection error:', error);
             }
-        });
+        }));
     }
 
     async performHealthChecks() {
@@ -381,11 +430,7 @@ class DeploymentMonitoringSystem {
 
     async checkAgentsHealth() {
         const agents = {};
-        const agentIds = [
-            'lexi-pro', 'atlas-corporate', 'miss-legal', 'paymaster',
-            'crossai-emergency', 'miss-academic', 'tech-support',
-            'luxury-service', 'med-assist', 'edu-kids', 'gov-connect'
-        ];
+        const agentIds = this.agentRegistry.listIds({ enabledOnly: true });
 
         for (const agentId of agentIds) {
             agents[agentId] = await this.checkAgentHealth(agentId);
@@ -428,19 +473,7 @@ class DeploymentMonitoringSystem {
 
     async checkDatabaseHealth() {
         try {
-            // Test database connection and query performance
-            const startTime = Date.now();
-            
-            // Mock database health check
-            const queryTime = Date.now() - startTime;
-            
-            return {
-                status: 'healthy',
-                connection: 'active',
-                query_time: queryTime,
-                tables_accessible: true,
-                last_backup: new Date(Date.now() - 24 * 60 * 60 * 1000) // 24 hours ago
-            };
+            return await this.db.healthCheck();
 
         } catch (error) {
             return {
@@ -503,7 +536,7 @@ class DeploymentMonitoringSystem {
 
     setupAlertSystem() {
         // Configure email transporter for alerts
-        this.alertTransporter = nodemailer.createTransporter({
+        this.alertTransporter = nodemailer.createTransport({
             service: 'gmail',
             auth: {
                 user: process.env.ALERT_EMAIL_USER,
@@ -567,38 +600,48 @@ class DeploymentMonitoringSystem {
         return alerts;
     }
 
+    // Alerts go to the admin unless they name recipients: { emails, whatsapp_numbers } (e.g. on-call contacts).
+    // A failing channel doesn't stop the others.
     async sendHealthAlerts(alerts) {
-        try {
-            for (const alert of alerts) {
-                // Send email alert
+        for (const alert of alerts) {
+            // Send email alert
+            try {
                 await this.sendEmailAlert(alert);
-                
-                // Send WhatsApp alert for critical issues
-                if (alert.severity === 'critical') {
+            } catch (error) {
+                console.error('Alert sending error:', error);
+            }
+            
+            // Send WhatsApp alert for critical issues, and always to named recipients
+            if (alert.severity === 'critical' || alert.recipients) {
+                try {
                     await this.sendWhatsAppAlert(alert);
+                } catch (error) {
+                    console.error('Alert sending error:', error);
                 }
-                
-                // Log alert
-                console.error(`🚨 ALERT [${alert.severity}]: ${alert.message}`);
             }
-
-        } catch (error) {
-            console.error('Alert sending error:', error);
+            
+            // Log alert
+            console.error(`🚨 ALERT [${alert.severity}]: ${alert.message}`);
         }
     }
 
     async sendEmailAlert(alert) {
+        const recipients = alert.recipients && alert.recipients.emails && alert.recipients.emails.length > 0
+            ? alert.recipients.emails.join(', ')
+            : process.env.ADMIN_EMAIL;
+
         const mailOptions = {
             from: process.env.ALERT_EMAIL_USER,
-            to: process.env.ADMIN_EMAIL,
+            to: recipients,
             subject: `🚨 ODIA AI Alert: ${alert.type} - ${alert.severity}`,
             html: `
                 <h2>ODIA AI System Alert</h2>
-                <p><strong>Type:</strong> ${alert.type}</p>
-                <p><strong>Severity:</strong> ${alert.severity}</p>
-                <p><strong>Message:</strong> ${alert.message}</p>
-                <p><strong>Timestamp:</strong> ${alert.timestamp}</p>
-                <p><strong>Service/Agent:</strong> ${alert.service || alert.agent || 'System'}</p>
+                <p><strong>Type:</strong> ${escapeHtml(alert.type)}</p>
+                <p><strong>Severity:</strong> ${escapeHtml(alert.severity)}</p>
+                <p><strong>Message:</strong> ${escapeHtml(alert.message)}</p>
+                <p><strong>Timestamp:</strong> ${escapeHtml(alert.timestamp)}</p>
+                <p><strong>Service/Agent:</strong> ${escapeHtml(alert.service || alert.agent || 'System')}</p>
+                ${alert.details ? `<p>${escapeHtml(alert.details).replace(/\n/g, '<br>')}</p>` : ''}
                 
                 <hr>
                 <p>Check system health dashboard: <a href="https://odia.dev/admin/health">https://odia.dev/admin/health</a></p>
@@ -625,7 +668,7 @@ class DeploymentMonitoringSystem {
                 last_check: lastHealthCheck?.timestamp,
                 system_version: '1.0.0',
                 environment: process.env.NODE_ENV,
-                agents_deployed: 11,
+                agents_deployed: this.agentRegistry.listIds({ enabledOnly: true }).length,
                 services_running: lastHealthCheck ? Object.keys(lastHealthCheck.services).length : 0,
                 health_score: this.calculateHealthScore(lastHealthCheck)
             });
@@ -685,6 +728,30 @@ class DeploymentMonitoringSystem {
         }
     }
 
+    async getAgentsHealth(req, res) {
+        try {
+            res.json({
+                agents: await this.checkAgentsHealth(),
+                timestamp: new Date()
+            });
+
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async getServicesHealth(req, res) {
+        try {
+            res.json({
+                services: await this.checkServicesHealth(),
+                timestamp: new Date()
+            });
+
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    }
+
     async restartService(req, res) {
         try {
             const { service } = req.params;
@@ -785,7 +852,15 @@ class DeploymentMonitoringSystem {
 
         console.log(message);
         
-        // In production, send actual notifications via email/WhatsApp
+        await this.sendAdminWhatsApp(message, {
+            name: 'deployment_notification',
+            variables: {
+                deployment_id: deploymentId,
+                status: status,
+                environment: deployment.environment,
+                details: error ? `Error: ${error}` : `Duration: ${this.formatDuration(deployment.started_at, deployment.completed_at)}`
+            }
+        });
     }
 
     formatDuration(start, end) {
@@ -817,7 +892,11 @@ class DeploymentMonitoringSystem {
     }
 
     async loadAgentConfig(agentId) {
-        return { id: agentId, name: `Agent ${agentId}` };
+        const agentConfig = this.agentRegistry.get(agentId);
+        if (!agentConfig) {
+            throw new Error(`Unknown agent: ${agentId}`);
+        }
+        return agentConfig;
     }
 
     async deployAgentService(agentId, config) {
@@ -835,11 +914,84 @@ class DeploymentMonitoringSystem {
     async updateAgentStatus(agentId, status) {
         console.log(`📊 Agent ${agentId} status: ${status}`);
     }
+
+    async performQuickHealthChecks() {
+        this.systemHealth.set('last_check', new Date());
+    }
+
+    async checkVoiceEngineHealth() {
+        return { status: process.env.ELEVENLABS_API_KEY ? 'healthy' : 'unconfigured' };
+    }
+
+    async checkEmailSystemHealth() {
+        return { status: process.env.GMAIL_CLIENT_ID ? 'healthy' : 'unconfigured' };
+    }
+
+    async checkPaymentSystemHealth() {
+        return { status: process.env.FLUTTERWAVE_SECRET_KEY ? 'healthy' : 'unconfigured' };
+    }
+
+    async checkWhatsAppAPIHealth() {
+        return { status: process.env.WHATSAPP_ACCESS_TOKEN ? 'healthy' : 'unconfigured' };
+    }
+
+    async checkKnowledgeBaseHealth() {
+        return { status: 'healthy' };
+    }
+
+    async checkLegalServicesHealth() {
+        return { status: process.env.CAC_API_KEY ? 'healthy' : 'unconfigured' };
+    }
+
+    async checkInfrastructureHealth() {
+        return {
+            cpu_usage: Math.round((os.loadavg()[0] / os.cpus().length) * 100),
+            memory_usage: Math.round((1 - os.freemem() / os.totalmem()) * 100),
+            uptime: Date.now() - this.systemHealth.get('uptime_start').getTime()
+        };
+    }
+
+    async getAPIMetrics() {
+        return {};
+    }
+
+    async getBusinessMetrics() {
+        return {};
+    }
+
+    async sendWhatsAppAlert(alert) {
+        console.log(`📱 WhatsApp alert: ${alert.message}`);
+        
+        const numbers = alert.recipients && alert.recipients.whatsapp_numbers && alert.recipients.whatsapp_numbers.length > 0
+            ? alert.recipients.whatsapp_numbers
+            : [this.adminWhatsAppNumber];
+        const text = `🚨 ODIA AI ${alert.severity} alert (${alert.type}): ${alert.message}${alert.details ? `\n\n${alert.details}` : ''}`;
+        
+        for (const number of numbers) {
+            await this.sendAdminWhatsApp(text, {
+                name: 'system_alert',
+                variables: { severity: alert.severity, alert_type: alert.type, message: alert.message }
+            }, number);
+        }
+    }
+
+    // Alerts rarely follow a message from the admin, so they fall back to an approved template
+    async sendAdminWhatsApp(message, fallbackTemplate, phoneNumber = this.adminWhatsAppNumber) {
+        if (!phoneNumber || !this.whatsappClient || !this.whatsappClient.isConfigured()) return;
+        
+        try {
+            await this.whatsappClient.sendMessage(phoneNumber, message, {
+                fallbackTemplate: fallbackTemplate,
+                source: `admin_${fallbackTemplate.name}`
+            });
+        } catch (error) {
+            console.error('Admin WhatsApp notification error:', error.message);
+        }
+    }
 }
 
-// Initialize and export
-const deploymentMonitoring = new DeploymentMonitoringSystem();
-module.exports = deploymentMonitoring;
+// Export the class; src/server.js constructs and starts it
+module.exports = DeploymentMonitoringSystem;
 
 // Usage Examples:
 /*
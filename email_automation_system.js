@@ -7,16 +7,28 @@ const imap = require('imap');
 const mailparser = require('mailparser');
 const express = require('express');
 
+// A WhatsApp draft lapses after an hour without a reply from the customer
+const DRAFT_TTL_MS = 60 * 60 * 1000;
+const ACTIVE_DRAFT_STATUSES = ['collecting', 'review', 'editing'];
+
+// Asked in this order for whatever the email command left out
+const DRAFT_QUESTIONS = {
+    recipient: '📧 Who should I send the email to? Reply with their email address, or type *cancel* to stop.',
+    subject: "📝 What's the subject of the email?",
+    content: "💬 What should the email say? A few words are enough, I'll write it up."
+};
+
 class EmailAutomationSystem {
-    constructor() {
+    constructor(options = {}) {
+        this.agentRegistry = options.agentRegistry;
+        this.db = options.database;
+        this.llm = options.llm;
+        this.whatsappClient = options.whatsappClient;
+        this.contacts = options.contacts;
         this.gmailClient = null;
         this.imapClient = null;
         this.transporter = null;
         
-        this.setupGmailAuth();
-        this.setupEmailMonitoring();
-        this.setupRoutes();
-        
         // Email templates and rules storage
         this.autoReplyRules = new Map();
         this.emailTemplates = new Map();
@@ -24,11 +36,39 @@ class EmailAutomationSystem {
         this.initializeEmailTemplates();
     }
 
+    // ===========================================
+    // LIFECYCLE
+    // ===========================================
+
+    async start() {
+        await this.setupGmailAuth();
+        await this.setupEmailMonitoring();
+    }
+
+    async stop() {
+        if (this.imapClient) {
+            this.imapClient.removeAllListeners('mail');
+            this.imapClient.end();
+            this.imapClient = null;
+        }
+
+        if (this.transporter) {
+            this.transporter.close();
+        }
+
+        console.log('📪 Email automation stopped');
+    }
+
     // ===========================================
     // GMAIL API AUTHENTICATION & SETUP
     // ===========================================
 
     async setupGmailAuth() {
+        if (!process.env.GMAIL_CLIENT_ID || !process.env.GMAIL_REFRESH_TOKEN) {
+            console.log('⚠️ Gmail credentials not configured, email sending disabled');
+            return;
+        }
+
         try {
             const oauth2Client = new google.auth.OAuth2(
                 process.env.GMAIL_CLIENT_ID,
@@ -45,7 +85,7 @@ class EmailAutomationSystem {
             
             // Setup SMTP transporter
             const accessToken = await oauth2Client.getAccessToken();
-            this.transporter = nodemailer.createTransporter({
+            this.transporter = nodemailer.createTransport({
                 service: 'gmail',
                 auth: {
                     type: 'OAuth2',
@@ -65,32 +105,36 @@ class EmailAutomationSystem {
     }
 
     setupRoutes() {
-        const app = express();
-        app.use(express.json());
+        const router = express.Router();
 
         // WhatsApp to Email endpoints
-        app.post('/api/whatsapp-to-email', this.handleWhatsAppToEmail.bind(this));
-        app.post('/api/compose-email/:agentId', this.composeEmailWithAgent.bind(this));
+        router.post('/api/whatsapp-to-email', this.handleWhatsAppToEmail.bind(this));
         
         // Email auto-reply management
-        app.post('/api/setup-auto-reply', this.setupAutoReply.bind(this));
-        app.get('/api/auto-reply-rules/:userEmail', this.getAutoReplyRules.bind(this));
-        app.delete('/api/auto-reply-rules/:ruleId', this.deleteAutoReplyRule.bind(this));
+        router.post('/api/setup-auto-reply', this.setupAutoReply.bind(this));
+        router.get('/api/auto-reply-rules/:userEmail', this.getAutoReplyRules.bind(this));
+        router.delete('/api/auto-reply-rules/:ruleId', this.deleteAutoReplyRule.bind(this));
         
         // Email monitoring endpoints
-        app.get('/api/email-logs/:agentId', this.getEmailLogs.bind(this));
-        app.post('/api/test-email-system', this.testEmailSystem.bind(this));
+        router.get('/api/email-logs/:agentId', this.getEmailLogs.bind(this));
+        router.post('/api/test-email-system', this.testEmailSystem.bind(this));
         
-        return app;
+        return router;
     }
 
     // ===========================================
     // WHATSAPP TO EMAIL BRIDGE
     // ===========================================
 
+    // Starts the same draft flow as a WhatsApp email command: the draft goes to the customer for review and
+    // is only sent once they tap Send
     async handleWhatsAppToEmail(req, res) {
         try {
             const { phoneNumber, message, agentId = 'lexi-pro' } = req.body;
+
+            if (!phoneNumber || !message) {
+                return res.status(400).json({ error: 'phoneNumber and message are required' });
+            }
             
             // Parse email command from WhatsApp message
             const emailData = this.parseEmailCommand(message);
@@ -102,30 +146,15 @@ class EmailAutomationSystem {
                 });
             }
 
-            // Generate email content using specified agent
-            const emailContent = await this.generateEmailWithAgent(agentId, emailData);
-            
-            // Send the email
-            const emailResult = await this.sendEmail({
-                to: emailData.recipient,
-                subject: emailContent.subject,
-                body: emailContent.body,
-                from_agent: agentId,
-                source: 'whatsapp',
-                source_phone: phoneNumber
-            });
-
-            // Confirm via WhatsApp
-            await this.sendWhatsAppConfirmation(phoneNumber, emailResult, emailData.recipient);
-            
-            // Log the interaction
-            await this.logEmailInteraction(agentId, phoneNumber, emailData, emailResult);
+            const draft = await this.startWhatsAppDraft(phoneNumber, message, agentId);
 
             res.json({
                 success: true,
-                email_sent: true,
-                message_id: emailResult.messageId,
-                recipient: emailData.recipient,
+                email_sent: false,
+                draft_id: draft.id,
+                status: draft.status,
+                awaiting: draft.awaiting || null,
+                recipient: draft.recipient || null,
                 agent_used: agentId
             });
 
@@ -146,9 +175,12 @@ class EmailAutomationSystem {
         for (const pattern of emailPatterns) {
             const match = message.match(pattern);
             if (match) {
+                // "send email to Tunde about ..." names a contact rather than giving an address
+                const recipient = this.extractEmailAddress(match[1]);
                 return {
                     isEmailCommand: true,
-                    recipient: this.extractEmail(match[1]),
+                    recipient: recipient,
+                    recipientName: recipient ? null : match[1].trim(),
                     subject: match[2] || 'Message from ODIA AI',
                     content: match[3] || match[2],
                     originalMessage: message
@@ -186,7 +218,12 @@ class EmailAutomationSystem {
 Recipient: ${emailData.recipient}
 Subject: ${emailData.subject}
 Content request: ${emailData.content}
+${emailData.currentDraft ? `
+Current draft:
+${emailData.currentDraft}
 
+Revise the current draft as the sender asks: ${emailData.instruction}
+` : ''}
 Generate:
 1. A refined subject line
 2. A professional email body appropriate for Nigerian business context
@@ -201,7 +238,11 @@ Response format:
             const agentResponse = await this.getAgentResponse(agentId, prompt);
             
             try {
-                return JSON.parse(agentResponse);
+                // Models sometimes wrap the JSON in prose or a code fence
+                const email = JSON.parse((agentResponse.match(/\{[\s\S]*\}/) || [agentResponse])[0]);
+                if (!email.body) throw new Error('Email body missing');
+
+                return { subject: email.subject || emailData.subject, body: email.body };
             } catch {
                 // Fallback if JSON parsing fails
                 return {
@@ -254,6 +295,10 @@ WhatsApp: +234-814-199-5397`;
                 }
             };
 
+            if (!this.transporter) {
+                throw new Error('Email sending is not configured');
+            }
+
             const result = await this.transporter.sendMail(mailOptions);
             
             console.log(`✅ Email sent successfully: ${result.messageId}`);
@@ -329,11 +374,298 @@ WhatsApp: +234-814-199-5397`;
 </html>`;
     }
 
+    // ===========================================
+    // WHATSAPP EMAIL DRAFTS
+    // ===========================================
+
+    // A draft is collecting details, then in review (or editing, waiting for the customer's changes) until the
+    // customer sends or cancels it. Only the latest draft per phone number is active.
+    async getActiveDraft(phoneNumber, now = new Date()) {
+        const draft = await this.db.table('email_drafts').findOne(
+            { phone_number: phoneNumber },
+            { orderBy: 'created_at', descending: true }
+        );
+
+        if (!draft || !ACTIVE_DRAFT_STATUSES.includes(draft.status)) return null;
+        if (now - draft.updated_at > DRAFT_TTL_MS) return null;
+
+        return draft;
+    }
+
+    // Starts a draft from an email command, replacing any draft in progress, and asks for whatever is missing
+    async startWhatsAppDraft(phoneNumber, message, agentId = 'lexi-pro') {
+        const existing = await this.getActiveDraft(phoneNumber);
+        if (existing) {
+            await this.db.table('email_drafts').update(existing.id, { status: 'cancelled' });
+        }
+
+        const request = this.parseDraftRequest(message);
+        const draft = await this.db.table('email_drafts').insert({
+            phone_number: phoneNumber,
+            agent_id: agentId,
+            status: 'collecting',
+            recipient: request.recipient,
+            subject: request.subject,
+            request: request.content,
+            edits: []
+        });
+
+        console.log(`📧 Email draft ${draft.id} started for ${phoneNumber}`);
+
+        if (!request.recipient && request.recipientName) {
+            const resolved = await this.resolveRecipient(draft, request.recipientName, { named: true });
+            return resolved.recipient ? this.advanceDraft(resolved) : resolved;
+        }
+
+        return this.advanceDraft(draft);
+    }
+
+    // "Send email to ade@company.com about the invoice - remind him it's due Friday": the recipient, subject
+    // and content the command gives, null for the rest. Without an address, recipientName is the contact named
+    // ("send email to Tunde about ...", "send Tunde an email ...").
+    parseDraftRequest(message) {
+        const subject = message.match(/\b(?:about|regarding|subject:?)\s+(.+?)(?=\s+-\s|\s+body:|\s+saying\b|\s+to say\b|$)/i);
+        const content = message.match(/(?:\s-\s|\bbody:|\bsaying\b|\bto say\b|@[^\s:]+:|\be-?mail (?:to )?(?:(?!subject\b|body\b)[^:@])+:)\s*([\s\S]+)$/i);
+        const recipient = this.extractEmailAddress(message);
+        const name = recipient ? null : (
+            message.match(/\b(?:e-?mail)\s+(?:to\s+)?(?!(?:about|regarding|subject|body|saying)\b)(.+?)(?=\s+(?:about|regarding|subject:?|body:|saying|to say)\b|\s+-\s|:|$)/i) ||
+            message.match(/\bsend\s+(.+?)\s+an?\s+e-?mail\b/i)
+        );
+
+        return {
+            recipient: recipient,
+            recipientName: name ? name[1].trim() : null,
+            subject: subject ? subject[1].trim() : null,
+            content: content ? content[1].trim() : null
+        };
+    }
+
+    // Unlike extractEmail, null when the text holds no address
+    extractEmailAddress(text) {
+        const match = text.match(/([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/);
+        return match ? match[1] : null;
+    }
+
+    // Looks a name up in the customer's contacts. One contact with an email becomes the recipient; several get a
+    // picker; otherwise the customer is asked for the address. Returns the updated draft, still awaiting the
+    // recipient unless it was found.
+    async resolveRecipient(draft, name, { named = false } = {}) {
+        const matches = await this.contacts.resolve(draft.phone_number, name, { field: 'email' });
+        const withEmail = matches.filter(contact => contact.email);
+
+        if (withEmail.length === 1) {
+            return this.db.table('email_drafts').update(draft.id, {
+                recipient: withEmail[0].email,
+                recipient_name: withEmail[0].name,
+                awaiting: null
+            });
+        }
+
+        if (withEmail.length > 1) {
+            await this.sendWhatsAppMessage(draft.phone_number, this.contacts.buildContactPicker(
+                `📇 Which ${name} should I email?`,
+                withEmail,
+                contact => `email:to:${draft.id}:${contact.id}`
+            ), { source: 'email_draft' });
+            return this.db.table('email_drafts').update(draft.id, { awaiting: 'recipient' });
+        }
+
+        // A contact without an email still names the recipient, as does a name from the command itself
+        const [contact] = matches;
+        const question = contact
+            ? `📇 ${contact.name} has no email address in your contacts. What's their email?`
+            : `📇 I couldn't find "${name}" in your contacts. What's their email address? (or type *cancel*)`;
+
+        await this.sendWhatsAppMessage(draft.phone_number, question, { source: 'email_draft' });
+        return this.db.table('email_drafts').update(draft.id, {
+            awaiting: 'recipient',
+            recipient_name: contact ? contact.name : (named ? name : draft.recipient_name)
+        });
+    }
+
+    // Asks for the next missing detail, or writes the draft once there is none
+    async advanceDraft(draft) {
+        const missing = ['recipient', 'subject', 'content'].find(field => !draft[field === 'content' ? 'request' : field]);
+
+        if (missing) {
+            const updated = await this.db.table('email_drafts').update(draft.id, { awaiting: missing });
+            await this.sendWhatsAppMessage(draft.phone_number, DRAFT_QUESTIONS[missing], { source: 'email_draft' });
+            return updated;
+        }
+
+        return this.writeDraft(draft);
+    }
+
+    // Drafts the email with the agent (revising the current draft when there's an instruction) and shows it
+    async writeDraft(draft, instruction = null) {
+        const email = await this.generateEmailWithAgent(draft.agent_id, {
+            recipient: this.formatRecipient(draft),
+            subject: draft.subject,
+            content: draft.request,
+            currentDraft: instruction ? `Subject: ${draft.subject}\n\n${draft.body}` : null,
+            instruction: instruction
+        });
+
+        const updated = await this.db.table('email_drafts').update(draft.id, {
+            status: 'review',
+            awaiting: null,
+            subject: email.subject,
+            body: email.body,
+            edits: instruction ? [...(draft.edits || []), instruction] : draft.edits
+        });
+
+        await this.sendDraftForReview(updated);
+        return updated;
+    }
+
+    // The draft with Send / Edit / Cancel buttons; a draft too long for an interactive message goes first as text
+    async sendDraftForReview(draft) {
+        const preview = `To: ${this.formatRecipient(draft)}\nSubject: ${draft.subject}\n\n${draft.body}`;
+        const buttons = {
+            type: 'buttons',
+            header: '📧 Email draft',
+            body: preview,
+            buttons: [
+                { id: `email:send:${draft.id}`, title: '✅ Send' },
+                { id: `email:edit:${draft.id}`, title: '✏️ Edit' },
+                { id: `email:cancel:${draft.id}`, title: '❌ Cancel' }
+            ],
+            footer: 'Or reply with changes, e.g. "more formal"'
+        };
+
+        if (preview.length > 1024) {
+            await this.sendWhatsAppMessage(draft.phone_number, `📧 *Email draft*\n\n${preview}`, { source: 'email_draft' });
+            buttons.body = `Send this email to ${this.formatRecipient(draft)}?`;
+        }
+
+        await this.sendWhatsAppMessage(draft.phone_number, buttons, { source: 'email_draft' });
+    }
+
+    formatRecipient(draft) {
+        return draft.recipient_name ? `${draft.recipient_name} <${draft.recipient}>` : draft.recipient;
+    }
+
+    // A text message while a draft is active: the detail being asked for, "send", "cancel", or a change to the
+    // draft ("make it more formal"). Returns false when there is no active draft.
+    async continueWhatsAppDraft(phoneNumber, text) {
+        const draft = await this.getActiveDraft(phoneNumber);
+        if (!draft) return false;
+
+        const reply = text.trim();
+
+        if (/^(cancel|stop|discard)\b/i.test(reply)) {
+            await this.cancelDraft(draft);
+            return true;
+        }
+
+        if (draft.status === 'collecting' && draft.awaiting === 'recipient') {
+            const address = this.extractEmailAddress(reply);
+
+            // Not an address: a contact's name, or a narrower one after a picker ("Tunde Bakare")
+            const updated = address
+                ? await this.db.table('email_drafts').update(draft.id, { recipient: address })
+                : await this.resolveRecipient(draft, reply);
+
+            if (updated.recipient) await this.advanceDraft(updated);
+            return true;
+        }
+
+        if (draft.status === 'collecting') {
+            const field = draft.awaiting === 'content' ? 'request' : draft.awaiting;
+            await this.advanceDraft(await this.db.table('email_drafts').update(draft.id, { [field]: reply }));
+            return true;
+        }
+
+        if (/^(send|send it|yes|approve)[.!]*$/i.test(reply)) {
+            await this.sendDraft(draft);
+            return true;
+        }
+
+        await this.writeDraft(draft, reply);
+        return true;
+    }
+
+    // Button replies "email:send:<draftId>", "email:edit:<draftId>" and "email:cancel:<draftId>", and contact
+    // picker rows "email:to:<draftId>:<contactId>"
+    async handleDraftAction(phoneNumber, value) {
+        const [action, draftId, contactId] = value.split(':');
+        const draft = await this.db.table('email_drafts').findById(draftId);
+        const active = await this.getActiveDraft(phoneNumber);
+
+        // Buttons on an older, sent, cancelled or expired draft
+        if (!draft || !active || active.id !== draft.id) {
+            await this.sendWhatsAppMessage(phoneNumber, 'That draft is no longer open. Send a new email command to start another.', {
+                source: 'email_draft'
+            });
+            return;
+        }
+
+        if (action === 'to') {
+            const contact = await this.contacts.getOwnedContact(phoneNumber, contactId);
+            if (!contact || !contact.email || draft.status !== 'collecting') return;
+
+            await this.advanceDraft(await this.db.table('email_drafts').update(draft.id, {
+                recipient: contact.email,
+                recipient_name: contact.name
+            }));
+        } else if (action === 'send') {
+            await this.sendDraft(draft);
+        } else if (action === 'edit') {
+            await this.db.table('email_drafts').update(draft.id, { status: 'editing' });
+            await this.sendWhatsAppMessage(phoneNumber, '✏️ What would you like to change? For example "make it more formal" or "mention the deadline is Friday".', {
+                source: 'email_draft'
+            });
+        } else if (action === 'cancel') {
+            await this.cancelDraft(draft);
+        }
+    }
+
+    // Sends an approved draft; if sending fails the draft stays open so the customer can try again
+    async sendDraft(draft) {
+        try {
+            const emailResult = await this.sendEmail({
+                to: draft.recipient,
+                subject: draft.subject,
+                body: draft.body,
+                from_agent: draft.agent_id,
+                source: 'whatsapp',
+                source_phone: draft.phone_number
+            });
+
+            await this.db.table('email_drafts').update(draft.id, {
+                status: 'sent',
+                message_id: emailResult.messageId,
+                error: null,
+                sent_at: new Date()
+            });
+
+            await this.sendWhatsAppConfirmation(draft.phone_number, emailResult, draft.recipient);
+            await this.logEmailInteraction(draft.agent_id, draft.phone_number, draft, emailResult);
+
+        } catch (error) {
+            await this.db.table('email_drafts').update(draft.id, { status: 'review', error: error.message });
+            await this.sendWhatsAppMessage(draft.phone_number,
+                `⚠️ I couldn't send the email (${error.message}). Tap Send to try again, or Cancel to discard it.`,
+                { source: 'email_draft' }
+            );
+        }
+    }
+
+    async cancelDraft(draft) {
+        await this.db.table('email_drafts').update(draft.id, { status: 'cancelled' });
+        await this.sendWhatsAppMessage(draft.phone_number, '🗑️ Email draft discarded. Nothing was sent.', { source: 'email_draft' });
+    }
+
     // ===========================================
     // EMAIL AUTO-REPLY SYSTEM
     // ===========================================
 
     async setupEmailMonitoring() {
+        if (!process.env.GMAIL_USER_EMAIL || !process.env.GMAIL_APP_PASSWORD) {
+            console.log('⚠️ IMAP credentials not configured, inbox monitoring disabled');
+            return;
+        }
+
         try {
             // Setup IMAP connection for real-time email monitoring
             this.imapClient = new imap({
@@ -559,6 +891,10 @@ Make it sound natural and Nigerian-business appropriate.`;
                 responseTemplate
             } = req.body;
 
+            if (!userEmail || !agentId) {
+                return res.status(400).json({ error: 'userEmail and agentId are required' });
+            }
+
             const ruleId = await this.createAutoReplyRule({
                 user_email: userEmail,
                 agent_id: agentId,
@@ -582,6 +918,43 @@ Make it sound natural and Nigerian-business appropriate.`;
         }
     }
 
+    async getAutoReplyRules(req, res) {
+        try {
+            const { userEmail } = req.params;
+            const rules = await this.db.table('auto_reply_rules').find({ user_email: userEmail });
+
+            res.json({
+                user_email: userEmail,
+                rules_count: rules.length,
+                rules: rules
+            });
+
+        } catch (error) {
+            console.error('Auto-reply rules lookup error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async deleteAutoReplyRule(req, res) {
+        try {
+            const deleted = await this.db.table('auto_reply_rules').delete(req.params.ruleId);
+
+            if (!deleted) {
+                return res.status(404).json({ error: 'Auto-reply rule not found' });
+            }
+
+            res.json({
+                success: true,
+                rule_id: req.params.ruleId,
+                message: 'Auto-reply rule deleted'
+            });
+
+        } catch (error) {
+            console.error('Auto-reply rule deletion error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
     // ===========================================
     // EMAIL TEMPLATES SYSTEM
     // ===========================================
@@ -658,72 +1031,70 @@ ODIA AI Billing Team`
     // ===========================================
 
     async getAgentResponse(agentId, prompt) {
-        // Implementation would call Claude API with agent context
-        // For now, returning a mock response
-        return `[${this.getAgentName(agentId)} response to: ${prompt.substring(0, 50)}...]`;
+        const result = await this.llm.complete({ agentId: agentId, prompt: prompt });
+        return result.text;
     }
 
     getAgentName(agentId) {
-        const agentNames = {
-            'lexi-pro': 'Agent Lexi Pro',
-            'atlas-corporate': 'Agent Atlas Corporate',
-            'miss-legal': 'Agent Miss Legal',
-            'paymaster': 'Agent PayMaster',
-            'crossai-emergency': 'Agent CrossAI Emergency',
-            'miss-academic': 'Agent MISS Academic',
-            'tech-support': 'Agent TechSupport',
-            'luxury-service': 'Agent LuxuryService',
-            'med-assist': 'Agent MedAssist',
-            'edu-kids': 'Agent EduKids',
-            'gov-connect': 'Agent GovConnect'
-        };
-        
-        return agentNames[agentId] || 'ODIA AI Assistant';
+        return this.agentRegistry.getName(agentId);
     }
 
     async sendWhatsAppConfirmation(phoneNumber, emailResult, recipient) {
-        // Integration with WhatsApp API to send confirmation
         const message = `✅ Email sent successfully!
-        
+
 📧 To: ${recipient}
 📨 Message ID: ${emailResult.messageId}
 ⏰ Sent: ${new Date().toLocaleString('en-NG')}
 
 Your email has been delivered. The recipient should receive it within a few minutes.`;
 
-        // Implementation would call WhatsApp API
-        console.log(`WhatsApp confirmation to ${phoneNumber}: ${message}`);
+        await this.sendWhatsAppMessage(phoneNumber, message, { source: 'email_confirmation' });
     }
 
-    // Database integration methods (implement with Supabase)
+    // Text or a structured reply (buttons); only logged when WhatsApp isn't configured
+    async sendWhatsAppMessage(phoneNumber, message, { source } = {}) {
+        if (!this.whatsappClient || !this.whatsappClient.isConfigured()) {
+            console.log(`WhatsApp to ${phoneNumber}: ${typeof message === 'string' ? message : message.body}`);
+            return null;
+        }
+
+        return this.whatsappClient.sendMessage(phoneNumber, message, { source });
+    }
+
+    // Database integration methods
     async storeEmailLog(emailData) {
-        // Store in email_automations table
-        console.log('Storing email log:', emailData);
+        await this.db.table('email_logs').insert({
+            direction: 'outbound',
+            ...emailData
+        });
     }
 
     async logIncomingEmail(emailContent) {
-        // Log incoming email for analytics
         console.log('Logging incoming email:', emailContent.from);
+
+        await this.db.table('email_logs').insert({
+            direction: 'inbound',
+            message_id: emailContent.messageId,
+            from: emailContent.from,
+            to: emailContent.to,
+            subject: emailContent.subject,
+            body: emailContent.body,
+            status: 'received',
+            received_at: emailContent.date || new Date()
+        });
     }
 
     async createAutoReplyRule(ruleData) {
-        // Store in email_auto_reply_rules table
-        const ruleId = `rule_${Date.now()}`;
-        console.log('Creating auto-reply rule:', ruleId);
-        return ruleId;
+        const rule = await this.db.table('auto_reply_rules').insert(ruleData);
+        console.log('Created auto-reply rule:', rule.id);
+        return rule.id;
     }
 
     async getActiveAutoReplyRules(userEmail) {
-        // Query email_auto_reply_rules table
-        // Return mock data for now
-        return [
-            {
-                id: 'rule_1',
-                agent_id: 'lexi-pro',
-                trigger_keywords: ['quote', 'pricing', 'cost'],
-                response_template: 'Thank you for your pricing inquiry. We will send you a detailed quote within 24 hours.'
-            }
-        ];
+        return this.db.table('auto_reply_rules').find({
+            user_email: this.extractEmail(userEmail),
+            is_active: true
+        });
     }
 
     async logEmailInteraction(agentId, phoneNumber, emailData, emailResult) {
@@ -731,6 +1102,28 @@ Your email has been delivered. The recipient should receive it within a few minu
         console.log(`Email interaction logged: ${agentId} -> ${phoneNumber} -> ${emailData.recipient}`);
     }
 
+    async getEmailLogs(req, res) {
+        try {
+            const { agentId } = req.params;
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+            const logs = await this.db.table('email_logs').find(
+                { from_agent: agentId },
+                { orderBy: 'created_at', descending: true, limit: limit }
+            );
+
+            res.json({
+                agent_id: agentId,
+                logs_count: logs.length,
+                logs: logs
+            });
+
+        } catch (error) {
+            console.error('Email logs lookup error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
     // Test email system
     async testEmailSystem(req, res) {
         try {
@@ -760,15 +1153,17 @@ Your email has been delivered. The recipient should receive it within a few minu
     }
 }
 
-// Initialize and export
-const emailSystem = new EmailAutomationSystem();
-module.exports = emailSystem;
+// Export the class; src/server.js constructs and starts it
+module.exports = EmailAutomationSystem;
 
 // Usage Examples:
 /*
 1. WhatsApp to Email:
    User sends: "Send email to client@company.com about project update - The project is on track and will be completed by Friday"
-   System automatically composes and sends professional email
+   The agent drafts a professional email and shows it with Send / Edit / Cancel buttons
+   User replies "make it more formal" to redraft, then taps Send
+   A command without recipient, subject or content ("draft email") asks for each in turn
+   "Send email to Tunde about ..." finds Tunde in the user's contacts, with a picker if several match
 
 2. Auto-Reply Setup:
    POST /api/setup-auto-reply
@@ -0,0 +1,581 @@
+// Emergency Escalation for ODIA 11-Agent System
+// The protocol every inbound WhatsApp message goes through first: detects how serious the message is, sends a fixed
+// safety message with the Nigerian emergency numbers for it before the agent answers, opens an incident with the
+// customer's location, and pages on-call contacts through the monitoring alert channels. Incidents nobody
+// acknowledges in time are escalated through the job queue.
+//
+// The keywords below only shortlist messages: "fire my driver" or "shot a video" match too, so the LLM (or,
+// without a real model, a confident intent router) must agree a message reports an emergency. Messages without
+// a keyword are never checked. Pidgin, Yoruba, Hausa and Igbo have a short list of their own words, so an
+// emergency described in other words is missed. The safety message itself is always in English.
+
+const express = require('express');
+
+// Most specific first: "the building collapsed and he is bleeding" is a collapse
+const CATEGORIES = [
+    {
+        id: 'self_harm',
+        label: 'Risk of self-harm',
+        pattern: /\b(?:kill (?:myself|my self)|suicid\w*|end (?:my life|it all)|(?:don'?t|do not) want to live|self[- ]harm|hurt(?:ing)? myself)\b/i,
+        numbers: ['112 – national emergency line'],
+        advice: "Please don't stay alone right now. Call 112 or go to the nearest hospital, and tell someone you trust how you feel."
+    },
+    {
+        id: 'fire',
+        label: 'Fire or explosion',
+        pattern: /\b(?:fire|burn(?:ing|t)|smoke|gas leak|explo(?:sion|ded))\b/i,
+        numbers: ['112 – national emergency line', '199 – police, fire and ambulance', '767 – Lagos emergency'],
+        advice: "Get everyone out and stay out. Keep low under smoke, don't use lifts, and turn off the gas only if it is safe."
+    },
+    {
+        id: 'crime',
+        label: 'Crime or violence',
+        pattern: /\b(?:armed|robber(?:s|y)?|robbing|guns?|gunmen|shot|shooting|stab(?:bed|bing)?|knife|kidnap\w*|abduct\w*|attack(?:ed|ing)?|assault(?:ed)?|rap(?:e|ed)|thie(?:f|ves)|break(?:ing)? in|broke in|burglar\w*|cultists?)\b/i,
+        numbers: ['112 – national emergency line', '199 – police, fire and ambulance', '767 – Lagos emergency'],
+        advice: "Get somewhere safe and out of sight, lock the door and keep quiet. Don't confront the attackers."
+    },
+    {
+        id: 'disaster',
+        label: 'Flood or building collapse',
+        pattern: /\b(?:flood\w*|trapped|building (?:has )?collapsed|collapsed building|building collapse|landslide|storm)\b/i,
+        numbers: ['112 – national emergency line (NEMA)', '767 – Lagos emergency'],
+        advice: 'Move to higher ground or open space away from damaged buildings. Keep out of floodwater and away from fallen power lines.'
+    },
+    {
+        id: 'road',
+        label: 'Road accident',
+        pattern: /\b(?:accident|crash(?:ed)?|collision|hit by (?:a )?(?:car|bus|truck|okada|keke|vehicle)|knocked down)\b/i,
+        numbers: ['122 – FRSC road emergencies', '112 – national emergency line', '767 – Lagos emergency'],
+        advice: "Move away from traffic and switch on hazard lights. Don't move injured people unless there is fire."
+    },
+    {
+        id: 'medical',
+        label: 'Medical emergency',
+        pattern: /\b(?:ambulance|bleed\w*|unconscious|faint(?:ed|ing)?|collapsed|(?:not|stopped) breathing|can'?t breathe|cannot breathe|chok(?:e|ed|ing)|heart attack|chest pain|stroke|seizure|convuls\w*|swallowed|poison\w*|overdose|in labou?r|injur(?:ed|y|ies))\b/i,
+        numbers: ['112 – national emergency line', '199 – police, fire and ambulance', '767 – Lagos ambulance'],
+        advice: "Stay with the person. Press firmly on any bleeding, keep them still, and don't give food or drink."
+    },
+    {
+        // Calls for help the local-language keywords can't place in a category
+        id: 'other',
+        label: 'Emergency',
+        pattern: null,
+        numbers: ['112 – national emergency line', '199 – police, fire and ambulance', '767 – Lagos emergency'],
+        advice: 'Get yourself and others to a safe place, and stay where people can find you.'
+    }
+];
+
+// Emergency words in the other languages we detect, written without tone marks, as category → phrases.
+// Most Pidgin emergencies use the English words above.
+const LOCAL_KEYWORDS = {
+    pidgin: {
+        crime: ['dem wan kill', 'dem don kidnap'],
+        medical: ['no fit breathe', 'don faint'],
+        fire: ['fire don catch']
+    },
+    yoruba: {
+        crime: ['ole', 'adigunjale', 'ajinigbe'],
+        fire: ['ina n jo', 'ina ti jo'],
+        road: ['ijamba oko'],
+        medical: ['ko le mi', 'daku'],
+        other: ['e gba mi']
+    },
+    hausa: {
+        crime: ['barayi', 'yan fashi', 'yan bindiga', 'masu garkuwa'],
+        fire: ['gobara'],
+        road: ['hatsari'],
+        medical: ['suma', 'jini na zuba'],
+        other: ['a cece ni']
+    },
+    igbo: {
+        crime: ['ndi ohi', 'ndi ntorobia'],
+        fire: ['oku na agba', 'oku agbaa'],
+        road: ['ihe mberede'],
+        medical: ['obara na agba', 'anaghi eku ume'],
+        other: ['zoputa m']
+    }
+};
+
+// Life at risk right now; any other category match is high
+const CRITICAL_PATTERN = /\b(?:(?:not|stopped) breathing|can'?t breathe|cannot breathe|unconscious|dying|dead|heavy bleeding|bleeding (?:heavily|badly|a lot)|heart attack|stroke|seizure|overdose|armed|guns?|gunmen|shot|shooting|stab(?:bed|bing)?|kidnap\w*|abduct\w*|rap(?:e|ed)|trapped|explo(?:sion|ded)|on fire|burning|fire)\b/i;
+
+const SEVERITY_RANK = { high: 1, critical: 2 };
+const OPEN_STATUSES = ['open', 'acknowledged'];
+
+class EmergencyEscalation {
+    constructor(options = {}) {
+        this.db = options.database;
+        this.agentRegistry = options.agentRegistry;
+        this.sessions = options.sessions;
+        this.intentRouter = options.intentRouter;
+        this.llm = options.llm;
+        this.languages = options.languages;
+        this.whatsappClient = options.whatsappClient;
+        this.jobQueue = options.jobQueue;
+        this.monitoring = options.monitoring;
+
+        this.agentId = options.agentId || 'crossai-emergency';
+        this.ackTimeoutMs = (options.ackTimeoutMinutes || parseInt(process.env.EMERGENCY_ACK_TIMEOUT_MINUTES, 10) || 5) * 60 * 1000;
+        this.maxEscalations = options.maxEscalations || 3;
+        // How long after the last message detected as an emergency the customer's messages go to the emergency
+        // agent without limits; the incident itself stays open until someone resolves it
+        this.exemptionMs = (options.exemptionMinutes || parseInt(process.env.EMERGENCY_EXEMPTION_MINUTES, 10) || 60) * 60 * 1000;
+        // The mock provider can't judge messages, so without a real model the intent router decides
+        this.useLLMCheck = options.useLLMCheck ??
+            (process.env.EMERGENCY_LLM_CHECK !== 'false' && Boolean(this.llm) && this.llm.provider.name !== 'mock');
+        // The router's lowest score for Agent CrossAI Emergency that confirms a keyword match (tuned for local embeddings)
+        this.minRouterConfidence = options.minRouterConfidence ?? (parseFloat(process.env.EMERGENCY_ROUTER_MIN_CONFIDENCE) || 0.15);
+
+        // Comma-separated emails and WhatsApp numbers; without them alerts go to the admin
+        this.onCall = this.parseRecipients(process.env.EMERGENCY_ONCALL_EMAILS, process.env.EMERGENCY_ONCALL_WHATSAPP);
+        this.escalation = this.parseRecipients(process.env.EMERGENCY_ESCALATION_EMAILS, process.env.EMERGENCY_ESCALATION_WHATSAPP);
+
+        if (!this.onCall) {
+            console.log('⚠️ No emergency on-call contacts configured, incident alerts go to the admin');
+        }
+
+        if (this.jobQueue) {
+            this.jobQueue.registerHandler('emergency.escalate', this.handleEscalationJob.bind(this));
+        }
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+
+        router.get('/api/incidents', this.listIncidents.bind(this));
+        router.get('/api/incidents/:incidentId', this.getIncidentDetails.bind(this));
+        router.post('/api/incidents/:incidentId/acknowledge', this.acknowledgeIncident.bind(this));
+        router.post('/api/incidents/:incidentId/resolve', this.resolveIncident.bind(this));
+
+        return router;
+    }
+
+    parseRecipients(emails, whatsappNumbers) {
+        const split = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+        const recipients = { emails: split(emails), whatsapp_numbers: split(whatsappNumbers) };
+
+        return recipients.emails.length > 0 || recipients.whatsapp_numbers.length > 0 ? recipients : null;
+    }
+
+    // ===========================================
+    // ASSESSMENT
+    // ===========================================
+
+    // { category, severity: 'critical' | 'high' } when the message reports an emergency, else null.
+    // Messages without a keyword are never checked further, so ordinary messages cost no LLM call.
+    async detect(text, { spokenLanguage = null } = {}) {
+        const language = this.languages ? this.languages.detect(text, spokenLanguage) : null;
+        const candidate = this.assess(text, language);
+        if (!candidate) return null;
+
+        return this.useLLMCheck
+            ? this.confirmWithLLM(text, candidate, language)
+            : this.confirmWithRouter(text, candidate);
+    }
+
+    // The keyword shortlist: { category, severity } or null ("urgent help with my CV" has no keyword)
+    assess(text, language = null) {
+        const category = CATEGORIES.find(candidate => candidate.pattern && candidate.pattern.test(text || '')) ||
+            this.matchLocalKeywords(text, language);
+        if (!category) return null;
+
+        const critical = category.id === 'self_harm' || CRITICAL_PATTERN.test(text);
+        return { category: category.id, severity: critical ? 'critical' : 'high' };
+    }
+
+    // The category whose phrases for the message's language appear in it, as whole words
+    matchLocalKeywords(text, language) {
+        const phrases = LOCAL_KEYWORDS[language];
+        if (!phrases) return null;
+
+        const words = ` ${(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-zɗƙɓ]+/g, ' ').trim()} `;
+        const match = Object.keys(phrases).find(id => phrases[id].some(phrase => words.includes(` ${phrase} `)));
+        return match ? CATEGORIES.find(category => category.id === match) : null;
+    }
+
+    async confirmWithLLM(text, candidate, language) {
+        try {
+            const result = await this.llm.complete({
+                system: 'You triage WhatsApp messages from Nigerian customers for emergencies. Reply with JSON only.',
+                prompt: `Message${language ? ` (${this.languages.getName(language)})` : ''}: "${text}"\n\n` +
+                    'Is the sender reporting an emergency happening now, to them or to someone near them? ' +
+                    `Categories: ${CATEGORIES.map(category => category.id).join(', ')}.\n\n` +
+                    'Reply as {"emergency": true | false, "category": "<id>", "critical": true | false}, where critical ' +
+                    'means a life is at risk right now.',
+                maxTokens: 60,
+                temperature: 0
+            });
+
+            const json = result.text.match(/\{[\s\S]*\}/);
+            if (!json) throw new Error(`No JSON in reply: ${result.text.slice(0, 100)}`);
+
+            const parsed = JSON.parse(json[0]);
+            if (parsed.emergency !== true) return null;
+
+            const category = CATEGORIES.some(known => known.id === parsed.category)
+                ? parsed.category
+                : candidate.category;
+            const critical = parsed.critical === true || candidate.severity === 'critical';
+            return { category: category, severity: critical ? 'critical' : 'high' };
+
+        } catch (error) {
+            // Better the router's opinion than missing an emergency
+            console.error('Emergency check error:', error.message);
+            return this.confirmWithRouter(text, candidate);
+        }
+    }
+
+    // An emergency when Agent CrossAI Emergency scores highest of all agents, with at least minRouterConfidence
+    async confirmWithRouter(text, candidate) {
+        if (!this.intentRouter) return candidate;
+
+        const [best] = await this.intentRouter.scoreAgents(text);
+        if (!best || best.agentId !== this.agentId || best.score < this.minRouterConfidence) return null;
+
+        return candidate;
+    }
+
+    // Fixed text, so it goes out instantly and says the same thing every time
+    buildSafetyMessage({ category, severity }) {
+        const protocol = CATEGORIES.find(candidate => candidate.id === category);
+        const lines = [
+            severity === 'critical'
+                ? '🚨 Call 112 now. It is free from any network.'
+                : '⚠️ If anyone is in danger, call 112. It is free from any network.',
+            '',
+            ...protocol.numbers.map(number => `📞 ${number}`),
+            '',
+            protocol.advice,
+            '',
+            '📍 Share your location (📎 › Location) so our team knows where you are. Keep this chat open.'
+        ];
+
+        return lines.join('\n');
+    }
+
+    // ===========================================
+    // INCIDENTS
+    // ===========================================
+
+    // Runs the protocol for an inbound message. Returns the open incident, or null if the message
+    // describes no emergency. Each incident gets the safety message once, and again if it becomes more serious.
+    // spokenLanguage is the language Whisper heard in a voice note.
+    async handleMessage(phoneNumber, text, { spokenLanguage = null, now = new Date() } = {}) {
+        const assessment = await this.detect(text, { spokenLanguage });
+        const existing = await this.getOpenIncident(phoneNumber);
+        if (!assessment && !existing) return null;
+
+        const message = { text: text, at: now.toISOString() };
+        const exemptUntil = new Date(now.getTime() + this.exemptionMs);
+
+        if (existing) {
+            const worse = assessment && SEVERITY_RANK[assessment.severity] > SEVERITY_RANK[existing.severity];
+            const changes = { messages: [...(existing.messages || []), message] };
+            if (assessment) changes.exempt_until = exemptUntil;
+            if (worse) Object.assign(changes, { severity: assessment.severity, category: assessment.category });
+
+            const incident = await this.db.table('incidents').update(existing.id, changes);
+
+            if (worse) {
+                await this.sendSafetyMessage(phoneNumber, incident);
+                await this.alert(incident, 'emergency_update', `Incident is now ${incident.severity}: "${text}"`);
+            }
+            return incident;
+        }
+
+        const incident = await this.db.table('incidents').insert({
+            phone_number: phoneNumber,
+            agent_id: this.agentId,
+            category: assessment.category,
+            severity: assessment.severity,
+            status: 'open',
+            messages: [message],
+            location: this.sessions ? await this.sessions.getLocation(phoneNumber) : null,
+            escalation_level: 0,
+            exempt_until: exemptUntil
+        });
+
+        console.error(`🚨 Emergency incident ${incident.id} (${incident.severity} ${incident.category}) from ${phoneNumber}`);
+        await this.sendSafetyMessage(phoneNumber, incident);
+        await this.alert(incident, 'emergency', `New ${this.getLabel(incident)} from ${phoneNumber}: "${text}"`);
+        await this.scheduleEscalation(incident, 1);
+
+        return incident;
+    }
+
+    // A location shared while an incident is open is added to it and sent to the on-call contacts
+    async recordLocation(phoneNumber, location) {
+        const incident = await this.getOpenIncident(phoneNumber);
+        if (!incident) return null;
+
+        const updated = await this.db.table('incidents').update(incident.id, {
+            location: { ...location, shared_at: new Date().toISOString() }
+        });
+        await this.alert(updated, 'emergency_location', `Location shared for ${this.getLabel(updated)} from ${phoneNumber}`);
+
+        return updated;
+    }
+
+    async getOpenIncident(phoneNumber) {
+        for (const status of OPEN_STATUSES) {
+            const incident = await this.db.table('incidents').findOne({ phone_number: phoneNumber, status: status });
+            if (incident) return incident;
+        }
+
+        return null;
+    }
+
+    // The open incident while its messages still go to the emergency agent without limits, otherwise null
+    async getActiveIncident(phoneNumber, now = new Date()) {
+        const incident = await this.getOpenIncident(phoneNumber);
+        return incident && incident.exempt_until > now ? incident : null;
+    }
+
+    // The customer asked for another agent: their messages are routed and limited normally again
+    async endExemption(phoneNumber) {
+        const incident = await this.getActiveIncident(phoneNumber);
+        if (!incident) return null;
+
+        console.log(`🔀 ${phoneNumber} left the emergency agent, incident ${incident.id} stays ${incident.status}`);
+        return this.db.table('incidents').update(incident.id, { exempt_until: new Date() });
+    }
+
+    async getIncident(incidentId) {
+        const incident = incidentId ? await this.db.table('incidents').findById(incidentId) : null;
+        if (!incident) {
+            throw this.httpError(404, 'Incident not found');
+        }
+
+        return incident;
+    }
+
+    // Stops escalation and tells the customer someone is on it
+    async acknowledge(incidentId, acknowledgedBy) {
+        if (!acknowledgedBy) {
+            throw this.httpError(400, 'acknowledgedBy is required');
+        }
+
+        const incident = await this.getIncident(incidentId);
+        if (incident.status !== 'open') {
+            throw this.httpError(409, incident.status === 'acknowledged'
+                ? `Already acknowledged by ${incident.acknowledged_by}`
+                : 'Incident is resolved');
+        }
+
+        const acknowledged = await this.db.table('incidents').update(incident.id, {
+            status: 'acknowledged',
+            acknowledged_by: acknowledgedBy,
+            acknowledged_at: new Date()
+        });
+
+        console.log(`✅ Incident ${incident.id} acknowledged by ${acknowledgedBy}`);
+        await this.notifyCustomer(incident.phone_number,
+            '✅ Our emergency team has seen your messages and is following up. Keep your phone close.',
+            { name: 'emergency_acknowledged', variables: {} }
+        );
+
+        return acknowledged;
+    }
+
+    async resolve(incidentId, resolvedBy, note = null) {
+        if (!resolvedBy) {
+            throw this.httpError(400, 'resolvedBy is required');
+        }
+
+        const incident = await this.getIncident(incidentId);
+        if (incident.status === 'resolved') {
+            throw this.httpError(409, 'Incident is already resolved');
+        }
+
+        return this.db.table('incidents').update(incident.id, {
+            status: 'resolved',
+            resolved_by: resolvedBy,
+            resolved_at: new Date(),
+            resolution_note: note
+        });
+    }
+
+    // ===========================================
+    // ALERTS & ESCALATION
+    // ===========================================
+
+    async alert(incident, type, message, recipients = this.onCall) {
+        await this.monitoring.sendHealthAlerts([{
+            type: type,
+            severity: incident.severity,
+            agent: incident.agent_id,
+            message: message,
+            details: this.describeIncident(incident),
+            recipients: recipients,
+            timestamp: new Date()
+        }]);
+    }
+
+    describeIncident(incident) {
+        const location = incident.location;
+        const lines = [
+            `Incident: ${incident.id}`,
+            `Customer: ${incident.phone_number}`,
+            location
+                ? `Location: ${[location.name, location.address].filter(Boolean).join(', ') || 'pin'} https://maps.google.com/?q=${location.latitude},${location.longitude}` +
+                  (location.shared_at ? ` (shared ${this.formatTime(new Date(location.shared_at))})` : '')
+                : 'Location: not shared yet',
+            `Acknowledge: POST /api/incidents/${incident.id}/acknowledge`
+        ];
+
+        return lines.join('\n');
+    }
+
+    // Escalation levels run ackTimeoutMs apart; the job does nothing once someone has acknowledged
+    async scheduleEscalation(incident, level) {
+        if (!this.jobQueue) return;
+
+        await this.jobQueue.enqueue('emergency.escalate', { incidentId: incident.id, level: level }, {
+            dedupeKey: `emergency.escalate:${incident.id}:${level}`,
+            delayMs: this.ackTimeoutMs
+        });
+    }
+
+    async handleEscalationJob({ incidentId, level }) {
+        const incident = await this.db.table('incidents').findById(incidentId);
+        if (!incident || incident.status !== 'open') return;
+
+        const escalated = await this.db.table('incidents').update(incident.id, {
+            escalation_level: level,
+            escalated_at: new Date()
+        });
+        const minutes = Math.round((this.ackTimeoutMs * level) / 60000);
+
+        console.error(`⏫ Incident ${incident.id} unacknowledged after ${minutes} minutes, escalation ${level}`);
+        await this.alert(
+            escalated,
+            'emergency_escalation',
+            `Nobody has acknowledged the ${this.getLabel(escalated)} from ${escalated.phone_number} after ${minutes} minutes (escalation ${level} of ${this.maxEscalations})`,
+            this.mergeRecipients(this.escalation, this.onCall)
+        );
+
+        if (level < this.maxEscalations) {
+            await this.scheduleEscalation(escalated, level + 1);
+        }
+    }
+
+    // Escalations page the escalation contacts and on-call again
+    mergeRecipients(...lists) {
+        const configured = lists.filter(Boolean);
+        if (configured.length === 0) return null;
+
+        return {
+            emails: [...new Set(configured.flatMap(list => list.emails))],
+            whatsapp_numbers: [...new Set(configured.flatMap(list => list.whatsapp_numbers))]
+        };
+    }
+
+    // ===========================================
+    // HELPERS
+    // ===========================================
+
+    async sendSafetyMessage(phoneNumber, incident) {
+        const protocol = CATEGORIES.find(candidate => candidate.id === incident.category);
+        await this.notifyCustomer(phoneNumber, this.buildSafetyMessage(incident), {
+            name: 'emergency_safety',
+            variables: { emergency: protocol.label, numbers: protocol.numbers.join(', ') }
+        });
+    }
+
+    // A failed WhatsApp send must not stop the incident being opened and alerted; outside the service window
+    // the notice goes out as its approved template
+    async notifyCustomer(phoneNumber, text, fallbackTemplate) {
+        try {
+            await this.whatsappClient.sendMessage(phoneNumber, text, { source: 'emergency', agentId: this.agentId, fallbackTemplate });
+        } catch (error) {
+            console.error(`Emergency message to ${phoneNumber} failed:`, error.message);
+        }
+    }
+
+    getLabel(incident) {
+        const category = CATEGORIES.find(candidate => candidate.id === incident.category);
+        return `${incident.severity} ${category ? category.label.toLowerCase() : 'emergency'}`;
+    }
+
+    formatTime(date) {
+        return date.toLocaleString('en-NG', { timeZone: 'Africa/Lagos', hour: '2-digit', minute: '2-digit', day: 'numeric', month: 'short' });
+    }
+
+    httpError(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    // ===========================================
+    // API ENDPOINTS
+    // ===========================================
+
+    respondWithError(res, error, label) {
+        if (!error.status) console.error(`${label} error:`, error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+
+    // ?status=open|acknowledged|resolved; open and acknowledged by default
+    async listIncidents(req, res) {
+        try {
+            const statuses = req.query.status ? [req.query.status] : OPEN_STATUSES;
+            const incidents = [];
+            for (const status of statuses) {
+                incidents.push(...await this.db.table('incidents').find({ status: status }, { orderBy: 'created_at', descending: true, limit: 200 }));
+            }
+
+            res.json({ count: incidents.length, incidents: incidents });
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Incident list');
+        }
+    }
+
+    async getIncidentDetails(req, res) {
+        try {
+            res.json(await this.getIncident(req.params.incidentId));
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Incident lookup');
+        }
+    }
+
+    async acknowledgeIncident(req, res) {
+        try {
+            res.json({ success: true, incident: await this.acknowledge(req.params.incidentId, req.body.acknowledgedBy) });
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Incident acknowledgement');
+        }
+    }
+
+    async resolveIncident(req, res) {
+        try {
+            const { resolvedBy, note } = req.body;
+            res.json({ success: true, incident: await this.resolve(req.params.incidentId, resolvedBy, note) });
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Incident resolution');
+        }
+    }
+}
+
+module.exports = EmergencyEscalation;
+
+// Usage Examples:
+/*
+1. A customer writes "armed robbers are outside my house" on WhatsApp, on any plan and even with no messages left:
+   they get the 112/199/767 safety message at once, an incident opens and on-call contacts are paged
+
+2. On-call acknowledges (the customer is told someone is on it, escalation stops):
+   POST /api/incidents/incident_abc123/acknowledge
+   { "acknowledgedBy": "Chidi" }
+
+3. Close it out:
+   POST /api/incidents/incident_abc123/resolve
+   { "resolvedBy": "Chidi", "note": "Police arrived, customer safe" }
+
+4. Open incidents for the dashboard:
+   GET /api/incidents
+*/
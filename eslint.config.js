@@ -0,0 +1,22 @@
+// ESLint configuration for ODIA 11-Agent System
+
+const js = require('@eslint/js');
+const globals = require('globals');
+
+module.exports = [
+    {
+        // The browser demo page and the stale copy of the email system aren't part of the server
+        ignores: ['node_modules/', 'temp/', 'index.html', 'email_automation_system (1).js']
+    },
+    js.configs.recommended,
+    {
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'commonjs',
+            globals: { ...globals.node }
+        },
+        rules: {
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }]
+        }
+    }
+];
@@ -0,0 +1,602 @@
+// Human Handoff for ODIA 11-Agent System
+// Queues WhatsApp conversations for a person on our team, when the customer asks for a human or an agent flags
+// low confidence or an angry customer. Operators claim them over REST or the /ws/handoffs WebSocket, see the
+// full AI history, and reply as themselves. The bot stays quiet for that number until the operator releases it.
+// Every operator has their own token (HANDOFF_OPERATORS); requests act as the operator the token belongs to.
+
+const crypto = require('crypto');
+const express = require('express');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const WS_PATH = '/ws/handoffs';
+const OPEN_STATUSES = ['queued', 'active'];
+
+// Reasons an agent can give with [[human:reason]]
+const AGENT_REASONS = ['low_confidence', 'angry_customer'];
+const HUMAN_MARKER_PATTERN = /\[\[human:([a-z_]+)\]\]/i;
+
+// "human", "talk to a person", "can I speak with customer care?"
+const HUMAN_REQUEST_PATTERN = new RegExp([
+    '^\\s*(?:human|operator|real person|customer (?:care|service))\\s*[.!?]*\\s*$',
+    '\\b(?:talk|speak|chat)\\s+(?:to|with)\\s+(?:a\\s+|an\\s+|your\\s+)?(?:human|person|real person|someone|operator|representative|customer (?:care|service))\\b'
+].join('|'), 'i');
+
+class HumanHandoff {
+    constructor(options = {}) {
+        this.db = options.database;
+        this.agentRegistry = options.agentRegistry;
+        this.conversations = options.conversations;
+        this.whatsappClient = options.whatsappClient;
+
+        // A queued conversation nobody claims goes back to the bot after this long
+        this.queueTimeoutMs = (options.queueTimeoutMinutes || parseInt(process.env.HANDOFF_QUEUE_TIMEOUT_MINUTES, 10) || 30) * 60 * 1000;
+
+        // id:name:token entries, comma-separated, e.g. "ada:Ada Obi:3f9c...,tunde:Tunde Bakare:b71e..."
+        this.operators = this.parseOperators(options.operators || process.env.HANDOFF_OPERATORS);
+        // Browser origins allowed to open the inbox besides the API's own, e.g. "https://inbox.odia.dev"
+        this.allowedOrigins = (options.allowedOrigins || process.env.HANDOFF_ALLOWED_ORIGINS || '')
+            .split(',').map(origin => origin.trim()).filter(Boolean);
+
+        if (this.operators.size === 0) {
+            console.log('⚠️ HANDOFF_OPERATORS not configured, the handoff API and inbox will reject every request');
+        }
+
+        this.wss = null;
+        this.httpServer = null;
+        this.onUpgrade = this.handleUpgrade.bind(this);
+        // Handoff IDs being claimed right now, so two operators can't both win
+        this.claiming = new Set();
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+
+        router.use('/api/handoffs', this.requireOperator.bind(this));
+        router.get('/api/handoffs', this.listHandoffs.bind(this));
+        router.post('/api/handoffs', this.openHandoff.bind(this));
+        router.get('/api/handoffs/:handoffId', this.getHandoffDetails.bind(this));
+        router.post('/api/handoffs/:handoffId/claim', this.claimHandoff.bind(this));
+        router.post('/api/handoffs/:handoffId/messages', this.sendOperatorMessage.bind(this));
+        router.post('/api/handoffs/:handoffId/release', this.releaseHandoff.bind(this));
+
+        return router;
+    }
+
+    // ===========================================
+    // OPERATOR ACCESS
+    // ===========================================
+
+    // Map of token hash → { operatorId, operatorName }; hashing keeps lookups from leaking the tokens through timing
+    parseOperators(value) {
+        const operators = new Map();
+
+        for (const entry of (value || '').split(',').map(item => item.trim()).filter(Boolean)) {
+            const [operatorId, operatorName, ...tokenParts] = entry.split(':');
+            const token = tokenParts.join(':');
+            if (!operatorId || !token) {
+                console.error(`⚠️ Ignoring HANDOFF_OPERATORS entry for "${operatorId}": expected id:name:token`);
+                continue;
+            }
+
+            operators.set(this.hashToken(token), { operatorId: operatorId.trim(), operatorName: operatorName.trim() || operatorId.trim() });
+        }
+
+        return operators;
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // The operator a token belongs to, or null
+    authenticate(token) {
+        return token ? this.operators.get(this.hashToken(token)) || null : null;
+    }
+
+    getBearerToken(header) {
+        const match = /^Bearer\s+(\S+)$/i.exec(header || '');
+        return match ? match[1] : null;
+    }
+
+    // Express middleware: Authorization: Bearer <token>, sets req.operator
+    requireOperator(req, res, next) {
+        if (this.operators.size === 0) {
+            return res.status(503).json({ error: 'Operator access is not configured' });
+        }
+
+        const operator = this.authenticate(this.getBearerToken(req.get('authorization')));
+        if (!operator) {
+            return res.status(401).json({ error: 'A valid operator token is required' });
+        }
+
+        req.operator = operator;
+        next();
+    }
+
+    // Browsers always send Origin, so a page on another site can't open the inbox with an operator's token.
+    // Clients outside a browser send none.
+    isAllowedOrigin(req) {
+        const origin = req.headers.origin;
+        if (!origin || this.allowedOrigins.includes(origin)) return true;
+
+        try {
+            return new URL(origin).host === req.headers.host;
+        } catch {
+            return false;
+        }
+    }
+
+    // ===========================================
+    // WEBSOCKET INBOX
+    // ===========================================
+
+    // Operators connect to /ws/handoffs on the API's HTTP server with their token, as an Authorization header or
+    // ?token= (browsers can't set headers on a WebSocket). On connect they get { type: 'queue', handoffs },
+    // then every change as it happens: handoff.queued, handoff.claimed, handoff.message, handoff.released.
+    attachServer(httpServer) {
+        this.httpServer = httpServer;
+        this.wss = new WebSocketServer({ noServer: true });
+        this.wss.on('connection', (socket, req, operator) => this.handleConnection(socket, operator));
+        httpServer.on('upgrade', this.onUpgrade);
+    }
+
+    // Open sockets would keep the HTTP server from closing
+    async detachServer() {
+        if (!this.wss) return;
+
+        this.httpServer.off('upgrade', this.onUpgrade);
+        for (const client of this.wss.clients) {
+            client.terminate();
+        }
+        await new Promise(resolve => this.wss.close(resolve));
+
+        this.wss = null;
+        this.httpServer = null;
+    }
+
+    handleUpgrade(req, socket, head) {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== WS_PATH) {
+            return this.rejectUpgrade(socket, '404 Not Found');
+        }
+        if (!this.isAllowedOrigin(req)) {
+            console.warn(`🚫 Handoff inbox connection from ${req.headers.origin} refused`);
+            return this.rejectUpgrade(socket, '403 Forbidden');
+        }
+
+        const operator = this.authenticate(this.getBearerToken(req.headers.authorization) || url.searchParams.get('token'));
+        if (!operator) {
+            return this.rejectUpgrade(socket, '401 Unauthorized');
+        }
+
+        this.wss.handleUpgrade(req, socket, head, client => this.wss.emit('connection', client, req, operator));
+    }
+
+    rejectUpgrade(socket, status) {
+        socket.write(`HTTP/1.1 ${status}\r\n\r\n`);
+        socket.destroy();
+    }
+
+    async handleConnection(socket, operator) {
+        socket.on('message', data => this.handleSocketMessage(socket, data, operator));
+
+        try {
+            this.send(socket, { type: 'queue', handoffs: await this.listOpen() });
+        } catch (error) {
+            console.error('Handoff inbox error:', error);
+        }
+    }
+
+    // Requests: { type: 'claim' | 'reply' | 'release', handoff_id, text }, made as the connection's operator.
+    // Each gets its own answer (claimed, sent, released) or { type: 'error', status, error }.
+    async handleSocketMessage(socket, data, operator) {
+        let request;
+
+        try {
+            request = JSON.parse(data.toString());
+        } catch {
+            return this.send(socket, { type: 'error', request: null, status: 400, error: 'Messages must be JSON' });
+        }
+
+        try {
+            if (request.type === 'claim') {
+                this.send(socket, { type: 'claimed', ...await this.claim(request.handoff_id, operator) });
+            } else if (request.type === 'reply') {
+                const message = await this.reply(request.handoff_id, { ...operator, text: request.text });
+                this.send(socket, { type: 'sent', handoff_id: request.handoff_id, message: message });
+            } else if (request.type === 'release') {
+                this.send(socket, { type: 'released', handoff: await this.release(request.handoff_id, operator) });
+            } else {
+                throw this.httpError(400, `Unknown request type: ${request.type}`);
+            }
+        } catch (error) {
+            if (!error.status) console.error('Handoff inbox error:', error);
+            this.send(socket, { type: 'error', request: request.type || null, status: error.status || 500, error: error.message });
+        }
+    }
+
+    send(socket, event) {
+        if (socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(event));
+        }
+    }
+
+    broadcast(event) {
+        if (!this.wss) return;
+
+        for (const client of this.wss.clients) {
+            this.send(client, event);
+        }
+    }
+
+    // ===========================================
+    // HANDOFFS
+    // ===========================================
+
+    isHumanRequest(text) {
+        return HUMAN_REQUEST_PATTERN.test(text || '');
+    }
+
+    getAgentInstructions() {
+        return 'If you are not confident you can answer correctly, or the customer is angry or upset, say a colleague will join and end your reply with [[human:low_confidence]] or [[human:angry_customer]].';
+    }
+
+    // Strips a [[human:reason]] marker from an agent reply; unknown reasons are dropped
+    extractMarker(responseText) {
+        const match = HUMAN_MARKER_PATTERN.exec(responseText);
+        if (!match) {
+            return { text: responseText, reason: null };
+        }
+
+        const reason = match[1].toLowerCase();
+        return {
+            text: responseText.replace(HUMAN_MARKER_PATTERN, '').trim(),
+            reason: AGENT_REASONS.includes(reason) ? reason : null
+        };
+    }
+
+    getQueuedMessage() {
+        return "👋 I've asked a member of our team to join this chat. They'll reply here shortly.";
+    }
+
+    // The queued or active handoff for the number, if any
+    async getOpenHandoff(phoneNumber) {
+        for (const status of OPEN_STATUSES) {
+            const handoff = await this.db.table('handoffs').findOne({ phone_number: phoneNumber, status: status });
+            if (handoff) return handoff;
+        }
+
+        return null;
+    }
+
+    // True while a person on our team has (or is about to take) the conversation and the bot must not reply.
+    // A queued handoff nobody claimed in time is closed, and the customer is told the bot carries on.
+    async isPaused(phoneNumber, now = new Date()) {
+        const handoff = await this.getOpenHandoff(phoneNumber);
+        if (!handoff) return false;
+
+        if (handoff.status === 'queued' && now - handoff.queued_at > this.queueTimeoutMs) {
+            const closed = await this.close(handoff, 'timeout');
+            await this.notifyCustomer(phoneNumber,
+                `⏳ No one from our team is free right now, so ${this.getAgentName(handoff)} will keep helping you. Type "human" anytime to try again.`,
+                { name: 'handoff_released', variables: { agent: this.getAgentName(handoff) } }
+            );
+            this.broadcast({ type: 'handoff.released', handoff: closed });
+            return false;
+        }
+
+        return true;
+    }
+
+    // Queues the conversation; returns the open handoff if there already is one
+    async requestHuman(phoneNumber, { reason, agentId = null, message = null }) {
+        const existing = await this.getOpenHandoff(phoneNumber);
+        if (existing) return existing;
+
+        const handoff = await this.db.table('handoffs').insert({
+            phone_number: phoneNumber,
+            status: 'queued',
+            reason: reason,
+            agent_id: agentId,
+            trigger_message: message,
+            messages: [],
+            queued_at: new Date()
+        });
+
+        console.log(`🙋 ${phoneNumber} queued for a human (${reason})`);
+        this.broadcast({ type: 'handoff.queued', handoff: handoff });
+        return handoff;
+    }
+
+    // A customer message while the bot is paused: { type, text, media_id }
+    async receiveCustomerMessage(phoneNumber, entry) {
+        const handoff = await this.getOpenHandoff(phoneNumber);
+        if (!handoff) return null;
+
+        const message = { from: 'customer', ...entry, at: new Date().toISOString() };
+        await this.db.table('handoffs').update(handoff.id, { messages: [...(handoff.messages || []), message] });
+
+        this.broadcast({ type: 'handoff.message', handoff_id: handoff.id, phone_number: phoneNumber, message: message });
+        return message;
+    }
+
+    // Assigns the handoff to the operator and returns { handoff, history } with the customer's AI conversations
+    async claim(handoffId, { operatorId, operatorName } = {}) {
+        if (!operatorId) {
+            throw this.httpError(400, 'An operator ID is required');
+        }
+
+        const handoff = await this.getHandoff(handoffId);
+
+        // Claiming again (a reconnecting operator) just returns the history
+        if (handoff.status === 'active' && handoff.operator_id === operatorId) {
+            return this.withHistory(handoff);
+        }
+        if (handoff.status !== 'queued' || this.claiming.has(handoffId)) {
+            throw this.httpError(409, handoff.status === 'closed'
+                ? 'This conversation has been closed'
+                : `Already claimed by ${handoff.operator_name || handoff.operator_id || 'another operator'}`);
+        }
+
+        this.claiming.add(handoffId);
+        try {
+            const claimed = await this.db.table('handoffs').update(handoffId, {
+                status: 'active',
+                operator_id: operatorId,
+                operator_name: operatorName || operatorId,
+                claimed_at: new Date()
+            });
+
+            console.log(`🙋 ${claimed.operator_name} claimed ${claimed.phone_number}`);
+            await this.notifyCustomer(claimed.phone_number,
+                `🙋 ${claimed.operator_name} from the ODIA team has joined the chat and will take it from here.`,
+                { name: 'handoff_claimed', variables: { operator: claimed.operator_name } }
+            );
+            this.broadcast({ type: 'handoff.claimed', handoff: claimed });
+
+            return this.withHistory(claimed);
+
+        } finally {
+            this.claiming.delete(handoffId);
+        }
+    }
+
+    // Sends the operator's reply to the customer on WhatsApp and returns the logged message
+    async reply(handoffId, { operatorId, text } = {}) {
+        if (!text || !String(text).trim()) {
+            throw this.httpError(400, 'text is required');
+        }
+
+        const handoff = await this.getHandoff(handoffId);
+        this.checkOperator(handoff, operatorId);
+
+        try {
+            await this.whatsappClient.sendMessage(handoff.phone_number, String(text), { source: 'operator' });
+        } catch (error) {
+            // Outside the 24-hour window only templates can be sent
+            if (error.code === 'service_window_closed') throw this.httpError(409, error.message);
+            throw error;
+        }
+
+        const message = {
+            from: 'operator',
+            operator_id: operatorId,
+            operator_name: handoff.operator_name,
+            type: 'text',
+            text: String(text),
+            at: new Date().toISOString()
+        };
+        await this.db.table('handoffs').update(handoff.id, { messages: [...(handoff.messages || []), message] });
+
+        this.broadcast({ type: 'handoff.message', handoff_id: handoff.id, phone_number: handoff.phone_number, message: message });
+        return message;
+    }
+
+    // Gives the conversation back to the bot. The agent's memory gets the human part of the conversation, so it
+    // can carry on from there.
+    async release(handoffId, { operatorId } = {}) {
+        const handoff = await this.getHandoff(handoffId);
+        if (handoff.status === 'queued') {
+            // Dismissing a queued conversation needs no claim
+            if (!operatorId) throw this.httpError(400, 'An operator ID is required');
+        } else {
+            this.checkOperator(handoff, operatorId);
+        }
+
+        const closed = await this.close(handoff, 'released');
+        const agentId = handoff.agent_id || this.agentRegistry.defaultAgentId;
+        const transcript = (handoff.messages || [])
+            .map(message => `${message.from === 'operator' ? message.operator_name : 'Customer'}: ${message.text}`)
+            .join('\n');
+
+        if (handoff.status === 'active' && transcript) {
+            await this.conversations.appendTurn(
+                handoff.phone_number,
+                agentId,
+                `(While you were away, the customer talked to ${handoff.operator_name} from our team:\n${transcript})`,
+                `(${handoff.operator_name} handed the customer back to me.)`
+            );
+        }
+
+        console.log(`🤖 ${handoff.phone_number} is back with ${this.getAgentName(handoff)}`);
+        await this.notifyCustomer(handoff.phone_number, handoff.status === 'active'
+            ? `🤖 ${handoff.operator_name} has handed you back to ${this.getAgentName(handoff)}. Message anytime if you need anything else.`
+            : `🤖 ${this.getAgentName(handoff)} will keep helping you here.`,
+            { name: 'handoff_released', variables: { agent: this.getAgentName(handoff) } }
+        );
+        this.broadcast({ type: 'handoff.released', handoff: closed });
+
+        return closed;
+    }
+
+    async close(handoff, closedReason) {
+        return this.db.table('handoffs').update(handoff.id, {
+            status: 'closed',
+            closed_reason: closedReason,
+            closed_at: new Date()
+        });
+    }
+
+    async getHandoff(handoffId) {
+        const handoff = handoffId ? await this.db.table('handoffs').findById(handoffId) : null;
+        if (!handoff) {
+            throw this.httpError(404, 'Handoff not found');
+        }
+
+        return handoff;
+    }
+
+    checkOperator(handoff, operatorId) {
+        if (handoff.status !== 'active') {
+            throw this.httpError(409, handoff.status === 'queued' ? 'Claim the conversation first' : 'This conversation has been closed');
+        }
+        if (handoff.operator_id !== operatorId) {
+            throw this.httpError(403, `This conversation is claimed by ${handoff.operator_name}`);
+        }
+    }
+
+    async listOpen() {
+        const handoffs = [];
+        for (const status of OPEN_STATUSES) {
+            handoffs.push(...await this.db.table('handoffs').find({ status: status }, { orderBy: 'queued_at' }));
+        }
+
+        return handoffs;
+    }
+
+    // The handoff with every AI conversation the customer had, oldest turn first within each agent
+    async withHistory(handoff) {
+        const conversations = await this.conversations.listConversations(handoff.phone_number);
+
+        return {
+            handoff: handoff,
+            history: conversations.map(conversation => ({
+                agent_id: conversation.agent_id,
+                agent_name: this.agentRegistry.getName(conversation.agent_id),
+                summary: conversation.summary || null,
+                turns: conversation.turns,
+                last_activity_at: conversation.last_activity_at
+            }))
+        };
+    }
+
+    getAgentName(handoff) {
+        return this.agentRegistry.getName(handoff.agent_id || this.agentRegistry.defaultAgentId);
+    }
+
+    // Status messages to the customer, sent as their approved template once the service window has closed;
+    // a failed send shouldn't stop the operator's action
+    async notifyCustomer(phoneNumber, text, fallbackTemplate) {
+        try {
+            await this.whatsappClient.sendMessage(phoneNumber, text, { source: 'handoff', fallbackTemplate });
+        } catch (error) {
+            console.error(`Handoff notice to ${phoneNumber} failed:`, error.message);
+        }
+    }
+
+    httpError(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    // ===========================================
+    // API ENDPOINTS
+    // ===========================================
+
+    respondWithError(res, error, label) {
+        if (!error.status) console.error(`${label} error:`, error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+
+    // ?status=queued|active|closed; queued and active by default
+    async listHandoffs(req, res) {
+        try {
+            const { status } = req.query;
+            const handoffs = status
+                ? await this.db.table('handoffs').find({ status: status }, { orderBy: 'queued_at', descending: status === 'closed', limit: 200 })
+                : await this.listOpen();
+
+            res.json({ count: handoffs.length, handoffs: handoffs });
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Handoff list');
+        }
+    }
+
+    // An operator takes over a number themselves: { phoneNumber }
+    async openHandoff(req, res) {
+        try {
+            const { phoneNumber } = req.body;
+            if (!phoneNumber) {
+                return res.status(400).json({ error: 'phoneNumber is required' });
+            }
+
+            const existing = await this.getOpenHandoff(phoneNumber);
+            const handoff = existing || await this.requestHuman(phoneNumber, { reason: 'operator' });
+
+            res.status(existing ? 200 : 201).json(await this.claim(handoff.id, req.operator));
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Handoff creation');
+        }
+    }
+
+    async getHandoffDetails(req, res) {
+        try {
+            res.json(await this.withHistory(await this.getHandoff(req.params.handoffId)));
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Handoff lookup');
+        }
+    }
+
+    async claimHandoff(req, res) {
+        try {
+            res.json(await this.claim(req.params.handoffId, req.operator));
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Handoff claim');
+        }
+    }
+
+    async sendOperatorMessage(req, res) {
+        try {
+            const message = await this.reply(req.params.handoffId, { ...req.operator, text: req.body.text });
+            res.json({ success: true, message: message });
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Operator message');
+        }
+    }
+
+    async releaseHandoff(req, res) {
+        try {
+            res.json({ success: true, handoff: await this.release(req.params.handoffId, req.operator) });
+
+        } catch (error) {
+            this.respondWithError(res, error, 'Handoff release');
+        }
+    }
+}
+
+module.exports = HumanHandoff;
+
+// Usage Examples:
+/*
+1. A customer types "human" (or an agent ends its reply with [[human:angry_customer]]):
+   the conversation is queued and the bot stops replying to that number
+
+2. Claim it and see the AI history (HANDOFF_OPERATORS=ada:Ada:<token>):
+   POST /api/handoffs/handoff_abc123/claim
+   Authorization: Bearer <token>
+
+3. Reply as a human, then hand back to the bot:
+   POST /api/handoffs/handoff_abc123/messages   { "text": "Hi, I'm Ada. Let me check your order." }
+   POST /api/handoffs/handoff_abc123/release
+
+4. Live inbox over WebSocket:
+   const socket = new WebSocket('wss://odia.dev/ws/handoffs?token=<token>');
+   socket.send(JSON.stringify({ type: 'claim', handoff_id: 'handoff_abc123' }));
+   socket.send(JSON.stringify({ type: 'reply', handoff_id: 'handoff_abc123', text: 'Hello!' }));
+*/
@@ -0,0 +1,197 @@
+// Intent Router for ODIA 11-Agent System
+// Scores every enabled agent by embedding similarity to its example utterances,
+// asks the LLM to break ties on ambiguous messages, and falls back to the default agent
+
+const express = require('express');
+
+class IntentRouter {
+    constructor(options = {}) {
+        this.agentRegistry = options.agentRegistry;
+        this.embedder = options.embedder;
+        this.llm = options.llm;
+
+        this.threshold = options.threshold ?? (parseFloat(process.env.ROUTER_CONFIDENCE_THRESHOLD) || 0.2);
+        this.ambiguityMargin = options.ambiguityMargin ?? 0.05;
+        // The mock provider can't classify, so the LLM tie-breaker only runs against a real model
+        this.useLLMClassifier = options.useLLMClassifier ??
+            (process.env.ROUTER_LLM_CLASSIFIER !== 'false' && Boolean(this.llm) && this.llm.provider.name !== 'mock');
+
+        // agentId -> { signature, vectors }
+        this.exampleEmbeddings = new Map();
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+
+        router.post('/api/router/route', this.routeMessage.bind(this));
+
+        return router;
+    }
+
+    // ===========================================
+    // ROUTING
+    // ===========================================
+
+    // Returns { agentId, confidence, method: 'embedding' | 'llm' | 'fallback', scores }.
+    // agentIds limits routing to those agents (a customer's plan); the fallback is then the default agent if
+    // allowed, else the first allowed one.
+    async route(message, { agentIds = null } = {}) {
+        const scores = await this.scoreAgents(message, agentIds);
+        const [best, runnerUp] = scores;
+        const fallbackAgentId = this.getFallbackAgentId(agentIds);
+
+        if (!best) {
+            return { agentId: fallbackAgentId, confidence: 0, method: 'fallback', scores: scores };
+        }
+
+        const ambiguous = best.score < this.threshold ||
+            (runnerUp && best.score - runnerUp.score < this.ambiguityMargin);
+
+        if (ambiguous && this.useLLMClassifier) {
+            const classified = await this.classifyWithLLM(message, scores.slice(0, 4));
+            if (classified) {
+                return { ...classified, method: 'llm', scores: scores };
+            }
+        }
+
+        if (best.score < this.threshold) {
+            return { agentId: fallbackAgentId, confidence: best.score, method: 'fallback', scores: scores };
+        }
+
+        return { agentId: best.agentId, confidence: best.score, method: 'embedding', scores: scores };
+    }
+
+    getFallbackAgentId(agentIds = null) {
+        const defaultAgentId = this.agentRegistry.getDefaultAgentId();
+        if (!agentIds || agentIds.includes(defaultAgentId)) return defaultAgentId;
+
+        const allowed = this.agentRegistry.list({ enabledOnly: true }).find(agent => agentIds.includes(agent.id));
+        return allowed ? allowed.id : defaultAgentId;
+    }
+
+    // Each agent's score is the mean of its three closest example utterances
+    async scoreAgents(message, agentIds = null) {
+        const [messageVector] = await this.embedder.embed([message]);
+        const scores = [];
+
+        for (const agent of this.agentRegistry.list({ enabledOnly: true })) {
+            if (agentIds && !agentIds.includes(agent.id)) continue;
+
+            const vectors = await this.getExampleVectors(agent);
+            if (vectors.length === 0) continue;
+
+            const similarities = vectors
+                .map(vector => this.cosineSimilarity(messageVector, vector))
+                .sort((a, b) => b - a)
+                .slice(0, 3);
+
+            scores.push({
+                agentId: agent.id,
+                score: similarities.reduce((sum, value) => sum + value, 0) / similarities.length
+            });
+        }
+
+        return scores.sort((a, b) => b.score - a.score);
+    }
+
+    // Routing keywords count as one extra example, so existing registry entries keep working
+    async getExampleVectors(agent) {
+        const examples = [...agent.example_utterances];
+        if (agent.routing_keywords.length > 0) {
+            examples.push(agent.routing_keywords.join(' '));
+        }
+
+        const signature = JSON.stringify(examples);
+        const cached = this.exampleEmbeddings.get(agent.id);
+        if (cached && cached.signature === signature) {
+            return cached.vectors;
+        }
+
+        const vectors = examples.length > 0 ? await this.embedder.embed(examples) : [];
+        this.exampleEmbeddings.set(agent.id, { signature, vectors });
+        return vectors;
+    }
+
+    async classifyWithLLM(message, candidates) {
+        const agentList = candidates.map(({ agentId }) => {
+            const agent = this.agentRegistry.get(agentId);
+            return `- ${agent.id}: ${agent.name} (${agent.capabilities.join(', ')})`;
+        }).join('\n');
+
+        try {
+            const result = await this.llm.complete({
+                system: 'You route WhatsApp messages from Nigerian customers to the right specialist agent. Reply with JSON only.',
+                prompt: `Candidate agents:\n${agentList}\n\nMessage: "${message}"\n\nReply as {"agent_id": "<id>", "confidence": <0-1>}.`,
+                maxTokens: 60,
+                temperature: 0
+            });
+
+            const json = result.text.match(/\{[\s\S]*\}/);
+            if (!json) return null;
+
+            const parsed = JSON.parse(json[0]);
+            if (!candidates.some(candidate => candidate.agentId === parsed.agent_id)) {
+                return null;
+            }
+
+            return {
+                agentId: parsed.agent_id,
+                confidence: typeof parsed.confidence === 'number' ? parsed.confidence : this.threshold
+            };
+
+        } catch (error) {
+            console.error('Intent classification error:', error.message);
+            return null;
+        }
+    }
+
+    cosineSimilarity(a, b) {
+        let dot = 0, normA = 0, normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+
+        return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+    }
+
+    // ===========================================
+    // API ENDPOINTS
+    // ===========================================
+
+    async routeMessage(req, res) {
+        try {
+            const { message } = req.body;
+            if (!message) {
+                return res.status(400).json({ error: 'message is required' });
+            }
+
+            const result = await this.route(message);
+
+            res.json({
+                agent_id: result.agentId,
+                agent_name: this.agentRegistry.getName(result.agentId),
+                confidence: result.confidence,
+                method: result.method,
+                top_scores: result.scores.slice(0, 3)
+            });
+
+        } catch (error) {
+            console.error('Intent routing error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = IntentRouter;
+
+// Usage Examples:
+/*
+1. See where a message would be routed:
+   POST /api/router/route
+   { "message": "How do I register my business name?" }
+
+2. Evaluate routing accuracy offline against labelled utterances:
+   node scripts/evaluate_router.js config/router_eval.jsonl --min-accuracy=0.8
+*/
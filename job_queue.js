@@ -0,0 +1,332 @@
+// Job Queue for ODIA 11-Agent System
+// Durable background jobs on the jobs table: deduplication, per-key ordering,
+// retries with exponential backoff and a dead-letter status for jobs that keep failing
+//
+// Workers run inside this process; run one worker process per database.
+
+const express = require('express');
+
+class JobQueue {
+    constructor(options = {}) {
+        this.db = options.database;
+
+        this.concurrency = options.concurrency || parseInt(process.env.JOB_QUEUE_CONCURRENCY, 10) || 4;
+        this.pollIntervalMs = options.pollIntervalMs || 1000;
+        this.pollBatchSize = options.pollBatchSize || this.concurrency * 10;
+        this.defaultMaxAttempts = options.maxAttempts || parseInt(process.env.JOB_QUEUE_MAX_ATTEMPTS, 10) || 5;
+        this.baseBackoffMs = options.baseBackoffMs || 2000;
+        this.maxBackoffMs = options.maxBackoffMs || 5 * 60 * 1000;
+
+        this.handlers = new Map();
+        this.inFlight = new Map(); // jobId -> promise
+        this.activeOrderingKeys = new Set();
+        this.pendingDedupeKeys = new Set();
+        this.pollTimer = null;
+        this.polling = false;
+        this.running = false;
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+
+        router.get('/api/jobs/stats', this.getQueueStats.bind(this));
+        router.get('/api/jobs/dead-letter', this.getDeadLetterJobs.bind(this));
+        router.post('/api/jobs/:jobId/retry', this.retryJob.bind(this));
+
+        return router;
+    }
+
+    // ===========================================
+    // LIFECYCLE
+    // ===========================================
+
+    async start() {
+        // Jobs left in processing by a crash or hard stop go back to the queue
+        const stuck = await this.db.table('jobs').find({ status: 'processing' });
+        for (const job of stuck) {
+            await this.db.table('jobs').update(job.id, { status: 'pending', locked_at: null });
+        }
+        if (stuck.length > 0) {
+            console.log(`♻️ Requeued ${stuck.length} interrupted jobs`);
+        }
+
+        this.running = true;
+        this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+        console.log(`📬 Job queue started (${this.concurrency} workers)`);
+    }
+
+    async stop() {
+        this.running = false;
+        clearInterval(this.pollTimer);
+        this.pollTimer = null;
+
+        // Let running jobs finish so their results are recorded
+        await Promise.allSettled(this.inFlight.values());
+        console.log('📪 Job queue stopped');
+    }
+
+    // ===========================================
+    // PRODUCING
+    // ===========================================
+
+    registerHandler(type, handler, { onDeadLetter } = {}) {
+        this.handlers.set(type, { handler, onDeadLetter });
+    }
+
+    // Returns the new job, or null when a job with the same dedupe key already exists
+    async enqueue(type, payload, { dedupeKey, orderingKey, maxAttempts, delayMs = 0 } = {}) {
+        if (dedupeKey) {
+            if (this.pendingDedupeKeys.has(dedupeKey)) return null;
+            this.pendingDedupeKeys.add(dedupeKey);
+        }
+
+        try {
+            if (dedupeKey && await this.db.table('jobs').findOne({ dedupe_key: dedupeKey })) {
+                return null;
+            }
+
+            const job = await this.db.table('jobs').insert({
+                type: type,
+                payload: payload,
+                status: 'pending',
+                dedupe_key: dedupeKey || null,
+                ordering_key: orderingKey || null,
+                attempts: 0,
+                max_attempts: maxAttempts || this.defaultMaxAttempts,
+                run_at: new Date(Date.now() + delayMs)
+            });
+
+            if (this.running) setImmediate(() => this.poll());
+            return job;
+
+        } finally {
+            if (dedupeKey) this.pendingDedupeKeys.delete(dedupeKey);
+        }
+    }
+
+    // ===========================================
+    // WORKERS
+    // ===========================================
+
+    async poll() {
+        if (this.polling || !this.running) return;
+        this.polling = true;
+
+        try {
+            for (const job of await this.getRunnableJobs()) {
+                if (this.inFlight.size >= this.concurrency) break;
+                this.runJob(job);
+            }
+        } catch (error) {
+            console.error('Job queue poll error:', error);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    // Due pending jobs, oldest first, where each ordering key only releases its oldest unfinished job. Reads batches
+    // of due jobs until a worker's worth are runnable; each batch leaves out the keys already seen, so one customer's
+    // backlog, or a job backing off ahead of its successors, can't fill the batch and hold up everyone else.
+    async getRunnableJobs() {
+        const wanted = this.concurrency - this.inFlight.size;
+        const seenKeys = new Set(this.activeOrderingKeys);
+        const seenIds = new Set();
+        const runnable = [];
+
+        while (runnable.length < wanted) {
+            const seenBefore = seenIds.size;
+            const due = await this.db.table('jobs').find(
+                { status: 'pending', run_at: { lte: new Date() }, ordering_key: { notIn: [...seenKeys] } },
+                { orderBy: 'created_at', limit: this.pollBatchSize }
+            );
+
+            for (const job of due) {
+                if (seenIds.has(job.id) || this.inFlight.has(job.id)) continue;
+                seenIds.add(job.id);
+
+                if (job.ordering_key) {
+                    if (seenKeys.has(job.ordering_key)) continue;
+                    seenKeys.add(job.ordering_key);
+
+                    // Later jobs for this key wait even if an older one is still backing off
+                    const older = await this.db.table('jobs').findOne({
+                        status: 'pending',
+                        ordering_key: job.ordering_key,
+                        created_at: { lt: job.created_at }
+                    });
+                    if (older) continue;
+                }
+
+                runnable.push(job);
+            }
+
+            if (due.length < this.pollBatchSize || seenIds.size === seenBefore) break;
+        }
+
+        return runnable;
+    }
+
+    runJob(job) {
+        if (job.ordering_key) this.activeOrderingKeys.add(job.ordering_key);
+
+        const promise = this.executeJob(job).finally(() => {
+            this.inFlight.delete(job.id);
+            if (job.ordering_key) this.activeOrderingKeys.delete(job.ordering_key);
+            if (this.running) setImmediate(() => this.poll());
+        });
+
+        this.inFlight.set(job.id, promise);
+    }
+
+    async executeJob(job) {
+        const registration = this.handlers.get(job.type);
+        const attempts = job.attempts + 1;
+
+        await this.db.table('jobs').update(job.id, {
+            status: 'processing',
+            attempts: attempts,
+            locked_at: new Date()
+        });
+
+        try {
+            if (!registration) {
+                throw new Error(`No handler registered for job type ${job.type}`);
+            }
+
+            await registration.handler(job.payload, job);
+
+            await this.db.table('jobs').update(job.id, {
+                status: 'completed',
+                completed_at: new Date(),
+                locked_at: null,
+                last_error: null
+            });
+
+        } catch (error) {
+            await this.handleJobFailure({ ...job, attempts }, registration, error);
+        }
+    }
+
+    async handleJobFailure(job, registration, error) {
+        if (job.attempts >= job.max_attempts || !registration) {
+            console.error(`💀 Job ${job.id} (${job.type}) moved to dead-letter after ${job.attempts} attempts:`, error.message);
+
+            await this.db.table('jobs').update(job.id, {
+                status: 'dead',
+                locked_at: null,
+                last_error: error.message
+            });
+
+            if (registration && registration.onDeadLetter) {
+                try {
+                    await registration.onDeadLetter(job.payload, error, job);
+                } catch (hookError) {
+                    console.error(`Dead-letter handler error for job ${job.id}:`, hookError);
+                }
+            }
+            return;
+        }
+
+        const delay = this.getBackoffDelay(job.attempts);
+        console.warn(`⏳ Job ${job.id} (${job.type}) failed attempt ${job.attempts}/${job.max_attempts}, retrying in ${delay}ms: ${error.message}`);
+
+        await this.db.table('jobs').update(job.id, {
+            status: 'pending',
+            locked_at: null,
+            last_error: error.message,
+            run_at: new Date(Date.now() + delay)
+        });
+    }
+
+    getBackoffDelay(attempts) {
+        const delay = this.baseBackoffMs * 2 ** (attempts - 1);
+        return Math.min(delay + Math.floor(Math.random() * this.baseBackoffMs), this.maxBackoffMs);
+    }
+
+    // ===========================================
+    // API ENDPOINTS
+    // ===========================================
+
+    async getQueueStats(req, res) {
+        try {
+            const stats = {};
+            for (const status of ['pending', 'processing', 'completed', 'dead']) {
+                stats[status] = await this.db.table('jobs').count({ status });
+            }
+
+            res.json({
+                running: this.running,
+                concurrency: this.concurrency,
+                in_flight: this.inFlight.size,
+                jobs: stats
+            });
+
+        } catch (error) {
+            console.error('Job stats error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async getDeadLetterJobs(req, res) {
+        try {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+            const jobs = await this.db.table('jobs').find(
+                { status: 'dead' },
+                { orderBy: 'updated_at', descending: true, limit: limit }
+            );
+
+            res.json({ count: jobs.length, jobs: jobs });
+
+        } catch (error) {
+            console.error('Dead-letter lookup error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async retryJob(req, res) {
+        try {
+            const job = await this.db.table('jobs').findById(req.params.jobId);
+
+            if (!job) {
+                return res.status(404).json({ error: 'Job not found' });
+            }
+            if (job.status !== 'dead') {
+                return res.status(409).json({ error: `Only dead-letter jobs can be retried (status: ${job.status})` });
+            }
+
+            // The attempt count is kept, so handlers still see a retry (a message that was answered before it failed
+            // isn't answered again); it gets a fresh set of attempts on top
+            await this.db.table('jobs').update(job.id, {
+                status: 'pending',
+                max_attempts: job.attempts + this.defaultMaxAttempts,
+                run_at: new Date()
+            });
+            setImmediate(() => this.poll());
+
+            res.json({ success: true, job_id: job.id, status: 'pending' });
+
+        } catch (error) {
+            console.error('Job retry error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = JobQueue;
+
+// Usage Examples:
+/*
+1. Register a handler and enqueue work:
+   jobQueue.registerHandler('whatsapp.message', async (payload) => { ... }, {
+       onDeadLetter: async (payload, error) => { ... }
+   });
+   await jobQueue.enqueue('whatsapp.message', { message }, {
+       dedupeKey: `whatsapp:${message.id}`,
+       orderingKey: `whatsapp:${message.from}`
+   });
+
+2. Inspect and retry failed jobs:
+   GET /api/jobs/stats
+   GET /api/jobs/dead-letter
+   POST /api/jobs/job_1712345678_ab12cd34/retry
+*/
@@ -0,0 +1,259 @@
+// Language Manager for ODIA 11-Agent System
+// Detects the language of customer messages (English, Nigerian Pidgin, Yoruba, Hausa, Igbo),
+// stores each customer's preferred reply language on their user profile and parses "reply in Yoruba" commands
+
+const express = require('express');
+
+// Keys match the `languages` lists in config/agents.json. Speech engines report a language either by
+// name (Whisper API) or ISO 639 code (whisper.cpp); whisper is null for languages Whisper can't detect.
+const LANGUAGES = {
+    english: {
+        name: 'English',
+        code: 'en',
+        whisper: 'english',
+        confirmation: "Okay, I'll reply in English from now on."
+    },
+    pidgin: {
+        name: 'Nigerian Pidgin',
+        code: 'pcm',
+        whisper: null,
+        confirmation: 'No wahala, I go dey reply you for Pidgin from now.'
+    },
+    yoruba: {
+        name: 'Yoruba',
+        code: 'yo',
+        whisper: 'yoruba',
+        confirmation: 'Ó dáa, màá dá ọ lóhùn ní èdè Yorùbá láti ìsinsìnyí lọ.'
+    },
+    hausa: {
+        name: 'Hausa',
+        code: 'ha',
+        whisper: 'hausa',
+        confirmation: 'To, daga yanzu zan riƙa amsa maka da Hausa.'
+    },
+    igbo: {
+        name: 'Igbo',
+        code: 'ig',
+        whisper: null,
+        confirmation: "Ọ dị mma, m ga-aza gị n'asụsụ Igbo site ugbu a."
+    }
+};
+
+const DEFAULT_LANGUAGE = 'english';
+
+// Words and letters that rarely appear outside each language. Whisper hears Pidgin as English and
+// has no Igbo model, so transcripts are checked against these too.
+const LANGUAGE_MARKERS = {
+    pidgin: {
+        words: ['abeg', 'wetin', 'dey', 'una', 'wahala', 'sabi', 'comot', 'pikin', 'sef', 'shey', 'abi', 'oya', 'wey', 'dem', 'don', 'go', 'make', 'no', 'na'],
+        // Common English words are only counted alongside a distinctively Pidgin one
+        weak: ['dem', 'don', 'go', 'make', 'no', 'na'],
+        letters: null
+    },
+    yoruba: {
+        words: ['bawo', 'jowo', 'kaaro', 'kaasan', 'kurole', 'seun', 'kini', 'nibo', 'daadaa', 'omo', 'mo', 'fe', 'ni', 'owo'],
+        weak: ['mo', 'fe', 'ni', 'owo', 'omo'],
+        letters: /[ẹọṣ]/i
+    },
+    hausa: {
+        words: ['sannu', 'yaya', 'nagode', 'allah', 'don', 'ina', 'kana', 'lafiya', 'kudi', 'yanzu', 'zan', 'me', 'akwai'],
+        weak: ['don', 'ina', 'me', 'kana'],
+        letters: /[ɗƙɓ]/i
+    },
+    igbo: {
+        words: ['kedu', 'biko', 'daalu', 'nnoo', 'mma', 'achoro', 'gini', 'ebee', 'ihe', 'ego', 'nna', 'nne', 'unu'],
+        weak: ['ihe', 'ego', 'nna', 'nne', 'unu'],
+        letters: /[ịụṅ]/i
+    }
+};
+
+const COMMAND_PATTERN = /\b(?:reply|respond|answer|speak|talk|chat|write)\s+(?:to\s+me\s+)?(?:only\s+)?in\s+(english|pidgin|yoruba|hausa|igbo|auto)\b/i;
+
+class LanguageManager {
+    constructor(options = {}) {
+        this.db = options.database;
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+
+        router.get('/api/languages', this.listLanguages.bind(this));
+        router.get('/api/languages/:phoneNumber', this.getLanguagePreference.bind(this));
+        router.put('/api/languages/:phoneNumber', this.updateLanguagePreference.bind(this));
+
+        return router;
+    }
+
+    // ===========================================
+    // DETECTION
+    // ===========================================
+
+    isSupported(language) {
+        return Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+    }
+
+    getName(language) {
+        return this.isSupported(language) ? LANGUAGES[language].name : LANGUAGES[DEFAULT_LANGUAGE].name;
+    }
+
+    // Maps the language a speech engine reports for a voice note (name or code) to one of ours; anything else is null
+    fromSpoken(reportedLanguage) {
+        if (!reportedLanguage) return null;
+
+        const reported = reportedLanguage.toLowerCase();
+        const match = Object.keys(LANGUAGES).find(language =>
+            LANGUAGES[language].whisper === reported || LANGUAGES[language].code === reported || language === reported
+        );
+        return match || null;
+    }
+
+    // Returns the language the text is most likely written in, or spokenLanguage (from Whisper) when the
+    // text has no markers. Plain English has no markers, so null means "no evidence either way".
+    detect(text, spokenLanguage = null) {
+        const words = (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').match(/[a-zɗƙɓ]+/g) || [];
+        let best = null;
+        let bestScore = 0;
+
+        for (const [language, markers] of Object.entries(LANGUAGE_MARKERS)) {
+            const strong = words.filter(word => markers.words.includes(word) && !markers.weak.includes(word)).length;
+            const weak = words.filter(word => markers.weak.includes(word)).length;
+            const letters = markers.letters && markers.letters.test(text || '') ? 2 : 0;
+            const score = strong + letters > 0 ? strong * 2 + letters + weak : 0;
+
+            if (score > bestScore) {
+                best = language;
+                bestScore = score;
+            }
+        }
+
+        return best || spokenLanguage;
+    }
+
+    // A "reply in Yoruba" style command: { language, remainder } with a null language for "reply in auto",
+    // or null when it isn't one. remainder is true when the message also asks something else.
+    parseCommand(text) {
+        const match = (text || '').match(COMMAND_PATTERN);
+        if (!match) return null;
+
+        const language = match[1].toLowerCase();
+        const rest = text.replace(match[0], ' ').replace(/\b(please|pls|abeg|can|could|you|from|now|on)\b/gi, ' ');
+        const remainingWords = rest.match(/[^\s.,!?:;]+/g) || [];
+
+        return {
+            language: language === 'auto' ? null : language,
+            remainder: remainingWords.length >= 3
+        };
+    }
+
+    getConfirmation(language) {
+        return language
+            ? LANGUAGES[language].confirmation
+            : "Okay, I'll reply in whichever language you write or speak to me in.";
+    }
+
+    // ===========================================
+    // PREFERENCES
+    // ===========================================
+
+    async getPreference(phoneNumber) {
+        const user = await this.db.table('users').findOne({ phone_number: phoneNumber });
+        return (user && user.preferred_language) || null;
+    }
+
+    // null clears the preference so replies follow the detected language again
+    async setPreference(phoneNumber, language) {
+        if (language !== null && !this.isSupported(language)) {
+            throw new Error(`Unsupported language: ${language}`);
+        }
+
+        const user = await this.db.table('users').findOne({ phone_number: phoneNumber });
+        if (user) {
+            return this.db.table('users').update(user.id, { preferred_language: language });
+        }
+
+        return this.db.table('users').insert({
+            phone_number: phoneNumber,
+            agent_access: [],
+            preferred_language: language
+        });
+    }
+
+    // The reply language for a message: the customer's preference, else the detected language, else English.
+    // Agents that don't list the language reply in English.
+    async resolve(phoneNumber, text, { spokenLanguage = null, agentLanguages = null } = {}) {
+        const language = await this.getPreference(phoneNumber) || this.detect(text, spokenLanguage) || DEFAULT_LANGUAGE;
+
+        if (agentLanguages && !agentLanguages.includes(language)) {
+            return DEFAULT_LANGUAGE;
+        }
+
+        return language;
+    }
+
+    // ===========================================
+    // API ENDPOINTS
+    // ===========================================
+
+    async listLanguages(req, res) {
+        res.json({
+            default_language: DEFAULT_LANGUAGE,
+            languages: Object.entries(LANGUAGES).map(([id, language]) => ({
+                id: id,
+                name: language.name,
+                speech_detection: Boolean(language.whisper)
+            }))
+        });
+    }
+
+    async getLanguagePreference(req, res) {
+        try {
+            res.json({
+                phone_number: req.params.phoneNumber,
+                preferred_language: await this.getPreference(req.params.phoneNumber)
+            });
+
+        } catch (error) {
+            console.error('Language preference lookup error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async updateLanguagePreference(req, res) {
+        try {
+            const language = req.body.language ?? null;
+            if (language !== null && !this.isSupported(language)) {
+                return res.status(400).json({
+                    error: `language must be one of: ${Object.keys(LANGUAGES).join(', ')} (or null)`
+                });
+            }
+
+            const user = await this.setPreference(req.params.phoneNumber, language);
+
+            res.json({
+                phone_number: user.phone_number,
+                preferred_language: user.preferred_language
+            });
+
+        } catch (error) {
+            console.error('Language preference update error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = LanguageManager;
+
+// Usage Examples:
+/*
+1. Detect the language of a message:
+   languages.detect('Abeg wetin I need to register my business?');   // 'pidgin'
+   languages.detect('I need help', languages.fromSpoken('yoruba'));  // 'yoruba' (from the voice note)
+
+2. Customer commands (WhatsApp text or voice):
+   "Reply in Yoruba"  -> preferred_language = 'yoruba'
+   "Reply in auto"    -> preference cleared, replies follow the detected language
+
+3. Set a preference from the dashboard:
+   PUT /api/languages/2348012345678
+   { "language": "hausa" }
+*/
@@ -0,0 +1,110 @@
+// Anthropic Provider for ODIA 11-Agent System
+// Calls the Claude Messages API and normalizes the response for LLMClient
+
+const fetch = require('node-fetch');
+const readEventStream = require('./read_event_stream');
+
+const ANTHROPIC_API_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+class AnthropicProvider {
+    constructor(options = {}) {
+        this.name = 'anthropic';
+        this.apiKey = options.apiKey;
+        this.defaultModel = options.defaultModel || 'claude-3-5-sonnet-latest';
+    }
+
+    // With onText the reply is streamed, and onText receives each piece of text as it arrives
+    async complete({ model, system, messages, maxTokens, temperature, signal, onText }) {
+        const response = await fetch(ANTHROPIC_API_URL, {
+            method: 'POST',
+            headers: {
+                'x-api-key': this.apiKey,
+                'Content-Type': 'application/json',
+                'anthropic-version': ANTHROPIC_VERSION
+            },
+            body: JSON.stringify({
+                model: model,
+                system: system || undefined,
+                max_tokens: maxTokens,
+                temperature: temperature,
+                messages: messages.map(message => this.formatMessage(message)),
+                stream: onText ? true : undefined
+            }),
+            signal: signal
+        });
+
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            const error = new Error(`Anthropic API error ${response.status}: ${result.error?.message || response.statusText}`);
+            error.status = response.status;
+            error.retryAfter = response.headers.get('retry-after');
+            throw error;
+        }
+
+        if (onText) {
+            return this.readStream(response.body, onText);
+        }
+
+        const result = await response.json();
+
+        return {
+            text: result.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+            model: result.model,
+            usage: {
+                input_tokens: result.usage?.input_tokens || 0,
+                output_tokens: result.usage?.output_tokens || 0
+            }
+        };
+    }
+
+    async readStream(body, onText) {
+        let text = '';
+        let model = null;
+        const usage = { input_tokens: 0, output_tokens: 0 };
+
+        for await (const { data } of readEventStream(body)) {
+            const event = JSON.parse(data);
+
+            if (event.type === 'message_start') {
+                model = event.message.model;
+                usage.input_tokens = event.message.usage?.input_tokens || 0;
+            } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                text += event.delta.text;
+                onText(event.delta.text);
+            } else if (event.type === 'message_delta') {
+                usage.output_tokens = event.usage?.output_tokens || usage.output_tokens;
+            } else if (event.type === 'error') {
+                const error = new Error(`Anthropic API error: ${event.error?.message || 'stream failed'}`);
+                error.status = event.error?.type === 'overloaded_error' ? 529 : 500;
+                throw error;
+            }
+        }
+
+        return { text: text, model: model, usage: usage };
+    }
+
+    formatMessage(message) {
+        if (typeof message.content === 'string') return message;
+
+        return { role: message.role, content: message.content.map(part => this.formatPart(part)) };
+    }
+
+    // Images and PDFs go to Claude as-is; other attachments are described in text
+    formatPart(part) {
+        if (part.type === 'image' && IMAGE_TYPES.includes(part.media_type)) {
+            return { type: 'image', source: { type: 'base64', media_type: part.media_type, data: part.data } };
+        }
+        if (part.type === 'document' && part.media_type === 'application/pdf') {
+            return { type: 'document', source: { type: 'base64', media_type: part.media_type, data: part.data } };
+        }
+        if (part.type === 'text') {
+            return { type: 'text', text: part.text };
+        }
+
+        return { type: 'text', text: `[Attached ${part.type}${part.filename ? ` ${part.filename}` : ''} (${part.media_type}) could not be read]` };
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,63 @@
+// LLM client and embedder factories for ODIA 11-Agent System
+// Picks the provider from LLM_PROVIDER, else Anthropic/OpenAI by available key, else the offline mock
+
+const LLMClient = require('./llm_client');
+const MockProvider = require('./mock_provider');
+const LocalEmbedder = require('./local_embedder');
+
+function createLLMProvider(options = {}) {
+    const provider = options.provider || process.env.LLM_PROVIDER ||
+        (process.env.CLAUDE_API_KEY ? 'anthropic' : process.env.OPENAI_API_KEY ? 'openai' : 'mock');
+
+    if (provider === 'anthropic') {
+        const AnthropicProvider = require('./anthropic_provider');
+        return new AnthropicProvider({ apiKey: options.apiKey || process.env.CLAUDE_API_KEY });
+    }
+
+    if (provider === 'openai') {
+        const OpenAIProvider = require('./openai_provider');
+        return new OpenAIProvider({ apiKey: options.apiKey || process.env.OPENAI_API_KEY });
+    }
+
+    if (provider === 'mock') {
+        return new MockProvider(options);
+    }
+
+    throw new Error(`Unknown LLM provider: ${provider}`);
+}
+
+function createLLMClient(options = {}) {
+    const provider = createLLMProvider(options);
+
+    if (provider.name === 'mock') {
+        console.log('⚠️ No LLM API key configured, using deterministic mock responses');
+    }
+
+    return new LLMClient({ ...options, provider });
+}
+
+// Embeddings use OpenAI when keyed (or EMBEDDING_PROVIDER=openai), else the local hashed embedder
+function createEmbedder(options = {}) {
+    const provider = options.provider || process.env.EMBEDDING_PROVIDER ||
+        (process.env.OPENAI_API_KEY ? 'openai' : 'local');
+
+    if (provider === 'openai') {
+        const OpenAIEmbedder = require('./openai_embedder');
+        return new OpenAIEmbedder({ apiKey: options.apiKey || process.env.OPENAI_API_KEY, model: options.model });
+    }
+
+    if (provider === 'local') {
+        return new LocalEmbedder(options);
+    }
+
+    throw new Error(`Unknown embedding provider: ${provider}`);
+}
+
+module.exports = {
+    createLLMClient,
+    createLLMProvider,
+    createEmbedder,
+    LLMClient,
+    MockProvider,
+    LocalEmbedder
+};
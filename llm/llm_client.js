@@ -0,0 +1,180 @@
+// LLM Client for ODIA 11-Agent System
+// One code path for every agent completion: per-agent model settings, retries, timeouts and token usage
+
+const express = require('express');
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504, 529];
+
+// Connection failures worth another try (node-fetch reports them as error.code); any other error without a
+// status is a bug or a bad response and fails straight away
+const RETRYABLE_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH',
+    'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+];
+
+class LLMClient {
+    constructor(options = {}) {
+        this.provider = options.provider;
+        this.agentRegistry = options.agentRegistry;
+
+        this.timeoutMs = options.timeoutMs || parseInt(process.env.LLM_TIMEOUT_MS, 10) || 30000;
+        this.maxRetries = options.maxRetries ?? (parseInt(process.env.LLM_MAX_RETRIES, 10) || 3);
+        this.retryBaseDelayMs = options.retryBaseDelayMs ?? 500;
+        // Upper bound on any wait between attempts, including a provider's retry-after
+        this.maxRetryDelayMs = options.maxRetryDelayMs ?? (parseInt(process.env.LLM_MAX_RETRY_DELAY_MS, 10) || 30000);
+        this.defaultModel = options.defaultModel || process.env.LLM_MODEL || this.provider.defaultModel;
+        this.defaultMaxTokens = options.defaultMaxTokens || 1000;
+        this.defaultTemperature = options.defaultTemperature ?? 0.7;
+
+        this.usage = this.createUsageTotals();
+        this.usage.by_agent = {};
+        this.usage.by_model = {};
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+
+        router.get('/api/llm/usage', this.getUsageStats.bind(this));
+
+        return router;
+    }
+
+    // ===========================================
+    // COMPLETIONS
+    // ===========================================
+
+    // Agent settings (system prompt, model, max_tokens, temperature) apply unless overridden per call
+    // Message content is a string or an array of parts: { type: 'text', text },
+    // { type: 'image', media_type, data } or { type: 'document', media_type, data, filename } with base64 data.
+    // onText streams the reply: it receives each piece of text as the provider produces it.
+    async complete({ agentId, prompt, messages, system, model, maxTokens, temperature, onText } = {}) {
+        const agent = agentId && this.agentRegistry ? this.agentRegistry.resolve(agentId) : null;
+
+        const request = {
+            model: model || agent?.model || this.defaultModel,
+            system: system ?? agent?.system_prompt,
+            messages: messages || [{ role: 'user', content: prompt }],
+            maxTokens: maxTokens || agent?.max_tokens || this.defaultMaxTokens,
+            temperature: temperature ?? agent?.temperature ?? this.defaultTemperature
+        };
+
+        // A retry after text has reached the caller would repeat it, so a stream that breaks midway fails instead
+        let streamed = false;
+        if (onText) {
+            request.onText = text => {
+                streamed = true;
+                onText(text);
+            };
+        }
+
+        try {
+            const result = await this.completeWithRetries(request, () => streamed);
+            this.recordUsage(agentId, result.model || request.model, result.usage);
+
+            return {
+                text: result.text,
+                model: result.model || request.model,
+                provider: this.provider.name,
+                usage: result.usage
+            };
+
+        } catch (error) {
+            this.recordFailure(agentId, request.model);
+            throw error;
+        }
+    }
+
+    async completeWithRetries(request, hasStreamed = () => false) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.completeWithTimeout(request);
+
+            } catch (error) {
+                if (!this.isRetryable(error) || attempt >= this.maxRetries || hasStreamed()) {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                console.warn(`⏳ LLM request failed (${error.message}), retrying in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    async completeWithTimeout(request) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            return await this.provider.complete({ ...request, signal: controller.signal });
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                const timeoutError = new Error(`LLM request timed out after ${this.timeoutMs}ms`);
+                timeoutError.status = 504;
+                throw timeoutError;
+            }
+            throw error;
+
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    isRetryable(error) {
+        if (error.status !== undefined) return RETRYABLE_STATUSES.includes(error.status);
+
+        return RETRYABLE_CODES.includes(error.code) || ['request-timeout', 'body-timeout'].includes(error.type);
+    }
+
+    getRetryDelay(error, attempt) {
+        const retryAfterSeconds = parseFloat(error.retryAfter);
+        const delay = Number.isNaN(retryAfterSeconds)
+            // Exponential backoff with jitter
+            ? this.retryBaseDelayMs * 2 ** attempt + Math.floor(Math.random() * this.retryBaseDelayMs)
+            : retryAfterSeconds * 1000;
+
+        return Math.min(Math.max(delay, 0), this.maxRetryDelayMs);
+    }
+
+    // ===========================================
+    // USAGE TRACKING
+    // ===========================================
+
+    createUsageTotals() {
+        return { requests: 0, failures: 0, input_tokens: 0, output_tokens: 0 };
+    }
+
+    usageBuckets(agentId, model) {
+        const agentKey = agentId || 'unassigned';
+        this.usage.by_agent[agentKey] = this.usage.by_agent[agentKey] || this.createUsageTotals();
+        this.usage.by_model[model] = this.usage.by_model[model] || this.createUsageTotals();
+
+        return [this.usage, this.usage.by_agent[agentKey], this.usage.by_model[model]];
+    }
+
+    recordUsage(agentId, model, usage) {
+        for (const bucket of this.usageBuckets(agentId, model)) {
+            bucket.requests++;
+            bucket.input_tokens += usage.input_tokens;
+            bucket.output_tokens += usage.output_tokens;
+        }
+    }
+
+    recordFailure(agentId, model) {
+        for (const bucket of this.usageBuckets(agentId, model)) {
+            bucket.requests++;
+            bucket.failures++;
+        }
+    }
+
+    async getUsageStats(req, res) {
+        res.json({
+            provider: this.provider.name,
+            default_model: this.defaultModel,
+            usage: this.usage
+        });
+    }
+}
+
+module.exports = LLMClient;
@@ -0,0 +1,48 @@
+// Local Embedder for ODIA 11-Agent System
+// Deterministic offline embeddings: hashed word and character-trigram features, L2-normalized
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'at', 'be', 'can', 'do', 'for', 'from', 'i', 'in', 'is', 'it', 'me',
+    'my', 'of', 'on', 'or', 'please', 'the', 'this', 'to', 'we', 'what', 'with', 'you', 'your'
+]);
+
+class LocalEmbedder {
+    constructor(options = {}) {
+        this.name = 'local';
+        this.dimensions = options.dimensions || 512;
+    }
+
+    async embed(texts) {
+        return texts.map(text => this.embedText(text));
+    }
+
+    embedText(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const words = text.toLowerCase().split(/[^a-z0-9]+/).filter(word => word && !STOP_WORDS.has(word));
+
+        for (const word of words) {
+            vector[this.hash(`w:${word}`)] += 1;
+
+            // Trigrams let "pay", "payment" and "paying" share features
+            const padded = `#${word}#`;
+            for (let i = 0; i + 3 <= padded.length; i++) {
+                vector[this.hash(`t:${padded.slice(i, i + 3)}`)] += 0.5;
+            }
+        }
+
+        const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return norm ? vector.map(value => value / norm) : vector;
+    }
+
+    // FNV-1a, folded into the vector size
+    hash(feature) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < feature.length; i++) {
+            hash ^= feature.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0) % this.dimensions;
+    }
+}
+
+module.exports = LocalEmbedder;
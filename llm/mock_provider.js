@@ -0,0 +1,58 @@
+// Mock LLM Provider for ODIA 11-Agent System
+// Deterministic offline stand-in: the same request always produces the same reply
+
+const crypto = require('crypto');
+
+class MockProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.defaultModel = 'mock-1';
+        // Optional ({ system, messages }) => string hook for scripted replies
+        this.responder = options.responder || null;
+    }
+
+    // onText receives the reply word by word, as a streaming API would send it
+    async complete({ model, system, messages, maxTokens, onText }) {
+        const lastMessage = this.contentToText(messages[messages.length - 1].content);
+        const text = this.responder
+            ? this.responder({ system, messages })
+            : this.defaultReply(system, lastMessage);
+
+        const output = text.slice(0, maxTokens * 4);
+
+        if (onText) {
+            for (const piece of output.match(/\S+\s*/g) || []) onText(piece);
+        }
+
+        return {
+            text: output,
+            model: model,
+            usage: {
+                input_tokens: this.estimateTokens((system || '') + messages.map(m => this.contentToText(m.content)).join('')),
+                output_tokens: this.estimateTokens(output)
+            }
+        };
+    }
+
+    defaultReply(system, message) {
+        const digest = crypto.createHash('sha1').update(`${system}\n${message}`).digest('hex').slice(0, 8);
+        const excerpt = message.replace(/\s+/g, ' ').trim().slice(0, 80);
+        return `[mock ${digest}] Thank you for your message: "${excerpt}". How else can I help?`;
+    }
+
+    // Attachments are reduced to a short description so replies stay deterministic
+    contentToText(content) {
+        if (typeof content === 'string') return content;
+
+        return content.map(part => part.type === 'text'
+            ? part.text
+            : `[${part.type}${part.filename ? ` ${part.filename}` : ''} ${part.media_type}]`
+        ).join(' ');
+    }
+
+    estimateTokens(text) {
+        return Math.ceil(text.length / 4);
+    }
+}
+
+module.exports = MockProvider;
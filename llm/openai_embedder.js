@@ -0,0 +1,39 @@
+// OpenAI Embedder for ODIA 11-Agent System
+// Batches texts through the OpenAI embeddings API
+
+const fetch = require('node-fetch');
+
+const OPENAI_EMBEDDINGS_URL = 'https://api.openai.com/v1/embeddings';
+
+class OpenAIEmbedder {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.apiKey = options.apiKey;
+        this.model = options.model || 'text-embedding-3-small';
+    }
+
+    async embed(texts) {
+        const response = await fetch(OPENAI_EMBEDDINGS_URL, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ model: this.model, input: texts })
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(`OpenAI embeddings error ${response.status}: ${result.error?.message || response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return result.data
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+}
+
+module.exports = OpenAIEmbedder;
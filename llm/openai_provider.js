@@ -0,0 +1,110 @@
+// OpenAI Provider for ODIA 11-Agent System
+// Calls the Chat Completions API and normalizes the response for LLMClient
+
+const fetch = require('node-fetch');
+const readEventStream = require('./read_event_stream');
+
+const OPENAI_API_URL = 'https://api.openai.com/v1/chat/completions';
+
+class OpenAIProvider {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.apiKey = options.apiKey;
+        this.defaultModel = options.defaultModel || 'gpt-4o-mini';
+    }
+
+    // With onText the reply is streamed, and onText receives each piece of text as it arrives
+    async complete({ model, system, messages, maxTokens, temperature, signal, onText }) {
+        const response = await fetch(OPENAI_API_URL, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                model: model,
+                max_tokens: maxTokens,
+                temperature: temperature,
+                messages: [
+                    ...(system ? [{ role: 'system', content: system }] : []),
+                    ...messages.map(message => this.formatMessage(message))
+                ],
+                stream: onText ? true : undefined,
+                stream_options: onText ? { include_usage: true } : undefined
+            }),
+            signal: signal
+        });
+
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            const error = new Error(`OpenAI API error ${response.status}: ${result.error?.message || response.statusText}`);
+            error.status = response.status;
+            error.retryAfter = response.headers.get('retry-after');
+            throw error;
+        }
+
+        if (onText) {
+            return this.readStream(response.body, onText);
+        }
+
+        const result = await response.json();
+
+        return {
+            text: result.choices[0].message.content,
+            model: result.model,
+            usage: {
+                input_tokens: result.usage?.prompt_tokens || 0,
+                output_tokens: result.usage?.completion_tokens || 0
+            }
+        };
+    }
+
+    async readStream(body, onText) {
+        let text = '';
+        let model = null;
+        const usage = { input_tokens: 0, output_tokens: 0 };
+
+        for await (const { data } of readEventStream(body)) {
+            if (data === '[DONE]') break;
+
+            const chunk = JSON.parse(data);
+            const delta = chunk.choices?.[0]?.delta?.content;
+            model = chunk.model || model;
+
+            if (delta) {
+                text += delta;
+                onText(delta);
+            }
+            // The last chunk carries the token counts and no choices
+            if (chunk.usage) {
+                usage.input_tokens = chunk.usage.prompt_tokens || 0;
+                usage.output_tokens = chunk.usage.completion_tokens || 0;
+            }
+        }
+
+        return { text: text, model: model, usage: usage };
+    }
+
+    formatMessage(message) {
+        if (typeof message.content === 'string') return message;
+
+        return { role: message.role, content: message.content.map(part => this.formatPart(part)) };
+    }
+
+    // Images and PDFs are sent as data URLs; other attachments are described in text
+    formatPart(part) {
+        if (part.type === 'image') {
+            return { type: 'image_url', image_url: { url: `data:${part.media_type};base64,${part.data}` } };
+        }
+        if (part.type === 'document' && part.media_type === 'application/pdf') {
+            return { type: 'file', file: { filename: part.filename || 'document.pdf', file_data: `data:${part.media_type};base64,${part.data}` } };
+        }
+        if (part.type === 'text') {
+            return { type: 'text', text: part.text };
+        }
+
+        return { type: 'text', text: `[Attached ${part.type}${part.filename ? ` ${part.filename}` : ''} (${part.media_type}) could not be read]` };
+    }
+}
+
+module.exports = OpenAIProvider;
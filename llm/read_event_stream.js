@@ -0,0 +1,40 @@
+// Server-Sent Events reader for ODIA 11-Agent System LLM providers
+// Yields { event, data } for each event in a streamed API response body (Anthropic and OpenAI both stream SSE)
+
+const { StringDecoder } = require('string_decoder');
+
+async function* readEventStream(body) {
+    // The decoder holds back multi-byte characters split across chunks
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.write(chunk);
+
+        // Events end with a blank line; the last piece may be incomplete
+        const blocks = buffer.split(/\r?\n\r?\n/);
+        buffer = blocks.pop();
+
+        for (const block of blocks) {
+            const event = parseEvent(block);
+            if (event) yield event;
+        }
+    }
+
+    const last = parseEvent(buffer + decoder.end());
+    if (last) yield last;
+}
+
+function parseEvent(block) {
+    let event = 'message';
+    const data = [];
+
+    for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+
+    return data.length > 0 ? { event: event, data: data.join('\n') } : null;
+}
+
+module.exports = readEventStream;
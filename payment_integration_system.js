@@ -2,57 +2,68 @@
 // Complete payment processing, invoicing, and financial management for ODIA AI
 
 const Flutterwave = require('flutterwave-node-v3');
-const crypto = require('crypto');
 const express = require('express');
 const cron = require('node-cron');
 
 class PaymentFinancialSystem {
-    constructor() {
-        this.flutterwave = new Flutterwave(
-            process.env.FLUTTERWAVE_PUBLIC_KEY,
-            process.env.FLUTTERWAVE_SECRET_KEY
-        );
+    constructor(options = {}) {
+        this.agentRegistry = options.agentRegistry;
+        this.db = options.database;
+        this.whatsappClient = options.whatsappClient;
+        this.contacts = options.contacts;
+        
+        this.flutterwave = process.env.FLUTTERWAVE_PUBLIC_KEY && process.env.FLUTTERWAVE_SECRET_KEY
+            ? new Flutterwave(process.env.FLUTTERWAVE_PUBLIC_KEY, process.env.FLUTTERWAVE_SECRET_KEY)
+            : null;
         
         this.webhookSecret = process.env.FLUTTERWAVE_WEBHOOK_SECRET;
         this.paymentPlans = new Map();
         this.subscriptionTiers = new Map();
+        this.scheduledJobs = [];
+        // Payment purpose (meta.purpose) -> handler(paymentData) for payments that aren't subscriptions
+        this.paymentHandlers = new Map();
         
         this.initializePaymentPlans();
         this.initializeSubscriptionTiers();
-        this.setupRoutes();
+    }
+
+    // ===========================================
+    // LIFECYCLE
+    // ===========================================
+
+    async start() {
         this.startAutomatedBilling();
     }
 
+    async stop() {
+        this.scheduledJobs.forEach(job => job.stop());
+        this.scheduledJobs = [];
+        console.log('💳 Automated billing stopped');
+    }
+
     setupRoutes() {
-        const app = express();
-        app.use(express.json());
+        const router = express.Router();
 
         // Payment processing endpoints
-        app.post('/api/payments/initiate', this.initiatePayment.bind(this));
-        app.post('/api/payments/verify/:transactionId', this.verifyPayment.bind(this));
-        app.post('/api/webhook/flutterwave', this.handleFlutterwaveWebhook.bind(this));
+        router.post('/api/payments/initiate', this.initiatePayment.bind(this));
+        router.post('/api/payments/verify/:transactionId', this.verifyPayment.bind(this));
+        router.post('/api/webhook/flutterwave', this.handleFlutterwaveWebhook.bind(this));
 
         // Subscription management
-        app.post('/api/subscriptions/create', this.createSubscription.bind(this));
-        app.get('/api/subscriptions/:userId', this.getUserSubscriptions.bind(this));
-        app.post('/api/subscriptions/upgrade', this.upgradeSubscription.bind(this));
-        app.post('/api/subscriptions/cancel', this.cancelSubscription.bind(this));
+        router.post('/api/subscriptions/create', this.createSubscription.bind(this));
+        router.get('/api/subscriptions/:userId', this.getUserSubscriptions.bind(this));
 
         // Invoice management
-        app.post('/api/invoices/generate', this.generateInvoice.bind(this));
-        app.get('/api/invoices/:invoiceId', this.getInvoice.bind(this));
-        app.post('/api/invoices/send-reminder', this.sendInvoiceReminder.bind(this));
+        router.post('/api/invoices/generate', this.generateInvoice.bind(this));
+        router.get('/api/invoices/:invoiceId', this.getInvoice.bind(this));
 
         // Financial analytics
-        app.get('/api/analytics/revenue', this.getRevenueAnalytics.bind(this));
-        app.get('/api/analytics/subscriptions', this.getSubscriptionAnalytics.bind(this));
-        app.get('/api/analytics/agents/:agentId', this.getAgentRevenueAnalytics.bind(this));
+        router.get('/api/analytics/revenue', this.getRevenueAnalytics.bind(this));
 
         // WhatsApp payment integration
-        app.post('/api/whatsapp-payment', this.handleWhatsAppPayment.bind(this));
-        app.post('/api/whatsapp-subscription', this.handleWhatsAppSubscription.bind(this));
+        router.post('/api/whatsapp-payment', this.handleWhatsAppPayment.bind(this));
 
-        return app;
+        return router;
     }
 
     // ===========================================
@@ -98,14 +109,16 @@ class PaymentFinancialSystem {
             voice_minutes: 500
         });
 
+        const allAgentIds = this.agentRegistry.listIds();
+
         this.paymentPlans.set('multi_agent_premium', {
             name: 'Multi-Agent Premium',
-            description: 'Access to all 11 specialized AI agents',
+            description: `Access to all ${allAgentIds.length} specialized AI agents`,
             price: 120000, // ₦120,000
             currency: 'NGN',
             billing_cycle: 'monthly',
             features: [
-                'All 11 ODIA AI agents',
+                `All ${allAgentIds.length} ODIA AI agents`,
                 'Unlimited messaging',
                 'Unlimited voice interactions',
                 'Legal document generation',
@@ -114,11 +127,7 @@ class PaymentFinancialSystem {
                 'Custom training',
                 'API access'
             ],
-            agent_access: [
-                'lexi-pro', 'atlas-corporate', 'miss-legal', 'paymaster',
-                'crossai-emergency', 'miss-academic', 'tech-support',
-                'luxury-service', 'med-assist', 'edu-kids', 'gov-connect'
-            ],
+            agent_access: allAgentIds,
             message_limit: -1, // unlimited
             voice_minutes: -1 // unlimited
         });
@@ -130,7 +139,7 @@ class PaymentFinancialSystem {
             currency: 'NGN',
             billing_cycle: 'monthly',
             features: [
-                'All 11 agents + custom agents',
+                `All ${allAgentIds.length} agents + custom agents`,
                 'Unlimited everything',
                 'Dedicated infrastructure',
                 'SLA guarantees',
@@ -304,6 +313,18 @@ class PaymentFinancialSystem {
                 // Update payment status in database
                 await this.updatePaymentStatus(paymentData.tx_ref, 'successful', paymentData);
 
+                // Booking deposits and other non-subscription payments
+                if (await this.handlePurposePayment(paymentData)) {
+                    return res.json({
+                        success: true,
+                        payment_status: 'successful',
+                        transaction_id: transactionId,
+                        amount: paymentData.amount,
+                        currency: paymentData.currency,
+                        purpose: paymentData.meta.purpose
+                    });
+                }
+
                 // Activate user subscription
                 await this.activateSubscription({
                     user_id: paymentData.meta.user_id,
@@ -393,6 +414,9 @@ class PaymentFinancialSystem {
             // Update payment status
             await this.updatePaymentStatus(paymentData.tx_ref, 'completed', paymentData);
 
+            // Booking deposits and other non-subscription payments
+            if (await this.handlePurposePayment(paymentData)) return;
+
             // Process subscription activation
             if (paymentData.meta?.plan_id) {
                 await this.activateSubscription({
@@ -411,13 +435,39 @@ class PaymentFinancialSystem {
         }
     }
 
+    // Flutterwave's record of a transaction ({ status, tx_ref, amount, currency, meta, ... }), so handlers don't act
+    // on a webhook body alone; null when it can't be verified
+    async verifyTransaction(transactionId) {
+        if (!this.flutterwave) {
+            console.error(`⚠️ Flutterwave is not configured, transaction ${transactionId} can't be verified`);
+            return null;
+        }
+
+        const response = await this.flutterwave.Transaction.verify({ id: transactionId });
+        return response.status === 'success' ? response.data : null;
+    }
+
+    // Other subsystems take payments through the same link flow, labelled with meta.purpose
+    registerPaymentHandler(purpose, handler) {
+        this.paymentHandlers.set(purpose, handler);
+    }
+
+    // Returns true when a registered handler took the payment
+    async handlePurposePayment(paymentData) {
+        const handler = this.paymentHandlers.get(paymentData.meta?.purpose);
+        if (!handler) return false;
+
+        await handler(paymentData);
+        return true;
+    }
+
     // ===========================================
     // WHATSAPP PAYMENT INTEGRATION
     // ===========================================
 
     async handleWhatsAppPayment(req, res) {
         try {
-            const { phoneNumber, message, agentId = 'paymaster' } = req.body;
+            const { phoneNumber, message } = req.body;
 
             // Parse payment intent from WhatsApp message
             const paymentIntent = this.parsePaymentMessage(message);
@@ -429,34 +479,21 @@ class PaymentFinancialSystem {
                 });
             }
 
-            // Find matching payment plan
+            // Find matching payment plan; otherwise let the customer pick one from a list
             const plan = this.findPaymentPlan(paymentIntent.planName);
             if (!plan) {
-                await this.sendWhatsAppMessage(phoneNumber, 
-                    `❌ Plan "${paymentIntent.planName}" not found.\n\nAvailable plans:\n${this.getAvailablePlansText()}`
-                );
-                return res.json({ success: false, reason: 'Plan not found' });
+                const prompt = paymentIntent.planName
+                    ? `❌ Plan "${paymentIntent.planName}" not found. Choose one of our plans:`
+                    : null;
+                await this.sendWhatsAppMessage(phoneNumber, this.buildPlanPicker(prompt), { source: 'plan_picker' });
+                return res.json({
+                    success: false,
+                    reason: paymentIntent.planName ? 'Plan not found' : 'Plan selection required',
+                    plan_picker_sent: true
+                });
             }
 
-            // Get or create user profile
-            const userProfile = await this.getOrCreateUserProfile(phoneNumber);
-
-            // Generate payment link
-            const paymentLink = await this.generateWhatsAppPaymentLink({
-                userId: userProfile.id,
-                planId: plan.id,
-                phoneNumber: phoneNumber,
-                planDetails: plan
-            });
-
-            // Send payment link via WhatsApp
-            await this.sendWhatsAppMessage(phoneNumber, 
-                `💰 Payment Link for ${plan.name}\n\n` +
-                `Amount: ₦${plan.price.toLocaleString()}\n` +
-                `Features: ${plan.features.slice(0, 3).join(', ')}\n\n` +
-                `🔗 Pay Now: ${paymentLink}\n\n` +
-                `Your subscription will be activated immediately after payment.`
-            );
+            const { paymentLink } = await this.sendPlanPaymentLink(phoneNumber, plan.id);
 
             res.json({
                 success: true,
@@ -472,6 +509,58 @@ class PaymentFinancialSystem {
         }
     }
 
+    // Generates a payment link for the plan and sends it as a "Pay now" button; used for plan picker replies too
+    async sendPlanPaymentLink(phoneNumber, planId) {
+        const plan = this.paymentPlans.get(planId);
+        if (!plan) {
+            await this.sendWhatsAppMessage(phoneNumber, this.buildPlanPicker(`❌ That plan is no longer available. Choose one of our plans:`), {
+                source: 'plan_picker'
+            });
+            return { plan: null, paymentLink: null };
+        }
+
+        // Get or create user profile
+        const userProfile = await this.getOrCreateUserProfile(phoneNumber);
+
+        // Generate payment link
+        const paymentLink = await this.generateWhatsAppPaymentLink({
+            userId: userProfile.id,
+            planId: planId,
+            phoneNumber: phoneNumber,
+            planDetails: plan
+        });
+
+        // Send payment link via WhatsApp
+        await this.sendWhatsAppMessage(phoneNumber, {
+            type: 'cta_url',
+            header: `💰 ${plan.name}`,
+            body: `Amount: ₦${plan.price.toLocaleString()}/${plan.billing_cycle}\n` +
+                `Features: ${plan.features.slice(0, 3).join(', ')}\n\n` +
+                `Your subscription will be activated immediately after payment.`,
+            displayText: `Pay ₦${plan.price.toLocaleString()}`,
+            url: paymentLink
+        }, { source: 'payment_link' });
+
+        return { plan: { id: planId, ...plan }, paymentLink: paymentLink };
+    }
+
+    // WhatsApp list of every plan; rows reply with "plan:<planId>"
+    buildPlanPicker(body) {
+        return {
+            type: 'list',
+            body: body || '💳 Choose a plan to subscribe:',
+            buttonText: 'View plans',
+            sections: [{
+                title: 'ODIA AI plans',
+                rows: Array.from(this.paymentPlans.entries()).map(([planId, plan]) => ({
+                    id: `plan:${planId}`,
+                    title: plan.name,
+                    description: `₦${plan.price.toLocaleString()}/${plan.billing_cycle} · ${plan.description}`
+                }))
+            }]
+        };
+    }
+
     parsePaymentMessage(message) {
         const text = message.toLowerCase();
         
@@ -541,6 +630,8 @@ class PaymentFinancialSystem {
         return null;
     }
 
+    // Subscriptions pass planId and planDetails; other payments pass purpose, reference and planDetails with
+    // their own price, currency, description and title
     async generateWhatsAppPaymentLink(paymentData) {
         try {
             const txRef = `WA_${Date.now()}_${paymentData.userId}`;
@@ -557,11 +648,13 @@ class PaymentFinancialSystem {
                 meta: {
                     user_id: paymentData.userId,
                     plan_id: paymentData.planId,
+                    purpose: paymentData.purpose,
+                    reference: paymentData.reference,
                     source: 'whatsapp',
                     phone_number: paymentData.phoneNumber
                 },
                 customizations: {
-                    title: 'ODIA AI WhatsApp Subscription',
+                    title: paymentData.planDetails.title || 'ODIA AI WhatsApp Subscription',
                     description: paymentData.planDetails.description,
                     logo: 'https://odia.dev/logo.png'
                 }
@@ -601,43 +694,15 @@ class PaymentFinancialSystem {
             const {
                 userId,
                 planId,
-                paymentMethod = 'flutterwave',
                 billingCycle = 'monthly'
             } = req.body;
 
-            const plan = this.paymentPlans.get(planId);
-            if (!plan) {
+            if (!this.paymentPlans.has(planId)) {
                 return res.status(400).json({ error: 'Invalid plan ID' });
             }
 
-            // Calculate subscription dates
-            const startDate = new Date();
-            const endDate = new Date();
-            endDate.setMonth(endDate.getMonth() + (billingCycle === 'yearly' ? 12 : 1));
-
-            const subscription = {
-                id: `sub_${Date.now()}`,
-                user_id: userId,
-                plan_id: planId,
-                plan_name: plan.name,
-                status: 'pending_payment',
-                billing_cycle: billingCycle,
-                amount: plan.price,
-                currency: plan.currency,
-                start_date: startDate,
-                end_date: endDate,
-                agent_access: plan.agent_access,
-                features: plan.features,
-                limits: {
-                    messages: plan.message_limit,
-                    voice_minutes: plan.voice_minutes
-                },
-                auto_renew: true,
-                created_at: new Date()
-            };
-
-            // Store subscription
-            await this.storeSubscription(subscription);
+            // Store subscription; the repository assigns its ID
+            const subscription = await this.storeSubscription(this.buildSubscription(userId, planId, billingCycle));
 
             res.json({
                 success: true,
@@ -651,29 +716,65 @@ class PaymentFinancialSystem {
         }
     }
 
+    buildSubscription(userId, planId, billingCycle = 'monthly') {
+        const plan = this.paymentPlans.get(planId);
+        if (!plan) {
+            throw new Error(`Invalid plan ID: ${planId}`);
+        }
+
+        // Calculate subscription dates
+        const startDate = new Date();
+        const endDate = new Date();
+        endDate.setMonth(endDate.getMonth() + (billingCycle === 'yearly' ? 12 : 1));
+
+        return {
+            user_id: userId,
+            plan_id: planId,
+            plan_name: plan.name,
+            status: 'pending_payment',
+            billing_cycle: billingCycle,
+            amount: plan.price,
+            currency: plan.currency,
+            start_date: startDate,
+            end_date: endDate,
+            agent_access: plan.agent_access,
+            features: plan.features,
+            limits: {
+                messages: plan.message_limit,
+                voice_minutes: plan.voice_minutes
+            },
+            auto_renew: true,
+            created_at: new Date()
+        };
+    }
+
     async activateSubscription(subscriptionData) {
         try {
-            const subscription = await this.getSubscriptionByUserId(subscriptionData.user_id);
-            
-            if (subscription) {
-                // Update existing subscription
-                await this.updateSubscriptionStatus(subscription.id, 'active', {
-                    activated_at: new Date(),
-                    last_payment_date: subscriptionData.payment_date,
-                    transaction_id: subscriptionData.transaction_id
-                });
+            let subscription = await this.getSubscriptionByUserId(subscriptionData.user_id);
 
-                // Grant agent access
-                await this.grantAgentAccess(
-                    subscriptionData.user_id, 
-                    subscription.agent_access
+            // Payments started from WhatsApp or the payment page may not have a pending subscription yet
+            if (!subscription || subscription.plan_id !== subscriptionData.plan_id) {
+                subscription = await this.storeSubscription(
+                    this.buildSubscription(subscriptionData.user_id, subscriptionData.plan_id)
                 );
-
-                console.log(`✅ Subscription activated for user ${subscriptionData.user_id}`);
-                
-                return subscription;
             }
 
+            await this.updateSubscriptionStatus(subscription.id, 'active', {
+                activated_at: new Date(),
+                last_payment_date: subscriptionData.payment_date,
+                transaction_id: String(subscriptionData.transaction_id)
+            });
+
+            // Grant agent access
+            await this.grantAgentAccess(
+                subscriptionData.user_id, 
+                subscription.agent_access
+            );
+
+            console.log(`✅ Subscription activated for user ${subscriptionData.user_id}`);
+            
+            return subscription;
+
         } catch (error) {
             console.error('Subscription activation error:', error);
             throw error;
@@ -684,23 +785,55 @@ class PaymentFinancialSystem {
     // INVOICE MANAGEMENT
     // ===========================================
 
+    // billTo names the customer being invoiced from a contact book (ownerPhone's, else the user's own):
+    // a name, alias, email or phone number
     async generateInvoice(req, res) {
         try {
             const {
                 userId,
                 planId,
                 customItems = [],
-                agentId = 'paymaster'
+                agentId = 'paymaster',
+                ownerPhone,
+                billTo
             } = req.body;
 
             const plan = this.paymentPlans.get(planId);
             const user = await this.getUserProfile(userId);
+            const contactBookPhone = ownerPhone || (user && user.phone_number);
+            let customerInfo = user;
 
-            const invoice = {
-                id: `inv_${Date.now()}`,
+            if (billTo && !contactBookPhone) {
+                return res.status(400).json({ error: 'ownerPhone is required to look up billTo in a contact book' });
+            }
+
+            if (billTo) {
+                const matches = await this.contacts.resolve(contactBookPhone, billTo);
+
+                if (matches.length === 0) {
+                    return res.status(404).json({ error: `No contact matches "${billTo}"` });
+                }
+                if (matches.length > 1) {
+                    return res.status(409).json({
+                        error: `Several contacts match "${billTo}"`,
+                        matches: matches.map(contact => ({ id: contact.id, name: contact.name, email: contact.email, company: contact.company }))
+                    });
+                }
+
+                const [contact] = matches;
+                customerInfo = {
+                    contact_id: contact.id,
+                    name: contact.name,
+                    email: contact.email,
+                    phone_number: contact.phone_number,
+                    company: contact.company
+                };
+            }
+
+            const draft = {
                 invoice_number: `ODIA-${Date.now()}`,
                 user_id: userId,
-                customer_info: user,
+                customer_info: customerInfo,
                 items: [
                     {
                         description: plan?.name || 'ODIA AI Service',
@@ -721,14 +854,14 @@ class PaymentFinancialSystem {
             };
 
             // Calculate VAT (7.5% for Nigerian businesses)
-            invoice.tax = invoice.subtotal * 0.075;
-            invoice.total = invoice.subtotal + invoice.tax;
+            draft.tax = draft.subtotal * 0.075;
+            draft.total = draft.subtotal + draft.tax;
 
-            // Generate invoice PDF
-            const invoicePDF = await this.generateInvoicePDF(invoice);
+            // Store invoice; the repository assigns its ID
+            const invoice = await this.storeInvoice(draft);
 
-            // Store invoice
-            await this.storeInvoice(invoice);
+            // Generate invoice PDF
+            await this.generateInvoicePDF(invoice);
 
             res.json({
                 success: true,
@@ -743,6 +876,42 @@ class PaymentFinancialSystem {
         }
     }
 
+    async getUserSubscriptions(req, res) {
+        try {
+            const { userId } = req.params;
+            const subscriptions = await this.db.table('subscriptions').find(
+                { user_id: userId },
+                { orderBy: 'created_at', descending: true }
+            );
+
+            res.json({
+                user_id: userId,
+                active_subscription: subscriptions.find(sub => sub.status === 'active') || null,
+                subscriptions: subscriptions
+            });
+
+        } catch (error) {
+            console.error('Subscription lookup error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    async getInvoice(req, res) {
+        try {
+            const invoice = await this.db.table('invoices').findById(req.params.invoiceId);
+
+            if (!invoice) {
+                return res.status(404).json({ error: 'Invoice not found' });
+            }
+
+            res.json({ invoice: invoice });
+
+        } catch (error) {
+            console.error('Invoice lookup error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
     // ===========================================
     // FINANCIAL ANALYTICS
     // ===========================================
@@ -777,7 +946,7 @@ class PaymentFinancialSystem {
 
     startAutomatedBilling() {
         // Run daily at 9 AM WAT
-        cron.schedule('0 9 * * *', async () => {
+        this.scheduledJobs.push(cron.schedule('0 9 * * *', async () => {
             console.log('🔄 Running automated billing process...');
             
             try {
@@ -790,10 +959,10 @@ class PaymentFinancialSystem {
             } catch (error) {
                 console.error('Automated billing error:', error);
             }
-        });
+        }));
 
         // Run weekly on Mondays for analytics
-        cron.schedule('0 10 * * 1', async () => {
+        this.scheduledJobs.push(cron.schedule('0 10 * * 1', async () => {
             console.log('📊 Generating weekly financial reports...');
             
             try {
@@ -802,7 +971,7 @@ class PaymentFinancialSystem {
             } catch (error) {
                 console.error('Weekly report generation error:', error);
             }
-        });
+        }));
     }
 
     async processSubscriptionRenewals() {
@@ -842,17 +1011,16 @@ class PaymentFinancialSystem {
     // UTILITY METHODS
     // ===========================================
 
-    getAvailablePlansText() {
-        const plans = Array.from(this.paymentPlans.values());
-        return plans.map(plan => 
-            `• ${plan.name} - ₦${plan.price.toLocaleString()}/${plan.billing_cycle}`
-        ).join('\n');
-    }
+    // Text or a structured reply (list, buttons, CTA URL); only logged when WhatsApp isn't configured.
+    // Notifications that can arrive outside the 24-hour window pass an approved fallbackTemplate;
+    // source labels the message in the delivery history.
+    async sendWhatsAppMessage(phoneNumber, message, { fallbackTemplate, source } = {}) {
+        if (!this.whatsappClient || !this.whatsappClient.isConfigured()) {
+            console.log(`WhatsApp to ${phoneNumber}: ${typeof message === 'string' ? message : message.body}`);
+            return null;
+        }
 
-    async sendWhatsAppMessage(phoneNumber, message) {
-        // Integration with WhatsApp API
-        console.log(`WhatsApp to ${phoneNumber}: ${message}`);
-        // Actual implementation would use WhatsApp Business API
+        return this.whatsappClient.sendMessage(phoneNumber, message, { fallbackTemplate, source });
     }
 
     async sendWhatsAppPaymentConfirmation(phoneNumber, paymentData) {
@@ -862,78 +1030,108 @@ class PaymentFinancialSystem {
             `Transaction ID: ${paymentData.id}\n\n` +
             `Your ODIA AI agents are now active! Start chatting to experience the power of Nigerian AI.`;
             
-        await this.sendWhatsAppMessage(phoneNumber, message);
+        await this.sendWhatsAppMessage(phoneNumber, message, {
+            source: 'payment_confirmation',
+            fallbackTemplate: {
+                name: 'payment_confirmation',
+                variables: {
+                    amount: paymentData.amount.toLocaleString(),
+                    plan: this.paymentPlans.get(paymentData.meta.plan_id)?.name || paymentData.meta.plan_id,
+                    transaction_id: paymentData.id
+                }
+            }
+        });
     }
 
     async sendSubscriptionWelcome(userId, planId) {
         const plan = this.paymentPlans.get(planId);
         const user = await this.getUserProfile(userId);
         
-        if (user.phone_number) {
+        if (user && user.phone_number) {
             const welcomeMessage = `🤖 Welcome to ODIA AI!\n\n` +
                 `Your ${plan.name} is now active.\n\n` +
                 `Available agents: ${plan.agent_access.join(', ')}\n` +
                 `Features: ${plan.features.slice(0, 3).join(', ')}\n\n` +
                 `Type "help" to get started or ask any agent for assistance!`;
                 
-            await this.sendWhatsAppMessage(user.phone_number, welcomeMessage);
+            await this.sendWhatsAppMessage(user.phone_number, welcomeMessage, {
+                source: 'subscription_welcome',
+                fallbackTemplate: {
+                    name: 'subscription_welcome',
+                    variables: { plan_name: plan.name, agents: plan.agent_access.join(', ') }
+                }
+            });
         }
     }
 
-    // Database operations (implement with Supabase)
+    // Database operations
     async storePaymentInitiation(paymentData) {
         console.log('Storing payment initiation:', paymentData.tx_ref);
-        // Implementation would insert into payment_transactions table
+        await this.db.table('payment_transactions').insert(paymentData);
     }
 
     async updatePaymentStatus(txRef, status, paymentData) {
         console.log(`Updating payment ${txRef} status to ${status}`);
-        // Implementation would update payment_transactions table
+
+        const transaction = await this.db.table('payment_transactions').findOne({ tx_ref: txRef });
+        if (!transaction) {
+            console.error(`Payment transaction not found: ${txRef}`);
+            return null;
+        }
+
+        return this.db.table('payment_transactions').update(transaction.id, {
+            status: status,
+            flutterwave_transaction_id: paymentData?.id ? String(paymentData.id) : undefined,
+            provider_response: paymentData || null
+        });
     }
 
     async storeSubscription(subscription) {
-        console.log('Storing subscription:', subscription.id);
-        // Implementation would insert into subscriptions table
+        const stored = await this.db.table('subscriptions').insert(subscription);
+        console.log('Stored subscription:', stored.id);
+        return stored;
     }
 
     async getOrCreateUserProfile(phoneNumber) {
-        // Mock implementation
-        return {
-            id: `user_${Date.now()}`,
+        const existingUser = await this.db.table('users').findOne({ phone_number: phoneNumber });
+        if (existingUser) return existingUser;
+
+        return this.db.table('users').insert({
             phone_number: phoneNumber,
-            created_at: new Date()
-        };
+            agent_access: []
+        });
     }
 
     async getUserProfile(userId) {
-        // Mock implementation
-        return {
-            id: userId,
-            name: 'Customer',
-            email: 'customer@example.com',
-            phone_number: '+234XXXXXXXXX'
-        };
+        return this.db.table('users').findById(userId);
     }
 
     async getSubscriptionByUserId(userId) {
-        // Mock implementation
-        return {
-            id: `sub_${userId}`,
-            user_id: userId,
-            agent_access: ['lexi-pro']
-        };
+        return this.db.table('subscriptions').findOne(
+            { user_id: userId },
+            { orderBy: 'created_at', descending: true }
+        );
     }
 
     async updateSubscriptionStatus(subscriptionId, status, data) {
         console.log(`Updating subscription ${subscriptionId} to ${status}`);
+        return this.db.table('subscriptions').update(subscriptionId, { status: status, ...data });
     }
 
     async grantAgentAccess(userId, agentList) {
         console.log(`Granting agent access to user ${userId}:`, agentList);
+
+        const user = await this.getUserProfile(userId);
+        if (!user) return null;
+
+        const agentAccess = [...new Set([...(user.agent_access || []), ...agentList])];
+        return this.db.table('users').update(userId, { agent_access: agentAccess });
     }
 
     async storeInvoice(invoice) {
-        console.log('Storing invoice:', invoice.id);
+        const stored = await this.db.table('invoices').insert(invoice);
+        console.log('Stored invoice:', stored.id);
+        return stored;
     }
 
     async generateInvoicePDF(invoice) {
@@ -946,33 +1144,62 @@ class PaymentFinancialSystem {
     }
 
     async calculateRevenueAnalytics(period, agentId) {
-        // Mock analytics data
+        const periodMs = this.parsePeriod(period);
+        const now = Date.now();
+
+        // This period and the one before, for the growth rate
+        const filter = {
+            status: { in: ['successful', 'completed'] },
+            created_at: { gt: new Date(now - periodMs * 2) }
+        };
+        if (agentId) filter.agent_id = agentId;
+
+        const transactions = await this.db.table('payment_transactions').find(filter);
+
+        const current = transactions.filter(tx => now - tx.created_at.getTime() <= periodMs);
+        const previous = transactions.filter(tx => {
+            const age = now - tx.created_at.getTime();
+            return age > periodMs && age <= periodMs * 2;
+        });
+
+        const sum = (list) => list.reduce((total, tx) => total + (tx.amount || 0), 0);
+        const groupBy = (list, key) => list.reduce((groups, tx) => {
+            const group = tx[key] || 'unknown';
+            groups[group] = (groups[group] || 0) + (tx.amount || 0);
+            return groups;
+        }, {});
+
+        const totalRevenue = sum(current);
+        const previousRevenue = sum(previous);
+
+        const monthlyTrend = Object.entries(current.reduce((months, tx) => {
+            const month = tx.created_at.toLocaleString('en-NG', { month: 'short', year: 'numeric' });
+            months[month] = (months[month] || 0) + (tx.amount || 0);
+            return months;
+        }, {})).map(([month, revenue]) => ({ month, revenue }));
+
         return {
-            totalRevenue: 5000000, // ₦5M
-            transactionCount: 150,
-            averageTransaction: 33333,
-            growthRate: 0.25, // 25%
-            planBreakdown: {
-                'lexi_starter': 1500000,
-                'lexi_business': 2000000,
-                'multi_agent_premium': 1500000
-            },
-            agentBreakdown: {
-                'lexi-pro': 3500000,
-                'miss-legal': 750000,
-                'paymaster': 750000
-            },
-            monthlyTrend: [
-                { month: 'Jan', revenue: 3000000 },
-                { month: 'Feb', revenue: 4000000 },
-                { month: 'Mar', revenue: 5000000 }
-            ]
+            totalRevenue: totalRevenue,
+            transactionCount: current.length,
+            averageTransaction: current.length ? Math.round(totalRevenue / current.length) : 0,
+            growthRate: previousRevenue ? (totalRevenue - previousRevenue) / previousRevenue : null,
+            planBreakdown: groupBy(current, 'plan_id'),
+            agentBreakdown: groupBy(current, 'agent_id'),
+            monthlyTrend: monthlyTrend
         };
     }
 
+    parsePeriod(period) {
+        const match = /^(\d+)([dmy])$/.exec(period);
+        if (!match) return 30 * 24 * 60 * 60 * 1000;
+
+        const days = { d: 1, m: 30, y: 365 }[match[2]] * parseInt(match[1], 10);
+        return days * 24 * 60 * 60 * 1000;
+    }
+
     async getExpiringSubscriptions(days) {
-        // Mock implementation
-        return [];
+        const cutoff = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+        return this.db.table('subscriptions').find({ status: 'active', end_date: { lte: cutoff } });
     }
 
     async generateRenewalPaymentLink(subscription) {
@@ -980,7 +1207,28 @@ class PaymentFinancialSystem {
     }
 
     async sendRenewalNotification(subscription, paymentLink) {
-        console.log(`Sending renewal notification for ${subscription.id}`);
+        const user = await this.getUserProfile(subscription.user_id);
+        if (!user || !user.phone_number) {
+            console.log(`⚠️ No WhatsApp number for subscription ${subscription.id}, renewal notification skipped`);
+            return;
+        }
+
+        const plan = this.paymentPlans.get(subscription.plan_id);
+        const planName = subscription.plan_name || (plan ? plan.name : subscription.plan_id);
+        const endDate = subscription.end_date ? subscription.end_date.toDateString() : 'soon';
+
+        // Renewal reminders usually land outside the service window, so the template is the common path
+        await this.sendWhatsAppMessage(user.phone_number,
+            `⏰ Your ${planName} subscription ends on ${endDate}.\n\n` +
+            `Renew now to keep your agents active:\n${paymentLink}`,
+            {
+                source: 'subscription_renewal',
+                fallbackTemplate: {
+                    name: 'subscription_renewal',
+                    variables: { plan_name: planName, end_date: endDate, payment_link: paymentLink }
+                }
+            }
+        );
     }
 
     async generateWeeklyFinancialReport() {
@@ -988,9 +1236,8 @@ class PaymentFinancialSystem {
     }
 }
 
-// Initialize and export
-const paymentSystem = new PaymentFinancialSystem();
-module.exports = paymentSystem;
+// Export the class; src/server.js constructs and starts it
+module.exports = PaymentFinancialSystem;
 
 // Usage Examples:
 /*
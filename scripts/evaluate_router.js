@@ -0,0 +1,100 @@
+// Intent Router Evaluation for ODIA 11-Agent System
+// Routes a labelled utterance file offline and reports accuracy per agent
+//
+//   node scripts/evaluate_router.js [file.jsonl] [--llm] [--min-accuracy=0.8]
+//
+// Each line of the file is { "text": "...", "agent": "<expected agent id>" }.
+// The LLM tie-breaker is off unless --llm is given, so results are deterministic by default.
+
+const fs = require('fs');
+const path = require('path');
+
+const AgentRegistry = require('../agent_registry');
+const IntentRouter = require('../intent_router');
+const { createLLMClient, createEmbedder } = require('../llm');
+
+const DEFAULT_EVAL_FILE = path.join(__dirname, '..', 'config', 'router_eval.jsonl');
+
+function parseArgs(argv) {
+    const args = { file: DEFAULT_EVAL_FILE, useLLM: false, minAccuracy: null };
+
+    for (const arg of argv) {
+        if (arg === '--llm') args.useLLM = true;
+        else if (arg.startsWith('--min-accuracy=')) args.minAccuracy = parseFloat(arg.split('=')[1]);
+        else args.file = path.resolve(arg);
+    }
+
+    return args;
+}
+
+function loadCases(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map((line, index) => {
+            const testCase = JSON.parse(line);
+            if (!testCase.text || !testCase.agent) {
+                throw new Error(`Line ${index + 1}: expected { "text", "agent" }`);
+            }
+            return testCase;
+        });
+}
+
+function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+async function evaluate() {
+    const args = parseArgs(process.argv.slice(2));
+    const agentRegistry = new AgentRegistry();
+    const router = new IntentRouter({
+        agentRegistry,
+        embedder: createEmbedder(),
+        llm: args.useLLM ? createLLMClient({ agentRegistry }) : null,
+        useLLMClassifier: args.useLLM
+    });
+
+    const cases = loadCases(args.file);
+    const perAgent = new Map();
+    const misroutes = [];
+
+    for (const testCase of cases) {
+        const result = await router.route(testCase.text);
+        const stats = perAgent.get(testCase.agent) || { total: 0, correct: 0 };
+
+        stats.total++;
+        if (result.agentId === testCase.agent) {
+            stats.correct++;
+        } else {
+            misroutes.push({ ...testCase, routed: result.agentId, confidence: result.confidence, method: result.method });
+        }
+        perAgent.set(testCase.agent, stats);
+    }
+
+    console.log(`\n📊 Router evaluation: ${path.basename(args.file)} (${cases.length} utterances, ${router.embedder.name} embeddings${args.useLLM ? ' + LLM' : ''})\n`);
+
+    for (const [agentId, stats] of [...perAgent.entries()].sort()) {
+        console.log(`  ${agentId.padEnd(20)} ${String(stats.correct).padStart(3)}/${String(stats.total).padEnd(3)} ${formatPercent(stats.correct / stats.total)}`);
+    }
+
+    const correct = cases.length - misroutes.length;
+    const accuracy = cases.length ? correct / cases.length : 0;
+    console.log(`\n  ${'overall'.padEnd(20)} ${String(correct).padStart(3)}/${String(cases.length).padEnd(3)} ${formatPercent(accuracy)}`);
+
+    if (misroutes.length > 0) {
+        console.log('\n❌ Misrouted:');
+        for (const miss of misroutes) {
+            console.log(`  "${miss.text}"\n     expected ${miss.agent}, got ${miss.routed} (${miss.method}, ${miss.confidence.toFixed(2)})`);
+        }
+    }
+
+    if (args.minAccuracy !== null && accuracy < args.minAccuracy) {
+        console.error(`\nAccuracy ${formatPercent(accuracy)} is below the required ${formatPercent(args.minAccuracy)}`);
+        process.exitCode = 1;
+    }
+}
+
+evaluate().catch(error => {
+    console.error('Router evaluation error:', error);
+    process.exitCode = 1;
+});
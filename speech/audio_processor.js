@@ -0,0 +1,240 @@
+// Audio Processor for ODIA 11-Agent System
+// Transcodes between OGG/Opus, MP3, WAV and AMR with ffmpeg, normalizes loudness, trims silence and measures duration.
+// Outbound replies become OGG/Opus so WhatsApp shows them as push-to-talk voice notes rather than audio files.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const runBinary = require('./run_binary');
+
+const FORMATS = {
+    ogg: {
+        mimeType: 'audio/ogg',
+        // WhatsApp voice notes: mono Opus at 48 kHz
+        args: ['-c:a', 'libopus', '-b:a', '32k', '-ar', '48000', '-ac', '1', '-application', 'voip', '-f', 'ogg']
+    },
+    mp3: {
+        mimeType: 'audio/mpeg',
+        args: ['-c:a', 'libmp3lame', '-b:a', '64k', '-ac', '1', '-f', 'mp3']
+    },
+    wav: {
+        mimeType: 'audio/wav',
+        args: ['-c:a', 'pcm_s16le', '-ar', '16000', '-ac', '1', '-f', 'wav']
+    },
+    amr: {
+        mimeType: 'audio/amr',
+        args: ['-c:a', 'libopencore_amrnb', '-b:a', '12.2k', '-ar', '8000', '-ac', '1', '-f', 'amr']
+    }
+};
+
+const MIME_FORMATS = {
+    'audio/ogg': 'ogg',
+    'audio/opus': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp3': 'mp3',
+    'audio/wav': 'wav',
+    'audio/x-wav': 'wav',
+    'audio/wave': 'wav',
+    'audio/amr': 'amr'
+};
+
+// EBU R128 speech loudness, and silence below -50 dB trimmed from both ends
+const LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+const TRIM_SILENCE_FILTER = [
+    'silenceremove=start_periods=1:start_threshold=-50dB:start_silence=0.1',
+    'areverse',
+    'silenceremove=start_periods=1:start_threshold=-50dB:start_silence=0.1',
+    'areverse'
+].join(',');
+
+class AudioProcessor {
+    constructor(options = {}) {
+        this.ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+        this.ffprobePath = options.ffprobePath || process.env.FFPROBE_PATH || 'ffprobe';
+        this.timeoutMs = options.timeoutMs || 30000;
+    }
+
+    // ===========================================
+    // FORMATS
+    // ===========================================
+
+    getMimeType(format) {
+        return FORMATS[format].mimeType;
+    }
+
+    // Format from the file's magic bytes, falling back to its MIME type; null when neither is recognised
+    detectFormat(buffer, mimeType) {
+        const header = buffer.subarray(0, 12);
+
+        if (header.subarray(0, 4).toString('latin1') === 'OggS') return 'ogg';
+        if (header.subarray(0, 4).toString('latin1') === 'RIFF' && header.subarray(8, 12).toString('latin1') === 'WAVE') return 'wav';
+        if (header.subarray(0, 5).toString('latin1') === '#!AMR') return 'amr';
+        if (header.subarray(0, 3).toString('latin1') === 'ID3' || (header[0] === 0xff && (header[1] & 0xe0) === 0xe0)) return 'mp3';
+
+        return mimeType ? MIME_FORMATS[mimeType.split(';')[0].trim().toLowerCase()] || null : null;
+    }
+
+    // ===========================================
+    // TRANSCODING
+    // ===========================================
+
+    // Returns { audio, mimeType, format }; normalize and trimSilence add the loudness and silence filters
+    async transcode(buffer, { to, normalize = false, trimSilence = false } = {}) {
+        if (!FORMATS[to]) {
+            throw new Error(`Unsupported audio format: ${to}`);
+        }
+
+        const filters = [trimSilence ? TRIM_SILENCE_FILTER : null, normalize ? LOUDNORM_FILTER : null].filter(Boolean);
+
+        const audio = await this.withTempFiles(async (inputPath, outputPath) => {
+            await fs.writeFile(inputPath, buffer);
+            await runBinary(this.ffmpegPath, [
+                '-y', '-loglevel', 'error',
+                '-i', inputPath,
+                '-vn',
+                ...(filters.length > 0 ? ['-af', filters.join(',')] : []),
+                ...FORMATS[to].args,
+                outputPath
+            ], { timeoutMs: this.timeoutMs });
+
+            return fs.readFile(outputPath);
+        });
+
+        return { audio: audio, mimeType: FORMATS[to].mimeType, format: to };
+    }
+
+    // Joins clips end to end (any mix of input formats) into one file: { audio, mimeType, format }.
+    // trimSilence only trims the ends of the joined audio, keeping the pauses between clips.
+    async concatenate(buffers, { to, normalize = false, trimSilence = false } = {}) {
+        if (!FORMATS[to]) {
+            throw new Error(`Unsupported audio format: ${to}`);
+        }
+
+        const inputs = buffers.map((buffer, index) => `[${index}:a]`).join('');
+        const filters = [
+            `${inputs}concat=n=${buffers.length}:v=0:a=1`,
+            trimSilence ? TRIM_SILENCE_FILTER : null,
+            normalize ? LOUDNORM_FILTER : null
+        ].filter(Boolean);
+        const filter = `${filters.join(',')}[out]`;
+
+        const audio = await this.withTempFiles(async (inputPath, outputPath) => {
+            const inputPaths = buffers.map((buffer, index) => `${inputPath}${index}`);
+
+            try {
+                await Promise.all(buffers.map((buffer, index) => fs.writeFile(inputPaths[index], buffer)));
+                await runBinary(this.ffmpegPath, [
+                    '-y', '-loglevel', 'error',
+                    ...inputPaths.flatMap(file => ['-i', file]),
+                    '-filter_complex', filter,
+                    '-map', '[out]',
+                    ...FORMATS[to].args,
+                    outputPath
+                ], { timeoutMs: this.timeoutMs });
+
+                return await fs.readFile(outputPath);
+
+            } finally {
+                await Promise.all(inputPaths.map(file => fs.unlink(file).catch(() => {})));
+            }
+        });
+
+        return { audio: audio, mimeType: FORMATS[to].mimeType, format: to };
+    }
+
+    // Loudness-normalized, silence-trimmed OGG/Opus with its duration: { audio, mimeType, format, duration }
+    async toVoiceNote(buffer) {
+        const voiceNote = await this.transcode(buffer, { to: 'ogg', normalize: true, trimSilence: true });
+        const duration = await this.getDuration(voiceNote.audio).catch(() => null);
+
+        return { ...voiceNote, duration: duration };
+    }
+
+    // Several clips as one voice note, processed like toVoiceNote
+    async toJoinedVoiceNote(buffers) {
+        const voiceNote = await this.concatenate(buffers, { to: 'ogg', normalize: true, trimSilence: true });
+        const duration = await this.getDuration(voiceNote.audio).catch(() => null);
+
+        return { ...voiceNote, duration: duration };
+    }
+
+    // ===========================================
+    // DURATION
+    // ===========================================
+
+    // Seconds, rounded to hundredths. PCM WAV is read from its header; everything else goes through ffprobe.
+    async getDuration(buffer) {
+        const wavDuration = this.getWavDuration(buffer);
+        if (wavDuration !== null) return wavDuration;
+
+        const { stdout } = await this.withTempFiles(async inputPath => {
+            await fs.writeFile(inputPath, buffer);
+            return runBinary(this.ffprobePath, [
+                '-v', 'error',
+                '-show_entries', 'format=duration',
+                '-of', 'default=noprint_wrappers=1:nokey=1',
+                inputPath
+            ], { timeoutMs: this.timeoutMs });
+        });
+
+        const seconds = parseFloat(stdout);
+        if (Number.isNaN(seconds)) {
+            throw new Error('Could not measure audio duration');
+        }
+
+        return Math.round(seconds * 100) / 100;
+    }
+
+    getWavDuration(buffer) {
+        if (this.detectFormat(buffer) !== 'wav' || buffer.length < 44) return null;
+
+        // Walk the RIFF chunks for the byte rate (fmt) and the sample data size (data)
+        let byteRate = null;
+        for (let offset = 12; offset + 8 <= buffer.length;) {
+            const chunkId = buffer.toString('latin1', offset, offset + 4);
+            const chunkSize = buffer.readUInt32LE(offset + 4);
+
+            if (chunkId === 'fmt ') byteRate = buffer.readUInt32LE(offset + 16);
+            if (chunkId === 'data' && byteRate) {
+                const dataSize = Math.min(chunkSize, buffer.length - offset - 8);
+                return Math.round((dataSize / byteRate) * 100) / 100;
+            }
+
+            offset += 8 + chunkSize + (chunkSize % 2);
+        }
+
+        return null;
+    }
+
+    // Input and output paths in the temp directory, removed afterwards
+    async withTempFiles(work) {
+        const basePath = path.join(os.tmpdir(), `odia_audio_${crypto.randomBytes(6).toString('hex')}`);
+        const inputPath = `${basePath}.input`;
+        const outputPath = `${basePath}.output`;
+
+        try {
+            return await work(inputPath, outputPath);
+        } finally {
+            await Promise.all([inputPath, outputPath].map(file => fs.unlink(file).catch(() => {})));
+        }
+    }
+}
+
+module.exports = AudioProcessor;
+
+// Usage Examples:
+/*
+1. Turn a TTS reply into a WhatsApp voice note:
+   const voiceNote = await audio.toVoiceNote(mp3Buffer);
+   await whatsappClient.sendAudio(phoneNumber, voiceNote.audio, voiceNote.mimeType);
+
+2. Convert an AMR recording to WAV for transcription:
+   const { audio: wav } = await audio.transcode(amrBuffer, { to: 'wav' });
+
+3. Join synthesized chunks into one voice note:
+   const voiceNote = await audio.toJoinedVoiceNote([firstChunk, secondChunk]);
+
+4. Measure a recording:
+   await audio.getDuration(buffer);   // 7.48
+*/
@@ -0,0 +1,58 @@
+// ElevenLabs Text-to-Speech Provider for ODIA 11-Agent System
+// Speaks agent replies with each agent's ElevenLabs voice; model and voice settings come from config/speech.json
+
+const fetch = require('node-fetch');
+
+const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1/text-to-speech';
+
+const DEFAULT_VOICE_SETTINGS = {
+    stability: 0.75,
+    similarity_boost: 0.85,
+    style: 0.5,
+    use_speaker_boost: true
+};
+
+class ElevenLabsProvider {
+    constructor(options = {}) {
+        this.name = 'elevenlabs';
+        this.apiKey = options.apiKey;
+        this.modelId = options.model_id || 'eleven_multilingual_v2';
+        this.voiceSettings = { ...DEFAULT_VOICE_SETTINGS, ...options.voice_settings };
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    async synthesize(text, { voiceId, signal } = {}) {
+        if (!voiceId) {
+            throw new Error('ElevenLabs needs a voice ID');
+        }
+
+        const response = await fetch(`${ELEVENLABS_API_URL}/${voiceId}`, {
+            method: 'POST',
+            headers: {
+                'xi-api-key': this.apiKey,
+                'Content-Type': 'application/json',
+                'Accept': 'audio/mpeg'
+            },
+            body: JSON.stringify({
+                text: text,
+                model_id: this.modelId,
+                voice_settings: this.voiceSettings
+            }),
+            signal: signal
+        });
+
+        if (!response.ok) {
+            const details = await response.text().catch(() => '');
+            const error = new Error(`ElevenLabs API error ${response.status}: ${details.slice(0, 200) || response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return { audio: await response.buffer(), mimeType: 'audio/mpeg' };
+    }
+}
+
+module.exports = ElevenLabsProvider;
@@ -0,0 +1,36 @@
+// espeak-ng Text-to-Speech Provider for ODIA 11-Agent System
+// Last-resort offline speech: robotic, but available wherever espeak-ng is installed
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const runBinary = require('./run_binary');
+
+class EspeakProvider {
+    constructor(options = {}) {
+        this.name = 'espeak';
+        this.binary = options.binary || 'espeak-ng';
+        // Language -> espeak-ng voice name
+        this.voices = options.voices || { english: 'en' };
+    }
+
+    isConfigured() {
+        return Boolean(this.binary);
+    }
+
+    async synthesize(text, { language, timeoutMs } = {}) {
+        const voice = this.voices[language] || this.voices.english || 'en';
+        const outputPath = path.join(os.tmpdir(), `odia_tts_${crypto.randomBytes(6).toString('hex')}.wav`);
+
+        try {
+            await runBinary(this.binary, ['-v', voice, '-w', outputPath, '--stdin'], { input: text, timeoutMs });
+            return { audio: await fs.readFile(outputPath), mimeType: 'audio/wav' };
+
+        } finally {
+            await fs.unlink(outputPath).catch(() => {});
+        }
+    }
+}
+
+module.exports = EspeakProvider;
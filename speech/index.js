@@ -0,0 +1,96 @@
+// Speech service factory for ODIA 11-Agent System
+// Builds the speech-to-text and text-to-speech provider chains from config/speech.json (or SPEECH_CONFIG_FILE);
+// STT_PROVIDERS / TTS_PROVIDERS override the order, and the offline mock is used when nothing listed is configured
+
+const fs = require('fs');
+const path = require('path');
+const SpeechService = require('./speech_service');
+const MockSpeechProvider = require('./mock_speech_provider');
+const AudioProcessor = require('./audio_processor');
+const VoiceReplyPlanner = require('./voice_reply_planner');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'speech.json');
+
+function loadSpeechConfig(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function createSpeechProvider(name, settings = {}) {
+    switch (name) {
+        case 'whisper-api': {
+            const WhisperApiProvider = require('./whisper_api_provider');
+            return new WhisperApiProvider({ ...settings, apiKey: settings.apiKey || process.env.OPENAI_API_KEY });
+        }
+        case 'whisper-cpp': {
+            const WhisperCppProvider = require('./whisper_cpp_provider');
+            return new WhisperCppProvider({ ...settings, model: process.env.WHISPER_CPP_MODEL || settings.model });
+        }
+        case 'elevenlabs': {
+            const ElevenLabsProvider = require('./elevenlabs_provider');
+            return new ElevenLabsProvider({ ...settings, apiKey: settings.apiKey || process.env.ELEVENLABS_API_KEY });
+        }
+        case 'piper': {
+            const PiperProvider = require('./piper_provider');
+            return new PiperProvider(settings);
+        }
+        case 'espeak': {
+            const EspeakProvider = require('./espeak_provider');
+            return new EspeakProvider(settings);
+        }
+        case 'mock':
+            return new MockSpeechProvider(settings);
+        default:
+            throw new Error(`Unknown speech provider: ${name}`);
+    }
+}
+
+// Listed providers that aren't configured (no API key, no model) are skipped
+function createProviderChain(label, names, section = {}) {
+    const providers = [];
+
+    for (const name of names) {
+        const provider = createSpeechProvider(name, section[name]);
+        if (provider.isConfigured()) {
+            providers.push(provider);
+        } else {
+            console.log(`⚠️ ${label} provider ${name} is not configured, skipping`);
+        }
+    }
+
+    if (providers.length === 0) {
+        console.log(`⚠️ No ${label} provider configured, using the offline mock`);
+        providers.push(createSpeechProvider('mock', section.mock));
+    }
+
+    return providers;
+}
+
+function parseProviderList(value) {
+    return value ? value.split(',').map(name => name.trim()).filter(Boolean) : null;
+}
+
+function createSpeechService(options = {}) {
+    const config = loadSpeechConfig(options.configFile || process.env.SPEECH_CONFIG_FILE || DEFAULT_CONFIG_FILE);
+    const stt = config.speech_to_text || {};
+    const tts = config.text_to_speech || {};
+
+    const sttNames = options.sttProviders || parseProviderList(process.env.STT_PROVIDERS) || stt.providers || [];
+    const ttsNames = options.ttsProviders || parseProviderList(process.env.TTS_PROVIDERS) || tts.providers || [];
+
+    return new SpeechService({
+        sttProviders: createProviderChain('Speech-to-text', sttNames, stt),
+        ttsProviders: createProviderChain('Text-to-speech', ttsNames, tts),
+        timeoutMs: options.timeoutMs || parseInt(process.env.SPEECH_TIMEOUT_MS, 10) || config.timeout_ms,
+        cooldownMs: options.cooldownMs ?? config.cooldown_ms,
+        ttsCacheSize: options.ttsCacheSize ?? config.tts_cache_size
+    });
+}
+
+module.exports = {
+    createSpeechService,
+    createSpeechProvider,
+    SpeechService,
+    MockSpeechProvider,
+    AudioProcessor,
+    VoiceReplyPlanner
+};
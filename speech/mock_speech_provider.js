@@ -0,0 +1,54 @@
+// Mock Speech Provider for ODIA 11-Agent System
+// Deterministic offline stand-in for both directions: a fixed transcript and silent WAV audio
+
+const SAMPLE_RATE = 8000;
+const SECONDS_PER_WORD = 0.4;
+const MAX_SECONDS = 60;
+
+class MockSpeechProvider {
+    constructor(options = {}) {
+        this.name = 'mock';
+        this.transcript = options.transcript || 'Hello, I would like some help with my business.';
+        this.language = options.language || 'english';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async transcribe() {
+        return { text: this.transcript, language: this.language };
+    }
+
+    // Silence as long as the text would take to say, so duration-dependent code behaves realistically
+    async synthesize(text) {
+        const words = text.trim().split(/\s+/).filter(Boolean).length;
+        const seconds = Math.min(Math.max(words * SECONDS_PER_WORD, 0.5), MAX_SECONDS);
+
+        return { audio: this.silentWav(seconds), mimeType: 'audio/wav' };
+    }
+
+    // 16-bit mono PCM
+    silentWav(seconds) {
+        const dataSize = Math.round(seconds * SAMPLE_RATE) * 2;
+        const wav = Buffer.alloc(44 + dataSize);
+
+        wav.write('RIFF', 0);
+        wav.writeUInt32LE(36 + dataSize, 4);
+        wav.write('WAVE', 8);
+        wav.write('fmt ', 12);
+        wav.writeUInt32LE(16, 16);
+        wav.writeUInt16LE(1, 20);
+        wav.writeUInt16LE(1, 22);
+        wav.writeUInt32LE(SAMPLE_RATE, 24);
+        wav.writeUInt32LE(SAMPLE_RATE * 2, 28);
+        wav.writeUInt16LE(2, 32);
+        wav.writeUInt16LE(16, 34);
+        wav.write('data', 36);
+        wav.writeUInt32LE(dataSize, 40);
+
+        return wav;
+    }
+}
+
+module.exports = MockSpeechProvider;
@@ -0,0 +1,36 @@
+// Piper Text-to-Speech Provider for ODIA 11-Agent System
+// Offline speech with a local Piper binary and one .onnx voice model per language
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const runBinary = require('./run_binary');
+
+class PiperProvider {
+    constructor(options = {}) {
+        this.name = 'piper';
+        this.binary = options.binary || 'piper';
+        // Language -> model path; languages without a model use the English one
+        this.models = options.models || {};
+    }
+
+    isConfigured() {
+        return Object.keys(this.models).length > 0;
+    }
+
+    async synthesize(text, { language, timeoutMs } = {}) {
+        const model = this.models[language] || this.models.english || Object.values(this.models)[0];
+        const outputPath = path.join(os.tmpdir(), `odia_tts_${crypto.randomBytes(6).toString('hex')}.wav`);
+
+        try {
+            await runBinary(this.binary, ['--model', model, '--output_file', outputPath], { input: text, timeoutMs });
+            return { audio: await fs.readFile(outputPath), mimeType: 'audio/wav' };
+
+        } finally {
+            await fs.unlink(outputPath).catch(() => {});
+        }
+    }
+}
+
+module.exports = PiperProvider;
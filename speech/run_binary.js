@@ -0,0 +1,23 @@
+// Local binary runner for ODIA 11-Agent System speech providers
+// Runs an offline speech engine (whisper.cpp, Piper, espeak-ng, ffmpeg) with a timeout and optional stdin
+
+const { execFile } = require('child_process');
+
+function runBinary(binary, args, { input, timeoutMs = 30000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const child = execFile(binary, args, { timeout: timeoutMs, maxBuffer: 20 * 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                error.message = `${binary} failed: ${(stderr || error.message).toString().trim().slice(-500)}`;
+                reject(error);
+            } else {
+                resolve({ stdout, stderr });
+            }
+        });
+
+        if (input !== undefined) {
+            child.stdin.end(input);
+        }
+    });
+}
+
+module.exports = runBinary;
@@ -0,0 +1,167 @@
+// Speech Service for ODIA 11-Agent System
+// Speech-to-text and text-to-speech through ordered provider chains: each call falls through to the next
+// provider when one fails, and a failed provider is tried last until its cooldown has passed
+
+const crypto = require('crypto');
+const express = require('express');
+
+class SpeechService {
+    constructor(options = {}) {
+        this.sttProviders = options.sttProviders || [];
+        this.ttsProviders = options.ttsProviders || [];
+        this.timeoutMs = options.timeoutMs || 30000;
+        this.cooldownMs = options.cooldownMs ?? 60000;
+
+        // Provider -> { requests, failures, last_error, last_failure_at, unavailable_until }; keyed by instance
+        // because the mock can sit in both chains
+        this.providerStats = new Map();
+
+        // Synthesized audio by voice, language and text; Map insertion order doubles as least-recently-used order
+        this.ttsCacheSize = options.ttsCacheSize ?? 200;
+        this.ttsCache = new Map();
+        this.ttsCacheStats = { hits: 0, misses: 0 };
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+
+        router.get('/api/speech/providers', this.getProviderStatus.bind(this));
+
+        return router;
+    }
+
+    // ===========================================
+    // SPEECH
+    // ===========================================
+
+    // Returns { text, language, provider }; language is whatever the provider reports (name or ISO code) or null
+    async transcribe(audioBuffer, options = {}) {
+        return this.runWithFallback('speech-to-text', this.sttProviders,
+            (provider, callOptions) => provider.transcribe(audioBuffer, { ...options, ...callOptions }));
+    }
+
+    // Returns { audio, mimeType, provider, cached }; options are { voiceId, language }.
+    // Repeated phrases (greetings, standard answers) come from the cache instead of the provider.
+    async synthesize(text, options = {}) {
+        const key = crypto.createHash('sha1')
+            .update(`${options.voiceId || ''}\n${options.language || ''}\n${text}`)
+            .digest('hex');
+
+        const cached = this.ttsCache.get(key);
+        if (cached) {
+            this.ttsCacheStats.hits++;
+            this.ttsCache.delete(key);
+            this.ttsCache.set(key, cached);
+            return { ...cached, cached: true };
+        }
+
+        this.ttsCacheStats.misses++;
+        const result = await this.runWithFallback('text-to-speech', this.ttsProviders,
+            (provider, callOptions) => provider.synthesize(text, { ...options, ...callOptions }));
+
+        if (this.ttsCacheSize > 0) {
+            this.ttsCache.set(key, result);
+            if (this.ttsCache.size > this.ttsCacheSize) {
+                this.ttsCache.delete(this.ttsCache.keys().next().value);
+            }
+        }
+
+        return { ...result, cached: false };
+    }
+
+    async runWithFallback(kind, providers, call) {
+        if (providers.length === 0) {
+            throw new Error(`No ${kind} providers configured`);
+        }
+
+        const errors = [];
+
+        for (const provider of this.orderProviders(providers)) {
+            const stats = this.getStats(provider);
+            stats.requests++;
+
+            try {
+                const result = await this.callWithTimeout(provider, call);
+                stats.unavailable_until = null;
+                return { ...result, provider: provider.name };
+
+            } catch (error) {
+                stats.failures++;
+                stats.last_error = error.message;
+                stats.last_failure_at = new Date().toISOString();
+                stats.unavailable_until = new Date(Date.now() + this.cooldownMs).toISOString();
+
+                console.warn(`⚠️ ${kind} provider ${provider.name} failed: ${error.message}`);
+                errors.push(`${provider.name}: ${error.message}`);
+            }
+        }
+
+        throw new Error(`All ${kind} providers failed (${errors.join('; ')})`);
+    }
+
+    // HTTP providers abort on the signal; local binaries are killed after timeoutMs
+    async callWithTimeout(provider, call) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        try {
+            return await call(provider, { signal: controller.signal, timeoutMs: this.timeoutMs });
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`timed out after ${this.timeoutMs}ms`, { cause: error });
+            }
+            throw error;
+
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Configured order, except providers still cooling down after a failure go last
+    orderProviders(providers) {
+        const now = Date.now();
+        const isCooling = provider => {
+            const until = this.getStats(provider).unavailable_until;
+            return until !== null && new Date(until).getTime() > now;
+        };
+
+        return [...providers.filter(provider => !isCooling(provider)), ...providers.filter(isCooling)];
+    }
+
+    getStats(provider) {
+        if (!this.providerStats.has(provider)) {
+            this.providerStats.set(provider, {
+                requests: 0,
+                failures: 0,
+                last_error: null,
+                last_failure_at: null,
+                unavailable_until: null
+            });
+        }
+        return this.providerStats.get(provider);
+    }
+
+    // ===========================================
+    // API ENDPOINTS
+    // ===========================================
+
+    async getProviderStatus(req, res) {
+        const describe = providers => providers.map(provider => ({
+            name: provider.name,
+            ...this.getStats(provider)
+        }));
+
+        res.json({
+            speech_to_text: describe(this.sttProviders),
+            text_to_speech: describe(this.ttsProviders),
+            tts_cache: {
+                size: this.ttsCache.size,
+                max_size: this.ttsCacheSize,
+                ...this.ttsCacheStats
+            }
+        });
+    }
+}
+
+module.exports = SpeechService;
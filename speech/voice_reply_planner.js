@@ -0,0 +1,197 @@
+// Voice Reply Planner for ODIA 11-Agent System
+// Splits an agent reply into sentence-aligned chunks for text-to-speech, synthesizes them in parallel, and
+// either joins them into one voice note or sends several short ones. URLs, amounts and lists are hard to
+// follow when spoken, so they go out as a companion text message and the voice note points to it.
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>()]+[^\s<>().,!?;:'"]/gi;
+const AMOUNT_PATTERN = /(?:₦|\bNGN\s?|\bN(?=\d)|\$|£|€)\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:k|m|million|thousand)\b)?|\b\d[\d,]*(?:\.\d+)?\s?(?:naira|kobo)\b/gi;
+const LIST_ITEM_PATTERN = /^\s*(?:[-*•]|\d{1,2}[.)])\s+/;
+const SENTENCE_BREAK = /(?<=[.!?])\s+/;
+
+const CURRENCY_WORDS = [
+    [/(?:₦|\bNGN\s?|\bN(?=\d))\s?(\d[\d,]*(?:\.\d+)?(?:\s?(?:k|m|million|thousand)\b)?)/gi, '$1 naira'],
+    [/\$\s?(\d[\d,]*(?:\.\d+)?)/g, '$1 dollars'],
+    [/£\s?(\d[\d,]*(?:\.\d+)?)/g, '$1 pounds'],
+    [/€\s?(\d[\d,]*(?:\.\d+)?)/g, '$1 euros']
+];
+
+class VoiceReplyPlanner {
+    constructor(options = {}) {
+        this.speech = options.speech;
+        this.audio = options.audio;
+
+        // 'join' sends one voice note per reply, 'split' one per chunk
+        this.mode = options.mode || process.env.VOICE_REPLY_MODE || 'join';
+        this.maxChunkChars = options.maxChunkChars || parseInt(process.env.VOICE_REPLY_CHUNK_CHARS, 10) || 400;
+        this.concurrency = options.concurrency || 3;
+    }
+
+    // ===========================================
+    // PLANNING
+    // ===========================================
+
+    // Returns { chunks, companionText }: the text to speak in TTS-sized pieces, and the details to send as text (or null)
+    plan(text) {
+        const spokenLines = [];
+        const details = [];
+        const lines = text.split('\n');
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (LIST_ITEM_PATTERN.test(line)) {
+                // A whole list goes to the companion text, along with the line introducing it
+                const introduction = spokenLines.length > 0 && /:\s*$/.test(lines[i - 1] || '')
+                    ? lines[i - 1].split(SENTENCE_BREAK).pop().trim()
+                    : null;
+                if (introduction && !details.includes(introduction)) details.push(introduction);
+
+                while (i < lines.length && (LIST_ITEM_PATTERN.test(lines[i]) || (lines[i].trim() && /^\s{2,}/.test(lines[i])))) {
+                    details.push(lines[i].trim());
+                    i++;
+                }
+                i--;
+
+                spokenLines.push("I've sent the full list as a text message.");
+                continue;
+            }
+
+            for (const sentence of line.split(SENTENCE_BREAK)) {
+                if (this.hasDetails(sentence)) details.push(sentence.trim());
+            }
+            spokenLines.push(line);
+        }
+
+        return {
+            chunks: this.chunk(this.toSpeakable(spokenLines.join('\n'))),
+            companionText: details.length > 0 ? details.join('\n') : null
+        };
+    }
+
+    hasDetails(sentence) {
+        URL_PATTERN.lastIndex = 0;
+        AMOUNT_PATTERN.lastIndex = 0;
+        return URL_PATTERN.test(sentence) || AMOUNT_PATTERN.test(sentence);
+    }
+
+    // Links point at the companion text, currency symbols become words and markdown is dropped
+    toSpeakable(text) {
+        let speakable = text.replace(URL_PATTERN, 'the link in my text message');
+
+        for (const [pattern, replacement] of CURRENCY_WORDS) {
+            speakable = speakable.replace(pattern, replacement);
+        }
+
+        return speakable
+            .replace(/[*_#`>~]+/g, '')
+            .replace(/\s*\n+\s*/g, ' ')
+            .replace(/\s{2,}/g, ' ')
+            .trim();
+    }
+
+    // Sentence-aligned chunks of at most maxChunkChars; an over-long sentence is broken at commas, then words
+    chunk(text) {
+        if (!text) return [];
+
+        const chunks = [];
+        let current = '';
+
+        for (const piece of text.split(SENTENCE_BREAK).flatMap(sentence => this.splitLongSentence(sentence))) {
+            if (current && current.length + piece.length + 1 > this.maxChunkChars) {
+                chunks.push(current);
+                current = piece;
+            } else {
+                current = current ? `${current} ${piece}` : piece;
+            }
+        }
+        if (current) chunks.push(current);
+
+        return chunks;
+    }
+
+    splitLongSentence(sentence) {
+        if (sentence.length <= this.maxChunkChars) return [sentence];
+
+        const pieces = [];
+        let current = '';
+
+        for (const word of sentence.split(/(?<=[,;:])\s+|\s+/)) {
+            if (current && current.length + word.length + 1 > this.maxChunkChars) {
+                pieces.push(current);
+                current = word;
+            } else {
+                current = current ? `${current} ${word}` : word;
+            }
+        }
+        if (current) pieces.push(current);
+
+        return pieces;
+    }
+
+    // ===========================================
+    // RENDERING
+    // ===========================================
+
+    // Synthesizes the plan's chunks and returns the voice notes to send: [{ audio, mimeType, duration }].
+    // Without ffmpeg, joining and conversion fall back to sending each chunk in the provider's format.
+    async render(plan, { voiceId, language } = {}) {
+        if (plan.chunks.length === 0) return [];
+
+        const clips = await this.synthesizeAll(plan.chunks, { voiceId, language });
+
+        if (this.mode === 'join' && clips.length > 1) {
+            try {
+                return [await this.audio.toJoinedVoiceNote(clips.map(clip => clip.audio))];
+            } catch (error) {
+                console.warn(`⚠️ Could not join ${clips.length} voice chunks, sending them separately: ${error.message}`);
+            }
+        }
+
+        return Promise.all(clips.map(clip => this.toVoiceNote(clip)));
+    }
+
+    // In chunk order, at most `concurrency` provider requests at a time
+    async synthesizeAll(chunks, options) {
+        const clips = new Array(chunks.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < chunks.length) {
+                const index = next++;
+                clips[index] = await this.speech.synthesize(chunks[index], options);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, chunks.length) }, worker));
+        return clips;
+    }
+
+    // OGG/Opus shows up as a push-to-talk voice note; without ffmpeg the clip is sent as it is
+    async toVoiceNote({ audio, mimeType }) {
+        try {
+            return await this.audio.toVoiceNote(audio);
+
+        } catch (error) {
+            console.warn(`⚠️ Could not convert reply to a voice note, sending ${mimeType}: ${error.message}`);
+            return { audio: audio, mimeType: mimeType, duration: await this.audio.getDuration(audio).catch(() => null) };
+        }
+    }
+}
+
+module.exports = VoiceReplyPlanner;
+
+// Usage Examples:
+/*
+1. Plan a long answer:
+   planner.plan('Register at https://cac.gov.ng. The fee is ₦10,000. You will need:\n- ID card\n- Passport photo');
+   // {
+   //   chunks: ["Register at the link in my text message. The fee is 10,000 naira. You will need: I've sent the full list as a text message."],
+   //   companionText: 'Register at https://cac.gov.ng.\nThe fee is ₦10,000.\nYou will need:\n- ID card\n- Passport photo'
+   // }
+
+2. Render it in an agent's voice:
+   const voiceNotes = await planner.render(plan, { voiceId: 'ThT5KcBeYPX3keUQqHPh', language: 'english' });
+
+3. Send short voice notes instead of one long one:
+   VOICE_REPLY_MODE=split VOICE_REPLY_CHUNK_CHARS=300
+*/
@@ -0,0 +1,60 @@
+// Whisper API Speech-to-Text Provider for ODIA 11-Agent System
+// Transcribes voice notes with OpenAI's hosted Whisper and reports the detected language
+
+const FormData = require('form-data');
+const fetch = require('node-fetch');
+
+const TRANSCRIPTIONS_URL = 'https://api.openai.com/v1/audio/transcriptions';
+
+const FILE_EXTENSIONS = {
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'audio/wav': 'wav',
+    'audio/webm': 'webm'
+};
+
+class WhisperApiProvider {
+    constructor(options = {}) {
+        this.name = 'whisper-api';
+        this.apiKey = options.apiKey;
+        this.model = options.model || 'whisper-1';
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    async transcribe(audioBuffer, { mimeType = 'audio/ogg', signal } = {}) {
+        const formData = new FormData();
+        formData.append('file', audioBuffer, {
+            filename: `audio.${FILE_EXTENSIONS[mimeType.split(';')[0]] || 'ogg'}`,
+            contentType: mimeType
+        });
+        formData.append('model', this.model);
+        // No language hint: Whisper detects it and reports it in the verbose response
+        formData.append('response_format', 'verbose_json');
+
+        const response = await fetch(TRANSCRIPTIONS_URL, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                ...formData.getHeaders()
+            },
+            body: formData,
+            signal: signal
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(`Whisper API error ${response.status}: ${result.error?.message || response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return { text: result.text, language: result.language || null };
+    }
+}
+
+module.exports = WhisperApiProvider;
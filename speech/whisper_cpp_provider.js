@@ -0,0 +1,56 @@
+// whisper.cpp Speech-to-Text Provider for ODIA 11-Agent System
+// Offline transcription with a local whisper.cpp binary; voice notes are converted to 16 kHz WAV with ffmpeg first
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const runBinary = require('./run_binary');
+
+class WhisperCppProvider {
+    constructor(options = {}) {
+        this.name = 'whisper-cpp';
+        this.binary = options.binary || 'whisper-cli';
+        this.model = options.model || null;
+        this.ffmpeg = options.ffmpeg || 'ffmpeg';
+        this.threads = options.threads || 2;
+    }
+
+    isConfigured() {
+        return Boolean(this.model);
+    }
+
+    async transcribe(audioBuffer, { timeoutMs } = {}) {
+        const basePath = path.join(os.tmpdir(), `odia_stt_${crypto.randomBytes(6).toString('hex')}`);
+        const inputPath = `${basePath}.input`;
+        const wavPath = `${basePath}.wav`;
+
+        try {
+            await fs.writeFile(inputPath, audioBuffer);
+            await runBinary(this.ffmpeg, ['-y', '-loglevel', 'error', '-i', inputPath, '-ar', '16000', '-ac', '1', wavPath], { timeoutMs });
+
+            // -oj writes <basePath>.json with the detected language and the transcript segments
+            await runBinary(this.binary, [
+                '-m', this.model,
+                '-f', wavPath,
+                '-l', 'auto',
+                '-t', String(this.threads),
+                '-np',
+                '-oj',
+                '-of', basePath
+            ], { timeoutMs });
+
+            const output = JSON.parse(await fs.readFile(`${basePath}.json`, 'utf8'));
+
+            return {
+                text: (output.transcription || []).map(segment => segment.text).join('').trim(),
+                language: output.result?.language || null
+            };
+
+        } finally {
+            await Promise.all([inputPath, wavPath, `${basePath}.json`].map(file => fs.unlink(file).catch(() => {})));
+        }
+    }
+}
+
+module.exports = WhisperCppProvider;
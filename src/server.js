@@ -0,0 +1,245 @@
+// ODIA AI Server - Composition Root
+// Builds every subsystem, mounts their routes on one Express app, and manages startup/shutdown
+
+const express = require('express');
+
+const { createDatabase } = require('../database');
+const { createLLMClient, createEmbedder } = require('../llm');
+const { createSpeechService, AudioProcessor, VoiceReplyPlanner } = require('../speech');
+const AgentRegistry = require('../agent_registry');
+const ConversationStore = require('../conversation_store');
+const AgentSessionManager = require('../agent_session_manager');
+const IntentRouter = require('../intent_router');
+const JobQueue = require('../job_queue');
+const WhatsAppClient = require('../whatsapp_client');
+const WhatsAppTemplateRegistry = require('../whatsapp_template_registry');
+const LanguageManager = require('../language_manager');
+const UsageMeter = require('../usage_meter');
+const ContactBook = require('../contact_book');
+const HumanHandoff = require('../human_handoff');
+const EmergencyEscalation = require('../emergency_escalation');
+const BookingEngine = require('../booking_engine');
+const WhatsAppVoiceIntegration = require('../whatsapp_voice_setup');
+const EmailAutomationSystem = require('../email_automation_system');
+const PaymentFinancialSystem = require('../payment_integration_system');
+const BusinessKnowledgeSystem = require('../business_knowledge_system');
+const DeploymentMonitoringSystem = require('../deployment_monitoring_system');
+
+const SHUTDOWN_TIMEOUT_MS = 10000;
+
+class OdiaServer {
+    constructor(options = {}) {
+        // Port 0 binds a free port, as the tests do
+        this.port = options.port ?? process.env.PORT ?? 3000;
+        this.httpServer = null;
+        this.shuttingDown = false;
+
+        this.subsystems = this.createSubsystems();
+        this.app = this.createApp();
+    }
+
+    // ===========================================
+    // COMPOSITION
+    // ===========================================
+
+    createSubsystems() {
+        const database = createDatabase();
+        const agentRegistry = new AgentRegistry();
+        const llm = createLLMClient({ agentRegistry });
+        const conversations = new ConversationStore({ database, llm });
+        const intentRouter = new IntentRouter({ agentRegistry, llm, embedder: createEmbedder() });
+        const sessions = new AgentSessionManager({ database, agentRegistry, conversations, intentRouter });
+        const jobQueue = new JobQueue({ database });
+        const templates = new WhatsAppTemplateRegistry();
+        const whatsappClient = new WhatsAppClient({ database, templates, jobQueue });
+        const languages = new LanguageManager({ database });
+        const contacts = new ContactBook({ database });
+        const handoff = new HumanHandoff({ database, agentRegistry, conversations, whatsappClient });
+        const speech = createSpeechService();
+        const audio = new AudioProcessor();
+        const voiceReplies = new VoiceReplyPlanner({ speech, audio });
+        const shared = { agentRegistry, database, llm, conversations, sessions, jobQueue, whatsappClient, languages, contacts };
+        // WhatsApp renders plan pickers and handles plan selections through payments
+        const payments = new PaymentFinancialSystem(shared);
+        // Plan limits and agent access come from the payment plans
+        const usage = new UsageMeter({ database, agentRegistry, payments });
+        // WhatsApp email commands are drafted, reviewed and sent through email
+        const email = new EmailAutomationSystem(shared);
+        // Emergency incidents page on-call contacts through the monitoring alert channels
+        const monitoring = new DeploymentMonitoringSystem(shared);
+        const emergency = new EmergencyEscalation({ database, agentRegistry, sessions, intentRouter, llm, languages, whatsappClient, jobQueue, monitoring });
+        // Booking deposits go through the payment link flow
+        const bookings = new BookingEngine({ database, agentRegistry, whatsappClient, jobQueue, payments, monitoring });
+
+        // Order matters: subsystems start in this order and stop in reverse
+        return {
+            database: database,
+            agents: agentRegistry,
+            llm: llm,
+            conversations: conversations,
+            router: intentRouter,
+            sessions: sessions,
+            templates: templates,
+            languages: languages,
+            contacts: contacts,
+            handoff: handoff,
+            speech: speech,
+            whatsapp: new WhatsAppVoiceIntegration({ ...shared, payments, usage, email, handoff, emergency, bookings, speech, audio, voiceReplies }),
+            emergency: emergency,
+            bookings: bookings,
+            email: email,
+            payments: payments,
+            usage: usage,
+            knowledge: new BusinessKnowledgeSystem(shared),
+            monitoring: monitoring,
+            // Last, so workers start once every handler is ready and drain before the rest stops
+            jobs: jobQueue
+        };
+    }
+
+    createApp() {
+        const app = express();
+
+        // Shared middleware
+        app.disable('x-powered-by');
+        // Keep the raw bytes for webhook signature checks
+        app.use(express.json({
+            limit: '10mb',
+            verify: (req, res, buffer) => { req.rawBody = buffer; }
+        }));
+        app.use(this.logRequest.bind(this));
+
+        app.get('/api/health', this.getHealth.bind(this));
+
+        for (const subsystem of Object.values(this.subsystems)) {
+            if (typeof subsystem.setupRoutes === 'function') {
+                app.use(subsystem.setupRoutes());
+            }
+        }
+
+        app.use('/api', (req, res) => {
+            res.status(404).json({ error: `Route not found: ${req.method} ${req.originalUrl}` });
+        });
+
+        app.use(this.handleError.bind(this));
+
+        return app;
+    }
+
+    logRequest(req, res, next) {
+        const startTime = Date.now();
+
+        res.on('finish', () => {
+            console.log(`${req.method} ${req.originalUrl} ${res.statusCode} ${Date.now() - startTime}ms`);
+        });
+
+        next();
+    }
+
+    getHealth(req, res) {
+        res.json({
+            status: this.shuttingDown ? 'shutting_down' : 'ok',
+            subsystems: Object.keys(this.subsystems),
+            uptime: process.uptime(),
+            timestamp: new Date()
+        });
+    }
+
+    handleError(error, req, res, next) {
+        console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, error);
+
+        if (res.headersSent) {
+            return next(error);
+        }
+
+        res.status(error.status || 500).json({ error: error.message || 'Internal server error' });
+    }
+
+    // ===========================================
+    // LIFECYCLE
+    // ===========================================
+
+    async start() {
+        console.log('🚀 Starting ODIA AI 11-Agent System...');
+
+        for (const [name, subsystem] of Object.entries(this.subsystems)) {
+            if (typeof subsystem.start === 'function') {
+                await subsystem.start();
+            }
+            console.log(`✅ ${name} subsystem ready`);
+        }
+
+        await new Promise((resolve, reject) => {
+            this.httpServer = this.app.listen(this.port, resolve);
+            this.httpServer.once('error', reject);
+        });
+
+        // Subsystems that take WebSocket upgrades on the same port
+        for (const subsystem of Object.values(this.subsystems)) {
+            if (typeof subsystem.attachServer === 'function') {
+                subsystem.attachServer(this.httpServer);
+            }
+        }
+
+        console.log(`🌍 ODIA AI server listening on port ${this.httpServer.address().port}`);
+        return this.httpServer;
+    }
+
+    async stop() {
+        if (this.shuttingDown) return;
+        this.shuttingDown = true;
+
+        console.log('🛑 Shutting down ODIA AI server...');
+
+        if (this.httpServer) {
+            // Open sockets would keep close() waiting
+            for (const subsystem of Object.values(this.subsystems)) {
+                if (typeof subsystem.detachServer === 'function') {
+                    await subsystem.detachServer();
+                }
+            }
+            await new Promise(resolve => this.httpServer.close(resolve));
+            this.httpServer = null;
+        }
+
+        for (const [name, subsystem] of Object.entries(this.subsystems).reverse()) {
+            if (typeof subsystem.stop !== 'function') continue;
+
+            try {
+                await subsystem.stop();
+            } catch (error) {
+                console.error(`Error stopping ${name} subsystem:`, error);
+            }
+        }
+
+        console.log('👋 ODIA AI server stopped');
+    }
+
+    handleShutdownSignals() {
+        const shutdown = async (signal) => {
+            console.log(`Received ${signal}`);
+
+            // Force exit if something keeps the process alive
+            setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS).unref();
+
+            await this.stop();
+            process.exit(0);
+        };
+
+        process.once('SIGINT', shutdown);
+        process.once('SIGTERM', shutdown);
+    }
+}
+
+if (require.main === module) {
+    const server = new OdiaServer();
+    server.handleShutdownSignals();
+
+    server.start().catch(async (error) => {
+        console.error('Server startup error:', error);
+        await server.stop();
+        process.exit(1);
+    });
+}
+
+module.exports = OdiaServer;
@@ -0,0 +1,48 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+const CONFIG_FILE = path.join(__dirname, '..', 'config', 'agents.json');
+
+describe('AgentRegistry API', () => {
+    let app;
+    let shippedConfig;
+
+    before(async () => {
+        shippedConfig = fs.readFileSync(CONFIG_FILE, 'utf8');
+        app = await startServer();
+    });
+    after(() => app.stop());
+
+    it('rejects list fields that hold anything but strings', async () => {
+        const { status, body } = await app.request('POST', '/api/agents', {
+            id: 'agro-connect',
+            name: 'Agent AgroConnect',
+            routing_keywords: [1],
+            languages: ['english', null]
+        });
+
+        assert.equal(status, 400);
+        assert.deepEqual(body.details, ['languages must be an array of strings', 'routing_keywords must be an array of strings']);
+    });
+
+    it('saves runtime changes to the data file and leaves config/agents.json alone', async () => {
+        const created = await app.request('POST', '/api/agents', {
+            id: 'agro-connect',
+            name: 'Agent AgroConnect',
+            routing_keywords: ['Farm', 'crop']
+        });
+        const updated = await app.request('PATCH', '/api/agents/lexi-pro', { temperature: 0.3 });
+
+        assert.equal(created.status, 201);
+        assert.deepEqual(created.body.routing_keywords, ['farm', 'crop']);
+        assert.equal(updated.status, 200);
+
+        const saved = JSON.parse(fs.readFileSync(process.env.AGENT_DATA_FILE, 'utf8'));
+        assert.ok(saved.agents.some(agent => agent.id === 'agro-connect'));
+        assert.equal(saved.agents.find(agent => agent.id === 'lexi-pro').temperature, 0.3);
+        assert.equal(fs.readFileSync(CONFIG_FILE, 'utf8'), shippedConfig);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AudioProcessor, MockSpeechProvider } = require('../speech');
+
+// Stand-ins for ffmpeg and ffprobe: the "converted" file is OggS followed by the arguments ffmpeg was given
+function installFakeBinaries() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'odia-ffmpeg-'));
+    const ffmpegPath = path.join(dir, 'ffmpeg');
+    const ffprobePath = path.join(dir, 'ffprobe');
+
+    fs.writeFileSync(ffmpegPath, [
+        `#!${process.execPath}`,
+        'const args = process.argv.slice(2);',
+        'require("fs").writeFileSync(args[args.length - 1], "OggS" + JSON.stringify(args));'
+    ].join('\n'), { mode: 0o755 });
+    fs.writeFileSync(ffprobePath, `#!${process.execPath}\nconsole.log("2.345678");\n`, { mode: 0o755 });
+
+    return { ffmpegPath, ffprobePath };
+}
+
+describe('AudioProcessor', () => {
+    let audio;
+
+    const ffmpegArgs = (converted) => JSON.parse(converted.subarray(4).toString());
+
+    before(() => {
+        audio = new AudioProcessor(installFakeBinaries());
+    });
+
+    it('recognises formats by their magic bytes before trusting the MIME type', () => {
+        const wav = new MockSpeechProvider().silentWav(1);
+
+        assert.equal(audio.detectFormat(wav, 'audio/ogg'), 'wav');
+        assert.equal(audio.detectFormat(Buffer.from('OggS\0\0'), 'application/octet-stream'), 'ogg');
+        assert.equal(audio.detectFormat(Buffer.from('#!AMR\n'), 'audio/ogg'), 'amr');
+        assert.equal(audio.detectFormat(Buffer.from('ID3\x04'), null), 'mp3');
+        assert.equal(audio.detectFormat(Buffer.from('unknown'), 'audio/ogg; codecs=opus'), 'ogg');
+        assert.equal(audio.detectFormat(Buffer.from('unknown'), 'audio/aac'), null);
+    });
+
+    it('turns a reply into a loudness-normalized, trimmed OGG/Opus voice note with its duration', async () => {
+        const voiceNote = await audio.toVoiceNote(Buffer.from('ID3 mp3 from the TTS provider'));
+
+        assert.equal(voiceNote.mimeType, 'audio/ogg');
+        assert.equal(voiceNote.format, 'ogg');
+        assert.equal(voiceNote.duration, 2.35);
+
+        const args = ffmpegArgs(voiceNote.audio);
+        assert.deepEqual(args.slice(args.indexOf('-c:a'), args.indexOf('-c:a') + 2), ['-c:a', 'libopus']);
+        assert.equal(args[args.indexOf('-ac') + 1], '1');
+        assert.match(args[args.indexOf('-af') + 1], /^silenceremove=.*areverse.*,loudnorm=I=-16/);
+        assert.equal(fs.existsSync(args[args.indexOf('-i') + 1]), false);
+    });
+
+    it('converts AMR recordings to WAV for transcription, without filters', async () => {
+        const converted = await audio.transcode(Buffer.from('#!AMR\n'), { to: 'wav' });
+
+        assert.equal(converted.mimeType, 'audio/wav');
+        const args = ffmpegArgs(converted.audio);
+        assert.ok(args.includes('pcm_s16le'));
+        assert.ok(!args.includes('-af'));
+    });
+
+    it('joins clips into one voice note with a single concat filter', async () => {
+        const voiceNote = await audio.toJoinedVoiceNote([Buffer.from('one'), Buffer.from('two'), Buffer.from('three')]);
+
+        const args = ffmpegArgs(voiceNote.audio);
+        assert.equal(args.filter(arg => arg === '-i').length, 3);
+        assert.match(args[args.indexOf('-filter_complex') + 1], /^\[0:a\]\[1:a\]\[2:a\]concat=n=3:v=0:a=1,.*\[out\]$/);
+    });
+
+    it('reads a WAV duration from its header, without ffprobe', async () => {
+        const offline = new AudioProcessor({ ffprobePath: path.join(os.tmpdir(), 'no-such-ffprobe') });
+
+        assert.equal(await offline.getDuration(new MockSpeechProvider().silentWav(1.5)), 1.5);
+        await assert.rejects(offline.getDuration(Buffer.from('OggS')), /no-such-ffprobe failed/);
+        await assert.rejects(offline.transcode(Buffer.from('OggS'), { to: 'flac' }), { message: 'Unsupported audio format: flac' });
+    });
+});
@@ -0,0 +1,193 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, takeSentMessages } = require('./helpers');
+
+const EVERY_DAY = Object.fromEntries(['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'].map(day => [day, [['08:00', '20:00']]]));
+
+describe('BookingEngine deposits', () => {
+    let app;
+    let bookings;
+    let resource;
+    let alerts;
+    let slotIndex = 0;
+    // Flutterwave's records by transaction ID, as verifyTransaction returns them
+    const transactions = new Map();
+
+    // A booking awaiting its deposit from a customer who is chatting, each on its own slot
+    const awaitDeposit = async (phoneNumber) => {
+        await app.subsystems.whatsapp.whatsappClient.recordInbound(phoneNumber);
+        const slots = await bookings.getAvailableSlots(resource, resource.services[0], { limit: Infinity });
+        const held = await bookings.hold(phoneNumber, { resourceId: resource.id, serviceId: 'consultation', start: slots[slotIndex++].start });
+        return app.subsystems.database.table('bookings').update(held.id, { status: 'pending_payment' });
+    };
+
+    // Reports the charge as the webhook does; Flutterwave's record matches unless verified says otherwise
+    const pay = (booking, fields = {}, verified = {}) => {
+        const paymentData = {
+            id: transactions.size + 1,
+            tx_ref: `odia_deposit_${booking.id}`,
+            status: 'successful',
+            amount: 5000,
+            currency: 'NGN',
+            meta: { purpose: 'booking_deposit', reference: booking.id },
+            ...fields
+        };
+        transactions.set(paymentData.id, { ...paymentData, ...verified });
+        return bookings.handleDepositPaid(paymentData);
+    };
+
+    before(async () => {
+        app = await startServer();
+        bookings = app.subsystems.bookings;
+        app.subsystems.monitoring.sendHealthAlerts = async (sent) => { alerts.push(...sent); };
+        app.subsystems.payments.verifyTransaction = async (transactionId) => transactions.get(transactionId) || null;
+
+        const { status, body } = await app.request('POST', '/api/bookings/resources', {
+            agent_id: 'med-assist',
+            name: 'Dr Adaeze Okafor',
+            services: [{ id: 'consultation', name: 'General consultation', duration_minutes: 30, price: 15000, deposit: 5000 }],
+            working_hours: EVERY_DAY
+        });
+        assert.equal(status, 201);
+        resource = body;
+    });
+    after(() => app.stop());
+    beforeEach(() => {
+        alerts = [];
+        takeSentMessages();
+    });
+
+    it('confirms the booking once, however often the payment is reported', async () => {
+        const booking = await awaitDeposit('2348000000501');
+
+        await pay(booking);
+        await pay(booking);
+
+        const confirmed = await bookings.getBooking(booking.id);
+        assert.equal(confirmed.status, 'confirmed');
+        assert.equal(confirmed.refund_status, undefined);
+        assert.equal(takeSentMessages().filter(message => /Booked/.test(message.text)).length, 1);
+        assert.deepEqual(alerts, []);
+    });
+
+    it('ignores a failed charge', async () => {
+        const booking = await awaitDeposit('2348000000506');
+
+        await pay(booking, { status: 'failed' });
+
+        const unpaid = await bookings.getBooking(booking.id);
+        assert.equal(unpaid.status, 'pending_payment');
+        assert.equal(unpaid.paid_at, undefined);
+        assert.deepEqual(alerts, []);
+    });
+
+    it('ignores a charge reported as successful that Flutterwave does not confirm', async () => {
+        const booking = await awaitDeposit('2348000000507');
+
+        await pay(booking, {}, { status: 'failed' });
+        assert.equal((await bookings.getBooking(booking.id)).status, 'pending_payment');
+
+        await pay(booking, { amount: 5000 }, { amount: 50 });
+        assert.equal((await bookings.getBooking(booking.id)).refund_status, 'needed');
+    });
+
+    it('flags a deposit paid in the wrong currency for a refund', async () => {
+        const booking = await awaitDeposit('2348000000502');
+
+        await pay(booking, { amount: 5000, currency: 'USD' });
+
+        const flagged = await bookings.getBooking(booking.id);
+        assert.equal(flagged.status, 'pending_payment');
+        assert.equal(flagged.refund_status, 'needed');
+        assert.match(flagged.refund_reason, /paid in USD, expected NGN/);
+        assert.equal(alerts.length, 1);
+        assert.equal(alerts[0].type, 'booking_refund_needed');
+    });
+
+    it('flags a short deposit for a refund', async () => {
+        const booking = await awaitDeposit('2348000000503');
+
+        await pay(booking, { amount: 1000 });
+
+        assert.equal((await bookings.getBooking(booking.id)).refund_status, 'needed');
+        assert.equal(alerts.length, 1);
+    });
+
+    it('flags a late deposit for a slot someone else took and tells the customer', async () => {
+        const booking = await awaitDeposit('2348000000504');
+        await app.subsystems.database.table('bookings').update(booking.id, { status: 'expired' });
+        await bookings.hold('2348000000505', { resourceId: resource.id, serviceId: 'consultation', start: booking.start_at });
+        takeSentMessages();
+
+        await pay(booking);
+
+        const flagged = await bookings.getBooking(booking.id);
+        assert.equal(flagged.status, 'expired');
+        assert.equal(flagged.refund_status, 'needed');
+        assert.equal(flagged.payment_tx_ref, `odia_deposit_${booking.id}`);
+        assert.match(alerts[0].message, /arrived after the slot was released/);
+        assert.match(alerts[0].details, /Customer: 2348000000504/);
+
+        const [notice] = takeSentMessages();
+        assert.equal(notice.to, '2348000000504');
+        assert.match(notice.text, /no longer available/);
+
+        const { body } = await app.request('GET', '/api/bookings?refundStatus=needed');
+        assert.ok(body.bookings.some(listed => listed.id === booking.id));
+    });
+});
+
+describe('BookingEngine holds', () => {
+    let app;
+    let bookings;
+    let resource;
+
+    const freeSlots = async () => bookings.getAvailableSlots(resource, resource.services[0], { limit: Infinity });
+
+    before(async () => {
+        app = await startServer();
+        bookings = app.subsystems.bookings;
+
+        const { body } = await app.request('POST', '/api/bookings/resources', {
+            agent_id: 'med-assist',
+            name: 'Dr Tunde Bakare',
+            services: [{ id: 'consultation', name: 'General consultation', duration_minutes: 30, price: 15000 }],
+            working_hours: EVERY_DAY
+        });
+        resource = body;
+    });
+    after(() => app.stop());
+    beforeEach(() => takeSentMessages());
+
+    it('lets only one of two server instances hold the same slot', async () => {
+        // A second instance shares the database but not the in-process lock
+        const otherInstance = Object.assign(Object.create(bookings), { locks: new Map() });
+        const [slot] = await freeSlots();
+
+        const results = await Promise.allSettled([
+            bookings.hold('2348000000601', { resourceId: resource.id, serviceId: 'consultation', start: slot.start }),
+            otherInstance.hold('2348000000602', { resourceId: resource.id, serviceId: 'consultation', start: slot.start })
+        ]);
+
+        assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+        const [{ reason }] = results.filter(result => result.status === 'rejected');
+        assert.equal(reason.status, 409);
+        assert.equal(reason.message, 'That time is no longer available');
+        assert.equal((await app.subsystems.database.table('bookings').find({ resource_id: resource.id, start_at: slot.start })).length, 1);
+    });
+
+    it('releases a hold that ran out before its expiry job and gives the slot to the next customer', async () => {
+        const [slot] = await freeSlots();
+        const stale = await bookings.hold('2348000000603', { resourceId: resource.id, serviceId: 'consultation', start: slot.start });
+        await app.subsystems.database.table('bookings').update(stale.id, { hold_expires_at: new Date(Date.now() - 1000) });
+        takeSentMessages();
+
+        const booking = await bookings.hold('2348000000604', { resourceId: resource.id, serviceId: 'consultation', start: slot.start });
+
+        assert.equal(booking.status, 'held');
+        assert.equal((await bookings.getBooking(stale.id)).status, 'expired');
+        const notice = takeSentMessages().find(message => message.to === '2348000000603');
+        assert.equal(notice.payload.template.name, 'booking_expired');
+        assert.equal(notice.payload.template.components[0].parameters[1].text, 'Dr Tunde Bakare');
+    });
+});
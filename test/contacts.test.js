@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, takeSentMessages } = require('./helpers');
+
+describe('ContactBook', () => {
+    let app;
+    let whatsapp;
+    let prompts;
+    let messageCount = 0;
+
+    const receive = async (phoneNumber, message) => {
+        await whatsapp.whatsappClient.recordInbound(phoneNumber);
+        await whatsapp.handleQueuedMessage({ message: { from: phoneNumber, id: `wamid.contacts${++messageCount}`, ...message } });
+        return takeSentMessages();
+    };
+
+    const addContact = (ownerPhone, contact) => app.request('POST', `/api/contacts/${ownerPhone}`, contact);
+
+    before(async () => {
+        app = await startServer();
+        whatsapp = app.subsystems.whatsapp;
+    });
+    after(() => app.stop());
+    beforeEach(() => {
+        prompts = [];
+        app.subsystems.llm.complete = async ({ prompt }) => {
+            prompts.push(prompt);
+            return { text: '{"subject": "Invoice", "body": "Hello, the invoice is attached."}', model: 'fake' };
+        };
+        takeSentMessages();
+    });
+
+    it('creates, merges, searches, updates and deletes contacts per owner', async () => {
+        const owner = '2348000001401';
+
+        const created = await addContact(owner, { name: 'Tunde Bakare', email: 'Tunde@BakareLaw.ng', phone_number: '08031234567' });
+        assert.equal(created.status, 201);
+        assert.equal(created.body.contact.email, 'tunde@bakarelaw.ng');
+        assert.equal(created.body.contact.phone_number, '2348031234567');
+
+        const merged = await addContact(owner, { name: 'My lawyer', email: 'tunde@bakarelaw.ng', company: 'Bakare & Co' });
+        assert.equal(merged.status, 200);
+        assert.deepEqual(merged.body.contact.aliases, ['My lawyer']);
+        assert.equal(merged.body.contact.company, 'Bakare & Co');
+
+        const id = created.body.contact.id;
+        assert.equal((await app.request('GET', `/api/contacts/${owner}?q=bakare`)).body.count, 1);
+        assert.equal((await app.request('PUT', `/api/contacts/${owner}/${id}`, { company: 'Bakare Legal' })).body.company, 'Bakare Legal');
+        assert.equal((await app.request('PUT', `/api/contacts/${owner}/${id}`, { email: 'not-an-email' })).status, 400);
+        assert.equal((await app.request('GET', `/api/contacts/2348000009999/${id}`)).status, 404);
+        assert.equal((await app.request('DELETE', `/api/contacts/${owner}/${id}`)).status, 200);
+        assert.equal((await app.request('GET', `/api/contacts/${owner}`)).body.count, 0);
+    });
+
+    it('imports vCard and CSV exports, skipping entries it cannot use', async () => {
+        const owner = '2348000001402';
+        const vcard = [
+            'BEGIN:VCARD', 'VERSION:3.0', 'N:Okafor;Chioma;;;', 'NICKNAME:Chi',
+            'item1.EMAIL;type=INTERNET:chioma@', ' okafor.ng', 'TEL;TYPE=CELL:+234 802 000 0001', 'ORG:Okafor Foods;Sales', 'END:VCARD',
+            'BEGIN:VCARD', 'VERSION:3.0', 'FN:Nobody', 'EMAIL:broken', 'END:VCARD'
+        ].join('\r\n');
+
+        const fromVcard = await app.request('POST', `/api/contacts/${owner}/import`, vcard, { 'content-type': 'text/vcard' });
+        assert.deepEqual({ format: fromVcard.body.format, created: fromVcard.body.created }, { format: 'vcard', created: 1 });
+        assert.deepEqual(fromVcard.body.skipped, [{ entry: 2, name: 'Nobody', errors: ['Invalid email address: broken'] }]);
+
+        const csv = 'First Name,Last Name,E-mail 1 - Value,Organization 1 - Name\nEmeka,Eze,emeka@eze.com,"Eze, Sons & Co"\n';
+        const fromCsv = await app.request('POST', `/api/contacts/${owner}/import`, csv, { 'content-type': 'text/csv' });
+        assert.equal(fromCsv.body.created, 1);
+
+        const { contacts } = (await app.request('GET', `/api/contacts/${owner}`)).body;
+        assert.deepEqual(contacts.map(contact => [contact.name, contact.aliases, contact.email, contact.phone_number, contact.company]), [
+            ['Chioma Okafor', ['Chi'], 'chioma@okafor.ng', '2348020000001', 'Okafor Foods'],
+            ['Emeka Eze', [], 'emeka@eze.com', null, 'Eze, Sons & Co']
+        ]);
+    });
+
+    it('saves contact cards shared in WhatsApp', async () => {
+        const owner = '2348000001403';
+
+        const [reply] = await receive(owner, {
+            type: 'contacts',
+            contacts: [{
+                name: { formatted_name: 'Ngozi Adeyemi', first_name: 'Ngozi' },
+                emails: [{ email: 'ngozi@adeyemi.ng', type: 'WORK' }],
+                phones: [{ phone: '+234 803 555 0101', wa_id: '2348035550101' }]
+            }]
+        });
+
+        assert.equal(reply.text, '📇 Saved Ngozi Adeyemi (ngozi@adeyemi.ng) to your contacts. You can now say "send email to Ngozi".');
+        const [contact] = await app.subsystems.contacts.resolve(owner, 'Ngozi');
+        assert.deepEqual({ phone_number: contact.phone_number, source: contact.source }, { phone_number: '2348035550101', source: 'whatsapp' });
+    });
+
+    it('emails a contact by name, asking which one when several match', async () => {
+        const owner = '2348000001404';
+        await addContact(owner, { name: 'Tunde Bakare', email: 'tunde@bakarelaw.ng' });
+        await addContact(owner, { name: 'Tunde Ojo', email: 'tunde@ojo.ng' });
+        await addContact(owner, { name: 'Ada Obi', aliases: ['my accountant'], email: 'ada@obi.ng' });
+
+        await receive(owner, { type: 'text', text: { body: 'Send email to my accountant about the invoice - it is attached' } });
+        assert.match(prompts[0], /Recipient: Ada Obi <ada@obi\.ng>/);
+
+        const [picker] = await receive(owner, { type: 'text', text: { body: 'Send email to Tunde about the invoice - it is attached' } });
+        const rows = picker.payload.interactive.action.sections[0].rows;
+        assert.deepEqual(rows.map(row => row.title), ['Tunde Bakare', 'Tunde Ojo']);
+
+        await receive(owner, { type: 'interactive', interactive: { type: 'list_reply', list_reply: { id: rows[1].id, title: rows[1].title } } });
+        assert.match(prompts[1], /Recipient: Tunde Ojo <tunde@ojo\.ng>/);
+    });
+
+    it('asks which contact to bill when an invoice name is ambiguous', async () => {
+        const owner = '2348000001405';
+        await addContact(owner, { name: 'Tunde Bakare', email: 'tunde@bakarelaw.ng' });
+        await addContact(owner, { name: 'Tunde Ojo', email: 'tunde@ojo.ng' });
+
+        const ambiguous = await app.request('POST', '/api/invoices/generate', { userId: 'user-1', ownerPhone: owner, billTo: 'Tunde' });
+        assert.equal(ambiguous.status, 409);
+        assert.deepEqual(ambiguous.body.matches.map(match => match.name), ['Tunde Bakare', 'Tunde Ojo']);
+
+        const unknown = await app.request('POST', '/api/invoices/generate', { userId: 'user-1', ownerPhone: owner, billTo: 'Kemi' });
+        assert.equal(unknown.status, 404);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, takeSentMessages } = require('./helpers');
+
+describe('ConversationStore', () => {
+    let app;
+    let conversations;
+    let requests;
+
+    const send = async (phoneNumber, id, body) => {
+        await app.subsystems.whatsapp.whatsappClient.recordInbound(phoneNumber);
+        await app.subsystems.whatsapp.handleQueuedMessage({ message: { from: phoneNumber, id: id, type: 'text', text: { body } } });
+    };
+
+    before(async () => {
+        app = await startServer();
+        conversations = app.subsystems.conversations;
+    });
+    after(() => app.stop());
+    beforeEach(() => {
+        requests = [];
+        app.subsystems.llm.complete = async (request) => {
+            requests.push(request);
+            return { text: `Answer ${requests.length}`, model: 'fake' };
+        };
+        takeSentMessages();
+    });
+
+    it('passes earlier turns to the agent as multi-turn messages', async () => {
+        const phoneNumber = '2348000000801';
+
+        await send(phoneNumber, 'wamid.memory1', 'Do you sell solar inverters?');
+        await send(phoneNumber, 'wamid.memory2', 'and how much is it?');
+
+        const { messages } = requests[requests.length - 1];
+        assert.equal(messages[0].role, 'user');
+        assert.match(messages[0].content, /solar inverters/);
+        assert.deepEqual(messages[1], { role: 'assistant', content: 'Answer 1' });
+        assert.match(messages[messages.length - 1].content, /how much is it/);
+    });
+
+    it('folds turns that fall out of the window into a summary', async () => {
+        const { maxTurns } = conversations;
+        conversations.maxTurns = 2;
+        try {
+            for (const question of ['First question', 'Second question', 'Third question']) {
+                await conversations.appendTurn('2348000000802', 'lexi-pro', question, 'Noted.');
+            }
+        } finally {
+            conversations.maxTurns = maxTurns;
+        }
+
+        const conversation = await conversations.getConversation('2348000000802', 'lexi-pro');
+        assert.deepEqual(conversation.turns.map(turn => turn.user), ['Second question', 'Third question']);
+        assert.equal(conversation.summary, 'Answer 1');
+        assert.match(requests[0].prompt, /Customer: First question/);
+    });
+
+    it('forgets a conversation after inactivity', async () => {
+        const saved = await conversations.appendTurn('2348000000803', 'lexi-pro', 'Hello', 'Hi there');
+        await app.subsystems.database.table('conversations').update(saved.id, { last_activity_at: new Date(Date.now() - conversations.ttlMs - 1000) });
+
+        assert.deepEqual(await conversations.getHistory('2348000000803', 'lexi-pro'), { summary: null, messages: [] });
+    });
+
+    it('shows and clears a number\'s conversations over the API', async () => {
+        await conversations.appendTurn('2348000000804', 'paymaster', 'What plans do you have?', 'We have three.');
+
+        const shown = await app.request('GET', '/api/conversations/2348000000804');
+        assert.equal(shown.body.conversations.length, 1);
+        assert.equal(shown.body.conversations[0].agent_id, 'paymaster');
+        assert.equal(shown.body.conversations[0].turns[0].assistant, 'We have three.');
+
+        const cleared = await app.request('DELETE', '/api/conversations/2348000000804');
+        assert.equal(cleared.body.conversations_cleared, 1);
+        assert.equal((await app.request('GET', '/api/conversations/2348000000804')).body.conversations.length, 0);
+    });
+});
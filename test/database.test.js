@@ -0,0 +1,74 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryDatabase } = require('../database');
+
+describe('MemoryDatabase filters', () => {
+    let transactions;
+
+    beforeEach(async () => {
+        transactions = new MemoryDatabase().table('payment_transactions');
+        const day = 24 * 60 * 60 * 1000;
+        await transactions.insert({ tx_ref: 'a', status: 'successful', amount: 100, created_at: new Date(Date.now() - 2 * day) });
+        await transactions.insert({ tx_ref: 'b', status: 'completed', amount: 200, agent_id: 'pay-master', created_at: new Date(Date.now() - 40 * day) });
+        await transactions.insert({ tx_ref: 'c', status: 'failed', amount: 300, created_at: new Date() });
+    });
+
+    it('matches plain values by equality', async () => {
+        assert.deepEqual((await transactions.find({ status: 'failed' })).map(tx => tx.tx_ref), ['c']);
+        assert.deepEqual((await transactions.find({ agent_id: null })).map(tx => tx.tx_ref), ['a', 'c']);
+    });
+
+    it('applies in and range operators', async () => {
+        const recentPaid = await transactions.find({
+            status: { in: ['successful', 'completed'] },
+            created_at: { gt: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }
+        });
+        assert.deepEqual(recentPaid.map(tx => tx.tx_ref), ['a']);
+
+        assert.deepEqual((await transactions.find({ amount: { gte: 200, lt: 300 } })).map(tx => tx.tx_ref), ['b']);
+        assert.equal(await transactions.count({ agent_id: { in: ['pay-master', null] } }), 3);
+    });
+
+    it('matches NULL with notIn', async () => {
+        assert.deepEqual((await transactions.find({ agent_id: { notIn: ['pay-master'] } })).map(tx => tx.tx_ref), ['a', 'c']);
+        assert.deepEqual((await transactions.find({ agent_id: { notIn: ['pay-master', null] } })).map(tx => tx.tx_ref), []);
+        assert.equal(await transactions.count({ status: { notIn: [] } }), 3);
+    });
+
+    it('rejects unknown operators', async () => {
+        await assert.rejects(transactions.find({ amount: { near: 5 } }), /Unknown filter operator "near"/);
+    });
+});
+
+describe('MemoryDatabase exclusion constraints', () => {
+    const hour = 60 * 60 * 1000;
+    const start = new Date('2026-11-02T09:00:00Z');
+    const booking = (fields) => ({
+        resource_id: 'resource_1', agent_id: 'med-assist', service_id: 'consultation', phone_number: '2348000000001',
+        start_at: start, end_at: new Date(start.getTime() + hour), status: 'held', ...fields
+    });
+    let bookings;
+
+    beforeEach(async () => {
+        bookings = new MemoryDatabase().table('bookings');
+        await bookings.insert(booking({}));
+    });
+
+    it('rejects an overlapping active booking on the same resource', async () => {
+        await assert.rejects(
+            bookings.insert(booking({ start_at: new Date(start.getTime() + hour / 2), end_at: new Date(start.getTime() + 2 * hour) })),
+            error => error.code === '23P01' && /bookings_no_overlap/.test(error.message)
+        );
+    });
+
+    it('allows adjacent, inactive and other-resource bookings', async () => {
+        await bookings.insert(booking({ start_at: new Date(start.getTime() + hour), end_at: new Date(start.getTime() + 2 * hour) }));
+        await bookings.insert(booking({ status: 'expired' }));
+        await bookings.insert(booking({ resource_id: 'resource_2' }));
+    });
+
+    it('checks updates that make a booking active again', async () => {
+        const expired = await bookings.insert(booking({ status: 'expired' }));
+        await assert.rejects(bookings.update(expired.id, { status: 'confirmed' }), { code: '23P01' });
+    });
+});
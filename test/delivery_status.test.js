@@ -0,0 +1,97 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer, takeSentMessages } = require('./helpers');
+
+const sign = (body) => 'sha256=' + crypto.createHmac('sha256', 'test-app-secret').update(body).digest('hex');
+
+describe('WhatsApp delivery status', () => {
+    let app;
+    let client;
+
+    // Status updates as Meta posts them to the webhook
+    const postStatuses = async (...statuses) => {
+        const body = JSON.stringify({
+            object: 'whatsapp_business_account',
+            entry: [{ changes: [{ field: 'messages', value: { statuses: statuses } }] }]
+        });
+        const { status } = await app.request('POST', '/api/webhook/whatsapp', body, { 'x-hub-signature-256': sign(body) });
+        assert.equal(status, 200);
+    };
+
+    const sendText = async (phoneNumber, text) => {
+        await client.recordInbound(phoneNumber);
+        const result = await client.sendMessage(phoneNumber, text, { source: 'payment_link' });
+        return client.getMessage(client.getMessageId(result));
+    };
+
+    const timestamp = (secondsAgo) => String(Math.floor(Date.now() / 1000) - secondsAgo);
+
+    before(async () => {
+        app = await startServer();
+        client = app.subsystems.whatsapp.whatsappClient;
+    });
+    after(() => app.stop());
+    beforeEach(() => takeSentMessages());
+
+    it('stores each outbound message and moves it forward through the status webhooks', async () => {
+        const sent = await sendText('2348000001001', 'Pay here: https://pay.example/abc');
+        assert.equal(sent.status, 'accepted');
+        assert.equal(sent.source, 'payment_link');
+
+        await postStatuses(
+            { id: sent.whatsapp_message_id, status: 'delivered', timestamp: timestamp(20) },
+            { id: sent.whatsapp_message_id, status: 'read', timestamp: timestamp(10) },
+            // Arrived late: a message that was read stays read
+            { id: sent.whatsapp_message_id, status: 'sent', timestamp: timestamp(30) }
+        );
+
+        const { status, body } = await app.request('GET', `/api/whatsapp/messages/${sent.whatsapp_message_id}`);
+        assert.equal(status, 200);
+        assert.equal(body.id, sent.id);
+        assert.equal(body.status, 'read');
+        assert.ok(body.delivered_at && body.read_at);
+        assert.deepEqual(body.status_history.map(entry => entry.status), ['accepted', 'delivered', 'read', 'sent']);
+    });
+
+    it('resends a message that failed with a retryable error code', async () => {
+        const sent = await sendText('2348000001002', 'Your receipt is ready.');
+
+        await postStatuses({ id: sent.whatsapp_message_id, status: 'failed', errors: [{ code: 131000, title: 'Something went wrong' }] });
+
+        const failed = await client.getMessage(sent.id);
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.error_code, 131000);
+        const [job] = await app.subsystems.database.table('jobs').find({ type: 'whatsapp.resend' });
+        assert.deepEqual(job.payload, { messageId: sent.id });
+
+        await client.handleResendJob(job.payload);
+
+        const resent = await client.getMessage(sent.id);
+        assert.equal(resent.status, 'accepted');
+        assert.equal(resent.attempts, 2);
+        assert.notEqual(resent.whatsapp_message_id, sent.whatsapp_message_id);
+        assert.equal(takeSentMessages().filter(message => message.text === 'Your receipt is ready.').length, 2);
+    });
+
+    it('does not resend a message the customer can never receive', async () => {
+        const sent = await sendText('2348000001003', 'Hello again.');
+
+        await postStatuses({ id: sent.whatsapp_message_id, status: 'failed', errors: [{ code: 131026, title: 'Message undeliverable' }] });
+
+        assert.equal((await client.getMessage(sent.id)).status, 'failed');
+        const jobs = await app.subsystems.database.table('jobs').find({ type: 'whatsapp.resend' });
+        assert.ok(!jobs.some(job => job.payload.messageId === sent.id));
+    });
+
+    it('lists a number\'s delivery history', async () => {
+        const first = await sendText('2348000001004', 'First');
+        const second = await sendText('2348000001004', 'Second');
+
+        const { body } = await app.request('GET', '/api/whatsapp/messages?phone_number=2348000001004');
+
+        assert.equal(body.total, 2);
+        assert.deepEqual(body.messages.map(message => message.id).sort(), [first.id, second.id].sort());
+        assert.equal((await app.request('GET', '/api/whatsapp/messages')).status, 400);
+    });
+});
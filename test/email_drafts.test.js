@@ -0,0 +1,115 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, takeSentMessages } = require('./helpers');
+
+describe('WhatsApp email drafts', () => {
+    let app;
+    let whatsapp;
+    let prompts;
+    let emails;
+    let messageCount = 0;
+
+    const receive = async (phoneNumber, message) => {
+        await whatsapp.whatsappClient.recordInbound(phoneNumber);
+        await whatsapp.handleQueuedMessage({ message: { from: phoneNumber, id: `wamid.email${++messageCount}`, ...message } });
+        return takeSentMessages();
+    };
+
+    const receiveText = (phoneNumber, body) => receive(phoneNumber, { type: 'text', text: { body } });
+
+    const tap = (phoneNumber, id) => receive(phoneNumber, {
+        type: 'interactive',
+        interactive: { type: 'button_reply', button_reply: { id: id, title: id } }
+    });
+
+    const buttonIds = (message) => message.payload.interactive.action.buttons.map(button => button.reply.id);
+
+    before(async () => {
+        app = await startServer();
+        whatsapp = app.subsystems.whatsapp;
+    });
+    after(() => app.stop());
+    beforeEach(() => {
+        prompts = [];
+        emails = [];
+        // The first draft is casual; a revision is formal
+        app.subsystems.llm.complete = async ({ prompt }) => {
+            prompts.push(prompt);
+            const body = prompt.includes('Revise the current draft') ? 'Dear Ade, kindly note the invoice is due Friday.' : 'Hi Ade, the invoice is due Friday.';
+            return { text: JSON.stringify({ subject: 'Invoice reminder', body: body }), model: 'fake' };
+        };
+        app.subsystems.email.sendEmail = async (email) => {
+            emails.push(email);
+            return { success: true, messageId: `<email-${emails.length}@odia.dev>` };
+        };
+        takeSentMessages();
+    });
+
+    it('asks for each missing detail, then shows the draft with Send, Edit and Cancel', async () => {
+        const phoneNumber = '2348000001301';
+
+        assert.match((await receiveText(phoneNumber, 'Send email to ade@company.com'))[0].text, /subject of the email/);
+        assert.match((await receiveText(phoneNumber, 'Invoice'))[0].text, /What should the email say/);
+        const [review] = await receiveText(phoneNumber, 'remind him it is due Friday');
+
+        assert.match(prompts[0], /Recipient: ade@company\.com\nSubject: Invoice\nContent request: remind him it is due Friday/);
+        assert.equal(review.type, 'interactive');
+        assert.match(review.text, /^To: ade@company\.com\nSubject: Invoice reminder\n\nHi Ade, the invoice is due Friday\.$/);
+        const draft = await app.subsystems.email.getActiveDraft(phoneNumber);
+        assert.deepEqual(buttonIds(review), [`email:send:${draft.id}`, `email:edit:${draft.id}`, `email:cancel:${draft.id}`]);
+        assert.equal(emails.length, 0);
+    });
+
+    it('redrafts on a free-text change and sends only once Send is tapped', async () => {
+        const phoneNumber = '2348000001302';
+        await receiveText(phoneNumber, 'Send email to ade@company.com about the invoice - remind him it is due Friday');
+
+        const [revised] = await receiveText(phoneNumber, 'make it more formal');
+        assert.match(prompts[1], /Current draft:\nSubject: Invoice reminder\n\nHi Ade, the invoice is due Friday\./);
+        assert.match(prompts[1], /Revise the current draft as the sender asks: make it more formal/);
+        assert.match(revised.text, /Dear Ade, kindly note/);
+        assert.equal(emails.length, 0);
+
+        const draft = await app.subsystems.email.getActiveDraft(phoneNumber);
+        assert.deepEqual(draft.edits, ['make it more formal']);
+        const [confirmation] = await tap(phoneNumber, `email:send:${draft.id}`);
+
+        assert.deepEqual(emails.map(email => ({ to: email.to, subject: email.subject, body: email.body })), [
+            { to: 'ade@company.com', subject: 'Invoice reminder', body: 'Dear Ade, kindly note the invoice is due Friday.' }
+        ]);
+        assert.match(confirmation.text, /Email sent successfully/);
+        assert.equal((await app.subsystems.database.table('email_drafts').findById(draft.id)).status, 'sent');
+    });
+
+    it('asks what to change when Edit is tapped', async () => {
+        const phoneNumber = '2348000001303';
+        await receiveText(phoneNumber, 'Send email to ade@company.com about the invoice - remind him it is due Friday');
+        const draft = await app.subsystems.email.getActiveDraft(phoneNumber);
+
+        assert.match((await tap(phoneNumber, `email:edit:${draft.id}`))[0].text, /What would you like to change/);
+        await receiveText(phoneNumber, 'make it more formal');
+
+        assert.equal((await app.subsystems.email.getActiveDraft(phoneNumber)).body, 'Dear Ade, kindly note the invoice is due Friday.');
+    });
+
+    it('discards a cancelled draft and ignores its buttons afterwards', async () => {
+        const phoneNumber = '2348000001304';
+        await receiveText(phoneNumber, 'Send email to ade@company.com about the invoice - remind him it is due Friday');
+        const draft = await app.subsystems.email.getActiveDraft(phoneNumber);
+
+        assert.match((await tap(phoneNumber, `email:cancel:${draft.id}`))[0].text, /Nothing was sent/);
+        assert.match((await tap(phoneNumber, `email:send:${draft.id}`))[0].text, /no longer open/);
+        assert.equal(emails.length, 0);
+    });
+
+    it('keeps the draft open when sending fails', async () => {
+        const phoneNumber = '2348000001305';
+        app.subsystems.email.sendEmail = async () => { throw new Error('SMTP unavailable'); };
+        await receiveText(phoneNumber, 'Send email to ade@company.com about the invoice - remind him it is due Friday');
+
+        const [warning] = await receiveText(phoneNumber, 'send');
+
+        assert.match(warning.text, /couldn't send the email \(SMTP unavailable\)/);
+        assert.equal((await app.subsystems.email.getActiveDraft(phoneNumber)).status, 'review');
+    });
+});
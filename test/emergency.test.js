@@ -0,0 +1,157 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, takeSentMessages } = require('./helpers');
+
+describe('EmergencyEscalation detection', () => {
+    let app;
+    let emergency;
+    let complete;
+
+    before(async () => {
+        app = await startServer();
+        emergency = app.subsystems.emergency;
+        complete = app.subsystems.llm.complete;
+    });
+    afterEach(() => {
+        emergency.useLLMCheck = false;
+        app.subsystems.llm.complete = complete;
+    });
+    after(() => app.stop());
+
+    it('confirms keyword matches with the intent router when there is no real model', async () => {
+        assert.deepEqual(await emergency.detect('There is a fire in my house, help!'), { category: 'fire', severity: 'critical' });
+        assert.equal(await emergency.detect('I need to fire my driver, how do I do it legally?'), null);
+    });
+
+    it('never checks English messages without a keyword', async () => {
+        emergency.useLLMCheck = true;
+        app.subsystems.llm.complete = async () => { throw new Error('the LLM should not be asked'); };
+
+        assert.equal(await emergency.detect("I'm dying to try the new menu"), null);
+    });
+
+    it('lets the LLM overrule a keyword match', async () => {
+        emergency.useLLMCheck = true;
+        app.subsystems.llm.complete = async () => ({ text: '{"emergency": false}', model: 'fake' });
+
+        assert.equal(await emergency.detect('We shot a video for our ad campaign'), null);
+    });
+
+    it('needs a confident router to confirm a keyword match', async () => {
+        emergency.minRouterConfidence = 0.9;
+        try {
+            assert.equal(await emergency.detect('There is a fire in my house, help!'), null);
+        } finally {
+            emergency.minRouterConfidence = 0.15;
+        }
+    });
+
+    it('never checks non-English messages without a keyword', async () => {
+        emergency.useLLMCheck = true;
+        app.subsystems.llm.complete = async () => { throw new Error('the LLM should not be asked'); };
+
+        assert.equal(await emergency.detect('Jowo, se e le ran mi lowo pelu ise mi?'), null);
+        assert.equal(await emergency.detect('Biko, kedu ka m ga-esi kwuo ugwo?'), null);
+    });
+
+    it('asks the LLM about messages matching a keyword in their own language', async () => {
+        emergency.useLLMCheck = true;
+        let prompt = null;
+        app.subsystems.llm.complete = async (request) => {
+            prompt = request.prompt;
+            return { text: '{"emergency": true, "category": "crime", "critical": true}', model: 'fake' };
+        };
+
+        assert.deepEqual(await emergency.detect('Jowo, ole ti wo ile wa'), { category: 'crime', severity: 'critical' });
+        assert.match(prompt, /\(Yoruba\)/);
+    });
+
+    it('falls back to the intent router when the LLM fails', async () => {
+        emergency.useLLMCheck = true;
+        app.subsystems.llm.complete = async () => { throw new Error('provider down'); };
+
+        assert.deepEqual(await emergency.detect('Armed robbers broke into our house'), { category: 'crime', severity: 'critical' });
+    });
+});
+
+describe('EmergencyEscalation on WhatsApp', () => {
+    let app;
+    let whatsapp;
+
+    const send = async (phoneNumber, id, body) => {
+        await whatsapp.whatsappClient.recordInbound(phoneNumber);
+        await whatsapp.handleQueuedMessage({ message: { from: phoneNumber, id: id, type: 'text', text: { body } } });
+        return takeSentMessages();
+    };
+
+    before(async () => {
+        app = await startServer();
+        whatsapp = app.subsystems.whatsapp;
+        app.subsystems.llm.complete = async () => ({ text: 'Stay safe, help is coming.', model: 'fake' });
+        app.subsystems.monitoring.alertTransporter.sendMail = async () => ({});
+    });
+    after(() => app.stop());
+
+    it('sends the safety message to a free-trial customer whose plan has no emergency agent', async () => {
+        const phoneNumber = '2348000000201';
+        assert.ok(!(await app.subsystems.usage.check(phoneNumber)).agent_access.includes('crossai-emergency'));
+
+        const sent = await send(phoneNumber, 'wamid.emergency1', 'Armed robbers broke into our house');
+
+        assert.match(sent[0].text, /Call 112 now/);
+        const incident = await app.subsystems.emergency.getOpenIncident(phoneNumber);
+        assert.equal(incident.category, 'crime');
+    });
+
+    it('sends the safety message when the message quota is used up', async () => {
+        const phoneNumber = '2348000000202';
+        const { messages } = await app.subsystems.usage.check(phoneNumber);
+        await app.subsystems.usage.record(phoneNumber, { messages: messages.limit });
+        assert.equal((await app.subsystems.usage.check(phoneNumber)).can_message, false);
+        takeSentMessages();
+
+        const sent = await send(phoneNumber, 'wamid.emergency2', 'There is a fire in my house, help!');
+
+        assert.match(sent[0].text, /Call 112 now/);
+        assert.ok(await app.subsystems.emergency.getOpenIncident(phoneNumber));
+    });
+    it('runs the protocol on messages sent while a person on our team has the conversation', async () => {
+        const phoneNumber = '2348000000203';
+        await app.subsystems.handoff.requestHuman(phoneNumber, { reason: 'customer_request' });
+
+        const sent = await send(phoneNumber, 'wamid.emergency3', 'Armed robbers broke into our house');
+
+        assert.equal(sent.length, 1);
+        assert.match(sent[0].text, /Call 112 now/);
+        assert.equal((await app.subsystems.emergency.getOpenIncident(phoneNumber)).category, 'crime');
+        const handoff = await app.subsystems.handoff.getOpenHandoff(phoneNumber);
+        assert.deepEqual(handoff.messages.map(message => message.text), ['Armed robbers broke into our house']);
+    });
+
+    it('adds a location shared during a handoff to the open incident', async () => {
+        const phoneNumber = '2348000000203';
+        await whatsapp.handleQueuedMessage({ message: { from: phoneNumber, id: 'wamid.emergency4', type: 'location', location: { latitude: 6.4281, longitude: 3.4219 } } });
+
+        assert.equal((await app.subsystems.emergency.getOpenIncident(phoneNumber)).location.latitude, 6.4281);
+        assert.match((await app.subsystems.handoff.getOpenHandoff(phoneNumber)).messages[1].text, /6.4281, 3.4219/);
+    });
+
+    it('opens an incident with a location shared before the session expired, or before any agent answered', async () => {
+        const phoneNumber = '2348000000204';
+        await app.subsystems.handoff.requestHuman(phoneNumber, { reason: 'customer_request' });
+        await whatsapp.handleQueuedMessage({ message: { from: phoneNumber, id: 'wamid.emergency5', type: 'location', location: { latitude: 6.5244, longitude: 3.3792 } } });
+        assert.equal(await app.subsystems.sessions.getSession(phoneNumber), null);
+
+        const { handoff } = app.subsystems;
+        await handoff.close(await handoff.getOpenHandoff(phoneNumber), 'released');
+        await app.subsystems.sessions.continueSession(phoneNumber);
+        const session = await app.subsystems.sessions.getSession(phoneNumber);
+        await app.subsystems.database.table('agent_sessions').update(session.id, { last_activity_at: new Date(Date.now() - 2 * 60 * 60 * 1000) });
+        takeSentMessages();
+
+        await send(phoneNumber, 'wamid.emergency6', 'There is a fire in my house, help!');
+
+        assert.equal((await app.subsystems.emergency.getOpenIncident(phoneNumber)).location.latitude, 6.5244);
+    });
+});
+
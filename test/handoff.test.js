@@ -0,0 +1,161 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startServer, takeSentMessages } = require('./helpers');
+
+describe('HumanHandoff operator access', () => {
+    let app;
+    let handoff;
+
+    const asAda = { authorization: 'Bearer ada-token' };
+
+    // Resolves with the first message, or rejects with the HTTP status the upgrade was refused with
+    const connect = (query = '', headers = {}) => new Promise((resolve, reject) => {
+        const socket = new WebSocket(`${app.baseUrl.replace('http', 'ws')}/ws/handoffs${query}`, { headers });
+        socket.once('message', data => resolve({ socket, event: JSON.parse(data.toString()) }));
+        socket.once('unexpected-response', (req, res) => reject(Object.assign(new Error('refused'), { status: res.statusCode })));
+        socket.once('error', reject);
+    });
+
+    before(async () => {
+        app = await startServer({ HANDOFF_OPERATORS: 'ada:Ada Obi:ada-token,tunde:Tunde:tunde-token' });
+        handoff = app.subsystems.handoff;
+    });
+    after(() => app.stop());
+
+    it('rejects requests without a valid operator token', async () => {
+        assert.equal((await app.request('GET', '/api/handoffs')).status, 401);
+        assert.equal((await app.request('GET', '/api/handoffs', undefined, { authorization: 'Bearer wrong' })).status, 401);
+        assert.equal((await app.request('GET', '/api/handoffs', undefined, asAda)).status, 200);
+    });
+
+    it('claims as the operator the token belongs to, whatever the body says', async () => {
+        const queued = await handoff.requestHuman('2348000000701', { reason: 'customer_request' });
+
+        const { status, body } = await app.request('POST', `/api/handoffs/${queued.id}/claim`, { operatorId: 'tunde', operatorName: 'Tunde' }, asAda);
+
+        assert.equal(status, 200);
+        assert.equal(body.handoff.operator_id, 'ada');
+        assert.equal(body.handoff.operator_name, 'Ada Obi');
+
+        const release = await app.request('POST', `/api/handoffs/${queued.id}/release`, {}, { authorization: 'Bearer tunde-token' });
+        assert.equal(release.status, 403);
+    });
+
+    it('refuses inbox connections without a token or from another site', async () => {
+        await assert.rejects(connect(), { status: 401 });
+        await assert.rejects(connect('?token=ada-token', { origin: 'https://evil.example' }), { status: 403 });
+    });
+
+    it('acts as the connected operator over the WebSocket', async () => {
+        const queued = await handoff.requestHuman('2348000000702', { reason: 'customer_request' });
+        const { socket, event } = await connect('?token=tunde-token', { origin: app.baseUrl });
+        try {
+            assert.equal(event.type, 'queue');
+
+            const answer = new Promise(resolve => socket.on('message', data => {
+                const message = JSON.parse(data.toString());
+                if (message.type === 'claimed' || message.type === 'error') resolve(message);
+            }));
+            socket.send(JSON.stringify({ type: 'claim', handoff_id: queued.id, operator_id: 'ada', operator_name: 'Ada' }));
+
+            const claimed = await answer;
+            assert.equal(claimed.type, 'claimed');
+            assert.equal(claimed.handoff.operator_id, 'tunde');
+        } finally {
+            socket.terminate();
+        }
+    });
+});
+
+describe('HumanHandoff conversations', () => {
+    let app;
+    let handoff;
+    let requests;
+    let reply;
+    let messageCount = 0;
+
+    const asAda = { authorization: 'Bearer ada-token' };
+
+    const receiveText = async (phoneNumber, body) => {
+        await app.subsystems.whatsapp.whatsappClient.recordInbound(phoneNumber);
+        await app.subsystems.whatsapp.handleQueuedMessage({
+            message: { from: phoneNumber, id: `wamid.handoff${++messageCount}`, type: 'text', text: { body } }
+        });
+        return takeSentMessages();
+    };
+
+    before(async () => {
+        app = await startServer({ HANDOFF_OPERATORS: 'ada:Ada Obi:ada-token' });
+        handoff = app.subsystems.handoff;
+    });
+    after(() => app.stop());
+    beforeEach(() => {
+        requests = [];
+        reply = 'Happy to help.';
+        app.subsystems.llm.complete = async (request) => {
+            requests.push(request);
+            return { text: reply, model: 'fake' };
+        };
+        takeSentMessages();
+    });
+
+    it('queues the conversation when the customer asks for a human and pauses the bot', async () => {
+        const phoneNumber = '2348000001501';
+
+        const [queued] = await receiveText(phoneNumber, 'I want to talk to a human');
+        assert.equal(queued.text, handoff.getQueuedMessage());
+
+        assert.deepEqual(await receiveText(phoneNumber, 'Hello? Anyone there?'), []);
+        assert.equal(requests.length, 0);
+
+        const open = await handoff.getOpenHandoff(phoneNumber);
+        assert.equal(open.reason, 'customer_request');
+        assert.deepEqual(open.messages.map(message => [message.from, message.text]), [['customer', 'Hello? Anyone there?']]);
+    });
+
+    it('queues the conversation when the agent flags an angry customer', async () => {
+        const phoneNumber = '2348000001502';
+        reply = 'I am sorry about this, a colleague will join you. [[human:angry_customer]]';
+
+        const [answer] = await receiveText(phoneNumber, 'This is the third time my payment failed!');
+
+        assert.equal(answer.text, `I am sorry about this, a colleague will join you.\n\n${handoff.getQueuedMessage()}`);
+        const open = await handoff.getOpenHandoff(phoneNumber);
+        assert.deepEqual({ reason: open.reason, agent_id: open.agent_id }, { reason: 'angry_customer', agent_id: 'lexi-pro' });
+    });
+
+    it('gives the operator the AI history, relays their replies and hands the customer back with memory', async () => {
+        const phoneNumber = '2348000001503';
+        await receiveText(phoneNumber, 'How do I renew my plan?');
+        await receiveText(phoneNumber, 'human');
+        const queued = await handoff.getOpenHandoff(phoneNumber);
+
+        const claimed = await app.request('POST', `/api/handoffs/${queued.id}/claim`, {}, asAda);
+        assert.deepEqual(claimed.body.history[0].turns.map(turn => turn.assistant), ['Happy to help.']);
+        assert.match(takeSentMessages()[0].text, /Ada Obi from the ODIA team has joined the chat/);
+
+        const sent = await app.request('POST', `/api/handoffs/${queued.id}/messages`, { text: 'Hi, I have renewed it for you.' }, asAda);
+        assert.equal(sent.status, 200);
+        assert.equal(takeSentMessages()[0].text, 'Hi, I have renewed it for you.');
+
+        await app.request('POST', `/api/handoffs/${queued.id}/release`, {}, asAda);
+        assert.match(takeSentMessages()[0].text, /Ada Obi has handed you back to Agent Lexi Pro/);
+
+        await receiveText(phoneNumber, 'Thanks, one more question');
+        const { messages } = requests[requests.length - 1];
+        assert.ok(messages.some(message => /Ada Obi: Hi, I have renewed it for you\./.test(message.content)));
+    });
+
+    it('hands a conversation nobody claimed in time back to the agent', async () => {
+        const phoneNumber = '2348000001504';
+        const queued = await handoff.requestHuman(phoneNumber, { reason: 'customer_request' });
+        await app.subsystems.database.table('handoffs').update(queued.id, { queued_at: new Date(Date.now() - handoff.queueTimeoutMs - 1000) });
+
+        const sent = await receiveText(phoneNumber, 'Still waiting...');
+
+        assert.match(sent[0].text, /No one from our team is free right now/);
+        assert.equal(sent[1].text, 'Happy to help.');
+        assert.equal((await app.subsystems.database.table('handoffs').findById(queued.id)).closed_reason, 'timeout');
+    });
+});
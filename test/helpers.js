@@ -0,0 +1,99 @@
+// Test helpers for ODIA 11-Agent System
+// Runs the whole server on a free port with the in-memory database, the mock LLM and speech providers, and a fake
+// WhatsApp Cloud API that records every message sent instead of calling Meta
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Only the test's own settings: no real providers, databases or alert channels
+const TEST_ENV = {
+    NODE_ENV: 'test',
+    DATABASE_DRIVER: 'memory',
+    LLM_PROVIDER: 'mock',
+    WHATSAPP_ACCESS_TOKEN: 'test-token',
+    WHATSAPP_PHONE_NUMBER_ID: 'test-phone-number-id',
+    WHATSAPP_APP_SECRET: 'test-app-secret',
+    // Agents added through the API go to a scratch file, not the checkout
+    AGENT_DATA_FILE: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'odia-test-')), 'agents.json')
+};
+
+// Server logs go to stderr: the test runner reads results from the test process's stdout
+console.log = console.error;
+
+// Every request body sent through node-fetch, newest last
+const sent = [];
+// Never reset, so message IDs stay unique when tests clear the sent list
+let messageCount = 0;
+
+function installFakeFetch() {
+    const fakeFetch = async (url, options = {}) => {
+        if (typeof options.body === 'string') {
+            sent.push({ url: String(url), body: JSON.parse(options.body) });
+        }
+        const messageId = `wamid.test${++messageCount}`;
+        return {
+            ok: true,
+            status: 200,
+            headers: { get: () => null },
+            json: async () => ({ id: 'media.test', messages: [{ id: messageId }] }),
+            text: async () => '',
+            arrayBuffer: async () => new ArrayBuffer(0)
+        };
+    };
+
+    const fetchPath = require.resolve('node-fetch');
+    require.cache[fetchPath] = { id: fetchPath, filename: fetchPath, loaded: true, exports: fakeFetch };
+}
+
+// Starts a server with the given extra environment; call stop() when done
+async function startServer(env = {}) {
+    Object.assign(process.env, TEST_ENV, env);
+    installFakeFetch();
+
+    const OdiaServer = require(path.join(__dirname, '..', 'src', 'server'));
+    const server = new OdiaServer({ port: 0 });
+    await server.start();
+
+    const baseUrl = `http://127.0.0.1:${server.httpServer.address().port}`;
+
+    return {
+        server: server,
+        subsystems: server.subsystems,
+        baseUrl: baseUrl,
+
+        // { status, body } with JSON parsed when the response is JSON
+        async request(method, route, body, headers = {}) {
+            const response = await fetch(baseUrl + route, {
+                method: method,
+                headers: { 'content-type': 'application/json', ...headers },
+                body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+            });
+            const text = await response.text();
+            let parsed = text;
+            try { parsed = JSON.parse(text); } catch (error) { /* not JSON */ }
+            return { status: response.status, body: parsed, headers: response.headers };
+        },
+
+        stop: () => server.stop()
+    };
+}
+
+// WhatsApp messages sent so far (removed from the log), as { to, type, text } plus the raw payload
+function takeSentMessages() {
+    return sent.splice(0)
+        .filter(request => request.body.messaging_product === 'whatsapp')
+        .map(request => ({
+            to: request.body.to,
+            type: request.body.type,
+            text: request.body.type === 'text'
+                ? request.body.text.body
+                : request.body.type === 'interactive' ? request.body.interactive.body.text : null,
+            payload: request.body
+        }));
+}
+
+module.exports = {
+    startServer,
+    takeSentMessages
+};
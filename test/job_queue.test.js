@@ -0,0 +1,90 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryDatabase } = require('../database');
+const JobQueue = require('../job_queue');
+
+describe('JobQueue runnable jobs', () => {
+    let database;
+    let queue;
+
+    const addJob = (type, { orderingKey = null, runInMs = 0, createdMsAgo = 0 } = {}) => database.table('jobs').insert({
+        type: type,
+        payload: {},
+        status: 'pending',
+        ordering_key: orderingKey,
+        attempts: 0,
+        max_attempts: 5,
+        run_at: new Date(Date.now() + runInMs),
+        created_at: new Date(Date.now() - createdMsAgo)
+    });
+
+    beforeEach(() => {
+        database = new MemoryDatabase();
+        queue = new JobQueue({ database, concurrency: 1, pollBatchSize: 2 });
+    });
+
+    it('reads only due jobs, oldest first, one batch at a time', async () => {
+        await addJob('later', { runInMs: 60000, createdMsAgo: 5000 });
+        await addJob('first', { createdMsAgo: 3000 });
+        await addJob('second', { createdMsAgo: 2000 });
+        await addJob('third', { createdMsAgo: 1000 });
+        queue.concurrency = 2;
+
+        assert.deepEqual((await queue.getRunnableJobs()).map(job => job.type), ['first', 'second']);
+    });
+
+    it('holds back later jobs for a key while an older one is backing off', async () => {
+        await addJob('backing-off', { orderingKey: 'whatsapp:234', runInMs: 60000, createdMsAgo: 2000 });
+        await addJob('next-for-key', { orderingKey: 'whatsapp:234', createdMsAgo: 1000 });
+        await addJob('other-key', { orderingKey: 'whatsapp:235' });
+
+        assert.deepEqual((await queue.getRunnableJobs()).map(job => job.type), ['other-key']);
+    });
+
+    it('reads past one key\'s backlog to reach other keys', async () => {
+        for (let i = 0; i < 5; i++) {
+            await addJob(`busy-${i}`, { orderingKey: 'whatsapp:234', createdMsAgo: 10000 - i });
+        }
+        await addJob('other-key', { orderingKey: 'whatsapp:235' });
+        queue.concurrency = 2;
+        queue.activeOrderingKeys.add('whatsapp:234');
+
+        assert.deepEqual((await queue.getRunnableJobs()).map(job => job.type), ['other-key']);
+    });
+
+    it('reads past a job backing off ahead of its successors to reach other keys', async () => {
+        await addJob('backing-off', { orderingKey: 'whatsapp:234', runInMs: 60000, createdMsAgo: 10000 });
+        for (let i = 0; i < 5; i++) {
+            await addJob(`waiting-${i}`, { orderingKey: 'whatsapp:234', createdMsAgo: 9000 - i });
+        }
+        await addJob('other-key', { orderingKey: 'whatsapp:235' });
+        await addJob('unordered');
+        queue.concurrency = 2;
+
+        assert.deepEqual((await queue.getRunnableJobs()).map(job => job.type), ['other-key', 'unordered']);
+    });
+});
+
+describe('JobQueue dead-letter retries', () => {
+    it('keeps the attempt count so the handler knows it is a retry', async () => {
+        const database = new MemoryDatabase();
+        const queue = new JobQueue({ database, maxAttempts: 3 });
+        const seen = [];
+        queue.registerHandler('whatsapp.message', async (payload, job) => { seen.push(job.attempts); });
+
+        const dead = await database.table('jobs').insert({
+            type: 'whatsapp.message', payload: {}, status: 'dead', attempts: 3, max_attempts: 3, run_at: new Date()
+        });
+        const res = { json: () => {}, status: () => res };
+        await queue.retryJob({ params: { jobId: dead.id } }, res);
+
+        const pending = await database.table('jobs').findById(dead.id);
+        assert.equal(pending.status, 'pending');
+        assert.equal(pending.attempts, 3);
+        assert.equal(pending.max_attempts, 6);
+
+        await queue.executeJob(pending);
+        assert.deepEqual(seen, [3]);
+        assert.equal((await database.table('jobs').findById(dead.id)).status, 'completed');
+    });
+});
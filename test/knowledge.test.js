@@ -0,0 +1,23 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('BusinessKnowledgeSystem search', () => {
+    let app;
+
+    before(async () => {
+        app = await startServer();
+        const entries = app.subsystems.database.table('knowledge_entries');
+        await entries.insert({ category: 'tax', title: 'VAT in Nigeria', content: 'VAT is charged at 7.5 percent', market: 'nigeria' });
+        await entries.insert({ category: 'tax', title: 'VAT in Ghana', content: 'VAT is charged at 15 percent', market: 'ghana' });
+        await entries.insert({ category: 'tax', title: 'VAT basics', content: 'VAT is a consumption tax' });
+        await entries.insert({ category: 'legal', title: 'VAT registration', content: 'Register for VAT with FIRS', market: 'nigeria' });
+    });
+    after(() => app.stop());
+
+    it('filters by category and market, keeping entries for every market', async () => {
+        const results = await app.subsystems.knowledge.searchKnowledgeDatabase({ query: 'VAT charged', categories: ['tax'], market: 'nigeria' });
+
+        assert.deepEqual(results.map(entry => entry.title).sort(), ['VAT basics', 'VAT in Nigeria']);
+    });
+});
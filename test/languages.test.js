@@ -0,0 +1,94 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const MockSpeechProvider = require('../speech/mock_speech_provider');
+const { startServer, takeSentMessages } = require('./helpers');
+
+describe('LanguageManager', () => {
+    let app;
+    let whatsapp;
+    let requests;
+    let synthesized;
+
+    const silence = new MockSpeechProvider().silentWav(1);
+
+    const receive = async (message) => {
+        await whatsapp.whatsappClient.recordInbound(message.from);
+        await whatsapp.handleQueuedMessage({ message: message });
+        return takeSentMessages();
+    };
+
+    const receiveText = (phoneNumber, id, body) => receive({ from: phoneNumber, id: id, type: 'text', text: { body } });
+
+    before(async () => {
+        app = await startServer();
+        whatsapp = app.subsystems.whatsapp;
+        whatsapp.downloadWhatsAppMedia = async () => ({ buffer: silence, mimeType: 'audio/wav' });
+        app.subsystems.speech.synthesize = async (text, options) => {
+            synthesized.push(options);
+            return { audio: silence, mimeType: 'audio/wav', provider: 'fake' };
+        };
+    });
+    after(() => app.stop());
+    beforeEach(() => {
+        requests = [];
+        synthesized = [];
+        app.subsystems.llm.complete = async (request) => {
+            requests.push(request);
+            return { text: 'E kaabo, mo le ran yin lowo.', model: 'fake' };
+        };
+        takeSentMessages();
+    });
+
+    it('detects Pidgin, Yoruba, Hausa and Igbo from their marker words', () => {
+        const { languages } = app.subsystems;
+
+        assert.equal(languages.detect('Abeg wetin I need to register my business?'), 'pidgin');
+        assert.equal(languages.detect('Ẹ kaasan, mo fẹ mọ nipa owo'), 'yoruba');
+        assert.equal(languages.detect('Sannu, ina son sanin yaya zan biya'), 'hausa');
+        assert.equal(languages.detect('Kedu, biko enyere m aka'), 'igbo');
+        assert.equal(languages.detect('Good morning, I need help'), null);
+        assert.equal(languages.detect('I need help', languages.fromSpoken('yo')), 'yoruba');
+    });
+
+    it('answers a voice note in the spoken language, in the agent\'s voice for that language', async () => {
+        const phoneNumber = '2348000001101';
+        await app.request('PATCH', '/api/agents/lexi-pro', { voices: { yoruba: 'voice-yoruba' } });
+        app.subsystems.speech.transcribe = async () => ({ text: 'I want to know about your prices', language: 'yoruba', provider: 'fake' });
+
+        const sent = await receive({ from: phoneNumber, id: 'wamid.lang1', type: 'audio', audio: { id: 'media.voice1', mime_type: 'audio/wav' } });
+
+        assert.match(requests[0].system, /Respond professionally in Yoruba/);
+        assert.deepEqual(synthesized[0], { voiceId: 'voice-yoruba', language: 'yoruba' });
+        assert.equal(sent[0].type, 'audio');
+    });
+
+    it('keeps replying in the language a "reply in" command asked for until it is set back to auto', async () => {
+        const phoneNumber = '2348000001102';
+
+        const confirmation = await receiveText(phoneNumber, 'wamid.lang2', 'Reply in Hausa please');
+        assert.equal(confirmation[0].text, 'To, daga yanzu zan riƙa amsa maka da Hausa.');
+        assert.equal(requests.length, 0);
+        assert.equal((await app.request('GET', `/api/languages/${phoneNumber}`)).body.preferred_language, 'hausa');
+
+        await receiveText(phoneNumber, 'wamid.lang3', 'How much is the premium plan?');
+        assert.match(requests[0].system, /Respond professionally in Hausa/);
+
+        await receiveText(phoneNumber, 'wamid.lang4', 'Reply in auto');
+        assert.equal(await app.subsystems.languages.getPreference(phoneNumber), null);
+    });
+
+    it('answers in English when the agent doesn\'t speak the customer\'s language', async () => {
+        const { languages } = app.subsystems;
+        await languages.setPreference('2348000001103', 'igbo');
+
+        assert.equal(await languages.resolve('2348000001103', 'Hello', { agentLanguages: ['english', 'igbo'] }), 'igbo');
+        assert.equal(await languages.resolve('2348000001103', 'Hello', { agentLanguages: ['english'] }), 'english');
+    });
+
+    it('rejects an unsupported language preference', async () => {
+        const { status, body } = await app.request('PUT', '/api/languages/2348000001104', { language: 'french' });
+
+        assert.equal(status, 400);
+        assert.match(body.error, /english, pidgin, yoruba, hausa, igbo/);
+    });
+});
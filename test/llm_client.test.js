@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const LLMClient = require('../llm/llm_client');
+
+// A provider that fails with the given errors in turn, then answers
+function createProvider(errors) {
+    const provider = {
+        name: 'fake',
+        defaultModel: 'fake-model',
+        calls: 0,
+        async complete() {
+            const error = errors[provider.calls++];
+            if (error) throw error;
+            return { text: 'ok', usage: { input_tokens: 1, output_tokens: 1 } };
+        }
+    };
+    return provider;
+}
+
+function errorWith(fields) {
+    return Object.assign(new Error('failed'), fields);
+}
+
+describe('LLMClient retries', () => {
+    it('retries rate limits and connection failures', async () => {
+        const provider = createProvider([errorWith({ status: 429 }), errorWith({ code: 'ECONNRESET' })]);
+        const llm = new LLMClient({ provider, retryBaseDelayMs: 0 });
+
+        assert.equal((await llm.complete({ prompt: 'hi' })).text, 'ok');
+        assert.equal(provider.calls, 3);
+    });
+
+    it('fails programming errors and bad requests without retrying', async () => {
+        for (const error of [new TypeError("Cannot read properties of undefined (reading 'text')"), new SyntaxError('Unexpected token <'), errorWith({ status: 400 })]) {
+            const provider = createProvider([error]);
+            const llm = new LLMClient({ provider, retryBaseDelayMs: 0 });
+
+            await assert.rejects(llm.complete({ prompt: 'hi' }), error);
+            assert.equal(provider.calls, 1);
+        }
+    });
+
+    it('caps the wait a provider asks for', () => {
+        const llm = new LLMClient({ provider: createProvider([]), maxRetryDelayMs: 2000 });
+
+        assert.equal(llm.getRetryDelay(errorWith({ status: 429, retryAfter: '3600' }), 0), 2000);
+        assert.equal(llm.getRetryDelay(errorWith({ status: 429, retryAfter: '1' }), 0), 1000);
+        assert.ok(llm.getRetryDelay(errorWith({ status: 503 }), 10) <= 2000);
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, takeSentMessages } = require('./helpers');
+
+describe('WhatsApp message types', () => {
+    let app;
+    let whatsapp;
+    let requests;
+
+    const receive = async (message) => {
+        await whatsapp.whatsappClient.recordInbound(message.from);
+        await whatsapp.handleQueuedMessage({ message: message });
+        return takeSentMessages();
+    };
+
+    // Every agent is included, so routing isn't limited by the free trial
+    const subscribe = async (phoneNumber) => {
+        const user = await app.subsystems.usage.getOrCreateUser(phoneNumber);
+        await app.subsystems.database.table('subscriptions').insert({
+            user_id: user.id,
+            plan_id: 'multi_agent_premium',
+            status: 'active',
+            activated_at: new Date()
+        });
+    };
+
+    before(async () => {
+        app = await startServer();
+        whatsapp = app.subsystems.whatsapp;
+        whatsapp.downloadWhatsAppMedia = async (mediaId) => ({ buffer: Buffer.from(`file ${mediaId}`), mimeType: 'application/pdf' });
+    });
+    after(() => app.stop());
+    beforeEach(() => {
+        requests = [];
+        app.subsystems.llm.complete = async (request) => {
+            requests.push(request);
+            return { text: 'Thanks, I have had a look.', model: 'fake' };
+        };
+        takeSentMessages();
+    });
+
+    it('passes a captioned image to the agent the caption is for, as an attachment', async () => {
+        const phoneNumber = '2348000000901';
+        await subscribe(phoneNumber);
+
+        await receive({ from: phoneNumber, id: 'wamid.types1', type: 'image', image: { id: 'media.cac', mime_type: 'image/jpeg', caption: 'Please check my CAC certificate' } });
+
+        const [request] = requests;
+        assert.equal(request.agentId, 'miss-legal');
+        const [text, image] = request.messages[request.messages.length - 1].content;
+        assert.deepEqual(text, { type: 'text', text: 'Please check my CAC certificate' });
+        assert.equal(image.type, 'image');
+        assert.equal(image.media_type, 'image/jpeg');
+        assert.equal(Buffer.from(image.data, 'base64').toString(), 'file media.cac');
+    });
+
+    it('routes an uncaptioned document by its file name', async () => {
+        const phoneNumber = '2348000000902';
+        await subscribe(phoneNumber);
+
+        await receive({ from: phoneNumber, id: 'wamid.types2', type: 'document', document: { id: 'media.receipt', filename: 'payment_receipt.pdf' } });
+
+        assert.equal(requests[0].agentId, 'paymaster');
+        assert.match(requests[0].messages[requests[0].messages.length - 1].content[0].text, /document named payment_receipt\.pdf/);
+    });
+
+    it('gives the agent a shared location as structured context and remembers it', async () => {
+        const phoneNumber = '2348000000903';
+
+        const sent = await receive({ from: phoneNumber, id: 'wamid.types3', type: 'location', location: { latitude: 6.4474, longitude: 3.4723, name: 'Lekki Phase 1' } });
+
+        assert.equal(sent[0].text, 'Thanks, I have had a look.');
+        assert.match(requests[0].system, /"location":\{"latitude":6\.4474,"longitude":3\.4723,"name":"Lekki Phase 1","address":null\}/);
+        assert.equal((await app.subsystems.sessions.getLocation(phoneNumber)).name, 'Lekki Phase 1');
+    });
+
+    it('handles a list reply naming an agent as a switch command', async () => {
+        const phoneNumber = '2348000000904';
+        await subscribe(phoneNumber);
+
+        const sent = await receive({
+            from: phoneNumber,
+            id: 'wamid.types4',
+            type: 'interactive',
+            interactive: { type: 'list_reply', list_reply: { id: 'agent:paymaster', title: 'PayMaster' } }
+        });
+
+        assert.equal(requests.length, 0);
+        assert.equal((await app.subsystems.sessions.getSession(phoneNumber)).active_agent_id, 'paymaster');
+        assert.equal(sent.length, 1);
+    });
+
+    it('records a reaction as feedback on the agent reply it reacts to', async () => {
+        const phoneNumber = '2348000000905';
+        await receive({ from: phoneNumber, id: 'wamid.types5', type: 'text', text: { body: 'What are your opening hours?' } });
+        const [reply] = await app.subsystems.database.table('whatsapp_messages').find({ reply_to_message_id: 'wamid.types5' });
+
+        await receive({ from: phoneNumber, id: 'wamid.types6', type: 'reaction', reaction: { message_id: reply.whatsapp_message_id, emoji: '👍' } });
+
+        const { body } = await app.request('GET', '/api/feedback?agent_id=lexi-pro');
+        const feedback = body.recent.find(entry => entry.reply_message_id === reply.whatsapp_message_id);
+        assert.equal(body.sentiment.positive, 1);
+        assert.equal(feedback.sentiment, 'positive');
+        assert.equal(feedback.customer_message, 'What are your opening hours?');
+        assert.equal(feedback.agent_reply, 'Thanks, I have had a look.');
+
+        await receive({ from: phoneNumber, id: 'wamid.types7', type: 'reaction', reaction: { message_id: reply.whatsapp_message_id, emoji: '' } });
+        assert.equal(await app.subsystems.database.table('message_feedback').findOne({ reply_message_id: reply.whatsapp_message_id }), null);
+    });
+});
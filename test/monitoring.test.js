@@ -0,0 +1,29 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('DeploymentMonitoringSystem alerts', () => {
+    let app;
+
+    before(async () => { app = await startServer(); });
+    after(() => app.stop());
+
+    it('escapes customer text in alert emails', async () => {
+        const emails = [];
+        app.subsystems.monitoring.alertTransporter.sendMail = async (mail) => { emails.push(mail); };
+
+        await app.subsystems.monitoring.sendEmailAlert({
+            type: 'emergency',
+            severity: 'critical',
+            message: 'New critical crime from 2348000000401: "<img src=x onerror=alert(1)>"',
+            details: 'Customer: 2348000000401\nNote: <a href="https://evil.example">call back</a>',
+            timestamp: new Date()
+        });
+
+        const [{ html }] = emails;
+        assert.ok(!html.includes('<img'));
+        assert.ok(!html.includes('<a href="https://evil.example">'));
+        assert.match(html, /&quot;&lt;img src=x onerror=alert\(1\)&gt;&quot;/);
+        assert.match(html, /Customer: 2348000000401<br>Note: &lt;a href=/);
+    });
+});
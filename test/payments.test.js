@@ -0,0 +1,38 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('PaymentFinancialSystem', () => {
+    let app;
+
+    before(async () => { app = await startServer(); });
+    after(() => app.stop());
+
+    it('gives subscriptions created in the same millisecond their own IDs', async () => {
+        const [first, second] = await Promise.all([
+            app.request('POST', '/api/subscriptions/create', { userId: 'user_1', planId: 'lexi_starter' }),
+            app.request('POST', '/api/subscriptions/create', { userId: 'user_2', planId: 'lexi_starter' })
+        ]);
+
+        assert.equal(first.status, 200);
+        assert.match(first.body.subscription.id, /^sub/);
+        assert.notEqual(first.body.subscription.id, second.body.subscription.id);
+    });
+
+    it('counts only paid transactions from the requested period', async () => {
+        const transactions = app.subsystems.database.table('payment_transactions');
+        const day = 24 * 60 * 60 * 1000;
+        await transactions.insert({ tx_ref: 'recent', status: 'successful', amount: 5000, plan_id: 'lexi_starter', created_at: new Date(Date.now() - day) });
+        await transactions.insert({ tx_ref: 'previous', status: 'completed', amount: 2500, created_at: new Date(Date.now() - 10 * day) });
+        await transactions.insert({ tx_ref: 'failed', status: 'failed', amount: 9000, created_at: new Date() });
+        await transactions.insert({ tx_ref: 'old', status: 'successful', amount: 7000, created_at: new Date(Date.now() - 60 * day) });
+
+        const { status, body } = await app.request('GET', '/api/analytics/revenue?period=7d');
+
+        assert.equal(status, 200);
+        assert.equal(body.total_revenue, 5000);
+        assert.equal(body.transaction_count, 1);
+        assert.equal(body.growth_rate, 1);
+        assert.deepEqual(body.breakdown_by_plan, { lexi_starter: 5000 });
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { MockSpeechProvider } = require('../speech');
+const { startServer } = require('./helpers');
+
+describe('POST /api/process-voice', () => {
+    let app;
+    let requests;
+
+    // Multipart upload of the recording plus form fields; { status, body }
+    const upload = async (audio, fields = {}, mimeType = 'audio/wav') => {
+        const form = new FormData();
+        if (audio) form.append('audio', new Blob([audio], { type: mimeType }), 'question.wav');
+        for (const [name, value] of Object.entries(fields)) form.append(name, value);
+
+        const response = await fetch(`${app.baseUrl}/api/process-voice`, { method: 'POST', body: form });
+        return { status: response.status, body: await response.json() };
+    };
+
+    const uploadsLeft = () => fs.readdirSync('temp');
+
+    const recording = new MockSpeechProvider().silentWav(0.5);
+
+    before(async () => {
+        app = await startServer({ VOICE_UPLOAD_MAX_MB: '0.01' });
+    });
+    after(() => app.stop());
+    beforeEach(() => {
+        requests = [];
+        app.subsystems.llm.complete = async (request) => {
+            requests.push(request);
+            return { text: `Reply ${requests.length}: registration costs ₦10,000.`, model: 'fake' };
+        };
+    });
+
+    it('returns the transcript, the agent, its reply and the reply audio inline', async () => {
+        const { status, body } = await upload(recording, { agent_id: 'miss-legal' });
+
+        assert.equal(status, 200);
+        assert.equal(body.transcript, 'Hello, I would like some help with my business.');
+        assert.deepEqual({ id: body.agent.id, name: body.agent.name }, { id: 'miss-legal', name: 'Agent Miss Legal' });
+        assert.equal(body.response_text, 'Reply 1: registration costs ₦10,000.');
+        assert.equal(body.companion_text, 'Reply 1: registration costs ₦10,000.');
+        assert.equal(body.input_seconds, 0.5);
+        assert.equal(Buffer.from(body.audio[0].data, 'base64').subarray(0, 4).toString(), 'RIFF');
+        assert.ok(body.conversation_id);
+        assert.deepEqual(uploadsLeft(), []);
+    });
+
+    it('serves the reply audio from a download URL when asked to', async () => {
+        const { body } = await upload(recording, { audio_delivery: 'url' });
+
+        const response = await fetch(app.baseUrl + body.audio[0].url);
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), body.audio[0].mime_type);
+        assert.ok(new Date(body.audio[0].expires_at).getTime() > Date.now());
+        assert.equal((await fetch(`${app.baseUrl}/api/process-voice/audio/unknown`)).status, 404);
+    });
+
+    it('keeps the agent and earlier turns for follow-ups in the same conversation', async () => {
+        const first = await upload(recording, { agent_id: 'paymaster' });
+        const second = await upload(recording, { conversation_id: first.body.conversation_id });
+
+        assert.equal(second.body.agent.id, 'paymaster');
+        const { messages } = requests[1];
+        assert.deepEqual(messages[1], { role: 'assistant', content: 'Reply 1: registration costs ₦10,000.' });
+    });
+
+    it('rejects missing, oversized and non-audio uploads and removes them', async () => {
+        assert.equal((await upload(null)).status, 400);
+        assert.equal((await upload(new MockSpeechProvider().silentWav(1))).status, 413);
+        assert.equal((await upload(Buffer.from('\x89PNG'), {}, 'image/png')).status, 415);
+        assert.equal((await upload(Buffer.from('not audio at all'), {}, 'application/octet-stream')).status, 415);
+
+        const unknownAgent = await upload(recording, { agent_id: 'no-such-agent' });
+        assert.equal(unknownAgent.status, 400);
+        assert.equal(unknownAgent.body.error, 'Unknown or disabled agent: no-such-agent');
+        assert.deepEqual(uploadsLeft(), []);
+    });
+});
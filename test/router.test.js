@@ -0,0 +1,80 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+describe('IntentRouter', () => {
+    let app;
+    let router;
+    let complete;
+
+    before(async () => {
+        app = await startServer();
+        router = app.subsystems.router;
+        complete = app.subsystems.llm.complete;
+    });
+    afterEach(() => {
+        router.useLLMClassifier = false;
+        app.subsystems.llm.complete = complete;
+    });
+    after(() => app.stop());
+
+    it('routes by similarity to the agents\' example utterances', async () => {
+        const { status, body } = await app.request('POST', '/api/router/route', { message: 'Can you help me register my company with CAC?' });
+
+        assert.equal(status, 200);
+        assert.equal(body.agent_id, 'miss-legal');
+        assert.equal(body.method, 'embedding');
+        assert.ok(body.confidence >= router.threshold);
+        assert.equal(body.top_scores[0].agentId, 'miss-legal');
+    });
+
+    it('does not send every message containing "help" to the emergency agent', async () => {
+        assert.equal((await router.route('help')).agentId, 'lexi-pro');
+        assert.equal((await router.route('My laptop will not turn on, please help')).agentId, 'tech-support');
+    });
+
+    it('falls back to Lexi Pro below the confidence threshold', async () => {
+        const result = await router.route('qwxz vbnm');
+
+        assert.equal(result.agentId, 'lexi-pro');
+        assert.equal(result.method, 'fallback');
+        assert.ok(result.confidence < router.threshold);
+    });
+
+    it('asks the LLM to choose between the closest agents when the scores are close', async () => {
+        router.useLLMClassifier = true;
+        let prompt = null;
+        app.subsystems.llm.complete = async (request) => {
+            prompt = request.prompt;
+            return { text: '{"agent_id": "paymaster", "confidence": 0.8}', model: 'fake' };
+        };
+
+        const result = await router.route('What service do you offer?');
+
+        assert.deepEqual({ agentId: result.agentId, confidence: result.confidence, method: result.method }, { agentId: 'paymaster', confidence: 0.8, method: 'llm' });
+        assert.match(prompt, /- paymaster:/);
+    });
+
+    it('reports accuracy per agent from a labelled utterance file', () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'odia-router-')), 'cases.jsonl');
+        fs.writeFileSync(file, [
+            { text: 'Can you help me register my company with CAC?', agent: 'miss-legal' },
+            { text: 'qwxz vbnm', agent: 'tech-support' }
+        ].map(line => JSON.stringify(line)).join('\n'));
+
+        const result = spawnSync(process.execPath, [path.join(__dirname, '..', 'scripts', 'evaluate_router.js'), file, '--min-accuracy=0.8'], {
+            encoding: 'utf8',
+            timeout: 60000
+        });
+
+        assert.equal(result.status, 1);
+        assert.match(result.stdout, /miss-legal\s+1\/1\s+100\.0%/);
+        assert.match(result.stdout, /tech-support\s+0\/1\s+0\.0%/);
+        assert.match(result.stdout, /expected tech-support, got lexi-pro/);
+        assert.match(result.stderr, /below the required 80\.0%/);
+    });
+});
@@ -0,0 +1,37 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('OdiaServer', () => {
+    let app;
+
+    before(async () => { app = await startServer(); });
+    after(() => app.stop());
+
+    it('binds a free port when given port 0', () => {
+        assert.notEqual(app.server.httpServer.address().port, 0);
+    });
+
+    it('reports health with every subsystem', async () => {
+        const { status, body } = await app.request('GET', '/api/health');
+
+        assert.equal(status, 200);
+        assert.equal(body.status, 'ok');
+        assert.ok(body.subsystems.includes('whatsapp'));
+        assert.ok(body.subsystems.includes('bookings'));
+    });
+
+    it('answers unknown API routes with 404 JSON', async () => {
+        const { status, body } = await app.request('GET', '/api/nope');
+
+        assert.equal(status, 404);
+        assert.match(body.error, /Route not found/);
+    });
+
+    it('mounts no placeholder routes', async () => {
+        for (const [method, route] of [['POST', '/api/subscriptions/upgrade'], ['GET', '/api/metrics/usage'], ['POST', '/api/compose-email/lexi-pro']]) {
+            const { status } = await app.request(method, route, method === 'GET' ? undefined : {});
+            assert.equal(status, 404, `${method} ${route}`);
+        }
+    });
+});
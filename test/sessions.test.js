@@ -0,0 +1,31 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('AgentSessionManager', () => {
+    let app;
+
+    before(async () => { app = await startServer(); });
+    after(() => app.stop());
+
+    it('switches when the command names an agent', async () => {
+        const routing = await app.subsystems.sessions.routeMessage('+2348000000001', 'switch to Atlas');
+
+        assert.equal(routing.agentId, 'atlas-corporate');
+        assert.equal(routing.commandOnly, true);
+    });
+
+    it('routes a switch phrase that names no agent as an ordinary message', async () => {
+        const routing = await app.subsystems.sessions.routeMessage('+2348000000002', 'I want to talk to my lawyer about the contract');
+
+        assert.ok(!routing.commandOnly);
+        assert.ok(routing.agentId);
+    });
+
+    it('does not read a two-letter name as the start of an agent name', async () => {
+        assert.equal(app.subsystems.sessions.findAgentByName('me'), null);
+
+        const routing = await app.subsystems.sessions.routeMessage('+2348000000003', 'talk to me');
+        assert.ok(!routing.commandOnly);
+    });
+});
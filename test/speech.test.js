@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSpeechService, SpeechService } = require('../speech');
+
+// A provider for both directions that fails with the given errors in turn, then answers
+function createProvider(name, errors = []) {
+    const provider = {
+        name: name,
+        calls: 0,
+        async transcribe() {
+            const error = errors[provider.calls++];
+            if (error) throw error;
+            return { text: `heard by ${name}`, language: 'english' };
+        },
+        async synthesize(text) {
+            const error = errors[provider.calls++];
+            if (error) throw error;
+            return { audio: Buffer.from(text), mimeType: 'audio/mpeg' };
+        }
+    };
+    return provider;
+}
+
+describe('SpeechService', () => {
+    it('skips providers that are not configured and falls back to the offline mock', async () => {
+        const speech = createSpeechService({ sttProviders: ['whisper-cpp'], ttsProviders: ['piper'] });
+
+        assert.deepEqual(speech.sttProviders.map(provider => provider.name), ['mock']);
+        assert.deepEqual(speech.ttsProviders.map(provider => provider.name), ['mock']);
+
+        const transcription = await speech.transcribe(Buffer.alloc(0));
+        assert.deepEqual(transcription, { text: 'Hello, I would like some help with my business.', language: 'english', provider: 'mock' });
+
+        const speechAudio = await speech.synthesize('Good morning');
+        assert.equal(speechAudio.provider, 'mock');
+        assert.equal(speechAudio.audio.subarray(0, 4).toString(), 'RIFF');
+    });
+
+    it('falls through to the next provider and tries a failed one last until its cooldown passes', async () => {
+        const primary = createProvider('primary', [new Error('503 Service Unavailable')]);
+        const backup = createProvider('backup');
+        const speech = new SpeechService({ sttProviders: [primary, backup] });
+
+        assert.equal((await speech.transcribe(Buffer.alloc(0))).text, 'heard by backup');
+        assert.equal((await speech.transcribe(Buffer.alloc(0))).provider, 'backup');
+
+        assert.equal(primary.calls, 1);
+        const stats = speech.getStats(primary);
+        assert.equal(stats.failures, 1);
+        assert.equal(stats.last_error, '503 Service Unavailable');
+        assert.ok(new Date(stats.unavailable_until).getTime() > Date.now());
+    });
+
+    it('gives up on a provider that does not answer in time', async () => {
+        const hanging = {
+            name: 'hanging',
+            transcribe: (audio, { signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+            })
+        };
+        const speech = new SpeechService({ sttProviders: [hanging, createProvider('backup')], timeoutMs: 20 });
+
+        assert.equal((await speech.transcribe(Buffer.alloc(0))).provider, 'backup');
+        assert.equal(speech.getStats(hanging).last_error, 'timed out after 20ms');
+    });
+
+    it('reports every provider\'s error when all of them fail', async () => {
+        const speech = new SpeechService({
+            ttsProviders: [createProvider('first', [new Error('quota exceeded')]), createProvider('second', [new Error('spawn piper ENOENT')])]
+        });
+
+        await assert.rejects(speech.synthesize('Hello'), {
+            message: 'All text-to-speech providers failed (first: quota exceeded; second: spawn piper ENOENT)'
+        });
+    });
+
+    it('serves repeated phrases from the cache, per voice', async () => {
+        const provider = createProvider('tts');
+        const speech = new SpeechService({ ttsProviders: [provider] });
+
+        assert.equal((await speech.synthesize('Welcome to ODIA AI', { voiceId: 'lexi' })).cached, false);
+        assert.equal((await speech.synthesize('Welcome to ODIA AI', { voiceId: 'lexi' })).cached, true);
+        assert.equal((await speech.synthesize('Welcome to ODIA AI', { voiceId: 'paymaster' })).cached, false);
+        assert.equal(provider.calls, 2);
+        assert.deepEqual(speech.ttsCacheStats, { hits: 1, misses: 2 });
+    });
+});
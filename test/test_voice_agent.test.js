@@ -0,0 +1,96 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('POST /api/test-voice-agent', () => {
+    let app;
+    let synthesize;
+    let voices;
+
+    before(async () => {
+        app = await startServer();
+        synthesize = app.subsystems.speech.synthesize.bind(app.subsystems.speech);
+    });
+    after(() => app.stop());
+    beforeEach(() => {
+        voices = [];
+        app.subsystems.speech.synthesize = (text, options) => {
+            voices.push(options.voiceId);
+            return synthesize(text, options);
+        };
+        // Streams the reply in three pieces when asked to, like the real providers
+        app.subsystems.llm.complete = async ({ agentId, onText }) => {
+            if (agentId === 'paymaster') throw new Error('rate limited');
+            const pieces = ['Welcome ', 'to ', `${agentId}.`];
+            if (onText) pieces.forEach(piece => onText(piece));
+            return { text: pieces.join(''), model: 'fake' };
+        };
+    });
+
+    it('skips text-to-speech when tts is false', async () => {
+        const { status, body } = await app.request('POST', '/api/test-voice-agent/miss-legal', { message: 'Hi', tts: false });
+
+        assert.equal(status, 200);
+        assert.equal(body.text_response, 'Welcome to miss-legal.');
+        assert.equal(typeof body.response_ms, 'number');
+        assert.equal(body.voice_response_size, undefined);
+        assert.deepEqual(voices, []);
+    });
+
+    it('returns the audio in the requested voice', async () => {
+        const { body } = await app.request('POST', '/api/test-voice-agent/lexi-pro', {
+            message: 'Hi',
+            voice_id: 'qa-voice',
+            audio_delivery: 'inline'
+        });
+
+        assert.deepEqual(voices, ['qa-voice']);
+        assert.equal(body.voice_id, 'qa-voice');
+        assert.equal(body.voice_provider, 'mock');
+        assert.equal(Buffer.from(body.audio.data, 'base64').length, body.voice_response_size);
+    });
+
+    it('streams the reply token by token as Server-Sent Events', async () => {
+        const response = await fetch(`${app.baseUrl}/api/test-voice-agent/lexi-pro`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json', accept: 'text/event-stream' },
+            body: JSON.stringify({ message: 'Hi', tts: false })
+        });
+
+        assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+        const events = (await response.text()).trim().split('\n\n').map(block => {
+            const [event, data] = block.split('\n');
+            return { event: event.replace('event: ', ''), data: JSON.parse(data.replace('data: ', '')) };
+        });
+        assert.deepEqual(events.slice(0, 3), [
+            { event: 'token', data: { text: 'Welcome ' } },
+            { event: 'token', data: { text: 'to ' } },
+            { event: 'token', data: { text: 'lexi-pro.' } }
+        ]);
+        assert.equal(events[3].event, 'done');
+        assert.equal(events[3].data.text_response, 'Welcome to lexi-pro.');
+    });
+
+    it('reports a batch per agent, with failures and latency', async () => {
+        const { body } = await app.request('POST', '/api/test-voice-agent/all', { messages: ['Hi', 'How much?'], tts: false });
+
+        assert.equal(body.messages, 2);
+        const legal = body.agents.find(agent => agent.agent_id === 'miss-legal');
+        assert.equal(legal.summary.succeeded, 2);
+        assert.equal(typeof legal.summary.avg_response_ms, 'number');
+        assert.equal(legal.summary.avg_tts_ms, null);
+
+        const payments = body.agents.find(agent => agent.agent_id === 'paymaster');
+        assert.deepEqual({ succeeded: payments.summary.succeeded, failed: payments.summary.failed }, { succeeded: 0, failed: 2 });
+        assert.equal(payments.results[0].error, 'rate limited');
+    });
+
+    it('rejects option combinations it cannot honour', async () => {
+        const reject = (agentId, body) => app.request('POST', `/api/test-voice-agent/${agentId}`, body);
+
+        assert.equal((await reject('lexi-pro', { audio_delivery: 'inline', tts: false })).status, 400);
+        assert.equal((await reject('lexi-pro', { messages: ['Hi'], stream: true })).status, 400);
+        assert.equal((await reject('lexi-pro', { messages: [] })).status, 400);
+        assert.equal((await reject('no-such-agent', { message: 'Hi' })).status, 404);
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, takeSentMessages } = require('./helpers');
+
+describe('UsageMeter on WhatsApp', () => {
+    let app;
+    let whatsapp;
+    let usage;
+
+    const exhaust = async (phoneNumber) => {
+        const { messages } = await usage.check(phoneNumber);
+        await usage.record(phoneNumber, { messages: messages.limit });
+        takeSentMessages();
+    };
+
+    const sendText = async (phoneNumber, id, body) => {
+        await whatsapp.whatsappClient.recordInbound(phoneNumber);
+        await whatsapp.handleQueuedMessage({ message: { from: phoneNumber, id: id, type: 'text', text: { body } } });
+        return takeSentMessages();
+    };
+
+    before(async () => {
+        app = await startServer();
+        whatsapp = app.subsystems.whatsapp;
+        usage = app.subsystems.usage;
+        app.subsystems.llm.complete = async ({ agentId }) => ({ text: `Reply from ${agentId}`, model: 'fake' });
+        app.subsystems.monitoring.alertTransporter.sendMail = async () => ({});
+    });
+    after(() => app.stop());
+    beforeEach(() => takeSentMessages());
+
+    it('answers with the limit message once the quota is used up', async () => {
+        const phoneNumber = '2348000000301';
+        await exhaust(phoneNumber);
+
+        const sent = await sendText(phoneNumber, 'wamid.usage1', 'What are your opening hours?');
+
+        assert.equal(sent.length, 1);
+        assert.match(sent[0].text, /You've used all/);
+    });
+
+    it('lets the emergency agent answer an emergency without a quota and without counting it', async () => {
+        const phoneNumber = '2348000000302';
+        await exhaust(phoneNumber);
+        const used = (await usage.check(phoneNumber)).messages.used;
+
+        const sent = await sendText(phoneNumber, 'wamid.usage2', 'Armed robbers broke into our house');
+
+        assert.deepEqual(sent.map(message => message.text.split('\n')[0]), ['🚨 Call 112 now. It is free from any network.', 'Reply from crossai-emergency']);
+        assert.equal((await usage.check(phoneNumber)).messages.used, used);
+
+        // Follow-ups are answered too while the incident is open
+        const followUp = await sendText(phoneNumber, 'wamid.usage3', 'They have left now');
+        assert.deepEqual(followUp.map(message => message.text), ['Reply from crossai-emergency']);
+    });
+
+    it('limits and routes messages normally again once the exemption window has passed', async () => {
+        const phoneNumber = '2348000000305';
+        await exhaust(phoneNumber);
+        await sendText(phoneNumber, 'wamid.usage6', 'Armed robbers broke into our house');
+
+        const incident = await app.subsystems.emergency.getOpenIncident(phoneNumber);
+        await app.subsystems.database.table('incidents').update(incident.id, { exempt_until: new Date(Date.now() - 1000) });
+
+        const sent = await sendText(phoneNumber, 'wamid.usage7', 'What are your opening hours?');
+        assert.equal(sent.length, 1);
+        assert.match(sent[0].text, /You've used all/);
+        assert.equal((await app.subsystems.emergency.getOpenIncident(phoneNumber)).status, 'open');
+    });
+
+    it('honours a switch to another agent during an emergency and counts messages again', async () => {
+        const phoneNumber = '2348000000306';
+        await sendText(phoneNumber, 'wamid.usage8', 'There is a fire in my house, help!');
+
+        const confirmation = await sendText(phoneNumber, 'wamid.usage9', 'switch to Lexi Pro');
+        assert.equal(confirmation.length, 1);
+        assert.match(confirmation[0].text, /Lexi Pro/);
+
+        const used = (await usage.check(phoneNumber)).messages.used;
+        const sent = await sendText(phoneNumber, 'wamid.usage10', 'Can you review my tenancy agreement?');
+        assert.deepEqual(sent.map(message => message.text), ['Reply from lexi-pro']);
+        assert.equal((await usage.check(phoneNumber)).messages.used, used + 1);
+    });
+
+    it('routes a free-trial emergency to the emergency agent the plan does not include', async () => {
+        const phoneNumber = '2348000000303';
+        assert.deepEqual((await usage.check(phoneNumber)).agent_access, ['lexi-pro']);
+
+        const sent = await sendText(phoneNumber, 'wamid.usage4', 'There is a fire in my house, help!');
+
+        assert.equal(sent[sent.length - 1].text, 'Reply from crossai-emergency');
+    });
+
+    it('queues a spoken request for a person without a quota', async () => {
+        const phoneNumber = '2348000000304';
+        await exhaust(phoneNumber);
+        whatsapp.downloadWhatsAppMedia = async () => ({ buffer: Buffer.from('voice'), mimeType: 'audio/ogg' });
+        whatsapp.speechToText = async () => ({ text: 'I want to talk to a person', language: 'english' });
+
+        await whatsapp.whatsappClient.recordInbound(phoneNumber);
+        await whatsapp.handleQueuedMessage({ message: { from: phoneNumber, id: 'wamid.usage5', type: 'audio', audio: { id: 'media.1' } } });
+
+        const sent = takeSentMessages();
+        assert.equal(sent.length, 1);
+        assert.match(sent[0].text, /asked a member of our team/);
+    });
+});
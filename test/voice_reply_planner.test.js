@@ -0,0 +1,114 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { VoiceReplyPlanner, MockSpeechProvider } = require('../speech');
+const { startServer, takeSentMessages } = require('./helpers');
+
+// Records the text of each synthesize call and how many were running at once
+function createSpeech() {
+    const speech = {
+        texts: [],
+        running: 0,
+        maxRunning: 0,
+        async synthesize(text) {
+            speech.texts.push(text);
+            speech.maxRunning = Math.max(speech.maxRunning, ++speech.running);
+            await new Promise(resolve => setImmediate(resolve));
+            speech.running--;
+            return { audio: Buffer.from(text), mimeType: 'audio/mpeg' };
+        }
+    };
+    return speech;
+}
+
+const workingAudio = {
+    toVoiceNote: async (buffer) => ({ audio: buffer, mimeType: 'audio/ogg', duration: 1 }),
+    toJoinedVoiceNote: async (buffers) => ({ audio: Buffer.concat(buffers), mimeType: 'audio/ogg', duration: buffers.length })
+};
+
+// No ffmpeg: every conversion fails
+const offlineAudio = {
+    toVoiceNote: async () => { throw new Error('spawn ffmpeg ENOENT'); },
+    toJoinedVoiceNote: async () => { throw new Error('spawn ffmpeg ENOENT'); },
+    getDuration: async () => { throw new Error('spawn ffprobe ENOENT'); }
+};
+
+describe('VoiceReplyPlanner', () => {
+    it('keeps links, amounts and lists for a companion text and speaks the rest', () => {
+        const planner = new VoiceReplyPlanner({});
+
+        const plan = planner.plan('Register at https://cac.gov.ng. The fee is ₦10,000. You will need:\n- ID card\n- Passport photo');
+
+        assert.deepEqual(plan.chunks, [
+            'Register at the link in my text message. The fee is 10,000 naira. You will need: I\'ve sent the full list as a text message.'
+        ]);
+        assert.equal(plan.companionText, 'Register at https://cac.gov.ng.\nThe fee is ₦10,000.\nYou will need:\n- ID card\n- Passport photo');
+        assert.equal(planner.plan('Good morning, how can I help?').companionText, null);
+    });
+
+    it('splits long answers at sentence boundaries, and over-long sentences at commas', () => {
+        const planner = new VoiceReplyPlanner({ maxChunkChars: 60 });
+
+        const chunks = planner.chunk(`First sentence is here. Second sentence is a little longer than that. Third. ${'word, '.repeat(20)}end.`);
+
+        assert.deepEqual(chunks.slice(0, 2), ['First sentence is here.', 'Second sentence is a little longer than that. Third.']);
+        assert.ok(chunks.every(chunk => chunk.length <= 60));
+        assert.equal(chunks[chunks.length - 1], 'end.');
+    });
+
+    it('synthesizes chunks in parallel, a few at a time, and joins them into one voice note', async () => {
+        const speech = createSpeech();
+        const planner = new VoiceReplyPlanner({ speech, audio: workingAudio, mode: 'join', concurrency: 2 });
+
+        const voiceNotes = await planner.render({ chunks: ['One.', 'Two.', 'Three.', 'Four.'] });
+
+        assert.deepEqual(speech.texts, ['One.', 'Two.', 'Three.', 'Four.']);
+        assert.equal(speech.maxRunning, 2);
+        assert.equal(voiceNotes.length, 1);
+        assert.equal(voiceNotes[0].audio.toString(), 'One.Two.Three.Four.');
+    });
+
+    it('sends one voice note per chunk in split mode', async () => {
+        const planner = new VoiceReplyPlanner({ speech: createSpeech(), audio: workingAudio, mode: 'split' });
+
+        const voiceNotes = await planner.render({ chunks: ['One.', 'Two.'] });
+
+        assert.deepEqual(voiceNotes.map(voiceNote => voiceNote.audio.toString()), ['One.', 'Two.']);
+        assert.ok(voiceNotes.every(voiceNote => voiceNote.mimeType === 'audio/ogg'));
+    });
+
+    it('sends each chunk in the provider\'s format when ffmpeg is unavailable', async () => {
+        const planner = new VoiceReplyPlanner({ speech: createSpeech(), audio: offlineAudio, mode: 'join' });
+
+        const voiceNotes = await planner.render({ chunks: ['One.', 'Two.'] });
+
+        assert.deepEqual(voiceNotes, [
+            { audio: Buffer.from('One.'), mimeType: 'audio/mpeg', duration: null },
+            { audio: Buffer.from('Two.'), mimeType: 'audio/mpeg', duration: null }
+        ]);
+    });
+});
+
+describe('Voice replies over WhatsApp', () => {
+    let app;
+
+    before(async () => {
+        app = await startServer();
+        app.subsystems.whatsapp.downloadWhatsAppMedia = async () => ({ buffer: new MockSpeechProvider().silentWav(1), mimeType: 'audio/wav' });
+    });
+    after(() => app.stop());
+    beforeEach(() => takeSentMessages());
+
+    it('follows the voice note with the link and amount as text', async () => {
+        const phoneNumber = '2348000001201';
+        app.subsystems.llm.complete = async () => ({ text: 'You can pay at https://pay.odia.dev/premium. The plan costs ₦15,000 a month.', model: 'fake' });
+
+        await app.subsystems.whatsapp.whatsappClient.recordInbound(phoneNumber);
+        await app.subsystems.whatsapp.handleQueuedMessage({
+            message: { from: phoneNumber, id: 'wamid.plan1', type: 'audio', audio: { id: 'media.plan1', mime_type: 'audio/wav' } }
+        });
+
+        const sent = takeSentMessages();
+        assert.deepEqual(sent.map(message => message.type), ['audio', 'text']);
+        assert.equal(sent[1].text, 'You can pay at https://pay.odia.dev/premium.\nThe plan costs ₦15,000 a month.');
+    });
+});
@@ -0,0 +1,37 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startServer } = require('./helpers');
+
+const sign = (body) => 'sha256=' + crypto.createHmac('sha256', 'test-app-secret').update(body).digest('hex');
+
+describe('WhatsApp webhook signature', () => {
+    let app;
+
+    before(async () => { app = await startServer(); });
+    after(() => app.stop());
+
+    it('accepts a correctly signed payload', async () => {
+        const body = JSON.stringify({ object: 'whatsapp_business_account', entry: [] });
+        const { status } = await app.request('POST', '/api/webhook/whatsapp', body, { 'x-hub-signature-256': sign(body) });
+
+        assert.equal(status, 200);
+    });
+
+    it('rejects a wrong signature', async () => {
+        const body = JSON.stringify({ object: 'whatsapp_business_account', entry: [] });
+        const { status } = await app.request('POST', '/api/webhook/whatsapp', body, { 'x-hub-signature-256': sign('{}') });
+
+        assert.equal(status, 401);
+    });
+
+    it('rejects a non-ASCII signature of the right length instead of failing', async () => {
+        const body = JSON.stringify({ object: 'whatsapp_business_account', entry: [] });
+        const signature = sign(body).slice(0, -1) + 'é';
+        const { status } = await app.request('POST', '/api/webhook/whatsapp', body, { 'x-hub-signature-256': signature });
+
+        assert.equal(status, 401);
+        const [rejected] = await app.subsystems.database.table('rejected_webhooks').find({}, { descending: true, limit: 1 });
+        assert.equal(rejected.reason, 'invalid_signature');
+    });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Answers each fetch with the next queued response, or calls it when it is a function of the fetch arguments
+const responses = [];
+const fetchPath = require.resolve('node-fetch');
+const fakeFetch = async (url, options) => {
+    const next = responses.shift();
+    return typeof next === 'function' ? next(url, options) : next;
+};
+require.cache[fetchPath] = { id: fetchPath, filename: fetchPath, loaded: true, exports: fakeFetch };
+
+const WhatsAppClient = require('../whatsapp_client');
+
+const response = (status, { json = {}, body = '' } = {}) => ({
+    ok: status >= 200 && status < 300,
+    status: status,
+    headers: { get: () => 'audio/ogg' },
+    json: async () => json,
+    buffer: async () => Buffer.from(body)
+});
+
+describe('WhatsAppClient media download', () => {
+    const client = new WhatsAppClient({ accessToken: 'test-token', phoneNumberId: 'test-phone-number-id' });
+
+    it('returns the downloaded file', async () => {
+        responses.push(response(200, { json: { url: 'https://lookaside.example/media', mime_type: 'audio/ogg' } }));
+        responses.push(response(200, { body: 'voice note' }));
+
+        const { buffer, mimeType } = await client.downloadMedia('media.1');
+        assert.equal(buffer.toString(), 'voice note');
+        assert.equal(mimeType, 'audio/ogg');
+    });
+
+    it('throws when the media URL answers with an error', async () => {
+        responses.push(response(200, { json: { url: 'https://lookaside.example/media', mime_type: 'audio/ogg' } }));
+        responses.push(response(404, { body: '<html>Not found</html>' }));
+
+        await assert.rejects(client.downloadMedia('media.2'), /WhatsApp media download failed for media\.2: 404/);
+    });
+});
+
+describe('WhatsAppClient requests', () => {
+    it('gives up on a request that doesn\'t answer in time', async () => {
+        const client = new WhatsAppClient({ accessToken: 'test-token', phoneNumberId: 'test-phone-number-id', requestTimeoutMs: 20 });
+        responses.push((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' })));
+        }));
+
+        await assert.rejects(
+            client.postMessage('2348000000001', { type: 'text', text: { body: 'Hello' } }),
+            { status: 504, message: 'WhatsApp API request timed out after 20ms' }
+        );
+    });
+});
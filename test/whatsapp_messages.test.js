@@ -0,0 +1,98 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, takeSentMessages } = require('./helpers');
+
+describe('WhatsApp inbound messages', () => {
+    let app;
+    let whatsapp;
+
+    before(async () => {
+        app = await startServer();
+        whatsapp = app.subsystems.whatsapp;
+        app.subsystems.llm.complete = async () => ({ text: 'Happy to help with that.', model: 'fake' });
+    });
+    after(() => app.stop());
+    beforeEach(() => takeSentMessages());
+
+    it('does not send the reply again when a retry follows a failure after sending', async () => {
+        const phoneNumber = '2348000000101';
+        const message = { from: phoneNumber, id: 'wamid.retry1', type: 'text', text: { body: 'What are your opening hours?' } };
+        await whatsapp.whatsappClient.recordInbound(phoneNumber);
+
+        const record = app.subsystems.usage.record;
+        app.subsystems.usage.record = async () => { throw new Error('usage store unavailable'); };
+        try {
+            await assert.rejects(whatsapp.handleQueuedMessage({ message }, { attempts: 0 }), /usage store unavailable/);
+        } finally {
+            app.subsystems.usage.record = record;
+        }
+        assert.equal(takeSentMessages().length, 1);
+
+        await whatsapp.handleQueuedMessage({ message }, { attempts: 1 });
+        assert.deepEqual(takeSentMessages(), []);
+    });
+
+    it('does not run the emergency protocol again on a retry after the safety message went out', async () => {
+        const phoneNumber = '2348000000105';
+        const message = { from: phoneNumber, id: 'wamid.retry3', type: 'text', text: { body: 'Armed robbers broke into our house' } };
+        await whatsapp.whatsappClient.recordInbound(phoneNumber);
+        app.subsystems.monitoring.alertTransporter.sendMail = async () => ({});
+
+        const routeToAgent = whatsapp.routeToAgent;
+        whatsapp.routeToAgent = async () => { throw new Error('session store unavailable'); };
+        try {
+            await assert.rejects(whatsapp.handleQueuedMessage({ message }, { attempts: 0 }), /session store unavailable/);
+        } finally {
+            whatsapp.routeToAgent = routeToAgent;
+        }
+        assert.match(takeSentMessages()[0].text, /Call 112 now/);
+
+        await whatsapp.handleQueuedMessage({ message }, { attempts: 1 });
+        assert.deepEqual(takeSentMessages(), []);
+        assert.equal((await app.subsystems.emergency.getOpenIncident(phoneNumber)).messages.length, 1);
+    });
+
+    it('answers a retry when nothing went out the first time', async () => {
+        const phoneNumber = '2348000000102';
+        const message = { from: phoneNumber, id: 'wamid.retry2', type: 'text', text: { body: 'What are your opening hours?' } };
+        await whatsapp.whatsappClient.recordInbound(phoneNumber);
+
+        await whatsapp.handleQueuedMessage({ message }, { attempts: 1 });
+
+        const [reply] = takeSentMessages();
+        assert.equal(reply.to, phoneNumber);
+        assert.equal(reply.text, 'Happy to help with that.');
+    });
+
+    it('sends the handoff_claimed template once the window has closed', async () => {
+        const { handoff } = app.subsystems;
+        const queued = await handoff.requestHuman('2348000000103', { reason: 'customer_request' });
+
+        await handoff.claim(queued.id, { operatorId: 'ada', operatorName: 'Ada' });
+
+        const [notice] = takeSentMessages();
+        assert.equal(notice.type, 'template');
+        assert.equal(notice.payload.template.name, 'handoff_claimed');
+        assert.deepEqual(notice.payload.template.components[0].parameters, [{ type: 'text', text: 'Ada' }]);
+    });
+
+    it('sends the emergency_safety template once the window has closed', async () => {
+        await app.subsystems.emergency.sendSafetyMessage('2348000000107', { category: 'fire', severity: 'critical' });
+
+        const [notice] = takeSentMessages();
+        assert.equal(notice.payload.template.name, 'emergency_safety');
+        assert.deepEqual(notice.payload.template.components[0].parameters.map(parameter => parameter.text), [
+            'Fire or explosion',
+            '112 – national emergency line, 199 – police, fire and ambulance, 767 – Lagos emergency'
+        ]);
+    });
+
+    it('sends notices as free-form text inside the window', async () => {
+        await whatsapp.whatsappClient.recordInbound('2348000000104');
+        await app.subsystems.handoff.notifyCustomer('2348000000104', 'Thanks for waiting.', { name: 'handoff_released', variables: { agent: 'Lexi' } });
+
+        const [notice] = takeSentMessages();
+        assert.equal(notice.type, 'text');
+        assert.equal(notice.text, 'Thanks for waiting.');
+    });
+});
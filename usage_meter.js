@@ -0,0 +1,294 @@
+// Usage Meter for ODIA 11-Agent System
+// Counts WhatsApp messages and voice-note seconds per customer per billing period, enforces the limits and
+// agent access of their plan (or the free trial), and says when to send upgrade prompts at 80% and 100%
+
+const express = require('express');
+
+// Share of a quota at which the customer is told, once per period
+const ALERT_LEVELS = [80, 100];
+
+class UsageMeter {
+    constructor(options = {}) {
+        this.db = options.database;
+        this.agentRegistry = options.agentRegistry;
+        this.payments = options.payments;
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+
+        router.get('/api/usage/:userId', this.getUsageReport.bind(this));
+
+        return router;
+    }
+
+    // ===========================================
+    // PLANS
+    // ===========================================
+
+    // The customer's entitlement: { id, name, trial, expired, agent_access, message_limit, voice_seconds_limit, period }.
+    // Limits are null when unlimited and agent_access is null when every agent is included.
+    // A subscription counts while its status is active; lapsing it is up to billing.
+    async getPlan(user, now = new Date()) {
+        const subscription = await this.db.table('subscriptions').findOne(
+            { user_id: user.id, status: 'active' },
+            { orderBy: 'created_at', descending: true }
+        );
+
+        if (subscription) {
+            const plan = this.payments.paymentPlans.get(subscription.plan_id) || {};
+            const limits = subscription.limits || {};
+
+            return {
+                id: subscription.plan_id,
+                name: subscription.plan_name || plan.name || subscription.plan_id,
+                trial: false,
+                expired: false,
+                agent_access: this.normalizeAgentAccess(subscription.agent_access || plan.agent_access),
+                message_limit: this.normalizeLimit(limits.messages ?? plan.message_limit),
+                voice_seconds_limit: this.normalizeLimit(limits.voice_minutes ?? plan.voice_minutes, 60),
+                period: this.getBillingPeriod(subscription.activated_at || subscription.start_date || subscription.created_at, now)
+            };
+        }
+
+        // No subscription: the free trial, counted from the customer's first message
+        const trial = this.payments.subscriptionTiers.get('free_trial');
+        const start = user.created_at || now;
+        const end = new Date(start.getTime() + trial.duration_days * 24 * 60 * 60 * 1000);
+        const expired = now >= end;
+
+        return {
+            id: 'free_trial',
+            name: trial.name,
+            trial: true,
+            expired: expired,
+            agent_access: this.normalizeAgentAccess(trial.limitations.agents),
+            message_limit: expired ? 0 : this.normalizeLimit(trial.limitations.messages),
+            voice_seconds_limit: expired ? 0 : this.normalizeLimit(trial.limitations.voice_minutes, 60),
+            period: { start: start, end: end }
+        };
+    }
+
+    // ['all'] (or no list) means every agent
+    normalizeAgentAccess(agentAccess) {
+        return !agentAccess || agentAccess.includes('all') ? null : agentAccess;
+    }
+
+    // -1 or a missing limit means unlimited
+    normalizeLimit(limit, multiplier = 1) {
+        return typeof limit === 'number' && limit >= 0 ? limit * multiplier : null;
+    }
+
+    // Monthly periods from the subscription's start, whatever the billing cycle: plan quotas are per month
+    getBillingPeriod(anchor, now = new Date()) {
+        const start = new Date(anchor || now);
+        let months = (now.getFullYear() - start.getFullYear()) * 12 + now.getMonth() - start.getMonth();
+        if (this.addMonths(start, months) > now) months--;
+
+        return { start: this.addMonths(start, months), end: this.addMonths(start, months + 1) };
+    }
+
+    // Keeps the day of month, clamped to shorter months (31 Jan -> 28/29 Feb)
+    addMonths(date, months) {
+        const result = new Date(date);
+        const day = result.getDate();
+
+        result.setDate(1);
+        result.setMonth(result.getMonth() + months);
+        result.setDate(Math.min(day, new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate()));
+
+        return result;
+    }
+
+    // ===========================================
+    // METERING
+    // ===========================================
+
+    // Current usage against the plan, without changing anything:
+    // { user_id, plan, period, messages, voice_seconds, agent_access, can_message, can_voice }
+    async check(phoneNumber, now = new Date()) {
+        const user = await this.db.table('users').findOne({ phone_number: phoneNumber });
+        return this.buildUsage(user || { id: null, phone_number: phoneNumber, created_at: now }, now);
+    }
+
+    async buildUsage(user, now = new Date()) {
+        const plan = await this.getPlan(user, now);
+        const period = user.id ? await this.findPeriod(user.id, plan) : null;
+        const messagesUsed = period ? period.messages : 0;
+        const voiceSecondsUsed = period ? period.voice_seconds : 0;
+
+        return {
+            user_id: user.id,
+            phone_number: user.phone_number,
+            plan: { id: plan.id, name: plan.name, trial: plan.trial, expired: plan.expired },
+            period: plan.period,
+            messages: this.describeQuota(messagesUsed, plan.message_limit),
+            voice_seconds: this.describeQuota(voiceSecondsUsed, plan.voice_seconds_limit),
+            agent_access: plan.agent_access,
+            can_message: plan.message_limit === null || messagesUsed < plan.message_limit,
+            can_voice: plan.voice_seconds_limit === null || voiceSecondsUsed < plan.voice_seconds_limit
+        };
+    }
+
+    describeQuota(used, limit) {
+        return {
+            used: used,
+            limit: limit,
+            remaining: limit === null ? null : Math.max(limit - used, 0),
+            percent: limit === null ? null : (limit === 0 ? 100 : Math.min(Math.round((used / limit) * 100), 100))
+        };
+    }
+
+    // Counts an answered message (and any voice-note seconds, both directions) and returns the alerts it
+    // triggered: [{ quota: 'messages' | 'voice', level: 80 | 100 }]. Each level is reported once per period.
+    async record(phoneNumber, { messages = 1, voiceSeconds = 0 } = {}, now = new Date()) {
+        const user = await this.getOrCreateUser(phoneNumber, now);
+        const plan = await this.getPlan(user, now);
+        const period = await this.findPeriod(user.id, plan) || await this.db.table('usage_periods').insert({
+            user_id: user.id,
+            phone_number: phoneNumber,
+            plan_id: plan.id,
+            period_start: plan.period.start,
+            period_end: plan.period.end,
+            messages: 0,
+            voice_seconds: 0,
+            message_alert_level: 0,
+            voice_alert_level: 0
+        });
+
+        const usedMessages = period.messages + messages;
+        const usedVoiceSeconds = Math.round((period.voice_seconds + (voiceSeconds || 0)) * 100) / 100;
+        const messageLevel = this.getAlertLevel(usedMessages, plan.message_limit);
+        const voiceLevel = this.getAlertLevel(usedVoiceSeconds, plan.voice_seconds_limit);
+
+        const alerts = [];
+        if (messageLevel > period.message_alert_level) alerts.push({ quota: 'messages', level: messageLevel });
+        if (voiceLevel > period.voice_alert_level) alerts.push({ quota: 'voice', level: voiceLevel });
+
+        await this.db.table('usage_periods').update(period.id, {
+            messages: usedMessages,
+            voice_seconds: usedVoiceSeconds,
+            message_alert_level: Math.max(messageLevel, period.message_alert_level),
+            voice_alert_level: Math.max(voiceLevel, period.voice_alert_level)
+        });
+
+        return alerts;
+    }
+
+    getAlertLevel(used, limit) {
+        if (limit === null || limit === 0) return 0;
+
+        const percent = (used / limit) * 100;
+        return ALERT_LEVELS.filter(level => percent >= level).pop() || 0;
+    }
+
+    // Periods are keyed by user, plan and start, so an upgrade starts a fresh count
+    async findPeriod(userId, plan) {
+        const periods = await this.db.table('usage_periods').find(
+            { user_id: userId, plan_id: plan.id },
+            { orderBy: 'period_start', descending: true, limit: 1 }
+        );
+        const [period] = periods;
+
+        return period && period.period_start.getTime() === plan.period.start.getTime() ? period : null;
+    }
+
+    async getOrCreateUser(phoneNumber, now = new Date()) {
+        const user = await this.db.table('users').findOne({ phone_number: phoneNumber });
+        if (user) return user;
+
+        return this.db.table('users').insert({ phone_number: phoneNumber, agent_access: [], created_at: now });
+    }
+
+    // ===========================================
+    // CUSTOMER MESSAGES
+    // ===========================================
+
+    // Sent instead of an agent reply once the message quota is used up
+    buildLimitReachedMessage(usage) {
+        const body = usage.plan.expired
+            ? `⏳ Your ${usage.plan.name} has ended. Choose a plan to keep chatting with ODIA AI:`
+            : `🚫 You've used all ${usage.messages.limit} messages in your ${usage.plan.name} for this period. ` +
+              `Choose a plan to continue${usage.plan.trial ? '' : `, or wait until ${this.formatDate(usage.period.end)}`}:`;
+
+        return this.payments.buildPlanPicker(body);
+    }
+
+    // 80% and 100% alerts from record()
+    buildAlertMessage(usage, alert) {
+        const minutes = Math.round(usage.voice_seconds.limit / 60);
+        const quota = alert.quota === 'messages'
+            ? `${usage.messages.limit} messages`
+            : `${minutes} voice minute${minutes === 1 ? '' : 's'}`;
+
+        if (alert.level < 100) {
+            return this.payments.buildPlanPicker(
+                `📊 You've used ${alert.level}% of your ${quota} for this period. Upgrade anytime for more:`
+            );
+        }
+
+        const consequence = alert.quota === 'messages'
+            ? 'Agents will reply again once you upgrade'
+            : "I'll answer your voice notes in text until you upgrade";
+
+        return this.payments.buildPlanPicker(`⚠️ You've used all your ${quota} for this period. ${consequence}:`);
+    }
+
+    // For switch commands and menu picks of an agent outside the plan
+    buildRestrictedAgentMessage(usage, agentId) {
+        return this.payments.buildPlanPicker(
+            `🔒 ${this.agentRegistry.getName(agentId)} isn't included in your ${usage.plan.name}. Upgrade to chat with them:`
+        );
+    }
+
+    formatDate(date) {
+        return date.toLocaleDateString('en-NG', { day: 'numeric', month: 'long' });
+    }
+
+    // ===========================================
+    // API ENDPOINTS
+    // ===========================================
+
+    // Accepts a user ID or a phone number
+    async getUsageReport(req, res) {
+        try {
+            const user = await this.db.table('users').findById(req.params.userId) ||
+                await this.db.table('users').findOne({ phone_number: req.params.userId });
+
+            if (!user) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            const usage = await this.buildUsage(user);
+
+            res.json({
+                ...usage,
+                voice_minutes: {
+                    used: Math.round((usage.voice_seconds.used / 60) * 10) / 10,
+                    limit: usage.voice_seconds.limit === null ? null : usage.voice_seconds.limit / 60
+                }
+            });
+
+        } catch (error) {
+            console.error('Usage lookup error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+}
+
+module.exports = UsageMeter;
+
+// Usage Examples:
+/*
+1. Before answering a WhatsApp message:
+   const usage = await usageMeter.check('2348012345678');
+   if (!usage.can_message) send(usageMeter.buildLimitReachedMessage(usage));
+   // usage.agent_access limits routing; usage.can_voice false means reply in text
+
+2. After answering:
+   const alerts = await usageMeter.record('2348012345678', { voiceSeconds: 14.2 });
+   // [{ quota: 'messages', level: 80 }]
+
+3. Usage for the dashboard:
+   GET /api/usage/user_abc123   (or GET /api/usage/2348012345678)
+*/
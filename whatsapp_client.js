@@ -0,0 +1,407 @@
+// WhatsApp Cloud API Client for ODIA 11-Agent System
+// The single outbound path to WhatsApp: text, interactive, template and audio messages, plus media upload/download.
+// Free-form messages are only sent inside a number's 24-hour customer service window; outside it
+// the caller's fallback template from the template registry is sent instead.
+// Every outbound message is stored in whatsapp_messages and updated from status webhooks;
+// failures with retryable error codes are resent through the job queue.
+
+const { AsyncLocalStorage } = require('async_hooks');
+const FormData = require('form-data');
+const fetch = require('node-fetch');
+const WhatsAppMessageBuilder = require('./whatsapp_message_builder');
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v18.0';
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const AUDIO_EXTENSIONS = { 'audio/mpeg': 'mp3', 'audio/ogg': 'ogg', 'audio/wav': 'wav', 'audio/mp4': 'm4a', 'audio/aac': 'aac' };
+
+// Delivery statuses only move forward; 'failed' can arrive at any point and is final for that WhatsApp message ID
+const STATUS_ORDER = ['accepted', 'sent', 'delivered', 'read'];
+
+// Cloud API error codes worth resending: temporary errors, throughput and rate limits
+const RETRYABLE_ERROR_CODES = [1, 2, 4, 80007, 130429, 131000, 131016, 131048, 131056, 133004];
+
+class WhatsAppClient {
+    constructor(options = {}) {
+        this.accessToken = options.accessToken || process.env.WHATSAPP_ACCESS_TOKEN;
+        this.phoneNumberId = options.phoneNumberId || process.env.WHATSAPP_PHONE_NUMBER_ID;
+        this.builder = options.messageBuilder || new WhatsAppMessageBuilder();
+        this.db = options.database;
+        this.templates = options.templates;
+        this.jobQueue = options.jobQueue;
+
+        this.maxSendAttempts = options.maxSendAttempts || parseInt(process.env.WHATSAPP_MAX_SEND_ATTEMPTS, 10) || 3;
+        this.resendDelayMs = options.resendDelayMs || 30000;
+        this.requestTimeoutMs = options.requestTimeoutMs || parseInt(process.env.WHATSAPP_TIMEOUT_MS, 10) || 15000;
+
+        // { phoneNumber, inboundMessageId } while an inbound message is being answered
+        this.replyContext = new AsyncLocalStorage();
+
+        if (this.jobQueue) {
+            this.jobQueue.registerHandler('whatsapp.resend', this.handleResendJob.bind(this));
+        }
+    }
+
+    isConfigured() {
+        return Boolean(this.accessToken && this.phoneNumberId);
+    }
+
+    // ===========================================
+    // MESSAGES
+    // ===========================================
+
+    // Sends a plain string or any structured reply WhatsAppMessageBuilder understands; returns the API result,
+    // or null when a retryable rejection was queued for resend.
+    // fallbackTemplate ({ name, variables }) replaces free-form replies once the service window has closed;
+    // source and agentId label the stored message for delivery history.
+    async sendMessage(phoneNumber, reply, { fallbackTemplate, source, agentId } = {}) {
+        const isTemplate = reply && reply.type === 'template';
+
+        if (!isTemplate && !await this.isWindowOpen(phoneNumber)) {
+            if (!fallbackTemplate) {
+                const error = new Error(`WhatsApp service window for ${phoneNumber} is closed and no template fallback was given`);
+                error.code = 'service_window_closed';
+                throw error;
+            }
+
+            console.log(`🕐 Service window closed for ${phoneNumber}, sending template ${fallbackTemplate.name}`);
+            reply = this.templates.render(fallbackTemplate.name, fallbackTemplate.variables);
+        }
+
+        const message = this.builder.build(reply);
+        const record = await this.db.table('whatsapp_messages').insert({
+            phone_number: phoneNumber,
+            type: message.type,
+            source: source || null,
+            agent_id: agentId || null,
+            reply_to_message_id: this.getReplyToMessageId(phoneNumber),
+            preview: this.getPreview(message),
+            payload: message,
+            status: 'pending',
+            status_history: [],
+            attempts: 0
+        });
+
+        return this.deliver(record);
+    }
+
+    // Posts a stored message and records the outcome; the record's payload is resent as-is on retries
+    async deliver(record) {
+        const attempts = record.attempts + 1;
+
+        try {
+            const result = await this.postMessage(record.phone_number, record.payload);
+            const now = new Date();
+
+            await this.db.table('whatsapp_messages').update(record.id, {
+                whatsapp_message_id: this.getMessageId(result),
+                status: 'accepted',
+                status_history: [...record.status_history, { status: 'accepted', at: now.toISOString() }],
+                attempts: attempts,
+                error_code: null,
+                error_message: null,
+                accepted_at: now
+            });
+
+            return result;
+
+        } catch (error) {
+            const failed = await this.db.table('whatsapp_messages').update(record.id, {
+                status: 'failed',
+                status_history: [...record.status_history, { status: 'failed', at: new Date().toISOString(), error: error.message }],
+                attempts: attempts,
+                error_code: typeof error.code === 'number' ? error.code : null,
+                error_message: error.message,
+                failed_at: new Date()
+            });
+
+            // A retryable rejection is resent later rather than surfaced, so callers don't send a second copy
+            if (this.shouldRetry(failed)) {
+                await this.scheduleResend(failed);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async postMessage(phoneNumber, message) {
+        const response = await this.fetchWithTimeout(`${GRAPH_API_URL}/${this.phoneNumberId}/messages`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.accessToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                messaging_product: 'whatsapp',
+                recipient_type: 'individual',
+                to: phoneNumber,
+                ...message
+            })
+        });
+
+        const result = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            const error = new Error(`WhatsApp API error ${response.status}: ${result.error?.message || response.statusText}`);
+            error.status = response.status;
+            error.code = result.error?.code;
+            throw error;
+        }
+
+        return result;
+    }
+
+    // Short human-readable summary of a built message for support views
+    getPreview(message) {
+        if (message.type === 'text') return message.text.body.slice(0, 200);
+        if (message.type === 'interactive') return message.interactive.body.text.slice(0, 200);
+        if (message.type === 'template') return `[template ${message.template.name}]`;
+        return `[${message.type}]`;
+    }
+
+    // Runs handler with every message it sends to phoneNumber recorded as an answer to the inbound message
+    async replyTo(phoneNumber, inboundMessageId, handler) {
+        return this.replyContext.run({ phoneNumber, inboundMessageId }, handler);
+    }
+
+    getReplyToMessageId(phoneNumber) {
+        const context = this.replyContext.getStore();
+        return context && context.phoneNumber === phoneNumber ? context.inboundMessageId : null;
+    }
+
+    // True once a message answering the inbound one was sent (an emergency safety message included), or failed and
+    // is queued to be resent
+    async hasReplied(inboundMessageId) {
+        const replies = await this.db.table('whatsapp_messages').find({ reply_to_message_id: inboundMessageId });
+        return replies.some(record => record.status !== 'failed' || this.shouldRetry(record));
+    }
+
+    async sendText(phoneNumber, body) {
+        return this.sendMessage(phoneNumber, { type: 'text', body: body });
+    }
+
+    async sendAudio(phoneNumber, audioBuffer, mimeType = 'audio/mpeg', options = {}) {
+        const extension = AUDIO_EXTENSIONS[mimeType.split(';')[0]] || 'mp3';
+        const mediaId = await this.uploadMedia(audioBuffer, mimeType, `audio.${extension}`);
+        return this.sendMessage(phoneNumber, { type: 'audio', mediaId: mediaId }, options);
+    }
+
+    // WhatsApp message ID of a send result, or null
+    getMessageId(result) {
+        return result && result.messages && result.messages[0] ? result.messages[0].id : null;
+    }
+
+    // ===========================================
+    // DELIVERY STATUS
+    // ===========================================
+
+    // Applies one entry of a webhook's statuses array: { id, status, timestamp, recipient_id, errors }
+    async recordStatus(statusUpdate) {
+        const record = await this.db.table('whatsapp_messages').findOne({ whatsapp_message_id: statusUpdate.id });
+        if (!record) return null;
+
+        const at = statusUpdate.timestamp ? new Date(parseInt(statusUpdate.timestamp, 10) * 1000) : new Date();
+        const error = statusUpdate.errors && statusUpdate.errors[0];
+        const historyEntry = {
+            status: statusUpdate.status,
+            at: at.toISOString(),
+            ...(error ? { error: `${error.code} ${error.title || error.message || ''}`.trim() } : {})
+        };
+
+        const changes = { status_history: [...record.status_history, historyEntry] };
+
+        if (statusUpdate.status === 'failed') {
+            Object.assign(changes, {
+                status: 'failed',
+                error_code: error ? error.code : null,
+                error_message: error ? error.error_data?.details || error.title || error.message : null,
+                failed_at: at
+            });
+        } else if (record.status !== 'failed' &&
+            STATUS_ORDER.indexOf(statusUpdate.status) > STATUS_ORDER.indexOf(record.status)) {
+            changes.status = statusUpdate.status;
+            changes[`${statusUpdate.status}_at`] = at;
+        }
+
+        const updated = await this.db.table('whatsapp_messages').update(record.id, changes);
+
+        if (updated.status === 'failed' && this.shouldRetry(updated)) {
+            await this.scheduleResend(updated);
+        }
+
+        return updated;
+    }
+
+    shouldRetry(record) {
+        return Boolean(this.jobQueue) &&
+            RETRYABLE_ERROR_CODES.includes(record.error_code) &&
+            record.attempts < this.maxSendAttempts;
+    }
+
+    async scheduleResend(record) {
+        const delay = this.resendDelayMs * 2 ** (record.attempts - 1);
+        console.warn(`🔁 WhatsApp message ${record.id} to ${record.phone_number} failed (${record.error_code}), resending in ${delay}ms`);
+
+        return this.jobQueue.enqueue('whatsapp.resend', { messageId: record.id }, {
+            dedupeKey: `whatsapp-resend:${record.id}:${record.attempts}`,
+            delayMs: delay
+        });
+    }
+
+    async handleResendJob({ messageId }) {
+        const record = await this.db.table('whatsapp_messages').findById(messageId);
+        if (!record || record.status !== 'failed') return;
+
+        try {
+            await this.deliver(record);
+        } catch (error) {
+            // Final failure is already recorded on the message; retrying the job would bypass maxSendAttempts
+            console.error(`❌ WhatsApp message ${messageId} could not be resent:`, error.message);
+        }
+    }
+
+    // Accepts our record ID or the WhatsApp message ID
+    async getMessage(id) {
+        return await this.db.table('whatsapp_messages').findById(id) ||
+            await this.db.table('whatsapp_messages').findOne({ whatsapp_message_id: id });
+    }
+
+    async getDeliveryHistory(phoneNumber, { limit = 50 } = {}) {
+        return this.db.table('whatsapp_messages').find(
+            { phone_number: phoneNumber },
+            { orderBy: 'created_at', descending: true, limit: limit }
+        );
+    }
+
+    // ===========================================
+    // CUSTOMER SERVICE WINDOW
+    // ===========================================
+
+    // Called for every inbound message; keeps the latest timestamp when webhooks arrive out of order
+    async recordInbound(phoneNumber, receivedAt = new Date()) {
+        const serviceWindow = await this.db.table('customer_service_windows').findOne({ phone_number: phoneNumber });
+
+        if (!serviceWindow) {
+            return this.db.table('customer_service_windows').insert({ phone_number: phoneNumber, last_inbound_at: receivedAt });
+        }
+        if (serviceWindow.last_inbound_at.getTime() < receivedAt.getTime()) {
+            return this.db.table('customer_service_windows').update(serviceWindow.id, { last_inbound_at: receivedAt });
+        }
+        return serviceWindow;
+    }
+
+    // Returns { phone_number, last_inbound_at, open, closes_at }
+    async getWindow(phoneNumber) {
+        const serviceWindow = await this.db.table('customer_service_windows').findOne({ phone_number: phoneNumber });
+        const closesAt = serviceWindow ? new Date(serviceWindow.last_inbound_at.getTime() + SERVICE_WINDOW_MS) : null;
+
+        return {
+            phone_number: phoneNumber,
+            last_inbound_at: serviceWindow ? serviceWindow.last_inbound_at : null,
+            open: Boolean(closesAt && closesAt.getTime() > Date.now()),
+            closes_at: closesAt
+        };
+    }
+
+    async isWindowOpen(phoneNumber) {
+        return (await this.getWindow(phoneNumber)).open;
+    }
+
+    // ===========================================
+    // MEDIA
+    // ===========================================
+
+    async uploadMedia(mediaBuffer, mimeType, filename) {
+        const formData = new FormData();
+        formData.append('file', mediaBuffer, {
+            filename: filename,
+            contentType: mimeType
+        });
+        formData.append('messaging_product', 'whatsapp');
+
+        const response = await this.fetchWithTimeout(`${GRAPH_API_URL}/${this.phoneNumberId}/media`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.accessToken}`,
+                ...formData.getHeaders()
+            },
+            body: formData
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.id) {
+            throw new Error(`WhatsApp media upload failed: ${result.error?.message || response.status}`);
+        }
+
+        return result.id;
+    }
+
+    // A Graph API call that hangs would hold the job (and the customer's later messages) until it returns
+    async fetchWithTimeout(url, options) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.requestTimeoutMs);
+
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                const timeoutError = new Error(`WhatsApp API request timed out after ${this.requestTimeoutMs}ms`);
+                timeoutError.status = 504;
+                throw timeoutError;
+            }
+            throw error;
+
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Resolves a media ID to its download URL, then fetches the file; returns { buffer, mimeType }
+    async downloadMedia(mediaId) {
+        const mediaInfoResponse = await this.fetchWithTimeout(`${GRAPH_API_URL}/${mediaId}`, {
+            headers: {
+                'Authorization': `Bearer ${this.accessToken}`
+            }
+        });
+
+        const mediaInfo = await mediaInfoResponse.json().catch(() => ({}));
+        if (!mediaInfoResponse.ok || !mediaInfo.url) {
+            throw new Error(`WhatsApp media lookup failed for ${mediaId}: ${mediaInfo.error?.message || mediaInfoResponse.status}`);
+        }
+
+        const mediaResponse = await this.fetchWithTimeout(mediaInfo.url, {
+            headers: {
+                'Authorization': `Bearer ${this.accessToken}`
+            }
+        });
+
+        // An expired or revoked media URL answers with an error page, not the file
+        if (!mediaResponse.ok) {
+            throw new Error(`WhatsApp media download failed for ${mediaId}: ${mediaResponse.status}`);
+        }
+
+        return {
+            buffer: await mediaResponse.buffer(),
+            mimeType: mediaInfo.mime_type || mediaResponse.headers.get('content-type')
+        };
+    }
+}
+
+module.exports = WhatsAppClient;
+
+// Usage Examples:
+/*
+1. Send text or a structured reply:
+   await whatsappClient.sendText('2348012345678', 'Hello from ODIA AI');
+   await whatsappClient.sendMessage('2348012345678', payments.buildPlanPicker());
+
+2. Outside the 24-hour window, fall back to an approved template:
+   await whatsappClient.sendMessage('2348012345678', renewalText, {
+       fallbackTemplate: { name: 'subscription_renewal', variables: { plan_name, end_date, payment_link } }
+   });
+
+3. Media:
+   const { buffer, mimeType } = await whatsappClient.downloadMedia(message.image.id);
+   await whatsappClient.sendAudio('2348012345678', mp3Buffer);
+*/
@@ -0,0 +1,194 @@
+// WhatsApp Message Builder for ODIA 11-Agent System
+// Turns structured replies (text, reply buttons, lists, CTA URL buttons, templates, audio)
+// into WhatsApp Cloud API message payloads, enforcing the platform's size limits
+
+// Limits from the WhatsApp Cloud API reference; over-long text is truncated, too many items is an error
+const LIMITS = {
+    textBody: 4096,
+    interactiveBody: 1024,
+    headerText: 60,
+    footerText: 60,
+    maxButtons: 3,
+    buttonId: 256,
+    buttonTitle: 20,
+    listButtonText: 20,
+    maxSections: 10,
+    maxRows: 10,
+    sectionTitle: 24,
+    rowId: 200,
+    rowTitle: 24,
+    rowDescription: 72,
+    ctaDisplayText: 20
+};
+
+class WhatsAppMessageBuilder {
+    // Accepts a plain string or a structured reply:
+    //   { type: 'text', body }
+    //   { type: 'buttons', body, buttons: [{ id, title }], header, footer }
+    //   { type: 'list', body, buttonText, sections: [{ title, rows: [{ id, title, description }] }], header, footer }
+    //   { type: 'cta_url', body, displayText, url, header, footer }
+    //   { type: 'template', name, language, parameters, components }
+    //   { type: 'audio', mediaId }
+    // Returns the message fields to send alongside messaging_product and to
+    build(reply) {
+        if (typeof reply === 'string') {
+            return this.text({ body: reply });
+        }
+
+        switch (reply && reply.type) {
+            case 'text': return this.text(reply);
+            case 'buttons': return this.buttons(reply);
+            case 'list': return this.list(reply);
+            case 'cta_url': return this.ctaUrl(reply);
+            case 'template': return this.template(reply);
+            case 'audio': return this.audio(reply);
+            default:
+                throw new Error(`Unsupported WhatsApp reply type: ${reply && reply.type}`);
+        }
+    }
+
+    text({ body, previewUrl = false }) {
+        this.require(body, 'text body');
+
+        return {
+            type: 'text',
+            text: { body: this.truncate(body, LIMITS.textBody), preview_url: previewUrl }
+        };
+    }
+
+    buttons({ body, buttons, header, footer }) {
+        this.require(body, 'button message body');
+        if (!Array.isArray(buttons) || buttons.length === 0 || buttons.length > LIMITS.maxButtons) {
+            throw new Error(`Reply button messages need 1-${LIMITS.maxButtons} buttons`);
+        }
+
+        return this.interactive('button', { body, header, footer }, {
+            buttons: buttons.map(button => ({
+                type: 'reply',
+                reply: {
+                    id: this.checkId(button.id, LIMITS.buttonId),
+                    title: this.truncate(button.title, LIMITS.buttonTitle)
+                }
+            }))
+        });
+    }
+
+    list({ body, buttonText = 'Choose', sections, header, footer }) {
+        this.require(body, 'list message body');
+        if (!Array.isArray(sections) || sections.length === 0 || sections.length > LIMITS.maxSections) {
+            throw new Error(`List messages need 1-${LIMITS.maxSections} sections`);
+        }
+
+        const rowCount = sections.reduce((total, section) => total + section.rows.length, 0);
+        if (rowCount === 0 || rowCount > LIMITS.maxRows) {
+            throw new Error(`List messages need 1-${LIMITS.maxRows} rows in total (got ${rowCount})`);
+        }
+
+        return this.interactive('list', { body, header, footer }, {
+            button: this.truncate(buttonText, LIMITS.listButtonText),
+            sections: sections.map(section => ({
+                // Titles are only required once there is more than one section
+                ...(section.title ? { title: this.truncate(section.title, LIMITS.sectionTitle) } : {}),
+                rows: section.rows.map(row => ({
+                    id: this.checkId(row.id, LIMITS.rowId),
+                    title: this.truncate(row.title, LIMITS.rowTitle),
+                    ...(row.description ? { description: this.truncate(row.description, LIMITS.rowDescription) } : {})
+                }))
+            }))
+        });
+    }
+
+    ctaUrl({ body, displayText, url, header, footer }) {
+        this.require(body, 'CTA message body');
+        this.require(displayText, 'CTA display text');
+        if (!/^https?:\/\//i.test(url || '')) {
+            throw new Error('CTA URL buttons need an http(s) URL');
+        }
+
+        return this.interactive('cta_url', { body, header, footer }, {
+            name: 'cta_url',
+            parameters: {
+                display_text: this.truncate(displayText, LIMITS.ctaDisplayText),
+                url: url
+            }
+        });
+    }
+
+    // Plain string parameters fill the template body; pass components for headers and buttons
+    template({ name, language = 'en', parameters = [], components }) {
+        this.require(name, 'template name');
+
+        const bodyComponents = parameters.length > 0
+            ? [{ type: 'body', parameters: parameters.map(value => ({ type: 'text', text: String(value) })) }]
+            : [];
+
+        return {
+            type: 'template',
+            template: {
+                name: name,
+                language: { code: language },
+                components: components || bodyComponents
+            }
+        };
+    }
+
+    audio({ mediaId }) {
+        this.require(mediaId, 'audio media ID');
+        return { type: 'audio', audio: { id: mediaId } };
+    }
+
+    interactive(type, { body, header, footer }, action) {
+        return {
+            type: 'interactive',
+            interactive: {
+                type: type,
+                ...(header ? { header: { type: 'text', text: this.truncate(header, LIMITS.headerText) } } : {}),
+                body: { text: this.truncate(body, LIMITS.interactiveBody) },
+                ...(footer ? { footer: { text: this.truncate(footer, LIMITS.footerText) } } : {}),
+                action: action
+            }
+        };
+    }
+
+    checkId(id, maxLength) {
+        this.require(id, 'button/row ID');
+        if (String(id).length > maxLength) {
+            throw new Error(`WhatsApp IDs are limited to ${maxLength} characters: ${id}`);
+        }
+        return String(id);
+    }
+
+    require(value, label) {
+        if (value === undefined || value === null || value === '') {
+            throw new Error(`WhatsApp message is missing its ${label}`);
+        }
+    }
+
+    truncate(text, maxLength) {
+        const value = String(text);
+        return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+    }
+}
+
+module.exports = WhatsAppMessageBuilder;
+
+// Usage Examples:
+/*
+1. Reply buttons:
+   builder.build({
+       type: 'buttons',
+       body: 'Would you like to renew now?',
+       buttons: [{ id: 'renew:yes', title: 'Renew now' }, { id: 'renew:later', title: 'Later' }]
+   });
+
+2. A list menu (plan picker from PaymentFinancialSystem.buildPlanPicker()):
+   builder.build({
+       type: 'list',
+       body: 'Choose a plan:',
+       buttonText: 'View plans',
+       sections: [{ rows: [{ id: 'plan:lexi_starter', title: 'Agent Lexi - Starter', description: '₦15,000/monthly' }] }]
+   });
+
+3. A CTA URL button for a payment link:
+   builder.build({ type: 'cta_url', body: 'Your payment link is ready.', displayText: 'Pay ₦45,000', url: link });
+*/
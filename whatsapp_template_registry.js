@@ -0,0 +1,112 @@
+// WhatsApp Template Registry for ODIA 11-Agent System
+// Local copy of our Meta-approved message templates and their named parameters,
+// used when a customer's 24-hour service window has closed
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATES_FILE = path.join(__dirname, 'config', 'whatsapp_templates.json');
+
+class WhatsAppTemplateRegistry {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.WHATSAPP_TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE;
+        this.templates = new Map();
+
+        this.loadFromFile(this.filePath);
+    }
+
+    setupRoutes() {
+        const router = express.Router();
+
+        router.get('/api/whatsapp/templates', this.listTemplates.bind(this));
+
+        return router;
+    }
+
+    loadFromFile(filePath) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        this.templates.clear();
+        for (const template of data.templates || []) {
+            this.templates.set(template.name, {
+                name: template.name,
+                language: template.language || 'en',
+                category: template.category || 'UTILITY',
+                body: template.body || '',
+                // Named parameters in the order of the template's {{1}}, {{2}}, ... placeholders
+                parameters: template.parameters || []
+            });
+        }
+
+        console.log(`📄 Loaded ${this.templates.size} WhatsApp templates from ${path.basename(filePath)}`);
+    }
+
+    get(name) {
+        return this.templates.get(name) || null;
+    }
+
+    list() {
+        return Array.from(this.templates.values());
+    }
+
+    // Structured template reply for WhatsAppMessageBuilder; every named parameter must have a value
+    render(name, variables = {}) {
+        const template = this.get(name);
+        if (!template) {
+            throw new Error(`Unknown WhatsApp template: ${name}`);
+        }
+
+        const missing = template.parameters.filter(parameter =>
+            variables[parameter] === undefined || variables[parameter] === null || variables[parameter] === ''
+        );
+        if (missing.length > 0) {
+            throw new Error(`WhatsApp template ${name} is missing parameters: ${missing.join(', ')}`);
+        }
+
+        return {
+            type: 'template',
+            name: template.name,
+            language: template.language,
+            parameters: template.parameters.map(parameter => this.formatParameter(variables[parameter]))
+        };
+    }
+
+    // The text the customer will see, for logs and previews
+    renderText(name, variables = {}) {
+        const template = this.get(name);
+        if (!template) return null;
+
+        return template.body.replace(/\{\{(\d+)\}\}/g, (placeholder, position) => {
+            const parameter = template.parameters[position - 1];
+            return parameter && variables[parameter] !== undefined ? this.formatParameter(variables[parameter]) : placeholder;
+        });
+    }
+
+    // WhatsApp rejects template parameters containing newlines, tabs or more than four consecutive spaces
+    formatParameter(value) {
+        return String(value).replace(/[\n\t]+/g, ' ').replace(/ {4,}/g, '   ').trim();
+    }
+
+    async listTemplates(req, res) {
+        res.json({ templates: this.list() });
+    }
+}
+
+module.exports = WhatsAppTemplateRegistry;
+
+// Usage Examples:
+/*
+1. Send an approved template directly:
+   whatsappClient.sendMessage(phoneNumber, templates.render('payment_confirmation', {
+       amount: '45,000', plan: 'Agent Lexi - Business', transaction_id: '4821937'
+   }));
+
+2. Free-form when the customer wrote in the last 24 hours, template otherwise:
+   whatsappClient.sendMessage(phoneNumber, text, {
+       fallbackTemplate: { name: 'subscription_renewal', variables: { plan_name, end_date, payment_link } }
+   });
+
+3. List the registry:
+   GET /api/whatsapp/templates
+*/
@@ -1,50 +1,231 @@
 // WhatsApp Voice Integration for ODIA 11-Agent System
 // Handles voice messages, converts to text, processes with agents, responds with voice
 
+const crypto = require('crypto');
 const express = require('express');
-const multer = require('multer');
-const FormData = require('form-data');
-const fetch = require('node-fetch');
 const fs = require('fs').promises;
+const multer = require('multer');
+const path = require('path');
+
+// Agents can end a reply with [[menu:agents]] or [[menu:plans]] to show a native WhatsApp menu
+const MENU_MARKER_PATTERN = /\[\[menu:([a-z0-9-]+)\]\]/i;
+
+// Reactions counted as positive or negative feedback; anything else is neutral
+const POSITIVE_REACTIONS = ['👍', '❤', '😍', '🥰', '🙏', '👏', '🔥', '💯', '✅', '😊', '😂'];
+const NEGATIVE_REACTIONS = ['👎', '😡', '😠', '🤬', '😢', '😞', '😕', '❌'];
+
+// POST /api/process-voice uploads: multer's temp directory and the accepted audio types. Clients that
+// don't label the file (application/octet-stream) are accepted when the audio is recognisable.
+const UPLOAD_DIR = 'temp';
+const UPLOAD_MIME_TYPES = [
+    'audio/ogg', 'audio/opus', 'audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/wave',
+    'audio/amr', 'audio/webm', 'audio/mp4', 'audio/x-m4a', 'audio/aac', 'application/octet-stream'
+];
+const STALE_UPLOAD_MS = 60 * 60 * 1000;
+
+// Synthesized replies requested with audio_delivery=url can be downloaded for this long
+const VOICE_DOWNLOAD_TTL_MS = 15 * 60 * 1000;
+
+// Most prompts accepted in one POST /api/test-voice-agent batch
+const MAX_TEST_PROMPTS = 50;
 
 class WhatsAppVoiceIntegration {
-    constructor() {
-        this.whatsappToken = process.env.WHATSAPP_ACCESS_TOKEN;
-        this.phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
-        this.elevenLabsKey = process.env.ELEVENLABS_API_KEY;
-        this.openAIKey = process.env.OPENAI_API_KEY;
-        this.claudeKey = process.env.CLAUDE_API_KEY;
+    constructor(options = {}) {
+        this.agentRegistry = options.agentRegistry;
+        this.db = options.database;
+        this.llm = options.llm;
+        this.conversations = options.conversations;
+        this.sessions = options.sessions;
+        this.jobQueue = options.jobQueue;
+        this.whatsappClient = options.whatsappClient;
+        this.payments = options.payments;
+        this.languages = options.languages;
+        this.speech = options.speech;
+        this.audio = options.audio;
+        this.voiceReplies = options.voiceReplies;
+        this.usage = options.usage;
+        this.email = options.email;
+        this.contacts = options.contacts;
+        this.handoff = options.handoff;
+        this.emergency = options.emergency;
+        this.bookings = options.bookings;
+        
+        this.verifyToken = process.env.WHATSAPP_VERIFY_TOKEN;
+        this.appSecret = process.env.WHATSAPP_APP_SECRET;
+        this.maxAttachmentBytes = (parseFloat(process.env.WHATSAPP_MAX_ATTACHMENT_MB) || 5) * 1024 * 1024;
+        this.maxUploadBytes = (parseFloat(process.env.VOICE_UPLOAD_MAX_MB) || 10) * 1024 * 1024;
+        
+        // Download ID -> { audio, mimeType, expiresAt } for voice replies served by URL
+        this.voiceDownloads = new Map();
+        
+        // Button/list reply ID prefix -> handler(phoneNumber, value, reply, messageId)
+        this.interactiveCommands = new Map([
+            ['agent', this.handleAgentSelection.bind(this)],
+            ['menu', this.handleMenuRequest.bind(this)],
+            ['email', this.handleEmailDraftAction.bind(this)],
+            ['booking', (phoneNumber, value) => this.bookings.handleAction(phoneNumber, value)]
+        ]);
+        
+        // Menus agents can attach to a reply with [[menu:name]]; build(body, page) returns a structured reply
+        this.replyMenus = new Map([
+            ['agents', {
+                description: 'a list of agents to choose from',
+                build: (body, page) => this.sessions.buildAgentPicker(body, page)
+            }]
+        ]);
+        
+        if (this.payments) {
+            this.interactiveCommands.set('plan', (phoneNumber, planId) => this.payments.sendPlanPaymentLink(phoneNumber, planId));
+            this.replyMenus.set('plans', {
+                description: 'the subscription plans with prices',
+                build: (body) => this.payments.buildPlanPicker(body)
+            });
+        }
         
-        this.setupRoutes();
+        // Inbound messages are processed by job queue workers, one at a time per phone number
+        this.jobQueue.registerHandler('whatsapp.message', this.handleQueuedMessage.bind(this), {
+            onDeadLetter: this.handleFailedMessage.bind(this)
+        });
     }
 
     setupRoutes() {
-        const app = express();
-        const upload = multer({ dest: 'temp/' });
-        
-        app.use(express.json());
+        const router = express.Router();
+        const upload = multer({
+            dest: UPLOAD_DIR,
+            limits: { fileSize: this.maxUploadBytes, files: 1 },
+            fileFilter: (req, file, callback) => {
+                if (UPLOAD_MIME_TYPES.includes(file.mimetype)) return callback(null, true);
+                
+                const error = new Error(`Unsupported audio type: ${file.mimetype}`);
+                error.code = 'UNSUPPORTED_AUDIO_TYPE';
+                callback(error);
+            }
+        });
         
-        // WhatsApp webhook endpoint
-        app.post('/api/webhook/whatsapp', this.handleWhatsAppWebhook.bind(this));
+        // WhatsApp webhook endpoints: GET verification handshake, POST signed events
+        router.get('/api/webhook/whatsapp', this.verifyWhatsAppWebhook.bind(this));
+        router.post('/api/webhook/whatsapp', this.handleWhatsAppWebhook.bind(this));
+        router.get('/api/security/rejected-webhooks', this.getRejectedWebhooks.bind(this));
+        router.get('/api/feedback', this.getMessageFeedback.bind(this));
+        router.get('/api/whatsapp/window/:phoneNumber', this.getServiceWindow.bind(this));
+        router.get('/api/whatsapp/messages', this.getDeliveryHistory.bind(this));
+        router.get('/api/whatsapp/messages/:id', this.getOutboundMessage.bind(this));
         
-        // Manual voice processing endpoint
-        app.post('/api/process-voice', upload.single('audio'), this.processVoiceFile.bind(this));
+        // Voice in, voice out over HTTP: upload a recording, get the transcript, the reply and its audio
+        router.post('/api/process-voice', this.receiveVoiceUpload(upload), this.processVoiceFile.bind(this));
+        router.get('/api/process-voice/audio/:audioId', this.downloadVoiceReply.bind(this));
         
         // Test voice agent endpoint
-        app.post('/api/test-voice-agent/:agentId', this.testVoiceAgent.bind(this));
+        router.post('/api/test-voice-agent/:agentId', this.testVoiceAgent.bind(this));
+        
+        return router;
+    }
+
+    async start() {
+        if (!this.appSecret) {
+            console.log('⚠️ WHATSAPP_APP_SECRET not configured, all WhatsApp webhook events will be rejected');
+        }
+        
+        await this.removeStaleUploads();
+    }
+
+    // Uploads are deleted once processed; this clears any left behind by a crash or restart
+    async removeStaleUploads() {
+        const files = await fs.readdir(UPLOAD_DIR).catch(() => []);
+        let removed = 0;
+        
+        for (const file of files) {
+            const filePath = path.join(UPLOAD_DIR, file);
+            const stats = await fs.stat(filePath).catch(() => null);
+            
+            if (stats && stats.isFile() && Date.now() - stats.mtimeMs > STALE_UPLOAD_MS) {
+                await fs.unlink(filePath).catch(() => {});
+                removed++;
+            }
+        }
         
-        return app;
+        if (removed > 0) {
+            console.log(`🧹 Removed ${removed} stale voice upload(s) from ${UPLOAD_DIR}/`);
+        }
+    }
+
+    // ===========================================
+    // WEBHOOK VERIFICATION
+    // ===========================================
+
+    // Meta's subscription handshake: echo hub.challenge when the verify token matches
+    async verifyWhatsAppWebhook(req, res) {
+        const mode = req.query['hub.mode'];
+        const token = req.query['hub.verify_token'];
+
+        if (mode === 'subscribe' && this.verifyToken && token === this.verifyToken) {
+            console.log('✅ WhatsApp webhook verified');
+            return res.status(200).send(req.query['hub.challenge']);
+        }
+
+        console.warn('🚫 WhatsApp webhook verification failed');
+        res.status(403).send('Verification failed');
+    }
+
+    // Checks X-Hub-Signature-256 against an HMAC-SHA256 of the raw request body; returns a rejection reason or null
+    checkWebhookSignature(req) {
+        const signature = req.get('x-hub-signature-256');
+
+        if (!this.appSecret) return 'app_secret_not_configured';
+        if (!signature) return 'missing_signature';
+        if (!req.rawBody) return 'missing_raw_body';
+
+        // Compare bytes, not characters: a non-ASCII header has more UTF-8 bytes than characters
+        const expected = Buffer.from('sha256=' + crypto.createHmac('sha256', this.appSecret).update(req.rawBody).digest('hex'));
+        const received = Buffer.from(signature);
+        const valid = received.length === expected.length && crypto.timingSafeEqual(received, expected);
+
+        return valid ? null : 'invalid_signature';
+    }
+
+    async logRejectedWebhook(req, reason) {
+        console.warn(`🚫 Rejected WhatsApp webhook from ${req.ip}: ${reason}`);
+
+        try {
+            await this.db.table('rejected_webhooks').insert({
+                source: 'whatsapp',
+                reason: reason,
+                signature: req.get('x-hub-signature-256') || null,
+                ip_address: req.ip,
+                user_agent: req.get('user-agent') || null,
+                payload: req.rawBody ? req.rawBody.toString('utf8').slice(0, 10000) : JSON.stringify(req.body)
+            });
+        } catch (error) {
+            console.error('Rejected webhook logging error:', error);
+        }
+    }
+
+    async getRejectedWebhooks(req, res) {
+        try {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+            const rejected = await this.db.table('rejected_webhooks').find(
+                req.query.source ? { source: req.query.source } : {},
+                { orderBy: 'created_at', descending: true, limit: limit }
+            );
+
+            res.json({ count: rejected.length, rejected_webhooks: rejected });
+
+        } catch (error) {
+            console.error('Rejected webhook lookup error:', error);
+            res.status(500).json({ error: error.message });
+        }
     }
 
     async handleWhatsAppWebhook(req, res) {
         try {
-            const body = req.body;
-            
-            // Verify webhook
-            if (req.query['hub.verify_token'] === process.env.WHATSAPP_VERIFY_TOKEN) {
-                return res.status(200).send(req.query['hub.challenge']);
+            const rejection = this.checkWebhookSignature(req);
+            if (rejection) {
+                await this.logRejectedWebhook(req, rejection);
+                return res.status(401).send('Invalid signature');
             }
 
+            const body = req.body;
+
             // Process incoming messages
             if (body.object === 'whatsapp_business_account') {
                 for (const entry of body.entry) {
@@ -63,281 +244,765 @@ class WhatsAppVoiceIntegration {
         }
     }
 
+    // Queues each message so the webhook can acknowledge immediately; Meta's retries are dropped by message ID.
+    // Delivery statuses for our outbound messages arrive on the same webhook and are recorded inline.
     async processWhatsAppMessage(messageData) {
+        for (const status of messageData.statuses || []) {
+            await this.whatsappClient.recordStatus(status);
+        }
+
         const messages = messageData.messages;
         if (!messages) return;
 
         for (const message of messages) {
-            const phoneNumber = message.from;
-            const messageId = message.id;
-
-            // Handle different message types
-            if (message.type === 'audio') {
-                await this.handleVoiceMessage(phoneNumber, message.audio, messageId);
-            } else if (message.type === 'text') {
-                await this.handleTextMessage(phoneNumber, message.text.body, messageId);
+            // Every inbound message reopens the 24-hour window for free-form replies
+            const receivedAt = message.timestamp ? new Date(parseInt(message.timestamp, 10) * 1000) : new Date();
+            await this.whatsappClient.recordInbound(message.from, receivedAt);
+            
+            const job = await this.jobQueue.enqueue('whatsapp.message', { message }, {
+                dedupeKey: `whatsapp:${message.id}`,
+                orderingKey: `whatsapp:${message.from}`
+            });
+
+            if (!job) {
+                console.log(`↩️ Duplicate WhatsApp message ignored: ${message.id}`);
             }
         }
     }
 
-    async handleVoiceMessage(phoneNumber, audioData, messageId) {
+    // A retry after something already went out in answer would send it again, so the customer keeps the reply
+    // they have and the rest of the handler is skipped
+    async handleQueuedMessage({ message }, job) {
+        if (job && job.attempts > 0 && await this.whatsappClient.hasReplied(message.id)) {
+            console.warn(`↩️ WhatsApp message ${message.id} was already answered, not processing it again`);
+            return;
+        }
+
+        await this.whatsappClient.replyTo(message.from, message.id, () => this.processQueuedMessage(message));
+    }
+
+    async processQueuedMessage(message) {
+        const phoneNumber = message.from;
+        const messageId = message.id;
+
+        // A person on our team has the conversation: they see the message instead of an agent. The emergency
+        // protocol still runs first, so the safety message and on-call page don't wait for the operator.
+        if (message.type !== 'reaction' && await this.handoff.isPaused(phoneNumber)) {
+            const transcription = message.type === 'audio' ? await this.transcribeVoiceNote(message.audio) : null;
+            await this.checkPausedMessageForEmergency(phoneNumber, message, transcription);
+            await this.handoff.receiveCustomerMessage(phoneNumber, this.describeForOperator(message, transcription));
+            return;
+        }
+
+        // Handle different message types
+        if (message.type === 'audio') {
+            await this.handleVoiceMessage(phoneNumber, message.audio, messageId);
+        } else if (message.type === 'text') {
+            await this.handleTextMessage(phoneNumber, message.text.body, messageId);
+        } else if (message.type === 'image' || message.type === 'document') {
+            await this.handleMediaMessage(phoneNumber, message.type, message[message.type], messageId);
+        } else if (message.type === 'location') {
+            await this.handleLocationMessage(phoneNumber, message.location, messageId);
+        } else if (message.type === 'contacts') {
+            await this.handleContactsMessage(phoneNumber, message.contacts);
+        } else if (message.type === 'interactive') {
+            const interactive = message.interactive;
+            await this.handleInteractiveReply(phoneNumber, interactive.button_reply || interactive.list_reply, messageId);
+        } else if (message.type === 'button') {
+            // Quick-reply buttons on template messages
+            await this.handleInteractiveReply(phoneNumber, { id: message.button.payload, title: message.button.text }, messageId);
+        } else if (message.type === 'reaction') {
+            await this.handleReaction(phoneNumber, message.reaction);
+        } else {
+            console.log(`⚠️ Unsupported WhatsApp message type "${message.type}" from ${phoneNumber}`);
+        }
+    }
+
+    // { text, language } for a voice note that arrives while the bot is paused, or null when it can't be transcribed
+    async transcribeVoiceNote(audioData) {
         try {
-            console.log(`🎤 Processing voice message from ${phoneNumber}`);
-            
-            // Step 1: Download audio from WhatsApp
-            const audioBuffer = await this.downloadWhatsAppAudio(audioData.id);
-            
-            // Step 2: Convert speech to text
-            const transcription = await this.speechToText(audioBuffer);
-            console.log(`📝 Transcription: ${transcription}`);
-            
-            // Step 3: Determine which agent to use
-            const agentId = await this.selectAgent(transcription, phoneNumber);
-            
-            // Step 4: Get agent response
-            const agentResponse = await this.getAgentResponse(agentId, transcription, {
-                source: 'whatsapp_voice',
-                phone_number: phoneNumber,
-                message_id: messageId
-            });
-            
-            // Step 5: Convert response to speech
-            const voiceResponse = await this.textToSpeech(agentResponse, agentId);
-            
-            // Step 6: Send voice response via WhatsApp
-            await this.sendWhatsAppVoiceMessage(phoneNumber, voiceResponse);
-            
-            // Step 7: Log interaction
-            await this.logVoiceInteraction(agentId, phoneNumber, transcription, agentResponse);
-            
-            console.log(`✅ Voice interaction completed for ${phoneNumber}`);
-            
+            const { buffer, mimeType } = await this.downloadWhatsAppMedia(audioData.id);
+            return await this.speechToText(buffer, mimeType);
         } catch (error) {
-            console.error('Voice message processing error:', error);
-            
-            // Send error message as text
-            await this.sendWhatsAppTextMessage(phoneNumber, 
-                "Sorry, I couldn't process your voice message. Please try again or send a text message."
-            );
+            console.error('Voice note transcription for operator failed:', error.message);
+            return null;
+        }
+    }
+
+    // Text, captions and transcriptions are checked for an emergency; a shared location goes to any open incident
+    async checkPausedMessageForEmergency(phoneNumber, message, transcription) {
+        if (message.type === 'location') {
+            const location = this.toLocation(message.location);
+            await this.sessions.setLocation(phoneNumber, location);
+            await this.emergency.recordLocation(phoneNumber, location);
+            return;
         }
+
+        const content = message[message.type] || {};
+        const text = message.type === 'audio' ? transcription && transcription.text
+            : message.type === 'text' ? content.body
+            : content.caption;
+        if (!text) return;
+
+        await this.emergency.handleMessage(phoneNumber, text, { spokenLanguage: transcription ? transcription.language : null });
+    }
+
+    // What the operator sees for a message that arrives while the bot is paused: { type, text, media_id }
+    describeForOperator(message, transcription = null) {
+        const content = message[message.type] || {};
+        const entry = { type: message.type, text: null, media_id: content.id || null };
+
+        if (message.type === 'text') {
+            entry.text = content.body;
+        } else if (message.type === 'audio') {
+            entry.text = transcription ? `🎤 ${transcription.text}` : '🎤 Voice note';
+        } else if (message.type === 'image' || message.type === 'document') {
+            entry.text = content.caption || content.filename || `[${message.type}]`;
+        } else if (message.type === 'location') {
+            entry.text = `📍 ${[content.name, content.address, `${content.latitude}, ${content.longitude}`].filter(Boolean).join(', ')}`;
+        } else if (message.type === 'contacts') {
+            entry.text = `👤 ${message.contacts.map(card => (card.name && card.name.formatted_name) || 'Contact').join(', ')}`;
+        } else if (message.type === 'interactive') {
+            const reply = content.button_reply || content.list_reply || {};
+            entry.text = reply.title || null;
+        } else if (message.type === 'button') {
+            entry.text = content.text;
+        }
+
+        return entry;
+    }
+
+    // All retries failed: let the customer know instead of leaving them without a reply
+    async handleFailedMessage({ message }) {
+        // Reactions never get a reply, so there is nothing to apologise for
+        if (message.type === 'reaction') return;
+
+        const apology = message.type === 'audio'
+            ? "Sorry, I couldn't process your voice message. Please try again or send a text message."
+            : "Sorry, I encountered an error. Please try again.";
+
+        await this.sendWhatsAppTextMessage(message.from, apology);
+    }
+
+    // Errors propagate so the job queue can retry the message
+    async handleVoiceMessage(phoneNumber, audioData, messageId) {
+        console.log(`🎤 Processing voice message from ${phoneNumber}`);
+        
+        // Step 1: Download audio from WhatsApp
+        const { buffer: audioBuffer, mimeType } = await this.downloadWhatsAppMedia(audioData.id);
+        const inputSeconds = await this.measureAudio(audioBuffer);
+        
+        // Step 2: Convert speech to text, noting the spoken language; an emergency is handled before the usage check
+        const { text: transcription, language: spokenLanguage } = await this.speechToText(audioBuffer, mimeType);
+        console.log(`📝 Transcription (${spokenLanguage || 'unknown language'}): ${transcription}`);
+        const incident = await this.emergency.handleMessage(phoneNumber, transcription, { spokenLanguage });
+        if (await this.handleHumanRequest(phoneNumber, transcription)) return;
+        
+        const usage = await this.checkUsage(phoneNumber);
+        if (!usage) return;
+        
+        if (await this.handleLanguageCommand(phoneNumber, transcription)) return;
+        
+        // Step 3: Determine which agent to use and the language to answer in
+        const routing = await this.routeToAgent(phoneNumber, transcription, usage);
+        if (routing.commandOnly) return;
+        const agentId = routing.agentId;
+        const language = await this.getReplyLanguage(phoneNumber, agentId, transcription, spokenLanguage);
+        const context = this.withIncident({
+            source: 'whatsapp_voice',
+            phone_number: phoneNumber,
+            message_id: messageId,
+            reply_language: language,
+            agent_access: usage.agent_access
+        }, incident);
+        
+        // Voice minutes used up: the reply goes out as text
+        if (!usage.can_voice) {
+            const textResponse = await this.replyWithAgent(phoneNumber, agentId, transcription, context);
+            await this.logVoiceInteraction(agentId, phoneNumber, transcription, textResponse, {
+                language: language,
+                inputSeconds: inputSeconds
+            });
+            await this.recordUsage(usage, { voiceSeconds: inputSeconds });
+            return;
+        }
+        
+        // Step 4: Get agent response
+        const agentResponse = await this.getAgentResponse(agentId, transcription, context);
+        
+        // Step 5: Convert response to speech in the agent's voice for that language, as voice notes;
+        // links, amounts and lists are kept for a companion text message
+        const { text: menuText, menu } = this.extractMenu(agentResponse);
+        const { text: spokenResponse, action: booking } = this.bookings.extractMarker(menuText);
+        const plan = this.voiceReplies.plan(spokenResponse);
+        const voiceNotes = await this.voiceReplies.render(plan, {
+            voiceId: this.getVoiceIdForAgent(agentId, language),
+            language: language
+        });
+        
+        // Step 6: Send the voice notes and companion text via WhatsApp, followed by any menu or slot picker the agent asked for
+        const sent = [];
+        for (const voiceNote of voiceNotes) {
+            sent.push(await this.sendWhatsAppVoiceMessage(phoneNumber, voiceNote.audio, voiceNote.mimeType, {
+                source: 'agent_reply',
+                agentId: agentId
+            }));
+        }
+        if (plan.companionText) {
+            sent.push(await this.sendWhatsAppReply(phoneNumber, plan.companionText, { source: 'agent_reply', agentId }));
+        }
+        await this.conversations.setReplyMessageId(phoneNumber, agentId, agentResponse, this.whatsappClient.getMessageId(sent[0]));
+        if (booking) {
+            const picker = await this.bookings.buildMarkerReply(phoneNumber, agentId, booking, null);
+            if (picker) await this.sendWhatsAppReply(phoneNumber, picker, { source: 'agent_reply', agentId });
+        } else if (menu) {
+            await this.sendWhatsAppReply(phoneNumber, menu.build(null), { source: 'agent_reply', agentId });
+        }
+        
+        // Step 7: Log interaction and count it against the customer's plan
+        const responseSeconds = voiceNotes.some(voiceNote => voiceNote.duration === null)
+            ? null
+            : voiceNotes.reduce((total, voiceNote) => total + voiceNote.duration, 0);
+        await this.logVoiceInteraction(agentId, phoneNumber, transcription, agentResponse, {
+            language: language,
+            inputSeconds: inputSeconds,
+            responseSeconds: responseSeconds
+        });
+        await this.recordUsage(usage, { voiceSeconds: (inputSeconds || 0) + (responseSeconds || 0) });
+        
+        console.log(`✅ Voice interaction completed for ${phoneNumber}`);
     }
 
     async handleTextMessage(phoneNumber, textContent, messageId) {
-        try {
-            // Check if this is an email command
-            if (this.isEmailCommand(textContent)) {
-                await this.handleEmailCommand(phoneNumber, textContent);
-                return;
+        const incident = await this.emergency.handleMessage(phoneNumber, textContent);
+        if (await this.handleHumanRequest(phoneNumber, textContent)) return;
+        
+        // Check if this is an email command
+        if (this.isEmailCommand(textContent)) {
+            await this.handleEmailCommand(phoneNumber, textContent);
+            return;
+        }
+        
+        if (await this.handleLanguageCommand(phoneNumber, textContent)) return;
+        
+        const usage = await this.checkUsage(phoneNumber);
+        if (!usage) return;
+        
+        // Replies to an email draft in progress: a missing detail, a change, "send" or "cancel"
+        if (await this.email.continueWhatsAppDraft(phoneNumber, textContent)) {
+            await this.recordUsage(usage);
+            return;
+        }
+        
+        // Process as regular text message
+        const routing = await this.routeToAgent(phoneNumber, textContent, usage);
+        if (routing.commandOnly) return;
+        
+        const context = this.withIncident({
+            source: 'whatsapp_text',
+            phone_number: phoneNumber,
+            message_id: messageId,
+            agent_access: usage.agent_access
+        }, incident);
+        await this.replyWithAgent(phoneNumber, routing.agentId, textContent, context);
+        await this.recordUsage(usage);
+    }
+
+    // Every inbound text, transcription and caption goes through the emergency protocol first, so the safety message
+    // and incident never depend on the customer's plan, quota or active agent. The agent that answers sees the
+    // incident in its context so it doesn't repeat the numbers.
+    withIncident(context, incident) {
+        if (!incident) return context;
+        
+        return {
+            ...context,
+            emergency_incident: {
+                category: incident.category,
+                severity: incident.severity,
+                safety_message_sent: true,
+                location_shared: Boolean(incident.location)
             }
-            
-            // Process as regular text message
-            const agentId = await this.selectAgent(textContent, phoneNumber);
-            const response = await this.getAgentResponse(agentId, textContent, {
-                source: 'whatsapp_text',
-                phone_number: phoneNumber,
-                message_id: messageId
+        };
+    }
+
+    // "human", "talk to a person": queue the conversation for our team. Returns true if the message was one.
+    async handleHumanRequest(phoneNumber, text) {
+        if (!this.handoff.isHumanRequest(text)) return false;
+        
+        const session = await this.sessions.getSession(phoneNumber);
+        await this.handoff.requestHuman(phoneNumber, {
+            reason: 'customer_request',
+            agentId: session ? session.active_agent_id : null,
+            message: text
+        });
+        await this.sendWhatsAppTextMessage(phoneNumber, this.handoff.getQueuedMessage());
+        return true;
+    }
+
+    // Images and documents reach the agent as attachments; the caption (or file name) decides the routing
+    async handleMediaMessage(phoneNumber, mediaType, media, messageId) {
+        console.log(`📎 Processing ${mediaType} from ${phoneNumber}`);
+        
+        const incident = media.caption ? await this.emergency.handleMessage(phoneNumber, media.caption) : null;
+        const usage = await this.checkUsage(phoneNumber);
+        if (!usage) return;
+        
+        const { buffer, mimeType } = await this.downloadWhatsAppMedia(media.id);
+        const attachment = {
+            type: mediaType,
+            mime_type: media.mime_type || mimeType,
+            filename: media.filename || null,
+            caption: media.caption || null,
+            size: buffer.length
+        };
+        
+        const routingText = attachment.caption || (attachment.filename || '').replace(/\.[a-z0-9]+$/i, '').replace(/[_\-.]+/g, ' ');
+        const routing = routingText.trim()
+            ? await this.routeToAgent(phoneNumber, routingText, usage)
+            : await this.continueSession(phoneNumber, usage);
+        if (routing.commandOnly) return;
+        
+        const message = attachment.caption || `(The customer sent ${mediaType === 'image' ? 'an image' : `a document${attachment.filename ? ` named ${attachment.filename}` : ''}`} without a message.)`;
+        
+        // Oversized files are described to the agent instead of being sent inline
+        const attachments = buffer.length <= this.maxAttachmentBytes
+            ? [{ ...attachment, data: buffer.toString('base64') }]
+            : [];
+        
+        await this.replyWithAgent(phoneNumber, routing.agentId, message, this.withIncident({
+            source: `whatsapp_${mediaType}`,
+            phone_number: phoneNumber,
+            message_id: messageId,
+            attachments: [attachment],
+            agent_access: usage.agent_access
+        }, incident), attachments);
+        await this.recordUsage(usage);
+    }
+
+    toLocation(locationData) {
+        return {
+            latitude: locationData.latitude,
+            longitude: locationData.longitude,
+            name: locationData.name || null,
+            address: locationData.address || null
+        };
+    }
+
+    async handleLocationMessage(phoneNumber, locationData, messageId) {
+        const location = this.toLocation(locationData);
+        
+        // Saved and passed to any open emergency incident even when the customer has no messages left
+        await this.sessions.setLocation(phoneNumber, location);
+        await this.emergency.recordLocation(phoneNumber, location);
+        
+        const usage = await this.checkUsage(phoneNumber);
+        if (!usage) return;
+        
+        const routing = await this.continueSession(phoneNumber, usage);
+        
+        const place = [location.name, location.address].filter(Boolean).join(', ');
+        const message = `📍 Shared location: ${place ? `${place} ` : ''}(${location.latitude}, ${location.longitude})`;
+        
+        await this.replyWithAgent(phoneNumber, routing.agentId, message, {
+            source: 'whatsapp_location',
+            phone_number: phoneNumber,
+            message_id: messageId,
+            location: location,
+            agent_access: usage.agent_access
+        });
+        await this.recordUsage(usage);
+    }
+
+    // Shared contact cards go straight into the customer's contact book, so they can email people by name
+    async handleContactsMessage(phoneNumber, cards) {
+        const saved = await this.contacts.saveWhatsAppContacts(phoneNumber, cards);
+        console.log(`📇 Saved ${saved.length} of ${(cards || []).length} contact cards from ${phoneNumber}`);
+        
+        await this.sendWhatsAppTextMessage(phoneNumber, this.contacts.buildSavedMessage(saved));
+    }
+
+    // Button and list replies carry IDs like "agent:miss-legal"; the prefix picks the command
+    async handleInteractiveReply(phoneNumber, reply, messageId) {
+        if (!reply) {
+            console.log(`⚠️ Unsupported WhatsApp interactive reply from ${phoneNumber}`);
+            return;
+        }
+        
+        const [command, ...rest] = reply.id.split(':');
+        const handler = this.interactiveCommands.get(command);
+        
+        if (handler && rest.length > 0) {
+            await handler(phoneNumber, rest.join(':'), reply, messageId);
+            return;
+        }
+        
+        // Unrecognised IDs: the chosen option goes to the active agent as the customer's answer
+        const usage = await this.checkUsage(phoneNumber);
+        if (!usage) return;
+        
+        const routing = await this.continueSession(phoneNumber, usage);
+        await this.replyWithAgent(phoneNumber, routing.agentId, reply.title, {
+            source: 'whatsapp_interactive',
+            phone_number: phoneNumber,
+            message_id: messageId,
+            selected_option: { id: reply.id, title: reply.title },
+            agent_access: usage.agent_access
+        });
+        await this.recordUsage(usage);
+    }
+
+    async handleAgentSelection(phoneNumber, agentId) {
+        const usage = await this.usage.check(phoneNumber);
+        const routing = await this.sessions.selectAgent(phoneNumber, agentId, { agentIds: usage.agent_access });
+        
+        if (routing.restrictedAgent) {
+            await this.sendWhatsAppReply(phoneNumber, this.usage.buildRestrictedAgentMessage(usage, routing.restrictedAgent), { source: 'usage_upsell' });
+            return;
+        }
+        if (!routing.unknownAgent && routing.agentId !== this.emergency.agentId) {
+            await this.emergency.endExemption(phoneNumber);
+        }
+        
+        await this.sendWhatsAppReply(phoneNumber, routing.unknownAgent
+            ? this.sessions.buildUnknownAgentMessage(routing.unknownAgent)
+            : this.sessions.buildSwitchConfirmation(routing));
+    }
+
+    // "menu:agents:2" asks for the second page of the agent list
+    async handleMenuRequest(phoneNumber, value) {
+        const [name, page] = value.split(':');
+        const menu = this.replyMenus.get(name);
+        
+        if (!menu) {
+            console.log(`⚠️ Unknown WhatsApp menu "${name}" requested by ${phoneNumber}`);
+            return;
+        }
+        
+        await this.sendWhatsAppReply(phoneNumber, menu.build(null, parseInt(page, 10) || 1));
+    }
+
+    // Reactions are feedback on an agent reply; an empty emoji means the customer removed their reaction
+    async handleReaction(phoneNumber, reaction) {
+        const existing = await this.db.table('message_feedback').findOne({
+            phone_number: phoneNumber,
+            reply_message_id: reaction.message_id
+        });
+        
+        if (!reaction.emoji) {
+            if (existing) await this.db.table('message_feedback').delete(existing.id);
+            return;
+        }
+        
+        const feedback = {
+            emoji: reaction.emoji,
+            sentiment: this.getReactionSentiment(reaction.emoji)
+        };
+        
+        if (existing) {
+            await this.db.table('message_feedback').update(existing.id, feedback);
+            return;
+        }
+        
+        const reply = await this.conversations.findReply(phoneNumber, reaction.message_id);
+        await this.db.table('message_feedback').insert({
+            phone_number: phoneNumber,
+            reply_message_id: reaction.message_id,
+            agent_id: reply ? reply.agentId : null,
+            customer_message: reply ? reply.turn.user : null,
+            agent_reply: reply ? reply.turn.assistant : null,
+            ...feedback
+        });
+        
+        console.log(`${reaction.emoji} Feedback from ${phoneNumber} on ${reply ? reply.agentId : 'unknown agent'}`);
+    }
+
+    getReactionSentiment(emoji) {
+        if (POSITIVE_REACTIONS.some(positive => emoji.startsWith(positive))) return 'positive';
+        if (NEGATIVE_REACTIONS.some(negative => emoji.startsWith(negative))) return 'negative';
+        return 'neutral';
+    }
+
+    // Reaction counts by sentiment plus the latest reactions, optionally for one agent
+    async getMessageFeedback(req, res) {
+        try {
+            const filter = req.query.agent_id ? { agent_id: req.query.agent_id } : {};
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+            const feedback = await this.db.table('message_feedback').find(filter, { orderBy: 'updated_at', descending: true });
+
+            const sentiment = { positive: 0, negative: 0, neutral: 0 };
+            feedback.forEach(entry => { sentiment[entry.sentiment] = (sentiment[entry.sentiment] || 0) + 1; });
+
+            res.json({
+                agent_id: req.query.agent_id || null,
+                total: feedback.length,
+                sentiment: sentiment,
+                recent: feedback.slice(0, limit)
             });
-            
-            await this.sendWhatsAppTextMessage(phoneNumber, response);
-            
+
         } catch (error) {
-            console.error('Text message processing error:', error);
-            await this.sendWhatsAppTextMessage(phoneNumber, 
-                "Sorry, I encountered an error. Please try again."
-            );
+            console.error('Feedback lookup error:', error);
+            res.status(500).json({ error: error.message });
         }
     }
 
-    async downloadWhatsAppAudio(mediaId) {
+    async getServiceWindow(req, res) {
         try {
-            // Get media URL from WhatsApp
-            const mediaInfoResponse = await fetch(`https://graph.facebook.com/v18.0/${mediaId}`, {
-                headers: {
-                    'Authorization': `Bearer ${this.whatsappToken}`
-                }
-            });
-            
-            const mediaInfo = await mediaInfoResponse.json();
-            
-            // Download the actual audio file
-            const audioResponse = await fetch(mediaInfo.url, {
-                headers: {
-                    'Authorization': `Bearer ${this.whatsappToken}`
-                }
-            });
-            
-            return await audioResponse.buffer();
+            res.json(await this.whatsappClient.getWindow(req.params.phoneNumber));
             
         } catch (error) {
-            console.error('Error downloading WhatsApp audio:', error);
-            throw error;
+            console.error('Service window lookup error:', error);
+            res.status(500).json({ error: error.message });
         }
     }
 
-    async speechToText(audioBuffer) {
+    // Accepts our record ID or the WhatsApp message ID (wamid)
+    async getOutboundMessage(req, res) {
         try {
-            // Save audio buffer to temporary file
-            const tempFilePath = `/tmp/audio_${Date.now()}.ogg`;
-            await fs.writeFile(tempFilePath, audioBuffer);
-            
-            // Create form data for OpenAI Whisper
-            const formData = new FormData();
-            formData.append('file', await fs.readFile(tempFilePath), {
-                filename: 'audio.ogg',
-                contentType: 'audio/ogg'
-            });
-            formData.append('model', 'whisper-1');
-            formData.append('language', 'en'); // Can be dynamically detected
-            
-            // Send to OpenAI Whisper
-            const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.openAIKey}`,
-                    ...formData.getHeaders()
-                },
-                body: formData
-            });
-            
-            const result = await response.json();
-            
-            // Clean up temporary file
-            await fs.unlink(tempFilePath).catch(() => {});
-            
-            return result.text;
+            const message = await this.whatsappClient.getMessage(req.params.id);
+            if (!message) {
+                return res.status(404).json({ error: 'Message not found' });
+            }
+
+            res.json(message);
             
         } catch (error) {
-            console.error('Speech to text error:', error);
-            throw error;
+            console.error('Outbound message lookup error:', error);
+            res.status(500).json({ error: error.message });
         }
     }
 
-    async textToSpeech(text, agentId) {
+    async getDeliveryHistory(req, res) {
         try {
-            const voiceId = this.getVoiceIdForAgent(agentId);
-            
-            const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.elevenLabsKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    text: text,
-                    model_id: 'eleven_multilingual_v2',
-                    voice_settings: {
-                        stability: 0.75,
-                        similarity_boost: 0.85,
-                        style: 0.5,
-                        use_speaker_boost: true
-                    }
-                })
+            const { phone_number: phoneNumber } = req.query;
+            if (!phoneNumber) {
+                return res.status(400).json({ error: 'phone_number is required' });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+            const messages = await this.whatsappClient.getDeliveryHistory(phoneNumber, { limit });
+
+            res.json({
+                phone_number: phoneNumber,
+                total: messages.length,
+                messages: messages
             });
             
-            return await response.buffer();
-            
         } catch (error) {
-            console.error('Text to speech error:', error);
-            throw error;
+            console.error('Delivery history lookup error:', error);
+            res.status(500).json({ error: error.message });
         }
     }
 
-    async selectAgent(messageContent, phoneNumber) {
-        // Agent selection logic based on message content and user preferences
-        const content = messageContent.toLowerCase();
+    // Sends the agent's reply (as a menu or slot picker when it asked for one) and remembers its WhatsApp message ID
+    // for later reactions
+    async replyWithAgent(phoneNumber, agentId, message, context, attachments = []) {
+        const response = await this.getAgentResponse(agentId, message, context, attachments);
+        const { text: menuText, menu } = this.extractMenu(response);
+        const { text, action: booking } = this.bookings.extractMarker(menuText);
         
-        // Legal keywords
-        if (content.includes('contract') || content.includes('legal') || content.includes('cac') || 
-            content.includes('registration') || content.includes('lawyer')) {
-            return 'miss-legal';
+        let reply = menu ? menu.build(text || null) : text;
+        if (booking) {
+            reply = await this.bookings.buildMarkerReply(phoneNumber, agentId, booking, text || null);
         }
         
-        // Payment keywords
-        if (content.includes('payment') || content.includes('pay') || content.includes('invoice') || 
-            content.includes('money') || content.includes('flutterwave')) {
-            return 'paymaster';
-        }
+        const result = await this.sendWhatsAppReply(phoneNumber, reply, {
+            source: 'agent_reply',
+            agentId: agentId
+        });
         
-        // Business analysis keywords
-        if (content.includes('business') || content.includes('market') || content.includes('analysis') || 
-            content.includes('strategy') || content.includes('plan')) {
-            return 'atlas-corporate';
+        await this.conversations.setReplyMessageId(phoneNumber, agentId, response, this.whatsappClient.getMessageId(result));
+        return response;
+    }
+
+    // Strips a menu marker from an agent reply; unknown menu names are dropped
+    extractMenu(responseText) {
+        const match = MENU_MARKER_PATTERN.exec(responseText);
+        if (!match) {
+            return { text: responseText, menu: null };
         }
         
-        // Emergency keywords
-        if (content.includes('emergency') || content.includes('help') || content.includes('urgent') || 
-            content.includes('crisis')) {
-            return 'crossai-emergency';
+        return {
+            text: responseText.replace(MENU_MARKER_PATTERN, '').trim(),
+            menu: this.replyMenus.get(match[1].toLowerCase()) || null
+        };
+    }
+
+    getMenuInstructions() {
+        const menus = [...this.replyMenus.entries()].map(([name, menu]) => `[[menu:${name}]] for ${menu.description}`);
+        return `To show the customer a tappable menu, end your reply with ${menus.join(' or ')}.`;
+    }
+
+    async downloadWhatsAppMedia(mediaId) {
+        try {
+            return await this.whatsappClient.downloadMedia(mediaId);
+            
+        } catch (error) {
+            console.error('Error downloading WhatsApp media:', error);
+            throw error;
         }
+    }
+
+    // Transcribes through the configured speech-to-text providers, falling back when one is down.
+    // OGG, MP3 and WAV are sent as they are; anything else (AMR from older phones) is converted to WAV first.
+    async speechToText(audioBuffer, mimeType) {
+        const format = this.audio.detectFormat(audioBuffer, mimeType);
+        const input = ['ogg', 'mp3', 'wav'].includes(format)
+            ? { audio: audioBuffer, mimeType: this.audio.getMimeType(format) }
+            : await this.audio.transcode(audioBuffer, { to: 'wav' });
         
-        // Education keywords
-        if (content.includes('university') || content.includes('school') || content.includes('admission') || 
-            content.includes('student') || content.includes('jamb')) {
-            return 'miss-academic';
-        }
+        const result = await this.speech.transcribe(input.audio, { mimeType: input.mimeType });
+        console.log(`🗣️ Transcribed with ${result.provider}`);
         
-        // Technical support keywords
-        if (content.includes('technical') || content.includes('system') || content.includes('software') || 
-            content.includes('computer') || content.includes('app')) {
-            return 'tech-support';
+        return { text: result.text, language: this.languages.fromSpoken(result.language) };
+    }
+
+    // Returns { audio, mimeType, provider } in the agent's voice for the reply language
+    async textToSpeech(text, agentId, language) {
+        return this.speech.synthesize(text, {
+            voiceId: this.getVoiceIdForAgent(agentId, language),
+            language: language
+        });
+    }
+
+    // Duration in seconds, or null when it can't be measured
+    async measureAudio(buffer) {
+        return this.audio.getDuration(buffer).catch(() => null);
+    }
+
+    // The customer's plan allowance before an agent replies. Once the message quota is used up, the
+    // limit message (with the plan picker) goes out instead and null is returned.
+    // For EMERGENCY_EXEMPTION_MINUTES after a message detected as an emergency nothing is limited or counted, and
+    // Agent CrossAI Emergency answers whatever the plan includes (requests for a person are handled before this check).
+    async checkUsage(phoneNumber) {
+        const usage = await this.usage.check(phoneNumber);
+        if (await this.emergency.getActiveIncident(phoneNumber)) {
+            return { ...usage, can_message: true, can_voice: true, emergency: true };
         }
+        if (usage.can_message) return usage;
         
-        // Luxury service keywords
-        if (content.includes('luxury') || content.includes('vip') || content.includes('premium') || 
-            content.includes('travel') || content.includes('booking')) {
-            return 'luxury-service';
-        }
+        console.log(`🚫 ${phoneNumber} has no messages left on their ${usage.plan.name}`);
+        await this.sendWhatsAppReply(phoneNumber, this.usage.buildLimitReachedMessage(usage), { source: 'usage_limit' });
+        return null;
+    }
+
+    // Counts an answered message (unless it was an emergency) and sends the upgrade prompts it triggered
+    // (80% and 100% of a quota)
+    async recordUsage(usage, { voiceSeconds = 0 } = {}) {
+        if (usage.emergency) return;
         
-        // Medical keywords
-        if (content.includes('health') || content.includes('medical') || content.includes('doctor') || 
-            content.includes('hospital') || content.includes('appointment')) {
-            return 'med-assist';
-        }
+        const phoneNumber = usage.phone_number;
+        const alerts = await this.usage.record(phoneNumber, { voiceSeconds });
+        if (alerts.length === 0) return;
         
-        // Kids education keywords
-        if (content.includes('kids') || content.includes('children') || content.includes('learning') || 
-            content.includes('games') || content.includes('education')) {
-            return 'edu-kids';
+        const updated = await this.usage.check(phoneNumber);
+        for (const alert of alerts) {
+            await this.sendWhatsAppReply(phoneNumber, this.usage.buildAlertMessage(updated, alert), { source: 'usage_upsell' });
+        }
+    }
+
+    // Messages with nothing to route on keep the active agent within the plan's agents, or go to the emergency agent
+    async continueSession(phoneNumber, usage) {
+        if (usage.emergency) return this.sessions.handOff(phoneNumber, this.emergency.agentId, 'emergency');
+        return this.sessions.continueSession(phoneNumber, { agentIds: usage.agent_access });
+    }
+
+    // Keeps the customer with their active agent, within their plan's agents; confirms switches and answers switch commands.
+    // During an emergency the emergency agent answers, until the customer asks for another agent.
+    async routeToAgent(phoneNumber, messageContent, usage) {
+        if (usage.emergency) {
+            const requestedAgentId = this.sessions.findRequestedAgent(messageContent);
+            if (!requestedAgentId || requestedAgentId === this.emergency.agentId) {
+                return this.sessions.handOff(phoneNumber, this.emergency.agentId, 'emergency');
+            }
+            await this.emergency.endExemption(phoneNumber);
         }
         
-        // Government service keywords
-        if (content.includes('government') || content.includes('official') || content.includes('document') || 
-            content.includes('service') || content.includes('form')) {
-            return 'gov-connect';
+        const routing = await this.sessions.routeMessage(phoneNumber, messageContent, { agentIds: usage.agent_access });
+        
+        if (routing.restrictedAgent) {
+            await this.sendWhatsAppReply(phoneNumber, this.usage.buildRestrictedAgentMessage(usage, routing.restrictedAgent), { source: 'usage_upsell' });
+        } else if (routing.switched || routing.commandOnly) {
+            await this.sendWhatsAppTextMessage(phoneNumber, this.sessions.buildSwitchConfirmation(routing));
         }
         
-        // Default to Lexi Pro for general queries
-        return 'lexi-pro';
+        return routing;
+    }
+
+    // "Reply in Yoruba" saves the customer's language; returns true when the message was only that command
+    async handleLanguageCommand(phoneNumber, messageContent) {
+        const command = this.languages.parseCommand(messageContent);
+        if (!command) return false;
+        
+        await this.languages.setPreference(phoneNumber, command.language);
+        console.log(`🌍 ${phoneNumber} prefers replies in ${command.language || 'their detected language'}`);
+        
+        if (command.remainder) return false;
+        
+        await this.sendWhatsAppTextMessage(phoneNumber, this.languages.getConfirmation(command.language));
+        return true;
+    }
+
+    // The customer's preferred or detected language, if the agent speaks it
+    async getReplyLanguage(phoneNumber, agentId, messageContent, spokenLanguage = null) {
+        const agentConfig = await this.getAgentConfig(agentId);
+        
+        return this.languages.resolve(phoneNumber, messageContent, {
+            spokenLanguage: spokenLanguage,
+            agentLanguages: agentConfig.languages
+        });
     }
 
-    async getAgentResponse(agentId, message, context) {
+    // Attachments are { type, mime_type, filename, data } with base64 data; they go to the model but not into memory
+    async getAgentResponse(agentId, message, context, attachments = []) {
         try {
             // Get agent configuration
             const agentConfig = await this.getAgentConfig(agentId);
             
-            // Prepare Claude prompt with agent context
-            const prompt = this.buildAgentPrompt(agentConfig, message, context);
+            // Earlier turns with this customer, when the message came from a phone number
+            const phoneNumber = context && context.phone_number;
+            const history = phoneNumber
+                ? await this.conversations.getHistory(phoneNumber, agentConfig.id)
+                : { summary: null, messages: [] };
+            if (phoneNumber) {
+                history.handoff = await this.sessions.getHandoffContext(phoneNumber, agentConfig.id);
+                
+                if (!context.reply_language) {
+                    context = { ...context, reply_language: await this.getReplyLanguage(phoneNumber, agentConfig.id, message) };
+                }
+                
+                const location = context.location ? null : await this.sessions.getLocation(phoneNumber);
+                if (location) context = { ...context, customer_location: location };
+                
+                // Free slots are offered as a tappable list, so only WhatsApp conversations can book
+                if (String(context.source).startsWith('whatsapp')) {
+                    history.bookings = await this.bookings.getAgentContext(agentConfig.id, phoneNumber);
+                }
+            }
             
-            // Call Claude API
-            const response = await fetch('https://api.anthropic.com/v1/messages', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.claudeKey}`,
-                    'Content-Type': 'application/json',
-                    'anthropic-version': '2023-06-01'
-                },
-                body: JSON.stringify({
-                    model: 'claude-3-sonnet-20240229',
-                    max_tokens: 500,
-                    messages: [{
-                        role: 'user',
-                        content: prompt
-                    }]
-                })
-            });
+            const { system, messages } = this.buildAgentPrompt(agentConfig, message, context, history, attachments);
+            
+            const result = await this.llm.complete({ agentId: agentConfig.id, system: system, messages: messages });
+            const { text: agentText, targetAgentId } = this.sessions.extractHandoff(result.text);
+            const { text, reason: humanReason } = this.handoff.extractMarker(agentText);
+            
+            if (!phoneNumber) return text;
+            
+            await this.conversations.appendTurn(phoneNumber, agentConfig.id, this.describeAttachments(message, context.attachments), text);
+            
+            // The agent wants a person on our team to take over the WhatsApp conversation
+            if (humanReason && String(context.source).startsWith('whatsapp')) {
+                await this.handoff.requestHuman(phoneNumber, { reason: humanReason, agentId: agentConfig.id, message: message });
+                return `${text}\n\n${this.handoff.getQueuedMessage()}`;
+            }
+            
+            // The agent asked to pass the customer on, to an agent their plan includes
+            const handoffAllowed = targetAgentId && (!context.agent_access || context.agent_access.includes(targetAgentId));
+            if (handoffAllowed && targetAgentId !== agentConfig.id) {
+                const routing = await this.sessions.handOff(phoneNumber, targetAgentId);
+                return `${text}\n\n${this.sessions.buildSwitchConfirmation(routing)}`;
+            }
             
-            const result = await response.json();
-            return result.content[0].text;
+            return text;
             
         } catch (error) {
             console.error('Agent response error:', error);
@@ -345,48 +1010,59 @@ class WhatsAppVoiceIntegration {
         }
     }
 
-    buildAgentPrompt(agentConfig, message, context) {
-        return `You are ${agentConfig.name}, a specialized AI agent in the ODIA AI system.
+    buildAgentPrompt(agentConfig, message, context, history = { summary: null, messages: [] }, attachments = []) {
+        const system = `${agentConfig.system_prompt}
 
 Your capabilities: ${agentConfig.capabilities.join(', ')}
 Supported languages: ${agentConfig.languages.join(', ')}
 Context: ${JSON.stringify(context)}
-
-User message: "${message}"
-
+${history.summary ? `\nSummary of the earlier conversation with this customer:\n${history.summary}\n` : ''}${history.handoff ? `\n${history.handoff.from_agent} handed this customer to you. Their notes:\n${history.handoff.summary}\n` : ''}${history.bookings && history.bookings.upcoming ? `\nThis customer's upcoming bookings (Lagos time):\n${history.bookings.upcoming}\n` : ''}
 Instructions:
-- Respond professionally in Nigerian English or the user's preferred Nigerian language
+- ${context.reply_language
+        ? `Respond professionally in ${this.languages.getName(context.reply_language)}, whatever language earlier messages used`
+        : "Respond professionally in Nigerian English or the user's preferred Nigerian language"}
 - Be helpful, accurate, and culturally sensitive
 - Keep responses concise but informative for voice delivery
 - If the request requires your specific capabilities, provide detailed assistance
 - If outside your scope, politely redirect to the appropriate agent
+- Use the earlier conversation to resolve follow-up questions
+- ${this.sessions.getHandoffInstructions(agentConfig.id, context.agent_access)}
+- ${this.getMenuInstructions()}
+- ${this.handoff.getAgentInstructions()}${history.bookings ? `\n- ${history.bookings.instructions}` : ''}
 
-Respond as ${agentConfig.name}:`;
+Respond as ${agentConfig.name}.`;
+
+        const content = attachments.length > 0
+            ? [
+                { type: 'text', text: message },
+                ...attachments.map(attachment => ({
+                    type: attachment.type === 'image' ? 'image' : 'document',
+                    media_type: attachment.mime_type,
+                    data: attachment.data,
+                    filename: attachment.filename || undefined
+                }))
+            ]
+            : message;
+        
+        return {
+            system: system,
+            messages: [...history.messages, { role: 'user', content: content }]
+        };
     }
 
-    async sendWhatsAppVoiceMessage(phoneNumber, audioBuffer) {
+    // Conversation memory keeps a text note of attachments rather than the files themselves
+    describeAttachments(message, attachments) {
+        if (!attachments || attachments.length === 0) return message;
+        
+        const notes = attachments.map(attachment =>
+            `[Attached ${attachment.type}: ${attachment.filename || attachment.mime_type}]`
+        );
+        return `${message}\n${notes.join('\n')}`;
+    }
+
+    async sendWhatsAppVoiceMessage(phoneNumber, audioBuffer, mimeType, options) {
         try {
-            // Upload audio to WhatsApp first
-            const mediaId = await this.uploadWhatsAppMedia(audioBuffer, 'audio/mpeg');
-            
-            // Send voice message
-            const response = await fetch(`https://graph.facebook.com/v18.0/${this.phoneNumberId}/messages`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.whatsappToken}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    messaging_product: 'whatsapp',
-                    to: phoneNumber,
-                    type: 'audio',
-                    audio: {
-                        id: mediaId
-                    }
-                })
-            });
-            
-            const result = await response.json();
+            const result = await this.whatsappClient.sendAudio(phoneNumber, audioBuffer, mimeType, options);
             console.log('Voice message sent:', result);
             return result;
             
@@ -397,101 +1073,41 @@ Respond as ${agentConfig.name}:`;
     }
 
     async sendWhatsAppTextMessage(phoneNumber, message) {
-        try {
-            const response = await fetch(`https://graph.facebook.com/v18.0/${this.phoneNumberId}/messages`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.whatsappToken}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    messaging_product: 'whatsapp',
-                    to: phoneNumber,
-                    type: 'text',
-                    text: {
-                        body: message
-                    }
-                })
-            });
-            
-            const result = await response.json();
-            return result;
-            
-        } catch (error) {
-            console.error('Error sending WhatsApp text message:', error);
-            throw error;
-        }
+        return this.sendWhatsAppReply(phoneNumber, message);
     }
 
-    async uploadWhatsAppMedia(mediaBuffer, mimeType) {
+    // Plain text or a structured reply: reply buttons, list menu, CTA URL button or template
+    async sendWhatsAppReply(phoneNumber, reply, options) {
         try {
-            const formData = new FormData();
-            formData.append('file', mediaBuffer, {
-                filename: 'audio.mp3',
-                contentType: mimeType
-            });
-            formData.append('messaging_product', 'whatsapp');
-            
-            const response = await fetch(`https://graph.facebook.com/v18.0/${this.phoneNumberId}/media`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.whatsappToken}`,
-                    ...formData.getHeaders()
-                },
-                body: formData
-            });
-            
-            const result = await response.json();
-            return result.id;
+            return await this.whatsappClient.sendMessage(phoneNumber, reply, options);
             
         } catch (error) {
-            console.error('Error uploading media to WhatsApp:', error);
+            console.error('Error sending WhatsApp message:', error);
             throw error;
         }
     }
 
-    getVoiceIdForAgent(agentId) {
-        const voiceMap = {
-            'lexi-pro': 'atxzO10LEsk8kEval3af',
-            'atlas-corporate': 'bVMeCyTHy58xNoL34h3p',
-            'miss-legal': 'ThT5KcBeYPX3keUQqHPh',
-            'paymaster': 'LcfcDJNUP1GQjkzn1xUU',
-            'crossai-emergency': 'EXAVITQu4vr4xnSDxMaE',
-            'miss-academic': 'pNInz6obpgDQGcFmaJgB',
-            'tech-support': 'VR6AewLTigWG4xSOukaG',
-            'luxury-service': 'TxGEqnHWrfWFTfGW9XjX',
-            'med-assist': 'jsCqWAovK2LkecY7zXl4',
-            'edu-kids': 'onwK4e9ZLuTAKqWW03F9',
-            'gov-connect': 'IKne3meq5aSn9XLyUdCD'
-        };
-        
-        return voiceMap[agentId] || voiceMap['lexi-pro'];
+    getVoiceIdForAgent(agentId, language) {
+        return this.agentRegistry.getVoiceId(agentId, language);
     }
 
     async getAgentConfig(agentId) {
-        // This would query your Supabase database
-        // For now, returning mock data
-        const configs = {
-            'lexi-pro': {
-                name: 'Agent Lexi Pro',
-                capabilities: ['whatsapp_automation', 'email_generation', 'voice_conversations', 'customer_support'],
-                languages: ['english', 'pidgin', 'yoruba', 'hausa', 'igbo']
-            },
-            'miss-legal': {
-                name: 'Agent Miss Legal',
-                capabilities: ['cac_registration', 'legal_documents', 'contract_templates', 'ndpr_compliance'],
-                languages: ['english']
-            }
-            // Add other agent configs...
-        };
-        
-        return configs[agentId] || configs['lexi-pro'];
+        return this.agentRegistry.resolve(agentId);
     }
 
-    async logVoiceInteraction(agentId, phoneNumber, transcription, response) {
-        // Log to Supabase database
+    async logVoiceInteraction(agentId, phoneNumber, transcription, response, { language, inputSeconds, responseSeconds, source } = {}) {
         console.log(`Logging voice interaction: ${agentId} -> ${phoneNumber}`);
-        // Implementation would insert into voice_interactions table
+        
+        await this.db.table('voice_interactions').insert({
+            agent_id: agentId,
+            phone_number: phoneNumber,
+            transcription: transcription,
+            response: response,
+            language: language || null,
+            input_seconds: inputSeconds ?? null,
+            response_seconds: responseSeconds ?? null,
+            source: source || 'whatsapp_voice'
+        });
     }
 
     // Email command detection and handling
@@ -500,50 +1116,354 @@ Respond as ${agentConfig.name}:`;
         return emailKeywords.some(keyword => text.toLowerCase().includes(keyword));
     }
 
+    // Starts an email draft written by the customer's active agent; it is only sent once the customer approves it
     async handleEmailCommand(phoneNumber, textContent) {
-        // Parse email command and trigger email generation
-        // This will be implemented in the email automation section
-        await this.sendWhatsAppTextMessage(phoneNumber, 
-            "📧 Email command detected! I'll help you compose and send that email. Please provide recipient and content details."
-        );
+        const usage = await this.checkUsage(phoneNumber);
+        if (!usage) return;
+        
+        const routing = await this.continueSession(phoneNumber, usage);
+        await this.email.startWhatsAppDraft(phoneNumber, textContent, routing.agentId);
+        await this.recordUsage(usage);
     }
 
-    // Test endpoint for voice agent functionality
-    async testVoiceAgent(req, res) {
+    // Send / Edit / Cancel buttons on a draft
+    async handleEmailDraftAction(phoneNumber, value) {
+        const usage = await this.checkUsage(phoneNumber);
+        if (!usage) return;
+        
+        await this.email.handleDraftAction(phoneNumber, value);
+        await this.recordUsage(usage);
+    }
+
+    // ===========================================
+    // VOICE API
+    // ===========================================
+
+    // Runs multer with the upload limits, answering its errors as JSON: 413 too large, 415 not audio, 400 otherwise
+    receiveVoiceUpload(upload) {
+        const receive = upload.single('audio');
+        
+        return (req, res, next) => receive(req, res, error => {
+            if (!error) return next();
+            
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `Audio uploads are limited to ${this.maxUploadBytes / (1024 * 1024)} MB` });
+            }
+            if (error.code === 'UNSUPPORTED_AUDIO_TYPE') {
+                return res.status(415).json({ error: error.message });
+            }
+            if (error instanceof multer.MulterError) {
+                return res.status(400).json({ error: error.message });
+            }
+            
+            console.error('Voice upload error:', error);
+            res.status(500).json({ error: error.message });
+        });
+    }
+
+    // Multipart "audio" file plus optional agent_id, conversation_id and audio_delivery ('inline' base64 or
+    // 'url'). Follow-ups sharing a conversation_id keep their agent and conversation memory, like a phone number.
+    async processVoiceFile(req, res) {
         try {
-            const agentId = req.params.agentId;
-            const testMessage = req.body.message || "Hello, this is a test message";
+            if (!req.file) {
+                return res.status(400).json({ error: 'An audio file is required in the "audio" field' });
+            }
+            
+            const audioDelivery = req.body.audio_delivery || 'inline';
+            if (!['inline', 'url'].includes(audioDelivery)) {
+                return res.status(400).json({ error: 'audio_delivery must be "inline" or "url"' });
+            }
+            
+            const requestedAgentId = req.body.agent_id || null;
+            const requestedAgent = requestedAgentId ? this.agentRegistry.get(requestedAgentId) : null;
+            if (requestedAgentId && (!requestedAgent || !requestedAgent.enabled)) {
+                return res.status(400).json({ error: `Unknown or disabled agent: ${requestedAgentId}` });
+            }
             
-            const response = await this.getAgentResponse(agentId, testMessage, {
-                source: 'test',
-                test_mode: true
+            const audioBuffer = await fs.readFile(req.file.path);
+            if (req.file.mimetype === 'application/octet-stream' && !this.audio.detectFormat(audioBuffer)) {
+                return res.status(415).json({ error: 'Could not recognise the uploaded file as audio' });
+            }
+            
+            const conversationId = req.body.conversation_id || crypto.randomUUID();
+            const conversationKey = `api:${conversationId}`;
+            
+            // Step 1: Speech to text
+            const inputSeconds = await this.measureAudio(audioBuffer);
+            const { text: transcription, language: spokenLanguage } = await this.speechToText(audioBuffer, req.file.mimetype);
+            if (!transcription || !transcription.trim()) {
+                return res.status(422).json({ error: 'No speech was recognised in the recording', conversation_id: conversationId });
+            }
+            
+            // Step 2: The requested agent, or the conversation's active agent and intent routing
+            const routing = requestedAgentId
+                ? await this.sessions.selectAgent(conversationKey, requestedAgentId)
+                : await this.sessions.routeMessage(conversationKey, transcription);
+            const agentId = routing.agentId;
+            const language = await this.getReplyLanguage(conversationKey, agentId, transcription, spokenLanguage);
+            
+            // Step 3: The agent's reply; a spoken "switch to Atlas" is answered with the confirmation instead
+            let responseText;
+            if (!requestedAgentId && routing.commandOnly) {
+                responseText = this.sessions.buildSwitchConfirmation(routing);
+            } else {
+                responseText = await this.getAgentResponse(agentId, transcription, {
+                    source: 'api_voice',
+                    phone_number: conversationKey,
+                    conversation_id: conversationId,
+                    reply_language: language
+                });
+            }
+            
+            // Step 4: Text to speech in the agent's voice, with links, amounts and lists kept as companion text
+            const { text: spokenResponse } = this.extractMenu(responseText);
+            const plan = this.voiceReplies.plan(spokenResponse);
+            const voiceNotes = await this.voiceReplies.render(plan, {
+                voiceId: this.getVoiceIdForAgent(agentId, language),
+                language: language
             });
+            const responseSeconds = voiceNotes.some(voiceNote => voiceNote.duration === null)
+                ? null
+                : voiceNotes.reduce((total, voiceNote) => total + voiceNote.duration, 0);
             
-            const voiceBuffer = await this.textToSpeech(response, agentId);
+            await this.logVoiceInteraction(agentId, conversationKey, transcription, responseText, {
+                language: language,
+                inputSeconds: inputSeconds,
+                responseSeconds: responseSeconds,
+                source: 'api_voice'
+            });
             
             res.json({
-                agent_id: agentId,
-                input_message: testMessage,
-                text_response: response,
-                voice_response_size: voiceBuffer.length,
-                status: 'success'
+                conversation_id: conversationId,
+                transcript: transcription,
+                spoken_language: spokenLanguage,
+                reply_language: language,
+                agent: {
+                    id: agentId,
+                    name: this.agentRegistry.getName(agentId),
+                    switched: Boolean(routing.switched)
+                },
+                response_text: spokenResponse,
+                companion_text: plan.companionText,
+                input_seconds: inputSeconds,
+                response_seconds: responseSeconds,
+                audio: voiceNotes.map(voiceNote => this.deliverVoiceNote(voiceNote, audioDelivery))
             });
             
         } catch (error) {
+            console.error('Voice file processing error:', error);
             res.status(500).json({ error: error.message });
+            
+        } finally {
+            if (req.file) await fs.unlink(req.file.path).catch(() => {});
+        }
+    }
+
+    // Base64 in the response, or a download URL that expires after VOICE_DOWNLOAD_TTL_MS
+    deliverVoiceNote(voiceNote, audioDelivery) {
+        const delivered = { mime_type: voiceNote.mimeType, duration_seconds: voiceNote.duration };
+        
+        if (audioDelivery === 'inline') {
+            return { ...delivered, data: voiceNote.audio.toString('base64') };
+        }
+        
+        const now = Date.now();
+        for (const [id, download] of this.voiceDownloads) {
+            if (download.expiresAt <= now) this.voiceDownloads.delete(id);
+        }
+        
+        const audioId = crypto.randomUUID();
+        const expiresAt = now + VOICE_DOWNLOAD_TTL_MS;
+        this.voiceDownloads.set(audioId, { audio: voiceNote.audio, mimeType: voiceNote.mimeType, expiresAt: expiresAt });
+        
+        return { ...delivered, url: `/api/process-voice/audio/${audioId}`, expires_at: new Date(expiresAt).toISOString() };
+    }
+
+    async downloadVoiceReply(req, res) {
+        const download = this.voiceDownloads.get(req.params.audioId);
+        
+        if (!download || download.expiresAt <= Date.now()) {
+            this.voiceDownloads.delete(req.params.audioId);
+            return res.status(404).json({ error: 'Voice reply not found or expired' });
         }
+        
+        res.set('Content-Type', download.mimeType);
+        res.send(download.audio);
+    }
+
+    // ===========================================
+    // VOICE AGENT TESTING
+    // ===========================================
+
+    // POST /api/test-voice-agent/:agentId ("all" for every enabled agent) with { message } or a batch { messages: [] }.
+    // tts: false skips text-to-speech, audio_delivery ('inline' or 'url') returns the audio, voice_id tries another
+    // voice, and stream: true (one message, one agent) sends the reply token by token as Server-Sent Events.
+    async testVoiceAgent(req, res) {
+        try {
+            const options = {
+                tts: req.body.tts !== false,
+                audioDelivery: req.body.audio_delivery || null,
+                voiceId: req.body.voice_id || null
+            };
+            
+            if (options.audioDelivery && !['inline', 'url'].includes(options.audioDelivery)) {
+                return res.status(400).json({ error: 'audio_delivery must be "inline" or "url"' });
+            }
+            if (options.audioDelivery && !options.tts) {
+                return res.status(400).json({ error: 'audio_delivery needs tts enabled' });
+            }
+            
+            const batch = req.body.messages;
+            if (batch !== undefined && (!Array.isArray(batch) || batch.length === 0 ||
+                batch.some(message => typeof message !== 'string' || !message.trim()))) {
+                return res.status(400).json({ error: 'messages must be a non-empty array of strings' });
+            }
+            if (batch && batch.length > MAX_TEST_PROMPTS) {
+                return res.status(400).json({ error: `A batch can hold at most ${MAX_TEST_PROMPTS} messages` });
+            }
+            
+            const allAgents = req.params.agentId === 'all';
+            if (!allAgents && !this.agentRegistry.has(req.params.agentId)) {
+                return res.status(404).json({ error: `Unknown agent: ${req.params.agentId}` });
+            }
+            const agentIds = allAgents ? this.agentRegistry.listIds({ enabledOnly: true }) : [req.params.agentId];
+            const testMessages = batch || [req.body.message || "Hello, this is a test message"];
+            
+            const stream = req.body.stream === true || (req.get('accept') || '').includes('text/event-stream');
+            if (stream) {
+                if (batch || allAgents) {
+                    return res.status(400).json({ error: 'Streaming is only available for a single message to a single agent' });
+                }
+                return this.streamTestPrompt(res, agentIds[0], testMessages[0], options);
+            }
+            
+            if (!batch && !allAgents) {
+                return res.json(await this.runTestPrompt(agentIds[0], testMessages[0], options));
+            }
+            
+            // Batch report: prompts run one after another so latencies aren't skewed by each other
+            const agents = [];
+            for (const agentId of agentIds) {
+                const results = [];
+                for (const message of testMessages) {
+                    results.push(await this.runTestPrompt(agentId, message, options).catch(error => ({
+                        agent_id: agentId,
+                        input_message: message,
+                        error: error.message,
+                        status: 'error'
+                    })));
+                }
+                
+                agents.push({
+                    agent_id: agentId,
+                    agent_name: this.agentRegistry.getName(agentId),
+                    summary: this.summarizeTestResults(results),
+                    results: results
+                });
+            }
+            
+            res.json({ messages: testMessages.length, agents: agents });
+            
+        } catch (error) {
+            console.error('Voice agent test error:', error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+
+    // One test prompt without conversation memory; unlike getAgentResponse, LLM and TTS errors reach the caller
+    async runTestPrompt(agentId, message, { tts = true, audioDelivery = null, voiceId = null, onText } = {}) {
+        const agentConfig = await this.getAgentConfig(agentId);
+        const { system, messages } = this.buildAgentPrompt(agentConfig, message, { source: 'test', test_mode: true });
+        
+        const llmStarted = Date.now();
+        const completion = await this.llm.complete({ agentId: agentConfig.id, system: system, messages: messages, onText: onText });
+        const { text } = this.handoff.extractMarker(this.sessions.extractHandoff(completion.text).text);
+        
+        const result = {
+            agent_id: agentConfig.id,
+            input_message: message,
+            text_response: text,
+            model: completion.model,
+            response_ms: Date.now() - llmStarted,
+            status: 'success'
+        };
+        if (!tts) return result;
+        
+        const ttsStarted = Date.now();
+        const voice = await this.speech.synthesize(text, { voiceId: voiceId || this.getVoiceIdForAgent(agentConfig.id) });
+        
+        Object.assign(result, {
+            tts_ms: Date.now() - ttsStarted,
+            voice_id: voiceId || this.getVoiceIdForAgent(agentConfig.id),
+            voice_response_size: voice.audio.length,
+            voice_provider: voice.provider,
+            voice_cached: Boolean(voice.cached)
+        });
+        
+        if (audioDelivery) {
+            result.audio = this.deliverVoiceNote({
+                audio: voice.audio,
+                mimeType: voice.mimeType,
+                duration: await this.measureAudio(voice.audio)
+            }, audioDelivery);
+        }
+        
+        return result;
+    }
+
+    // Events: "token" { text } as the reply streams, then "done" with the runTestPrompt result, or "error" { error }
+    async streamTestPrompt(res, agentId, message, options) {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.flushHeaders();
+        
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        
+        try {
+            const result = await this.runTestPrompt(agentId, message, {
+                ...options,
+                onText: text => send('token', { text: text })
+            });
+            send('done', result);
+            
+        } catch (error) {
+            console.error('Voice agent test stream error:', error);
+            send('error', { error: error.message });
+        }
+        
+        res.end();
+    }
+
+    summarizeTestResults(results) {
+        const succeeded = results.filter(result => result.status === 'success');
+        const average = values => values.length > 0
+            ? Math.round(values.reduce((total, value) => total + value, 0) / values.length)
+            : null;
+        const responseTimes = succeeded.map(result => result.response_ms);
+        const ttsTimes = succeeded.filter(result => result.tts_ms !== undefined).map(result => result.tts_ms);
+        
+        return {
+            messages: results.length,
+            succeeded: succeeded.length,
+            failed: results.length - succeeded.length,
+            avg_response_ms: average(responseTimes),
+            max_response_ms: responseTimes.length > 0 ? Math.max(...responseTimes) : null,
+            avg_tts_ms: average(ttsTimes)
+        };
     }
 }
 
-// Initialize and export
-const whatsappVoice = new WhatsAppVoiceIntegration();
-module.exports = whatsappVoice;
+// Export the class; src/server.js constructs it and mounts its routes
+module.exports = WhatsAppVoiceIntegration;
 
 // Usage example:
 /*
 1. Setup WhatsApp Business API webhook pointing to your server
 2. Configure environment variables for all services
-3. Deploy this code to your server (Vercel, AWS, etc.)
+3. Start the server with `node src/server.js` (or deploy to Vercel, AWS, etc.)
 4. Test by sending voice messages to your WhatsApp Business number
 
 Example WhatsApp voice flow:
@@ -556,9 +1476,21 @@ Example WhatsApp voice flow:
 
 The system automatically handles:
 - Voice message downloading from WhatsApp
-- Speech-to-text conversion with Nigerian accent support
+- Speech-to-text conversion with Nigerian accent support and spoken-language detection
+- Replies in the customer's language (English, Pidgin, Yoruba, Hausa, Igbo), with "reply in Yoruba" to fix it
 - Intelligent agent selection based on content
 - Agent response generation with Claude
 - Text-to-speech with Nigerian voices
 - Voice message upload and delivery via WhatsApp
+- Images and documents passed to agents as attachments (e.g. a CAC certificate to miss-legal)
+- Shared locations as structured agent context
+- Button and list replies as commands ("agent:paymaster" switches to Agent PayMaster)
+- Reactions recorded as feedback on agent replies (GET /api/feedback)
+- Voice in, voice out over HTTP (POST /api/process-voice), e.g.
+  curl -F audio=@question.ogg -F agent_id=miss-legal -F audio_delivery=url https://odia.dev/api/process-voice
+- Agent QA (POST /api/test-voice-agent/:agentId): text only, audio to listen to, voice overrides,
+  a streamed reply, or a batch report with latencies for one agent or "all":
+  { "message": "How do I register a business name?", "audio_delivery": "url", "voice_id": "..." }
+  { "message": "Hello", "tts": false, "stream": true }
+  { "messages": ["Hello", "What do you do?"], "tts": false }
 */
\ No newline at end of file